@@ -28,8 +28,16 @@ import * as shop from './containers/Shop/actions';
 import * as merchant from './containers/Merchant/actions';
 import * as contact from './containers/Contact/actions';
 import * as order from './containers/Order/actions';
+import * as returns from './containers/Return/actions';
+import * as refund from './containers/Refund/actions';
+import * as shipment from './containers/Shipment/actions';
 import * as review from './containers/Review/actions';
 import * as wishlist from './containers/WishList/actions';
+import * as tax from './containers/Tax/actions';
+import * as shipping from './containers/Shipping/actions';
+import * as checkout from './containers/Checkout/actions';
+import * as promotion from './containers/Promotion/actions';
+import * as attribute from './containers/Attribute/actions';
 
 export default function mapDispatchToProps(dispatch) {
   return bindActionCreators(
@@ -56,8 +64,16 @@ export default function mapDispatchToProps(dispatch) {
       ...merchant,
       ...contact,
       ...order,
+      ...returns,
+      ...refund,
+      ...shipment,
       ...review,
-      ...wishlist
+      ...wishlist,
+      ...tax,
+      ...shipping,
+      ...checkout,
+      ...promotion,
+      ...attribute
     },
     dispatch
   );
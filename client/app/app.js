@@ -13,7 +13,8 @@ import { SocketProvider } from './contexts/Socket';
 import { SET_AUTH } from './containers/Authentication/constants';
 import Application from './containers/Application';
 import ScrollToTop from './scrollToTop';
-import setToken from './utils/token';
+import setToken, { setCartToken } from './utils/token';
+import { CART_TOKEN } from './constants';
 
 // Import application sass styles
 import './styles/style.scss';
@@ -30,6 +31,9 @@ import 'react-bootstrap-table-next/dist/react-bootstrap-table2.min.css';
 // rc-slider style
 import 'rc-slider/assets/index.css';
 
+// Guest cart
+setCartToken(localStorage.getItem(CART_TOKEN));
+
 // Authentication
 const token = localStorage.getItem('token');
 
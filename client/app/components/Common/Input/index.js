@@ -23,11 +23,15 @@ const Input = props => {
     label,
     name,
     onInputChange,
-    inlineElement
+    inlineElement,
+    multiple,
+    accept
   } = props;
 
   const _onChange = e => {
-    if (e.target.name == 'image') {
+    if (multiple) {
+      onInputChange(e.target.name, Array.from(e.target.files));
+    } else if (type === 'file') {
       onInputChange(e.target.name, e.target.files[0]);
     } else {
       onInputChange(e.target.name, e.target.value);
@@ -130,6 +134,8 @@ const Input = props => {
             name={name}
             value={value}
             placeholder={placeholder}
+            multiple={multiple}
+            accept={accept}
           />
           {inlineElement}
         </div>
@@ -8,7 +8,7 @@ import React from 'react';
 import ReactPaginate from 'react-paginate';
 
 const Pagination = props => {
-  const { totalPages, onPagination } = props;
+  const { totalPages, currentPage, onPagination } = props;
 
   const handlePageClick = event => {
     onPagination('pagination', event.selected + 1);
@@ -22,6 +22,7 @@ const Pagination = props => {
         pageRangeDisplayed={3}
         marginPagesDisplayed={2}
         pageCount={totalPages} // The total number of pages.
+        forcePage={currentPage ? currentPage - 1 : undefined}
         previousLabel='< previous'
         pageClassName='page-item'
         pageLinkClassName='page-link'
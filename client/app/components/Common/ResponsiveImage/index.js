@@ -0,0 +1,45 @@
+/**
+ *
+ * ResponsiveImage
+ *
+ */
+
+import React from 'react';
+
+// the sizes of the image in one format, one per width
+const getSrcSet = (sizes, format) =>
+  sizes
+    .filter(size => size.format === format)
+    .filter(
+      (size, index, list) =>
+        list.findIndex(other => other.width === size.width) === index
+    )
+    .map(size => `${size.url} ${size.width}w`)
+    .join(', ');
+
+// the browser picks the smallest size wide enough for the space the image
+// takes, webp when it supports it. images without sizes load their url
+const ResponsiveImage = props => {
+  const { src, imageSizes, sizes, ...rest } = props;
+
+  const webp = getSrcSet(imageSizes, 'webp');
+  const jpeg = getSrcSet(imageSizes, 'jpeg');
+
+  if (!webp && !jpeg) {
+    return <img src={src} {...rest} />;
+  }
+
+  return (
+    <picture>
+      {webp && <source type='image/webp' srcSet={webp} sizes={sizes} />}
+      <img src={src} srcSet={jpeg || undefined} sizes={sizes} {...rest} />
+    </picture>
+  );
+};
+
+ResponsiveImage.defaultProps = {
+  imageSizes: [],
+  sizes: '100vw'
+};
+
+export default ResponsiveImage;
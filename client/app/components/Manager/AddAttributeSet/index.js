@@ -0,0 +1,73 @@
+/**
+ *
+ * AddAttributeSet
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import Input from '../../Common/Input';
+import Switch from '../../Common/Switch';
+import Button from '../../Common/Button';
+import AttributeFields from '../AttributeFields';
+
+const AddAttributeSet = props => {
+  const {
+    attributeSetFormData,
+    formErrors,
+    attributeSetChange,
+    addAttributeSet
+  } = props;
+
+  const handleSubmit = event => {
+    event.preventDefault();
+    addAttributeSet();
+  };
+
+  return (
+    <div className='add-attribute-set'>
+      <form onSubmit={handleSubmit} noValidate>
+        <Row>
+          <Col xs='12'>
+            <Input
+              type={'text'}
+              error={formErrors['name']}
+              label={'Name'}
+              name={'name'}
+              placeholder={'Furniture'}
+              value={attributeSetFormData.name}
+              onInputChange={(name, value) => {
+                attributeSetChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12'>
+            <AttributeFields
+              attributes={attributeSetFormData.attributes}
+              onChange={attributeSetChange}
+            />
+          </Col>
+          <Col xs='12' md='12' className='my-2'>
+            <Switch
+              id={'active-attribute-set'}
+              name={'isActive'}
+              label={'Active?'}
+              checked={attributeSetFormData.isActive}
+              toggleCheckboxChange={value =>
+                attributeSetChange('isActive', value)
+              }
+            />
+          </Col>
+        </Row>
+        <hr />
+        <div className='add-attribute-set-actions'>
+          <Button type='submit' text='Add Attribute Set' />
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AddAttributeSet;
@@ -16,6 +16,8 @@ import SelectOption from '../../Common/SelectOption';
 const AddCategory = props => {
   const {
     products,
+    categories,
+    attributeSets,
     categoryFormData,
     formErrors,
     categoryChange,
@@ -57,6 +59,30 @@ const AddCategory = props => {
               }}
             />
           </Col>
+          <Col xs='12' md='12'>
+            <SelectOption
+              error={formErrors['parent']}
+              label={'Parent Category'}
+              multi={false}
+              value={categoryFormData.parent}
+              options={categories}
+              handleSelectChange={value => {
+                categoryChange('parent', value);
+              }}
+            />
+          </Col>
+          <Col xs='12' md='12'>
+            <SelectOption
+              error={formErrors['attributeSet']}
+              label={'Attribute Set'}
+              multi={false}
+              value={categoryFormData.attributeSet}
+              options={attributeSets}
+              handleSelectChange={value => {
+                categoryChange('attributeSet', value);
+              }}
+            />
+          </Col>
           <Col xs='12' md='12'>
             <SelectOption
               error={formErrors['products']}
@@ -8,16 +8,18 @@ import React from 'react';
 
 import { Row, Col } from 'reactstrap';
 
-import { ROLES } from '../../../constants';
+import { ROLES, TAX_CLASS } from '../../../constants';
 import Input from '../../Common/Input';
 import Switch from '../../Common/Switch';
 import Button from '../../Common/Button';
 import SelectOption from '../../Common/SelectOption';
+import ProductVariants from '../ProductVariants';
+import ProductAttributes from '../ProductAttributes';
 
-const taxableSelect = [
-  { value: 1, label: 'Yes' },
-  { value: 0, label: 'No' }
-];
+const taxClassSelect = Object.values(TAX_CLASS).map(taxClass => ({
+  value: taxClass,
+  label: taxClass
+}));
 
 const AddProduct = props => {
   const {
@@ -27,7 +29,9 @@ const AddProduct = props => {
     productChange,
     addProduct,
     brands,
-    image
+    categories,
+    categoryList,
+    attributeSets
   } = props;
 
   const handleSubmit = event => {
@@ -106,15 +110,29 @@ const AddProduct = props => {
               }}
             />
           </Col>
+          <Col xs='12' md='12'>
+            <Input
+              type={'number'}
+              error={formErrors['weight']}
+              label={'Weight (kg)'}
+              name={'weight'}
+              min={0}
+              placeholder={'Product Weight'}
+              value={productFormData.weight}
+              onInputChange={(name, value) => {
+                productChange(name, value);
+              }}
+            />
+          </Col>
           <Col xs='12' md='12'>
             <SelectOption
-              error={formErrors['taxable']}
-              label={'Taxable'}
-              name={'taxable'}
-              options={taxableSelect}
-              value={productFormData.taxable}
+              error={formErrors['taxClass']}
+              label={'Tax Class'}
+              name={'taxClass'}
+              options={taxClassSelect}
+              value={productFormData.taxClass}
               handleSelectChange={value => {
-                productChange('taxable', value);
+                productChange('taxClass', value);
               }}
             />
           </Col>
@@ -133,19 +151,50 @@ const AddProduct = props => {
               }}
             />
           </Col>
+          <Col xs='12' md='12'>
+            <SelectOption
+              error={formErrors['categories']}
+              name={'categories'}
+              label={'Select Categories'}
+              multi={true}
+              value={productFormData.categories}
+              options={categories}
+              handleSelectChange={value => {
+                productChange('categories', value);
+              }}
+            />
+          </Col>
+          <Col xs='12' md='12'>
+            <ProductAttributes
+              selected={productFormData.categories}
+              categories={categoryList}
+              attributeSets={attributeSets}
+              values={productFormData.attributes}
+              productChange={productChange}
+            />
+          </Col>
           <Col xs='12' md='12'>
             <Input
               type={'file'}
-              error={formErrors['file']}
-              name={'image'}
-              label={'file'}
-              placeholder={'Please Upload Image'}
-              value={image}
+              error={formErrors['images']}
+              name={'images'}
+              label={'Images'}
+              placeholder={'Please Upload Images'}
+              multiple={true}
+              accept={'image/*'}
               onInputChange={(name, value) => {
                 productChange(name, value);
               }}
             />
           </Col>
+          <Col xs='12' md='12'>
+            <ProductVariants
+              sku={productFormData.sku}
+              options={productFormData.options}
+              variants={productFormData.variants}
+              productChange={productChange}
+            />
+          </Col>
           <Col xs='12' md='12' className='my-2'>
             <Switch
               id={'active-product'}
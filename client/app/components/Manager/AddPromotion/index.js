@@ -0,0 +1,266 @@
+/**
+ *
+ * AddPromotion
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import { PROMOTION_TYPE } from '../../../constants';
+import Input from '../../Common/Input';
+import Switch from '../../Common/Switch';
+import Button from '../../Common/Button';
+import SelectOption from '../../Common/SelectOption';
+
+const typeSelect = Object.values(PROMOTION_TYPE).map(type => ({
+  value: type,
+  label: type
+}));
+
+const AddPromotion = props => {
+  const {
+    products,
+    brands,
+    categories,
+    promotionFormData,
+    formErrors,
+    promotionChange,
+    addPromotion
+  } = props;
+
+  const handleSubmit = event => {
+    event.preventDefault();
+    addPromotion();
+  };
+
+  const type = promotionFormData.type.value;
+
+  return (
+    <div className='add-promotion'>
+      <form onSubmit={handleSubmit} noValidate>
+        <Row>
+          <Col xs='12' lg='6'>
+            <Input
+              type={'text'}
+              error={formErrors['name']}
+              label={'Name'}
+              name={'name'}
+              placeholder={'Promotion Name'}
+              value={promotionFormData.name}
+              onInputChange={(name, value) => {
+                promotionChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <Input
+              type={'text'}
+              error={formErrors['code']}
+              label={'Coupon Code'}
+              name={'code'}
+              placeholder={'Leave empty to apply automatically'}
+              value={promotionFormData.code}
+              onInputChange={(name, value) => {
+                promotionChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <SelectOption
+              error={formErrors['type']}
+              label={'Type'}
+              name={'type'}
+              options={typeSelect}
+              value={promotionFormData.type}
+              handleSelectChange={value => {
+                promotionChange('type', value);
+              }}
+            />
+          </Col>
+          {type !== PROMOTION_TYPE.Free_Shipping && (
+            <Col xs='12' lg='6'>
+              <Input
+                type={'number'}
+                error={formErrors['value']}
+                label={type === PROMOTION_TYPE.Fixed ? 'Amount' : 'Percentage'}
+                name={'value'}
+                min={0}
+                placeholder={'Discount Value'}
+                value={promotionFormData.value}
+                onInputChange={(name, value) => {
+                  promotionChange(name, value);
+                }}
+              />
+            </Col>
+          )}
+          {type === PROMOTION_TYPE.Buy_X_Get_Y && (
+            <>
+              <Col xs='12' lg='6'>
+                <Input
+                  type={'number'}
+                  error={formErrors['buyQuantity']}
+                  label={'Buy Quantity'}
+                  name={'buyQuantity'}
+                  min={1}
+                  placeholder={'Units to buy'}
+                  value={promotionFormData.buyQuantity}
+                  onInputChange={(name, value) => {
+                    promotionChange(name, value);
+                  }}
+                />
+              </Col>
+              <Col xs='12' lg='6'>
+                <Input
+                  type={'number'}
+                  error={formErrors['getQuantity']}
+                  label={'Get Quantity'}
+                  name={'getQuantity'}
+                  min={1}
+                  placeholder={'Discounted units'}
+                  value={promotionFormData.getQuantity}
+                  onInputChange={(name, value) => {
+                    promotionChange(name, value);
+                  }}
+                />
+              </Col>
+            </>
+          )}
+          <Col xs='12' lg='6'>
+            <Input
+              type={'number'}
+              error={formErrors['minSubtotal']}
+              label={'Minimum Subtotal'}
+              name={'minSubtotal'}
+              min={0}
+              placeholder={'Spend threshold'}
+              value={promotionFormData.minSubtotal}
+              onInputChange={(name, value) => {
+                promotionChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12'>
+            <SelectOption
+              error={formErrors['products']}
+              label={'Products'}
+              multi={true}
+              name={'products'}
+              placeholder={'Leave empty to apply to the whole cart'}
+              value={promotionFormData.products}
+              options={products}
+              handleSelectChange={value => {
+                promotionChange('products', value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <SelectOption
+              error={formErrors['brands']}
+              label={'Brands'}
+              multi={true}
+              name={'brands'}
+              value={promotionFormData.brands}
+              options={brands}
+              handleSelectChange={value => {
+                promotionChange('brands', value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <SelectOption
+              error={formErrors['categories']}
+              label={'Categories'}
+              multi={true}
+              name={'categories'}
+              value={promotionFormData.categories}
+              options={categories}
+              handleSelectChange={value => {
+                promotionChange('categories', value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <Input
+              type={'number'}
+              error={formErrors['usageLimit']}
+              label={'Usage Limit'}
+              name={'usageLimit'}
+              min={0}
+              placeholder={'Leave empty for unlimited uses'}
+              value={promotionFormData.usageLimit}
+              onInputChange={(name, value) => {
+                promotionChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <Input
+              type={'number'}
+              error={formErrors['usageLimitPerUser']}
+              label={'Usage Limit Per Customer'}
+              name={'usageLimitPerUser'}
+              min={0}
+              placeholder={'Leave empty for unlimited uses'}
+              value={promotionFormData.usageLimitPerUser}
+              onInputChange={(name, value) => {
+                promotionChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <Input
+              type={'date'}
+              error={formErrors['startDate']}
+              label={'Start Date'}
+              name={'startDate'}
+              value={promotionFormData.startDate}
+              onInputChange={(name, value) => {
+                promotionChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <Input
+              type={'date'}
+              error={formErrors['endDate']}
+              label={'End Date'}
+              name={'endDate'}
+              value={promotionFormData.endDate}
+              onInputChange={(name, value) => {
+                promotionChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' md='12' className='my-2'>
+            <Switch
+              id={'stackable-promotion'}
+              name={'isStackable'}
+              label={'Combine with other promotions?'}
+              checked={promotionFormData.isStackable}
+              toggleCheckboxChange={value =>
+                promotionChange('isStackable', value)
+              }
+            />
+          </Col>
+          <Col xs='12' md='12' className='my-2'>
+            <Switch
+              id={'active-promotion'}
+              name={'isActive'}
+              label={'Active?'}
+              checked={promotionFormData.isActive}
+              toggleCheckboxChange={value => promotionChange('isActive', value)}
+            />
+          </Col>
+        </Row>
+        <hr />
+        <div className='add-promotion-actions'>
+          <Button type='submit' text='Add Promotion' />
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AddPromotion;
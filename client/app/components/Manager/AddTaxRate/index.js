@@ -0,0 +1,145 @@
+/**
+ *
+ * AddTaxRate
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import { TAX_CLASS } from '../../../constants';
+import Input from '../../Common/Input';
+import Switch from '../../Common/Switch';
+import Button from '../../Common/Button';
+import SelectOption from '../../Common/SelectOption';
+
+// exempt products are never taxed, so rates only apply to the other classes
+const taxClassSelect = [TAX_CLASS.Standard, TAX_CLASS.Reduced].map(
+  taxClass => ({
+    value: taxClass,
+    label: taxClass
+  })
+);
+
+const AddTaxRate = props => {
+  const { taxRateFormData, formErrors, taxRateChange, addTaxRate } = props;
+
+  const handleSubmit = event => {
+    event.preventDefault();
+    addTaxRate();
+  };
+
+  return (
+    <div className='add-tax-rate'>
+      <form onSubmit={handleSubmit} noValidate>
+        <Row>
+          <Col xs='12'>
+            <Input
+              type={'text'}
+              error={formErrors['name']}
+              label={'Name'}
+              name={'name'}
+              placeholder={'Tax Rate Name'}
+              value={taxRateFormData.name}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='4'>
+            <Input
+              type={'text'}
+              error={formErrors['country']}
+              label={'Country'}
+              name={'country'}
+              placeholder={'Leave empty to match every country'}
+              value={taxRateFormData.country}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='4'>
+            <Input
+              type={'text'}
+              error={formErrors['state']}
+              label={'State'}
+              name={'state'}
+              placeholder={'Leave empty to match every state'}
+              value={taxRateFormData.state}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='4'>
+            <Input
+              type={'text'}
+              error={formErrors['zipCode']}
+              label={'Zipcode Prefix'}
+              name={'zipCode'}
+              placeholder={'Leave empty to match every zipcode'}
+              value={taxRateFormData.zipCode}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <SelectOption
+              error={formErrors['taxClass']}
+              label={'Tax Class'}
+              name={'taxClass'}
+              options={taxClassSelect}
+              value={taxRateFormData.taxClass}
+              handleSelectChange={value => {
+                taxRateChange('taxClass', value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <Input
+              type={'number'}
+              error={formErrors['rate']}
+              label={'Rate (%)'}
+              name={'rate'}
+              min={0}
+              placeholder={'Tax Rate'}
+              value={taxRateFormData.rate}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' md='12' className='my-2'>
+            <Switch
+              id={'inclusive-tax-rate'}
+              name={'isInclusive'}
+              label={'Included in prices?'}
+              checked={taxRateFormData.isInclusive}
+              toggleCheckboxChange={value =>
+                taxRateChange('isInclusive', value)
+              }
+            />
+          </Col>
+          <Col xs='12' md='12' className='my-2'>
+            <Switch
+              id={'active-tax-rate'}
+              name={'isActive'}
+              label={'Active?'}
+              checked={taxRateFormData.isActive}
+              toggleCheckboxChange={value => taxRateChange('isActive', value)}
+            />
+          </Col>
+        </Row>
+        <hr />
+        <div className='add-tax-rate-actions'>
+          <Button type='submit' text='Add Tax Rate' />
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AddTaxRate;
@@ -0,0 +1,86 @@
+/**
+ *
+ * AttributeFields
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import Input from '../../Common/Input';
+import Button from '../../Common/Button';
+
+// attribute values are typed as a comma separated list
+const AttributeFields = props => {
+  const { attributes, onChange } = props;
+
+  const handleAttributeChange = (index, field, value) => {
+    const newAttributes = attributes.map((attribute, i) =>
+      i === index
+        ? {
+            ...attribute,
+            [field]: field === 'values' ? value.split(',') : value
+          }
+        : attribute
+    );
+
+    onChange('attributes', newAttributes);
+  };
+
+  return (
+    <div className='attribute-fields'>
+      <h4>Attributes</h4>
+      {attributes.map((attribute, index) => (
+        <Row key={index} className='align-items-end'>
+          <Col xs='12' md='4'>
+            <Input
+              type={'text'}
+              label={'Attribute'}
+              name={'name'}
+              placeholder={'Material'}
+              value={attribute.name}
+              onInputChange={(name, value) =>
+                handleAttributeChange(index, name, value)
+              }
+            />
+          </Col>
+          <Col xs='12' md='6'>
+            <Input
+              type={'text'}
+              label={'Values'}
+              name={'values'}
+              placeholder={'Wood, Metal, Glass'}
+              value={attribute.values.join(',')}
+              onInputChange={(name, value) =>
+                handleAttributeChange(index, name, value)
+              }
+            />
+          </Col>
+          <Col xs='12' md='2' className='mb-3'>
+            <Button
+              variant='danger'
+              text='Remove'
+              onClick={() =>
+                onChange(
+                  'attributes',
+                  attributes.filter((a, i) => i !== index)
+                )
+              }
+            />
+          </Col>
+        </Row>
+      ))}
+      <Button
+        variant='secondary'
+        text='Add Attribute'
+        className='mb-3'
+        onClick={() =>
+          onChange('attributes', [...attributes, { name: '', values: [] }])
+        }
+      />
+    </div>
+  );
+};
+
+export default AttributeFields;
@@ -0,0 +1,38 @@
+/**
+ *
+ * AttributeSetList
+ *
+ */
+
+import React from 'react';
+
+import { Link } from 'react-router-dom';
+
+const AttributeSetList = props => {
+  const { attributeSets } = props;
+
+  return (
+    <div className='attribute-list'>
+      {attributeSets.map((attributeSet, index) => (
+        <Link
+          to={`/dashboard/attribute/edit/${attributeSet._id}`}
+          key={index}
+          className='d-block mb-3 p-4 attribute-box'
+        >
+          <div className='d-flex align-items-center justify-content-between mb-2'>
+            <h4 className='mb-0'>{attributeSet.name}</h4>
+            {!attributeSet.isActive && <span>inactive</span>}
+          </div>
+          {attributeSet.attributes.map(attribute => (
+            <div key={attribute.name} className='d-flex'>
+              <label>{attribute.name}</label>
+              <p className='mb-0 ml-2'>{attribute.values.join(', ')}</p>
+            </div>
+          ))}
+        </Link>
+      ))}
+    </div>
+  );
+};
+
+export default AttributeSetList;
@@ -23,6 +23,9 @@ import Brand from '../../../containers/Brand';
 import Merchant from '../../../containers/Merchant';
 import Review from '../../../containers/Review';
 import Wishlist from '../../../containers/WishList';
+import Tax from '../../../containers/Tax';
+import Promotion from '../../../containers/Promotion';
+import Attribute from '../../../containers/Attribute';
 
 const Admin = props => {
   return (
@@ -45,6 +48,9 @@ const Admin = props => {
               <Route path='/dashboard/orders' component={Order} />
               <Route path='/dashboard/review' component={Review} />
               <Route path='/dashboard/wishlist' component={Wishlist} />
+              <Route path='/dashboard/tax' component={Tax} />
+              <Route path='/dashboard/promotion' component={Promotion} />
+              <Route path='/dashboard/attribute' component={Attribute} />
               <Route path='*' component={Page404} />
             </Switch>
           </div>
@@ -0,0 +1,83 @@
+/**
+ *
+ * EditAttributeSet
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import Input from '../../Common/Input';
+import Button from '../../Common/Button';
+import Switch from '../../Common/Switch';
+import AttributeFields from '../AttributeFields';
+
+const EditAttributeSet = props => {
+  const {
+    attributeSet,
+    attributeSetChange,
+    formErrors,
+    updateAttributeSet,
+    deleteAttributeSet
+  } = props;
+
+  const handleSubmit = event => {
+    event.preventDefault();
+    updateAttributeSet();
+  };
+
+  return (
+    <div className='edit-attribute-set'>
+      <form onSubmit={handleSubmit} noValidate>
+        <Row>
+          <Col xs='12'>
+            <Input
+              type={'text'}
+              error={formErrors['name']}
+              label={'Name'}
+              name={'name'}
+              placeholder={'Furniture'}
+              value={attributeSet.name}
+              onInputChange={(name, value) => {
+                attributeSetChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12'>
+            <AttributeFields
+              attributes={attributeSet.attributes}
+              onChange={attributeSetChange}
+            />
+          </Col>
+          <Col xs='12' md='12' className='my-2'>
+            <Switch
+              id={`active-attribute-set-${attributeSet._id}`}
+              name={'isActive'}
+              label={'Active?'}
+              checked={attributeSet.isActive}
+              toggleCheckboxChange={value =>
+                attributeSetChange('isActive', value)
+              }
+            />
+          </Col>
+        </Row>
+        <hr />
+        <div className='d-flex flex-column flex-md-row'>
+          <Button
+            type='submit'
+            text='Save'
+            className='mb-3 mb-md-0 mr-0 mr-md-3'
+          />
+          <Button
+            variant='danger'
+            text='Delete'
+            onClick={() => deleteAttributeSet(attributeSet._id)}
+          />
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EditAttributeSet;
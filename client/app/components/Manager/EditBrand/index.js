@@ -22,7 +22,8 @@ const EditBrand = props => {
     formErrors,
     updateBrand,
     deleteBrand,
-    activateBrand
+    activateBrand,
+    uploadBrandImage
   } = props;
 
   const handleSubmit = event => {
@@ -79,6 +80,20 @@ const EditBrand = props => {
               }}
             />
           </Col>
+          <Col xs='12' className='d-flex align-items-center'>
+            {brand.imageUrl && (
+              <img className='brand-image mr-3' src={brand.imageUrl} />
+            )}
+            <Input
+              type={'file'}
+              label={'Image'}
+              name={'image'}
+              accept={'image/*'}
+              onInputChange={(name, value) =>
+                uploadBrandImage(brand._id, value)
+              }
+            />
+          </Col>
           <Col xs='12' md='12' className='mt-3 mb-2'>
             <Switch
               style={{ width: 100 }}
@@ -17,12 +17,15 @@ import Switch from '../../Common/Switch';
 const EditCategory = props => {
   const {
     products,
+    categories,
+    attributeSets,
     category,
     categoryChange,
     formErrors,
     updateCategory,
     deleteCategory,
-    activateCategory
+    activateCategory,
+    uploadCategoryImage
   } = props;
 
   const handleSubmit = event => {
@@ -79,6 +82,30 @@ const EditCategory = props => {
               }}
             />
           </Col>
+          <Col xs='12' md='12'>
+            <SelectOption
+              error={formErrors['parent']}
+              label={'Parent Category'}
+              multi={false}
+              value={category.parent}
+              options={categories}
+              handleSelectChange={value => {
+                categoryChange('parent', value);
+              }}
+            />
+          </Col>
+          <Col xs='12' md='12'>
+            <SelectOption
+              error={formErrors['attributeSet']}
+              label={'Attribute Set'}
+              multi={false}
+              value={category.attributeSet}
+              options={attributeSets}
+              handleSelectChange={value => {
+                categoryChange('attributeSet', value);
+              }}
+            />
+          </Col>
           <Col xs='12' md='12'>
             <SelectOption
               error={formErrors['products']}
@@ -91,6 +118,20 @@ const EditCategory = props => {
               }}
             />
           </Col>
+          <Col xs='12' className='d-flex align-items-center'>
+            {category.imageUrl && (
+              <img className='category-image mr-3' src={category.imageUrl} />
+            )}
+            <Input
+              type={'file'}
+              label={'Image'}
+              name={'image'}
+              accept={'image/*'}
+              onInputChange={(name, value) =>
+                uploadCategoryImage(category._id, value)
+              }
+            />
+          </Col>
           <Col xs='12' md='12' className='mt-3 mb-2'>
             <Switch
               style={{ width: 100 }}
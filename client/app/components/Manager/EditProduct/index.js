@@ -9,16 +9,19 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { Row, Col } from 'reactstrap';
 
-import { ROLES } from '../../../constants';
+import { ROLES, TAX_CLASS } from '../../../constants';
 import Input from '../../Common/Input';
 import Switch from '../../Common/Switch';
 import Button from '../../Common/Button';
 import SelectOption from '../../Common/SelectOption';
+import ProductVariants from '../ProductVariants';
+import ProductAttributes from '../ProductAttributes';
+import ProductImages from '../ProductImages';
 
-const taxableSelect = [
-  { value: 1, label: 'Yes' },
-  { value: 0, label: 'No' }
-];
+const taxClassSelect = Object.values(TAX_CLASS).map(taxClass => ({
+  value: taxClass,
+  label: taxClass
+}));
 
 const EditProduct = props => {
   const {
@@ -27,9 +30,16 @@ const EditProduct = props => {
     productChange,
     formErrors,
     brands,
+    categories,
+    categoryList,
+    attributeSets,
     updateProduct,
     deleteProduct,
-    activateProduct
+    activateProduct,
+    uploadVariantImage,
+    addProductImages,
+    updateProductImages,
+    deleteProductImage
   } = props;
 
   const handleSubmit = event => {
@@ -128,16 +138,30 @@ const EditProduct = props => {
               }}
             />
           </Col>
+          <Col xs='12' md='12'>
+            <Input
+              type={'number'}
+              error={formErrors['weight']}
+              label={'Weight (kg)'}
+              name={'weight'}
+              min={0}
+              placeholder={'Product Weight'}
+              value={product.weight}
+              onInputChange={(name, value) => {
+                productChange(name, value);
+              }}
+            />
+          </Col>
           <Col xs='12' md='12'>
             <SelectOption
-              error={formErrors['taxable']}
-              label={'Taxable'}
+              error={formErrors['taxClass']}
+              label={'Tax Class'}
               multi={false}
-              name={'taxable'}
-              value={[product.taxable ? taxableSelect[0] : taxableSelect[1]]}
-              options={taxableSelect}
+              name={'taxClass'}
+              value={taxClassSelect.filter(o => o.value === product.taxClass)}
+              options={taxClassSelect}
               handleSelectChange={value => {
-                productChange('taxable', value.value);
+                productChange('taxClass', value.value);
               }}
             />
           </Col>
@@ -155,6 +179,47 @@ const EditProduct = props => {
               />
             </Col>
           )}
+          <Col xs='12' md='12'>
+            <SelectOption
+              error={formErrors['categories']}
+              label={'Select Categories'}
+              multi={true}
+              value={product.categories}
+              options={categories}
+              handleSelectChange={value => {
+                productChange('categories', value);
+              }}
+            />
+          </Col>
+          <Col xs='12' md='12'>
+            <ProductAttributes
+              selected={product.categories}
+              categories={categoryList}
+              attributeSets={attributeSets}
+              values={product.attributes}
+              productChange={productChange}
+            />
+          </Col>
+          <Col xs='12' md='12'>
+            <ProductImages
+              images={product.images}
+              productChange={productChange}
+              addImages={images => addProductImages(product._id, images)}
+              updateImages={updateProductImages}
+              deleteImage={imageId => deleteProductImage(product._id, imageId)}
+            />
+          </Col>
+          <Col xs='12' md='12'>
+            <ProductVariants
+              sku={product.sku}
+              options={product.options}
+              variants={product.variants}
+              productChange={productChange}
+              uploadVariantImage={(variantId, image) =>
+                uploadVariantImage(product._id, variantId, image)
+              }
+            />
+          </Col>
           <Col xs='12' md='12' className='mt-3 mb-2'>
             <Switch
               id={`enable-product-${product._id}`}
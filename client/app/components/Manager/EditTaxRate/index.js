@@ -0,0 +1,154 @@
+/**
+ *
+ * EditTaxRate
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import { TAX_CLASS } from '../../../constants';
+import Input from '../../Common/Input';
+import Button from '../../Common/Button';
+import Switch from '../../Common/Switch';
+import SelectOption from '../../Common/SelectOption';
+
+const taxClassSelect = [TAX_CLASS.Standard, TAX_CLASS.Reduced].map(
+  taxClass => ({
+    value: taxClass,
+    label: taxClass
+  })
+);
+
+const EditTaxRate = props => {
+  const { taxRate, taxRateChange, formErrors, updateTaxRate, deleteTaxRate } =
+    props;
+
+  const handleSubmit = event => {
+    event.preventDefault();
+    updateTaxRate();
+  };
+
+  return (
+    <div className='edit-tax-rate'>
+      <form onSubmit={handleSubmit} noValidate>
+        <Row>
+          <Col xs='12'>
+            <Input
+              type={'text'}
+              error={formErrors['name']}
+              label={'Name'}
+              name={'name'}
+              placeholder={'Tax Rate Name'}
+              value={taxRate.name}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='4'>
+            <Input
+              type={'text'}
+              error={formErrors['country']}
+              label={'Country'}
+              name={'country'}
+              placeholder={'Leave empty to match every country'}
+              value={taxRate.country}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='4'>
+            <Input
+              type={'text'}
+              error={formErrors['state']}
+              label={'State'}
+              name={'state'}
+              placeholder={'Leave empty to match every state'}
+              value={taxRate.state}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='4'>
+            <Input
+              type={'text'}
+              error={formErrors['zipCode']}
+              label={'Zipcode Prefix'}
+              name={'zipCode'}
+              placeholder={'Leave empty to match every zipcode'}
+              value={taxRate.zipCode}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <SelectOption
+              error={formErrors['taxClass']}
+              label={'Tax Class'}
+              name={'taxClass'}
+              options={taxClassSelect}
+              value={taxClassSelect.filter(o => o.value === taxRate.taxClass)}
+              handleSelectChange={value => {
+                taxRateChange('taxClass', value.value);
+              }}
+            />
+          </Col>
+          <Col xs='12' lg='6'>
+            <Input
+              type={'number'}
+              error={formErrors['rate']}
+              label={'Rate (%)'}
+              name={'rate'}
+              min={0}
+              placeholder={'Tax Rate'}
+              value={taxRate.rate}
+              onInputChange={(name, value) => {
+                taxRateChange(name, value);
+              }}
+            />
+          </Col>
+          <Col xs='12' md='12' className='my-2'>
+            <Switch
+              id={`inclusive-tax-rate-${taxRate._id}`}
+              name={'isInclusive'}
+              label={'Included in prices?'}
+              checked={taxRate.isInclusive}
+              toggleCheckboxChange={value =>
+                taxRateChange('isInclusive', value)
+              }
+            />
+          </Col>
+          <Col xs='12' md='12' className='my-2'>
+            <Switch
+              id={`active-tax-rate-${taxRate._id}`}
+              name={'isActive'}
+              label={'Active?'}
+              checked={taxRate.isActive}
+              toggleCheckboxChange={value => taxRateChange('isActive', value)}
+            />
+          </Col>
+        </Row>
+        <hr />
+        <div className='d-flex flex-column flex-md-row'>
+          <Button
+            type='submit'
+            text='Save'
+            className='mb-3 mb-md-0 mr-0 mr-md-3'
+          />
+          <Button
+            variant='danger'
+            text='Delete'
+            onClick={() => deleteTaxRate(taxRate._id)}
+          />
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EditTaxRate;
@@ -0,0 +1,53 @@
+/**
+ *
+ * ImportReport
+ *
+ */
+
+import React from 'react';
+
+import { PRODUCT_IMPORT_ACTION } from '../../../constants';
+
+const actionLabels = {
+  [PRODUCT_IMPORT_ACTION.Create]: 'New',
+  [PRODUCT_IMPORT_ACTION.Update]: 'Update',
+  [PRODUCT_IMPORT_ACTION.Error]: 'Error'
+};
+
+const ImportReport = props => {
+  const { report } = props;
+  const { summary, rows, dryRun } = report;
+
+  return (
+    <div className='import-report'>
+      <div className='d-flex flex-wrap mb-3'>
+        <p className='mr-4 mb-2'>
+          {summary.total} {summary.total === 1 ? 'row' : 'rows'}
+        </p>
+        <p className='mr-4 mb-2 text-success'>
+          {summary.created} {dryRun ? 'to add' : 'added'}
+        </p>
+        <p className='mr-4 mb-2 text-primary'>
+          {summary.updated} {dryRun ? 'to update' : 'updated'}
+        </p>
+        <p className='mb-2 text-danger'>{summary.failed} with errors</p>
+      </div>
+      <div className='import-rows'>
+        {rows.map(row => (
+          <div key={row.row} className={`d-flex py-2 import-row ${row.action}`}>
+            <span className='row-number'>{row.row}</span>
+            <span className='row-sku'>{row.sku || '-'}</span>
+            <span className='row-action'>{actionLabels[row.action]}</span>
+            <ul className='row-errors mb-0'>
+              {row.errors.map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ImportReport;
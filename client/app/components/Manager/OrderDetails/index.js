@@ -11,14 +11,42 @@ import { Row, Col } from 'reactstrap';
 import OrderMeta from '../OrderMeta';
 import OrderItems from '../OrderItems';
 import OrderSummary from '../OrderSummary';
+import OrderTimeline from '../OrderTimeline';
+import OrderReturns from '../OrderReturns';
+import OrderRefunds from '../OrderRefunds';
+import OrderShipments from '../OrderShipments';
+import Button from '../../Common/Button';
 
 const OrderDetails = props => {
-  const { order, user, cancelOrder, updateOrderItemStatus, onBack } = props;
+  const {
+    order,
+    user,
+    cancelOrder,
+    changeOrderStatus,
+    updateOrderItemStatus,
+    returns,
+    addReturn,
+    changeReturnStatus,
+    inspectReturn,
+    refundReturn,
+    refund,
+    addRefund,
+    shipment,
+    addShipment,
+    downloadInvoice,
+    onBack
+  } = props;
+
   return (
     <div className='order-details'>
       <Row>
         <Col xs='12' md='12'>
-          <OrderMeta order={order} cancelOrder={cancelOrder} onBack={onBack} />
+          <OrderMeta
+            order={order}
+            cancelOrder={cancelOrder}
+            changeOrderStatus={changeOrderStatus}
+            onBack={onBack}
+          />
         </Col>
       </Row>
       <Row className='mt-5'>
@@ -28,9 +56,53 @@ const OrderDetails = props => {
             user={user}
             updateOrderItemStatus={updateOrderItemStatus}
           />
+          {shipment && (
+            <OrderShipments
+              order={order}
+              user={user}
+              shipments={shipment.shipments}
+              shippableItems={shipment.shippableItems}
+              isShipping={shipment.isShipping}
+              addShipment={addShipment}
+            />
+          )}
+          {returns && (
+            <OrderReturns
+              order={order}
+              returns={returns.returns}
+              returnableItems={returns.returnableItems}
+              windowDays={returns.windowDays}
+              addReturn={addReturn}
+              changeReturnStatus={changeReturnStatus}
+              inspectReturn={inspectReturn}
+              refundReturn={refundReturn}
+            />
+          )}
         </Col>
         <Col xs='12' lg='4' className='mt-5 mt-lg-0'>
           <OrderSummary order={order} />
+          {order.invoice && downloadInvoice && (
+            <div className='order-invoice d-flex align-items-center justify-content-between mt-3'>
+              <p className='mb-0'>{`Invoice ${order.invoice}`}</p>
+              <Button
+                variant='secondary'
+                size='sm'
+                text='Download Invoice'
+                onClick={downloadInvoice}
+              />
+            </div>
+          )}
+          {refund?.ledger && refund.orderId === order._id && (
+            <OrderRefunds
+              ledger={refund.ledger}
+              refunds={refund.refunds}
+              isRefunding={refund.isRefunding}
+              addRefund={addRefund}
+            />
+          )}
+          {order.statusHistory?.length > 0 && (
+            <OrderTimeline history={order.statusHistory} />
+          )}
         </Col>
       </Row>
     </div>
@@ -16,8 +16,11 @@ import DropdownConfirm from '../../Common/DropdownConfirm';
 const OrderItems = props => {
   const { order, user, updateOrderItemStatus } = props;
 
+  // the server tells which statuses the user can move each item to
+  const getItemStatuses = item => order.allowedItemStatuses?.[item._id] || [];
+
   const renderPopoverContent = item => {
-    const statuses = Object.values(CART_ITEM_STATUS);
+    const statuses = [item.status, ...getItemStatuses(item)];
 
     return (
       <div className='d-flex flex-column align-items-center justify-content-center'>
@@ -25,7 +28,9 @@ const OrderItems = props => {
           <DropdownItem
             key={`${s}-${i}`}
             className={s === item?.status ? 'active' : ''}
-            onClick={() => updateOrderItemStatus(item._id, s)}
+            onClick={() =>
+              s !== item.status && updateOrderItemStatus(item._id, s)
+            }
           >
             {s}
           </DropdownItem>
@@ -35,24 +40,24 @@ const OrderItems = props => {
   };
 
   const renderItemsAction = item => {
-    const isAdmin = user.role === ROLES.Admin;
+    const statuses = getItemStatuses(item);
 
     if (item.status === CART_ITEM_STATUS.Delivered) {
       return (
         <Link
-          to={`/product/${item.product.slug}`}
+          to={`/product/${item.slug}`}
           className='btn-link text-center py-2 fs-12'
           style={{ minWidth: 120 }}
         >
           Reivew Product
         </Link>
       );
-    } else if (item.status !== 'Cancelled') {
-      if (!isAdmin) {
+    } else if (statuses.length > 0 && updateOrderItemStatus) {
+      if (user.role === ROLES.Member) {
         return (
           <DropdownConfirm label='Cancel'>
             <div className='d-flex flex-column align-items-center justify-content-center p-2'>
-              <p className='text-center mb-2'>{`Are you sure you want to cancel ${item.product?.name}.`}</p>
+              <p className='text-center mb-2'>{`Are you sure you want to cancel ${item.name}.`}</p>
               <Button
                 variant='danger'
                 id='CancelOrderItemPopover'
@@ -60,17 +65,16 @@ const OrderItems = props => {
                 text='Confirm Cancel'
                 role='menuitem'
                 className='cancel-order-btn'
-                onClick={() => updateOrderItemStatus(item._id, 'Cancelled')}
+                onClick={() =>
+                  updateOrderItemStatus(item._id, CART_ITEM_STATUS.Cancelled)
+                }
               />
             </div>
           </DropdownConfirm>
         );
       } else {
         return (
-          <DropdownConfirm
-            label={item.product && item.status}
-            className={isAdmin ? 'admin' : ''}
-          >
+          <DropdownConfirm label={item.status} className='admin'>
             {renderPopoverContent(item)}
           </DropdownConfirm>
         );
@@ -90,27 +94,31 @@ const OrderItems = props => {
                   <img
                     className='item-image'
                     src={`${
-                      item.product && item.product.imageUrl
-                        ? item.product.imageUrl
+                      item.imageUrl
+                        ? item.imageUrl
                         : '/images/placeholder-image.png'
                     }`}
                   />
                   <div className='d-md-flex flex-1 align-items-start ml-4 item-box'>
                     <div className='item-details'>
-                      {item.product ? (
+                      {item.name ? (
                         <>
                           <Link
-                            to={`/product/${item.product?.slug}`}
+                            to={`/product/${item.slug}`}
                             className='item-link'
                           >
                             <h4 className='d-block item-name one-line-ellipsis'>
-                              {item.product?.name}
+                              {item.name}
                             </h4>
                           </Link>
+                          {item.variantName && (
+                            <p className='mb-1 fs-12'>{item.variantName}</p>
+                          )}
+                          {item.brandName && (
+                            <p className='mb-1 fs-12'>{item.brandName}</p>
+                          )}
                           <div className='d-flex align-items-center justify-content-between'>
-                            <span className='price'>
-                              ${item.purchasePrice || item.product.price}
-                            </span>
+                            <span className='price'>${item.purchasePrice}</span>
                           </div>
                         </>
                       ) : (
@@ -152,7 +160,7 @@ const OrderItems = props => {
                   </div>
                 </div>
               </div>
-              {item.product && (
+              {item.name && (
                 <div className='text-right mt-2 mt-md-0'>
                   {renderItemsAction(item)}
                 </div>
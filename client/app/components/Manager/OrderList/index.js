@@ -14,15 +14,13 @@ const OrderList = props => {
   const { orders } = props;
 
   const renderFirstItem = order => {
-    if (order.products) {
-      const product = order.products[0].product;
+    if (order.products?.length > 0) {
+      const item = order.products[0];
       return (
         <img
           className='item-image'
           src={`${
-            product && product?.imageUrl
-              ? product?.imageUrl
-              : '/images/placeholder-image.png'
+            item.imageUrl ? item.imageUrl : '/images/placeholder-image.png'
           }`}
         />
       );
@@ -44,7 +42,9 @@ const OrderList = props => {
                 <div className='order-details'>
                   <div className='mb-1'>
                     <span>Status</span>
-                    {order?.products ? (
+                    {order.status ? (
+                      <span className='order-label order-status'>{` ${order.status}`}</span>
+                    ) : order?.products?.length > 0 ? (
                       <span className='order-label order-status'>{` ${order?.products[0].status}`}</span>
                     ) : (
                       <span className='order-label order-status'>{` Unavailable`}</span>
@@ -63,7 +63,7 @@ const OrderList = props => {
                   <div className='mb-1'>
                     <span>Order Total</span>
                     <span className='order-label'>{` $${
-                      order?.totalWithTax ? order?.totalWithTax : 0
+                      order?.grandTotal ? order?.grandTotal : 0
                     }`}</span>
                   </div>
                 </div>
@@ -8,22 +8,40 @@ import React from 'react';
 
 import { Row, Col } from 'reactstrap';
 
-import { CART_ITEM_STATUS } from '../../../constants';
+import { ORDER_STATUS } from '../../../constants';
 import { formatDate } from '../../../utils/date';
 import Button from '../../Common/Button';
 import { ArrowBackIcon } from '../../Common/Icon';
 
 const OrderMeta = props => {
-  const { order, cancelOrder, onBack } = props;
+  const { order, cancelOrder, changeOrderStatus, onBack } = props;
 
+  // the server tells which statuses the user can move the order to
   const renderMetaAction = () => {
-    const isNotDelivered =
-      order.products.filter(i => i.status === CART_ITEM_STATUS.Delivered)
-        .length < 1;
+    const statuses = order.allowedStatuses || [];
 
-    if (isNotDelivered) {
-      return <Button size='sm' text='Cancel Order' onClick={cancelOrder} />;
-    }
+    return statuses.map(status =>
+      status === ORDER_STATUS.Cancelled
+        ? cancelOrder && (
+            <Button
+              key={status}
+              size='sm'
+              className='ml-md-2 mb-2'
+              text='Cancel Order'
+              onClick={cancelOrder}
+            />
+          )
+        : changeOrderStatus && (
+            <Button
+              key={status}
+              size='sm'
+              variant='secondary'
+              className='ml-md-2 mb-2'
+              text={`Mark as ${status}`}
+              onClick={() => changeOrderStatus(status)}
+            />
+          )
+    );
   };
 
   return (
@@ -49,6 +67,16 @@ const OrderMeta = props => {
               <span className='order-label one-line-ellipsis'>{` ${order._id}`}</span>
             </Col>
           </Row>
+          {order.status && (
+            <Row>
+              <Col xs='4'>
+                <p className='one-line-ellipsis'>Status</p>
+              </Col>
+              <Col xs='8'>
+                <span className='order-label order-status one-line-ellipsis'>{` ${order.status}`}</span>
+              </Col>
+            </Row>
+          )}
           <Row>
             <Col xs='4'>
               <p className='one-line-ellipsis'>Order Date</p>
@@ -59,6 +87,34 @@ const OrderMeta = props => {
               )}`}</span>
             </Col>
           </Row>
+          {order.shippingAddress?.address && (
+            <Row>
+              <Col xs='4'>
+                <p className='one-line-ellipsis'>Ship To</p>
+              </Col>
+              <Col xs='8'>
+                <span className='order-label'>{` ${[
+                  order.shippingAddress.address,
+                  order.shippingAddress.city,
+                  order.shippingAddress.state,
+                  order.shippingAddress.zipCode,
+                  order.shippingAddress.country
+                ]
+                  .filter(part => part)
+                  .join(', ')}`}</span>
+              </Col>
+            </Row>
+          )}
+          {order.shippingMethod?.name && (
+            <Row>
+              <Col xs='4'>
+                <p className='one-line-ellipsis'>Shipping</p>
+              </Col>
+              <Col xs='8'>
+                <span className='order-label one-line-ellipsis'>{` ${order.shippingMethod.name}`}</span>
+              </Col>
+            </Row>
+          )}
         </Col>
         <Col xs='12' md='4' className='text-left text-md-right'>
           {renderMetaAction()}
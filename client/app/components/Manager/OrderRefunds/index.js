@@ -0,0 +1,180 @@
+/**
+ *
+ * OrderRefunds
+ *
+ */
+
+import React, { useState } from 'react';
+
+import { formatDate } from '../../../utils/date';
+import Input from '../../Common/Input';
+import Checkbox from '../../Common/Checkbox';
+import Button from '../../Common/Button';
+import DropdownConfirm from '../../Common/DropdownConfirm';
+
+const OrderRefunds = props => {
+  const { ledger, refunds, isRefunding, addRefund } = props;
+  const [quantities, setQuantities] = useState({});
+  const [shipping, setShipping] = useState(false);
+  const [adjustment, setAdjustment] = useState('');
+  const [note, setNote] = useState('');
+
+  const items = ledger.items.filter(line => line.refundableQuantity > 0);
+  const picked = items.filter(line => Number(quantities[line.item]) > 0);
+  const canRefund = picked.length > 0 || shipping || Number(adjustment) > 0;
+
+  const reset = () => {
+    setQuantities({});
+    setShipping(false);
+    setAdjustment('');
+    setNote('');
+  };
+
+  const handleRefund = async full => {
+    const isRefunded = await addRefund(
+      full
+        ? { full: true, note }
+        : {
+            items: picked.map(line => ({
+              item: line.item,
+              quantity: Number(quantities[line.item])
+            })),
+            shipping,
+            adjustment: Number(adjustment) || 0,
+            note
+          }
+    );
+
+    if (isRefunded) reset();
+  };
+
+  const describeRefund = refund =>
+    [
+      ...refund.items.map(line => `${line.name} x ${line.quantity}`),
+      refund.shipping > 0 ? `Shipping $${refund.shipping}` : '',
+      refund.adjustment > 0 ? `Adjustment $${refund.adjustment}` : ''
+    ]
+      .filter(part => part)
+      .join(', ');
+
+  return (
+    <div className='order-refunds mt-5'>
+      <h2>Refunds</h2>
+      <div className='d-flex flex-wrap justify-content-between ledger'>
+        <p className='mr-3'>
+          Paid<span className='order-label'>{` $${ledger.paid}`}</span>
+        </p>
+        <p className='mr-3'>
+          Refunded<span className='order-label'>{` $${ledger.refunded}`}</span>
+        </p>
+        <p>
+          Left<span className='order-label'>{` $${ledger.refundable}`}</span>
+        </p>
+      </div>
+      <p className='fs-12 mb-1'>
+        {`Tax $${ledger.tax.paid} paid, $${ledger.tax.refunded} refunded. Shipping $${ledger.shipping.paid} paid, $${ledger.shipping.refunded} refunded.`}
+      </p>
+      {!ledger.isReconciled && (
+        <p className='fs-12 text-danger mb-1'>
+          The refunds do not add up to what the payment refunded.
+        </p>
+      )}
+
+      {ledger.refundable > 0 && (
+        <div className='refund-form mt-3'>
+          {items.map(line => (
+            <div
+              key={line.item}
+              className='d-flex align-items-center justify-content-between refund-line'
+            >
+              <p className='mb-0 mr-3'>
+                {line.name}
+                <span className='fs-12 d-block'>{`${line.refundableQuantity} of ${line.quantity} left, ${line.status}`}</span>
+              </p>
+              <div className='refund-quantity'>
+                <Input
+                  type={'number'}
+                  name={`${line.item}`}
+                  max={line.refundableQuantity}
+                  placeholder={'0'}
+                  value={quantities[line.item] || ''}
+                  onInputChange={(name, value) =>
+                    setQuantities({ ...quantities, [name]: value })
+                  }
+                />
+              </div>
+            </div>
+          ))}
+          {ledger.shipping.refundable > 0 && (
+            <Checkbox
+              id={'refund-shipping'}
+              name={'shipping'}
+              label={`Refund shipping $${ledger.shipping.refundable}`}
+              checked={shipping}
+              onChange={(name, value) => setShipping(value)}
+            />
+          )}
+          <Input
+            type={'number'}
+            label={'Adjustment'}
+            name={'adjustment'}
+            decimals={true}
+            placeholder={'0.00'}
+            value={adjustment}
+            onInputChange={(name, value) => setAdjustment(value)}
+          />
+          <Input
+            type={'text'}
+            label={'Note'}
+            name={'note'}
+            placeholder={'Why the order is refunded'}
+            value={note}
+            onInputChange={(name, value) => setNote(value)}
+          />
+          <div className='d-flex justify-content-between mt-3'>
+            <DropdownConfirm label='Refund Everything'>
+              <div className='d-flex flex-column align-items-center justify-content-center p-2'>
+                <p className='text-center mb-2'>{`Refund the $${ledger.refundable} left on this order?`}</p>
+                <Button
+                  variant='danger'
+                  size='sm'
+                  text='Confirm Refund'
+                  disabled={isRefunding}
+                  onClick={() => handleRefund(true)}
+                />
+              </div>
+            </DropdownConfirm>
+            <Button
+              text='Refund'
+              disabled={!canRefund || isRefunding}
+              onClick={() => handleRefund(false)}
+            />
+          </div>
+        </div>
+      )}
+
+      {refunds.length > 0 && (
+        <ul className='refund-list mt-3'>
+          {refunds.map(refund => (
+            <li key={refund._id} className='refund-entry'>
+              <div className='d-flex justify-content-between'>
+                <p className='mb-1'>{`${formatDate(refund.created)} - ${
+                  refund.source
+                }`}</p>
+                <span className='order-label'>{`$${refund.amount}`}</span>
+              </div>
+              <p className='fs-12 mb-1'>{describeRefund(refund)}</p>
+              <p className='fs-12 mb-0 note'>
+                {[refund.actorName || refund.actorRole, refund.note]
+                  .filter(part => part)
+                  .join(' - ')}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrderRefunds;
@@ -0,0 +1,158 @@
+/**
+ *
+ * OrderReturns
+ *
+ */
+
+import React, { useState } from 'react';
+
+import { RETURN_STATUS } from '../../../constants';
+import { formatDate } from '../../../utils/date';
+import Button from '../../Common/Button';
+import ReturnRequest from '../ReturnRequest';
+import ReturnInspection from '../ReturnInspection';
+
+const actionLabels = {
+  [RETURN_STATUS.Approved]: 'Approve',
+  [RETURN_STATUS.Rejected]: 'Reject',
+  [RETURN_STATUS.Received]: 'Mark as Received',
+  [RETURN_STATUS.Cancelled]: 'Cancel Return'
+};
+
+const OrderReturns = props => {
+  const {
+    order,
+    returns,
+    returnableItems,
+    windowDays,
+    addReturn,
+    changeReturnStatus,
+    inspectReturn,
+    refundReturn
+  } = props;
+  const [isRequesting, setIsRequesting] = useState(false);
+  const [inspecting, setInspecting] = useState(null);
+
+  const canRequest = Object.keys(returnableItems).length > 0;
+
+  // inspection and refunds have their own steps, the other statuses are a click
+  const renderActions = returnDoc =>
+    returnDoc.allowedStatuses.map(status =>
+      status === RETURN_STATUS.Inspected ? (
+        <Button
+          key={status}
+          size='sm'
+          className='mr-2 mb-2'
+          text='Inspect'
+          onClick={() => setInspecting(returnDoc._id)}
+        />
+      ) : status === RETURN_STATUS.Refunded ? (
+        <Button
+          key={status}
+          size='sm'
+          className='mr-2 mb-2'
+          text={`Refund $${returnDoc.refundAmount}`}
+          onClick={() => refundReturn(returnDoc._id)}
+        />
+      ) : (
+        <Button
+          key={status}
+          size='sm'
+          variant={
+            status === RETURN_STATUS.Approved ||
+            status === RETURN_STATUS.Received
+              ? 'primary'
+              : 'secondary'
+          }
+          className='mr-2 mb-2'
+          text={actionLabels[status]}
+          onClick={() => changeReturnStatus(returnDoc._id, status)}
+        />
+      )
+    );
+
+  const isInspected = returnDoc =>
+    [RETURN_STATUS.Inspected, RETURN_STATUS.Refunded].includes(
+      returnDoc.status
+    );
+
+  if (returns.length === 0 && !canRequest) return null;
+
+  return (
+    <div className='order-returns mt-5'>
+      <div className='d-flex align-items-center justify-content-between title'>
+        <h2 className='mb-0'>Returns</h2>
+        {canRequest && !isRequesting && (
+          <Button
+            size='sm'
+            text='Request a Return'
+            onClick={() => setIsRequesting(true)}
+          />
+        )}
+      </div>
+      {canRequest && (
+        <p className='fs-12'>{`Items can be returned up to ${windowDays} days after they are delivered.`}</p>
+      )}
+      {isRequesting && (
+        <ReturnRequest
+          order={order}
+          returnableItems={returnableItems}
+          onSubmit={addReturn}
+          onCancel={() => setIsRequesting(false)}
+        />
+      )}
+      {returns.map(returnDoc => (
+        <div key={returnDoc._id} className='return-box'>
+          <div className='d-flex justify-content-between mb-2'>
+            <p className='mb-0'>
+              {`Requested on ${formatDate(returnDoc.created)}`}
+            </p>
+            <span className='order-label order-status'>{returnDoc.status}</span>
+          </div>
+          {returnDoc.items.map(line => (
+            <div key={line.item} className='d-flex justify-content-between'>
+              <p className='mb-1'>
+                {`${line.name}${
+                  line.variantName ? ` - ${line.variantName}` : ''
+                } x ${line.quantity}`}
+                <span className='fs-12 d-block'>{line.reason}</span>
+              </p>
+              {isInspected(returnDoc) && (
+                <p className='mb-1 text-right fs-12'>
+                  {`${line.acceptedQuantity} accepted`}
+                  {line.restocked && (
+                    <span className='d-block'>Back in stock</span>
+                  )}
+                </p>
+              )}
+            </div>
+          ))}
+          {returnDoc.comment && (
+            <p className='fs-12 mb-2 note'>{returnDoc.comment}</p>
+          )}
+          {isInspected(returnDoc) && (
+            <p className='mb-2'>
+              {returnDoc.status === RETURN_STATUS.Refunded
+                ? 'Refunded'
+                : 'To refund'}
+              <span className='order-label'>{` $${returnDoc.refundAmount}`}</span>
+            </p>
+          )}
+          {inspecting === returnDoc._id ? (
+            <ReturnInspection
+              returnDoc={returnDoc}
+              onSubmit={(items, note) =>
+                inspectReturn(returnDoc._id, items, note)
+              }
+              onCancel={() => setInspecting(null)}
+            />
+          ) : (
+            <div className='d-flex flex-wrap'>{renderActions(returnDoc)}</div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default OrderReturns;
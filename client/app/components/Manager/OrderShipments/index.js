@@ -0,0 +1,152 @@
+/**
+ *
+ * OrderShipments
+ *
+ */
+
+import React, { useState } from 'react';
+
+import { Link } from 'react-router-dom';
+
+import { ROLES, SHIPMENT_CARRIER } from '../../../constants';
+import { formatDate } from '../../../utils/date';
+import Input from '../../Common/Input';
+import Checkbox from '../../Common/Checkbox';
+import SelectOption from '../../Common/SelectOption';
+import Button from '../../Common/Button';
+
+const carrierOptions = Object.values(SHIPMENT_CARRIER).map(carrier => ({
+  value: carrier,
+  label: carrier
+}));
+
+const OrderShipments = props => {
+  const { order, user, shipments, shippableItems, isShipping, addShipment } =
+    props;
+  const [picked, setPicked] = useState([]);
+  const [carrier, setCarrier] = useState(null);
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [shipped, setShipped] = useState('');
+
+  const isStaff = [ROLES.Admin, ROLES.Merchant].includes(user.role);
+  const items = order.products.filter(item =>
+    shippableItems.includes(item._id)
+  );
+
+  const toggleItem = (id, checked) =>
+    setPicked(
+      checked ? [...picked, id] : picked.filter(itemId => itemId !== id)
+    );
+
+  const handleShip = async () => {
+    const isShipped = await addShipment({
+      items: picked,
+      carrier: carrier?.value,
+      trackingNumber,
+      shipped: shipped || undefined
+    });
+
+    if (isShipped) {
+      setPicked([]);
+      setCarrier(null);
+      setTrackingNumber('');
+      setShipped('');
+    }
+  };
+
+  if (shipments.length === 0 && items.length === 0) return null;
+
+  return (
+    <div className='order-shipments mt-5'>
+      <h2>Shipments</h2>
+      {shipments.map(shipment => (
+        <div key={shipment._id} className='shipment-entry'>
+          <div className='d-flex flex-wrap justify-content-between'>
+            <p className='mb-1'>
+              {`${shipment.carrier} `}
+              {shipment.trackingUrl ? (
+                <a
+                  href={shipment.trackingUrl}
+                  target='_blank'
+                  rel='noopener noreferrer'
+                  className='tracking-link'
+                >
+                  {shipment.trackingNumber}
+                </a>
+              ) : (
+                <span className='order-label'>{shipment.trackingNumber}</span>
+              )}
+            </p>
+            <span className='fs-12'>{`Shipped ${formatDate(
+              shipment.shipped
+            )}`}</span>
+          </div>
+          <p className='fs-12 mb-1'>
+            {shipment.items
+              .map(item => `${item.name} x ${item.quantity}`)
+              .join(', ')}
+          </p>
+          {isStaff && (
+            <Link
+              to={`/order/${order._id}/packing-slip/${shipment._id}`}
+              className='btn-link fs-12'
+            >
+              Packing Slip
+            </Link>
+          )}
+        </div>
+      ))}
+
+      {isStaff && addShipment && items.length > 0 && (
+        <div className='shipment-form mt-3'>
+          <p className='mb-2'>Ship items</p>
+          {items.map(item => (
+            <Checkbox
+              key={item._id}
+              id={`ship-${item._id}`}
+              name={`${item._id}`}
+              label={`${item.name} x ${item.quantity}`}
+              checked={picked.includes(item._id)}
+              onChange={(name, value) => toggleItem(item._id, value)}
+            />
+          ))}
+          <SelectOption
+            label={'Carrier'}
+            options={carrierOptions}
+            value={carrier}
+            handleSelectChange={value => setCarrier(value)}
+          />
+          <Input
+            type={'text'}
+            label={'Tracking Number'}
+            name={'trackingNumber'}
+            placeholder={'Tracking number'}
+            value={trackingNumber}
+            onInputChange={(name, value) => setTrackingNumber(value)}
+          />
+          <Input
+            type={'date'}
+            label={'Ship Date'}
+            name={'shipped'}
+            value={shipped}
+            onInputChange={(name, value) => setShipped(value)}
+          />
+          <div className='d-flex justify-content-end mt-3'>
+            <Button
+              text='Ship'
+              disabled={
+                picked.length === 0 ||
+                !carrier ||
+                !trackingNumber.trim() ||
+                isShipping
+              }
+              onClick={handleShip}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderShipments;
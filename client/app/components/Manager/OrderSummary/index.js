@@ -16,22 +16,56 @@ const OrderSummary = props => {
       <h2>Order Summary</h2>
       <div className='d-flex align-items-center summary-item'>
         <p className='summary-label'>Subtotal</p>
-        <p className='summary-value ml-auto'>${order.total}</p>
-      </div>
-      <div className='d-flex align-items-center summary-item'>
-        <p className='summary-label'>Est. Sales Tax</p>
-        <p className='summary-value ml-auto'>${order.totalTax}</p>
+        <p className='summary-value ml-auto'>${order.subtotal}</p>
       </div>
+      {order.taxes?.length > 0 ? (
+        order.taxes.map((tax, index) => (
+          <div key={index} className='d-flex align-items-center summary-item'>
+            <p className='summary-label'>
+              {`${tax.name} (${tax.rate}%${
+                tax.isInclusive ? ', included' : ''
+              })`}
+            </p>
+            <p className='summary-value ml-auto'>${tax.amount}</p>
+          </div>
+        ))
+      ) : (
+        <div className='d-flex align-items-center summary-item'>
+          <p className='summary-label'>Sales Tax</p>
+          <p className='summary-value ml-auto'>${order.totalTax}</p>
+        </div>
+      )}
 
       <div className='d-flex align-items-center summary-item'>
         <p className='summary-label'>Shipping & Handling</p>
-        <p className='summary-value ml-auto'>$0</p>
+        <p className='summary-value ml-auto'>${order.shippingTotal}</p>
       </div>
 
+      {order.discounts?.length > 0
+        ? order.discounts.map(discount => (
+            <div
+              key={discount._id}
+              className='d-flex align-items-center summary-item'
+            >
+              <p className='summary-label'>
+                {discount.code
+                  ? `${discount.name} (${discount.code})`
+                  : discount.name}
+              </p>
+              <p className='summary-value ml-auto'>-${discount.amount}</p>
+            </div>
+          ))
+        : order.discountTotal > 0 && (
+            <div className='d-flex align-items-center summary-item'>
+              <p className='summary-label'>Discount</p>
+              <p className='summary-value ml-auto'>-${order.discountTotal}</p>
+            </div>
+          )}
+
       <hr />
       <div className='d-flex align-items-center summary-item'>
         <p className='summary-label'>Total</p>
-        <p className='summary-value ml-auto'>${order.totalWithTax}</p>
+        <p className='summary-value ml-auto'>${order.grandTotal}</p>
       </div>
     </Col>
   );
@@ -0,0 +1,42 @@
+/**
+ *
+ * OrderTimeline
+ *
+ */
+
+import React from 'react';
+
+import { ROLES } from '../../../constants';
+import { formatDate, formatTime } from '../../../utils/date';
+
+// changes the store made on its own have the System role
+const getRoleName = role =>
+  Object.keys(ROLES).find(key => ROLES[key] === role) || role;
+
+const OrderTimeline = props => {
+  const { history } = props;
+
+  return (
+    <div className='order-timeline mt-5'>
+      <h2>Order History</h2>
+      <ul className='timeline'>
+        {[...history].reverse().map((entry, index) => (
+          <li key={index} className='timeline-entry'>
+            <p className='order-label order-status mb-1'>{entry.status}</p>
+            <p className='fs-12 mb-1'>
+              {`${formatDate(entry.created)} ${formatTime(entry.created)}`}
+            </p>
+            <p className='fs-12 mb-1'>
+              {entry.actorName
+                ? `${entry.actorName} (${getRoleName(entry.actorRole)})`
+                : getRoleName(entry.actorRole)}
+            </p>
+            {entry.note && <p className='fs-12 mb-0 note'>{entry.note}</p>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default OrderTimeline;
@@ -0,0 +1,86 @@
+/**
+ *
+ * ProductAttributes
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import SelectOption from '../../Common/SelectOption';
+
+// the attributes of the sets of the selected categories, an attribute in
+// several sets takes the values of all of them
+const getAttributes = (selected, categories, attributeSets) =>
+  (selected || []).reduce((attributes, option) => {
+    const category = categories.find(c => c._id === option.value);
+    const set = attributeSets.find(
+      s => category && s._id === category.attributeSet && s.isActive
+    );
+
+    (set?.attributes || []).forEach(attribute => {
+      const found = attributes.find(a => a.name === attribute.name);
+
+      if (found) {
+        found.values = [...new Set([...found.values, ...attribute.values])];
+      } else {
+        attributes.push({ ...attribute });
+      }
+    });
+
+    return attributes;
+  }, []);
+
+const ProductAttributes = props => {
+  const { selected, categories, attributeSets, values, productChange } = props;
+
+  const attributes = getAttributes(selected, categories, attributeSets);
+
+  if (attributes.length === 0) return null;
+
+  const handleChange = (name, option) => {
+    const newValues = values
+      .filter(value => value.name !== name)
+      .concat(option && option.value ? [{ name, value: option.value }] : []);
+
+    productChange('attributes', newValues);
+  };
+
+  return (
+    <div className='product-attributes'>
+      <h4>Attributes</h4>
+      <Row>
+        {attributes.map(attribute => {
+          const options = [
+            { value: '', label: 'No value' },
+            ...attribute.values.map(value => ({ value, label: value }))
+          ];
+          const current = values.find(value => value.name === attribute.name);
+
+          return (
+            <Col xs='12' md='6' key={attribute.name}>
+              <SelectOption
+                label={attribute.name}
+                multi={false}
+                value={options.find(
+                  option => option.value === (current?.value || '')
+                )}
+                options={options}
+                handleSelectChange={value => {
+                  handleChange(attribute.name, value);
+                }}
+              />
+            </Col>
+          );
+        })}
+      </Row>
+    </div>
+  );
+};
+
+ProductAttributes.defaultProps = {
+  values: []
+};
+
+export default ProductAttributes;
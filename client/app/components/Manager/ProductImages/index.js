@@ -0,0 +1,100 @@
+/**
+ *
+ * ProductImages
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import Input from '../../Common/Input';
+import Button from '../../Common/Button';
+
+const ProductImages = props => {
+  const { images, productChange, addImages, updateImages, deleteImage } = props;
+
+  const handleAltChange = (index, value) => {
+    productChange(
+      'images',
+      images.map((image, i) => (i === index ? { ...image, alt: value } : image))
+    );
+  };
+
+  // the first image is the one the store lists show
+  const moveImage = (index, direction) => {
+    const newImages = [...images];
+    const [image] = newImages.splice(index, 1);
+    newImages.splice(index + direction, 0, image);
+
+    productChange('images', newImages);
+  };
+
+  return (
+    <div className='product-images'>
+      <h4>Images</h4>
+      {images.map((image, index) => (
+        <Row key={image._id} className='align-items-center mb-3'>
+          <Col xs='12' md='2'>
+            <img className='gallery-image' src={image.url} alt={image.alt} />
+          </Col>
+          <Col xs='12' md='5'>
+            <Input
+              type={'text'}
+              label={'Alt Text'}
+              name={'alt'}
+              placeholder={'Describe the image'}
+              value={image.alt}
+              onInputChange={(name, value) => handleAltChange(index, value)}
+            />
+          </Col>
+          <Col xs='12' md='5' className='d-flex'>
+            <Button
+              variant='secondary'
+              text='Up'
+              className='mr-2'
+              disabled={index === 0}
+              onClick={() => moveImage(index, -1)}
+            />
+            <Button
+              variant='secondary'
+              text='Down'
+              className='mr-2'
+              disabled={index === images.length - 1}
+              onClick={() => moveImage(index, 1)}
+            />
+            <Button
+              variant='danger'
+              text='Delete'
+              onClick={() => deleteImage(image._id)}
+            />
+          </Col>
+        </Row>
+      ))}
+      <div className='d-flex flex-column flex-md-row align-items-md-end'>
+        <Input
+          type={'file'}
+          label={'Add Images'}
+          name={'images'}
+          multiple={true}
+          accept={'image/*'}
+          onInputChange={(name, value) => value.length > 0 && addImages(value)}
+        />
+        {images.length > 1 && (
+          <Button
+            variant='secondary'
+            text='Save Images'
+            className='mb-3 ml-md-3'
+            onClick={updateImages}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+ProductImages.defaultProps = {
+  images: []
+};
+
+export default ProductImages;
@@ -0,0 +1,239 @@
+/**
+ *
+ * ProductVariants
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import Input from '../../Common/Input';
+import Switch from '../../Common/Switch';
+import Button from '../../Common/Button';
+import { getVariantName } from '../../../utils/store';
+
+// option values are typed as a comma separated list
+const splitValues = values =>
+  values
+    .split(',')
+    .map(value => value.trim())
+    .filter(value => value);
+
+const getCombinations = options =>
+  options.reduce(
+    (combinations, option) =>
+      combinations.reduce(
+        (list, combination) => [
+          ...list,
+          ...splitValues(option.values.join(',')).map(value => [
+            ...combination,
+            { name: option.name.trim(), value }
+          ])
+        ],
+        []
+      ),
+    [[]]
+  );
+
+const ProductVariants = props => {
+  const { sku, options, variants, productChange, uploadVariantImage } = props;
+
+  const handleOptionChange = (index, field, value) => {
+    const newOptions = options.map((option, i) =>
+      i === index
+        ? { ...option, [field]: field === 'values' ? value.split(',') : value }
+        : option
+    );
+
+    productChange('options', newOptions);
+  };
+
+  const handleVariantChange = (index, field, value) => {
+    const newVariants = variants.map((variant, i) =>
+      i === index ? { ...variant, [field]: value } : variant
+    );
+
+    productChange('variants', newVariants);
+  };
+
+  // one variant per combination of the option values, keeping the ones
+  // that already exist so their sku, stock and image are not lost
+  const generateVariants = () => {
+    const namedOptions = options.filter(option => option.name.trim());
+
+    const newVariants = getCombinations(namedOptions).map(combination => {
+      const name = getVariantName({ options: combination });
+      const existing = variants.find(
+        variant => getVariantName(variant) === name
+      );
+
+      return (
+        existing || {
+          sku: [sku, ...combination.map(option => option.value)]
+            .join('-')
+            .replace(/[^A-Za-z0-9_-]/g, ''),
+          options: combination,
+          price: '',
+          quantity: 0,
+          isActive: true
+        }
+      );
+    });
+
+    productChange('variants', namedOptions.length > 0 ? newVariants : []);
+  };
+
+  return (
+    <div className='product-variants'>
+      <h4>Options</h4>
+      {options.map((option, index) => (
+        <Row key={index} className='align-items-end'>
+          <Col xs='12' md='4'>
+            <Input
+              type={'text'}
+              label={'Option'}
+              name={'name'}
+              placeholder={'Size'}
+              value={option.name}
+              onInputChange={(name, value) =>
+                handleOptionChange(index, name, value)
+              }
+            />
+          </Col>
+          <Col xs='12' md='6'>
+            <Input
+              type={'text'}
+              label={'Values'}
+              name={'values'}
+              placeholder={'S, M, L'}
+              value={option.values.join(',')}
+              onInputChange={(name, value) =>
+                handleOptionChange(index, name, value)
+              }
+            />
+          </Col>
+          <Col xs='12' md='2' className='mb-3'>
+            <Button
+              variant='danger'
+              text='Remove'
+              onClick={() =>
+                productChange(
+                  'options',
+                  options.filter((o, i) => i !== index)
+                )
+              }
+            />
+          </Col>
+        </Row>
+      ))}
+      <div className='d-flex mb-3'>
+        <Button
+          variant='secondary'
+          text='Add Option'
+          className='mr-2'
+          onClick={() =>
+            productChange('options', [...options, { name: '', values: [] }])
+          }
+        />
+        <Button
+          variant='secondary'
+          text='Generate Variants'
+          onClick={generateVariants}
+        />
+      </div>
+      {variants.length > 0 && <h4>Variants</h4>}
+      {variants.map((variant, index) => (
+        <div key={index} className='p-3 mb-3 variant-box'>
+          <div className='d-flex align-items-center justify-content-between mb-2'>
+            <h5 className='mb-0'>{getVariantName(variant)}</h5>
+            <Button
+              variant='link'
+              text='Remove'
+              onClick={() =>
+                productChange(
+                  'variants',
+                  variants.filter((v, i) => i !== index)
+                )
+              }
+            />
+          </div>
+          <Row>
+            <Col xs='12' lg='4'>
+              <Input
+                type={'text'}
+                label={'Sku'}
+                name={'sku'}
+                placeholder={'Variant Sku'}
+                value={variant.sku}
+                onInputChange={(name, value) =>
+                  handleVariantChange(index, name, value)
+                }
+              />
+            </Col>
+            <Col xs='12' lg='4'>
+              <Input
+                type={'number'}
+                label={'Price'}
+                name={'price'}
+                min={0}
+                placeholder={'Product price'}
+                value={variant.price ?? ''}
+                onInputChange={(name, value) =>
+                  handleVariantChange(index, name, value)
+                }
+              />
+            </Col>
+            <Col xs='12' lg='4'>
+              <Input
+                type={'number'}
+                label={'Quantity'}
+                name={'quantity'}
+                decimals={false}
+                min={0}
+                placeholder={'Variant Quantity'}
+                value={variant.quantity}
+                onInputChange={(name, value) =>
+                  handleVariantChange(index, name, value)
+                }
+              />
+            </Col>
+            {uploadVariantImage && variant._id && (
+              <Col xs='12' className='d-flex align-items-center'>
+                {variant.imageUrl && (
+                  <img className='variant-image mr-3' src={variant.imageUrl} />
+                )}
+                <Input
+                  type={'file'}
+                  label={'Image'}
+                  name={'image'}
+                  onInputChange={(name, value) =>
+                    uploadVariantImage(variant._id, value)
+                  }
+                />
+              </Col>
+            )}
+            <Col xs='12' className='my-2'>
+              <Switch
+                id={`active-variant-${index}`}
+                name={'isActive'}
+                label={'Active?'}
+                checked={variant.isActive}
+                toggleCheckboxChange={value =>
+                  handleVariantChange(index, 'isActive', value)
+                }
+              />
+            </Col>
+          </Row>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+ProductVariants.defaultProps = {
+  options: [],
+  variants: []
+};
+
+export default ProductVariants;
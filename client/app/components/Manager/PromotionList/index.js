@@ -0,0 +1,71 @@
+/**
+ *
+ * PromotionList
+ *
+ */
+
+import React from 'react';
+
+import { Link } from 'react-router-dom';
+
+import { PROMOTION_TYPE } from '../../../constants';
+import { formatDate } from '../../../utils/date';
+
+const PromotionList = props => {
+  const { promotions } = props;
+
+  const formatValue = promotion => {
+    switch (promotion.type) {
+      case PROMOTION_TYPE.Fixed:
+        return `$${promotion.value}`;
+      case PROMOTION_TYPE.Free_Shipping:
+        return 'Free shipping';
+      case PROMOTION_TYPE.Buy_X_Get_Y:
+        return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} ${promotion.value}% off`;
+      default:
+        return `${promotion.value}%`;
+    }
+  };
+
+  const formatPeriod = promotion =>
+    [promotion.startDate, promotion.endDate]
+      .map(date => (date ? formatDate(date) : '...'))
+      .join(' - ');
+
+  return (
+    <div className='promotion-list'>
+      {promotions.map((promotion, index) => (
+        <Link
+          to={`/dashboard/promotion/edit/${promotion._id}`}
+          key={index}
+          className='d-block mb-3 p-4 promotion-box'
+        >
+          <div className='d-flex align-items-center justify-content-between mb-2'>
+            <h4 className='mb-0'>{promotion.name}</h4>
+            <span className='text-primary'>{formatValue(promotion)}</span>
+          </div>
+          <p className='mb-2'>
+            {promotion.code ? promotion.code : 'Automatic'}
+            {promotion.isActive ? '' : ' - inactive'}
+          </p>
+          <div className='d-flex'>
+            <label>Used</label>
+            <p className='mb-0 ml-2'>
+              {promotion.usageLimit
+                ? `${promotion.usageCount} / ${promotion.usageLimit}`
+                : promotion.usageCount}
+            </p>
+          </div>
+          {(promotion.startDate || promotion.endDate) && (
+            <div className='d-flex'>
+              <label>Valid</label>
+              <p className='mb-0 ml-2'>{formatPeriod(promotion)}</p>
+            </div>
+          )}
+        </Link>
+      ))}
+    </div>
+  );
+};
+
+export default PromotionList;
@@ -0,0 +1,87 @@
+/**
+ *
+ * ReturnInspection
+ *
+ */
+
+import React, { useState } from 'react';
+
+import Checkbox from '../../Common/Checkbox';
+import Input from '../../Common/Input';
+import Button from '../../Common/Button';
+
+const ReturnInspection = props => {
+  const { returnDoc, onSubmit, onCancel } = props;
+  const [lines, setLines] = useState(
+    returnDoc.items.reduce((values, line) => {
+      values[line.item] = { acceptedQuantity: line.quantity, restock: true };
+      return values;
+    }, {})
+  );
+  const [note, setNote] = useState('');
+
+  const changeLine = (itemId, values) =>
+    setLines({ ...lines, [itemId]: { ...lines[itemId], ...values } });
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    const isSaved = await onSubmit(
+      returnDoc.items.map(line => ({
+        item: line.item,
+        acceptedQuantity: Number(lines[line.item].acceptedQuantity || 0),
+        restock: lines[line.item].restock
+      })),
+      note
+    );
+
+    if (isSaved) onCancel();
+  };
+
+  return (
+    <form className='return-inspection' onSubmit={handleSubmit} noValidate>
+      {returnDoc.items.map(line => (
+        <div key={line.item} className='return-line'>
+          <p className='order-label mb-2'>{`${line.name} (${line.quantity} returned)`}</p>
+          <div className='d-flex flex-column flex-md-row align-items-md-center'>
+            <div className='return-quantity mr-md-3'>
+              <Input
+                type={'number'}
+                label={'Accepted'}
+                name={'acceptedQuantity'}
+                max={line.quantity}
+                value={lines[line.item].acceptedQuantity}
+                onInputChange={(name, value) =>
+                  changeLine(line.item, { acceptedQuantity: value })
+                }
+              />
+            </div>
+            <Checkbox
+              id={`restock-${returnDoc._id}-${line.item}`}
+              name={'restock'}
+              label={'Put back in stock'}
+              checked={lines[line.item].restock}
+              onChange={(name, value) =>
+                changeLine(line.item, { restock: value })
+              }
+            />
+          </div>
+        </div>
+      ))}
+      <Input
+        type={'textarea'}
+        label={'Inspection Note'}
+        name={'note'}
+        placeholder={'Condition of the returned items'}
+        value={note}
+        onInputChange={(name, value) => setNote(value)}
+      />
+      <div className='d-flex justify-content-between mt-3'>
+        <Button variant='secondary' text='Cancel' onClick={onCancel} />
+        <Button type='submit' text='Save Inspection' />
+      </div>
+    </form>
+  );
+};
+
+export default ReturnInspection;
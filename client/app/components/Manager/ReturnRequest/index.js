@@ -0,0 +1,112 @@
+/**
+ *
+ * ReturnRequest
+ *
+ */
+
+import React, { useState } from 'react';
+
+import { RETURN_REASON } from '../../../constants';
+import Checkbox from '../../Common/Checkbox';
+import Input from '../../Common/Input';
+import SelectOption from '../../Common/SelectOption';
+import Button from '../../Common/Button';
+
+const reasonOptions = Object.values(RETURN_REASON).map(reason => ({
+  value: reason,
+  label: reason
+}));
+
+const ReturnRequest = props => {
+  const { order, returnableItems, onSubmit, onCancel } = props;
+  const [lines, setLines] = useState({});
+  const [comment, setComment] = useState('');
+
+  const items = order.products.filter(item => returnableItems[item._id]);
+  const selected = items.filter(item => lines[item._id]?.selected);
+
+  const changeLine = (itemId, values) =>
+    setLines({ ...lines, [itemId]: { ...lines[itemId], ...values } });
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    const isSent = await onSubmit(
+      selected.map(item => ({
+        item: item._id,
+        quantity: Number(lines[item._id].quantity || 1),
+        reason: lines[item._id].reason?.value
+      })),
+      comment
+    );
+
+    if (isSent) onCancel();
+  };
+
+  return (
+    <form className='return-request' onSubmit={handleSubmit} noValidate>
+      {items.map(item => {
+        const line = lines[item._id] || {};
+
+        return (
+          <div key={item._id} className='return-line'>
+            <Checkbox
+              id={`return-${item._id}`}
+              name={item._id}
+              label={`${item.name}${
+                item.variantName ? ` - ${item.variantName}` : ''
+              }`}
+              checked={!!line.selected}
+              onChange={(name, value) => changeLine(name, { selected: value })}
+            />
+            {line.selected && (
+              <div className='d-flex flex-column flex-md-row mt-2'>
+                <div className='return-quantity mr-md-3'>
+                  <Input
+                    type={'number'}
+                    label={`Quantity (up to ${returnableItems[item._id]})`}
+                    name={'quantity'}
+                    min={1}
+                    max={returnableItems[item._id]}
+                    value={line.quantity || 1}
+                    onInputChange={(name, value) =>
+                      changeLine(item._id, { quantity: value })
+                    }
+                  />
+                </div>
+                <div className='flex-1'>
+                  <SelectOption
+                    label={'Reason'}
+                    options={reasonOptions}
+                    value={line.reason}
+                    handleSelectChange={value =>
+                      changeLine(item._id, { reason: value })
+                    }
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <Input
+        type={'textarea'}
+        label={'Comment'}
+        name={'comment'}
+        placeholder={'Tell us more about the return'}
+        value={comment}
+        onInputChange={(name, value) => setComment(value)}
+      />
+      <div className='d-flex justify-content-between mt-3'>
+        <Button variant='secondary' text='Cancel' onClick={onCancel} />
+        <Button
+          type='submit'
+          text='Request Return'
+          disabled={selected.length === 0}
+        />
+      </div>
+    </form>
+  );
+};
+
+export default ReturnRequest;
@@ -0,0 +1,46 @@
+/**
+ *
+ * TaxRateList
+ *
+ */
+
+import React from 'react';
+
+import { Link } from 'react-router-dom';
+
+const TaxRateList = props => {
+  const { taxRates } = props;
+
+  const formatZone = taxRate =>
+    [taxRate.country, taxRate.state, taxRate.zipCode]
+      .filter(part => part)
+      .join(' / ') || 'Everywhere';
+
+  return (
+    <div className='tax-list'>
+      {taxRates.map((taxRate, index) => (
+        <Link
+          to={`/dashboard/tax/edit/${taxRate._id}`}
+          key={index}
+          className='d-block mb-3 p-4 tax-box'
+        >
+          <div className='d-flex align-items-center justify-content-between mb-2'>
+            <h4 className='mb-0'>{taxRate.name}</h4>
+            <span className='text-primary'>{`${taxRate.rate}%`}</span>
+          </div>
+          <p className='mb-2'>{formatZone(taxRate)}</p>
+          <div className='d-flex'>
+            <label>Class</label>
+            <p className='mb-0 ml-2'>
+              {taxRate.taxClass}
+              {taxRate.isInclusive ? ' (inclusive)' : ''}
+              {taxRate.isActive ? '' : ' - inactive'}
+            </p>
+          </div>
+        </Link>
+      ))}
+    </div>
+  );
+};
+
+export default TaxRateList;
@@ -0,0 +1,34 @@
+/**
+ *
+ * Breadcrumbs
+ *
+ */
+
+import React from 'react';
+
+import { Link } from 'react-router-dom';
+import { Breadcrumb, BreadcrumbItem } from 'reactstrap';
+
+const Breadcrumbs = props => {
+  const { categories, current } = props;
+
+  return (
+    <Breadcrumb className='store-breadcrumbs'>
+      <BreadcrumbItem>
+        <Link to='/shop'>Shop</Link>
+      </BreadcrumbItem>
+      {categories.map(category => (
+        <BreadcrumbItem key={category._id}>
+          <Link to={`/shop/category/${category.slug}`}>{category.name}</Link>
+        </BreadcrumbItem>
+      ))}
+      {current && <BreadcrumbItem active>{current}</BreadcrumbItem>}
+    </Breadcrumb>
+  );
+};
+
+Breadcrumbs.defaultProps = {
+  categories: []
+};
+
+export default Breadcrumbs;
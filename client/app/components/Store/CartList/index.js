@@ -57,6 +57,16 @@ const CartList = props => {
                   />
                 </Col>
               </Row>
+              {item.variantName && (
+                <Row className='mb-2 align-items-center'>
+                  <Col xs='5'>
+                    <p className='item-label'>option</p>
+                  </Col>
+                  <Col xs='7' className='text-right'>
+                    <p className='value variant'>{item.variantName}</p>
+                  </Col>
+                </Row>
+              )}
               <Row className='mb-2 align-items-center'>
                 <Col xs='9'>
                   <p className='item-label'>price</p>
@@ -9,25 +9,54 @@ import React from 'react';
 import { Container, Row, Col } from 'reactstrap';
 
 const CartSummary = props => {
-  const { cartTotal } = props;
+  const { cartTotal, shippingMethod, discounts = [] } = props;
+
+  const discountTotal = discounts.reduce((sum, d) => sum + d.amount, 0);
+  const total =
+    shippingMethod || discountTotal > 0
+      ? parseFloat(
+          Math.max(
+            Number(cartTotal) + (shippingMethod?.cost || 0) - discountTotal,
+            0
+          ).toFixed(2)
+        )
+      : cartTotal;
 
   return (
     <div className='cart-summary'>
       <Container>
         <Row className='mb-2 summary-item'>
           <Col xs='9'>
-            <p className='summary-label'>Free Shippling</p>
+            <p className='summary-label'>
+              {shippingMethod ? shippingMethod.name : 'Shipping'}
+            </p>
           </Col>
           <Col xs='3' className='text-right'>
-            <p className='summary-value'>$0</p>
+            <p className='summary-value'>
+              {shippingMethod ? `$${shippingMethod.cost}` : '-'}
+            </p>
           </Col>
         </Row>
+        {discounts.map(discount => (
+          <Row key={discount.promotion} className='mb-2 summary-item'>
+            <Col xs='9'>
+              <p className='summary-label'>
+                {discount.code
+                  ? `${discount.name} (${discount.code})`
+                  : discount.name}
+              </p>
+            </Col>
+            <Col xs='3' className='text-right'>
+              <p className='summary-value'>-${discount.amount}</p>
+            </Col>
+          </Row>
+        ))}
         <Row className='mb-2 summary-item'>
           <Col xs='9'>
             <p className='summary-label'>Total</p>
           </Col>
           <Col xs='3' className='text-right'>
-            <p className='summary-value'>${cartTotal}</p>
+            <p className='summary-value'>${total}</p>
           </Col>
         </Row>
       </Container>
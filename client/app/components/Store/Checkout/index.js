@@ -9,7 +9,7 @@ import React from 'react';
 import Button from '../../Common/Button';
 
 const Checkout = props => {
-  const { authenticated, handleShopping, handleCheckout, placeOrder } = props;
+  const { handleShopping, handleCheckout } = props;
 
   return (
     <div className='easy-checkout'>
@@ -19,19 +19,11 @@ const Checkout = props => {
           text='Continue shopping'
           onClick={() => handleShopping()}
         />
-        {authenticated ? (
-          <Button
-            variant='primary'
-            text='Place Order'
-            onClick={() => placeOrder()}
-          />
-        ) : (
-          <Button
-            variant='primary'
-            text='Proceed To Checkout'
-            onClick={() => handleCheckout()}
-          />
-        )}
+        <Button
+          variant='primary'
+          text='Proceed To Checkout'
+          onClick={() => handleCheckout()}
+        />
       </div>
     </div>
   );
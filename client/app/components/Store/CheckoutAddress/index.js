@@ -0,0 +1,138 @@
+/**
+ *
+ * CheckoutAddress
+ *
+ */
+
+import React, { useState } from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import AddAddress from '../../Manager/AddAddress';
+import Button from '../../Common/Button';
+import Input from '../../Common/Input';
+
+export const formatAddress = address =>
+  [
+    address.address,
+    address.city,
+    address.state,
+    address.zipCode,
+    address.country
+  ]
+    .filter(part => part)
+    .join(', ');
+
+// guests enter the address for this order only
+const GuestAddress = props => {
+  const { address, formErrors, checkoutAddressChange } = props;
+
+  const fields = [
+    { name: 'address', label: 'Address', md: '12' },
+    { name: 'city', label: 'City', md: '12' },
+    { name: 'state', label: 'State', md: '6' },
+    { name: 'country', label: 'Country', md: '6' },
+    { name: 'zipCode', label: 'Zipcode', md: '6' }
+  ];
+
+  return (
+    <Row>
+      {fields.map(field => (
+        <Col xs='12' md={field.md} key={field.name}>
+          <Input
+            type={'text'}
+            error={formErrors[field.name]}
+            label={field.label}
+            name={field.name}
+            placeholder={field.label}
+            value={address[field.name]}
+            onInputChange={(name, value) => {
+              checkoutAddressChange(name, value);
+            }}
+          />
+        </Col>
+      ))}
+    </Row>
+  );
+};
+
+const CheckoutAddress = props => {
+  const {
+    isGuest,
+    guestAddress,
+    checkoutAddressChange,
+    addresses,
+    addressId,
+    formErrors,
+    addressFormData,
+    addressFormErrors,
+    addressChange,
+    selectShippingAddress,
+    addCheckoutAddress
+  } = props;
+
+  const [isAdding, setIsAdding] = useState(addresses.length === 0);
+
+  if (isGuest) {
+    return (
+      <div className='checkout-address'>
+        <h3>Shipping Address</h3>
+        <GuestAddress
+          address={guestAddress}
+          formErrors={formErrors}
+          checkoutAddressChange={checkoutAddressChange}
+        />
+      </div>
+    );
+  }
+
+  const handleAddAddress = async () => {
+    const address = await addCheckoutAddress();
+
+    if (address) {
+      setIsAdding(false);
+    }
+  };
+
+  return (
+    <div className='checkout-address'>
+      <h3>Shipping Address</h3>
+      <ul className='checkout-options'>
+        {addresses.map(address => (
+          <li key={address._id}>
+            <label className='d-flex align-items-center mb-0'>
+              <input
+                type='radio'
+                name='address'
+                value={address._id}
+                checked={addressId === address._id}
+                onChange={() => selectShippingAddress(address._id)}
+              />
+              <span className='ml-2'>{formatAddress(address)}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      {formErrors['address'] && (
+        <p className='checkout-error'>{formErrors['address'][0]}</p>
+      )}
+      {isAdding ? (
+        <AddAddress
+          addressFormData={addressFormData}
+          formErrors={addressFormErrors}
+          addressChange={addressChange}
+          addAddress={handleAddAddress}
+        />
+      ) : (
+        <Button
+          variant='link'
+          size='sm'
+          text='Add a new address'
+          onClick={() => setIsAdding(true)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CheckoutAddress;
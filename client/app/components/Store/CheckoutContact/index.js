@@ -0,0 +1,51 @@
+/**
+ *
+ * CheckoutContact
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import Input from '../../Common/Input';
+
+const CheckoutContact = props => {
+  const { contact, formErrors, checkoutContactChange } = props;
+
+  return (
+    <div className='checkout-contact'>
+      <h3>Contact</h3>
+      <Row>
+        <Col xs='12' md='6'>
+          <Input
+            type={'text'}
+            error={formErrors['email']}
+            label={'Email Address'}
+            name={'email'}
+            placeholder={'Your order confirmation is sent to this email'}
+            value={contact.email}
+            onInputChange={(name, value) => {
+              checkoutContactChange(name, value);
+            }}
+          />
+        </Col>
+        <Col xs='12' md='6'>
+          <Input
+            type={'text'}
+            error={formErrors['phoneNumber']}
+            label={'Phone Number'}
+            name={'phoneNumber'}
+            placeholder={'Optional, for delivery questions'}
+            value={contact.phoneNumber}
+            onInputChange={(name, value) => {
+              checkoutContactChange(name, value);
+            }}
+          />
+        </Col>
+      </Row>
+    </div>
+  );
+};
+
+export default CheckoutContact;
@@ -0,0 +1,68 @@
+/**
+ *
+ * CheckoutCoupon
+ *
+ */
+
+import React from 'react';
+
+import Input from '../../Common/Input';
+import Button from '../../Common/Button';
+import { CloseIcon } from '../../Common/Icon';
+
+const CheckoutCoupon = props => {
+  const {
+    couponCode,
+    codes,
+    error,
+    checkoutCouponChange,
+    applyCoupon,
+    removeCoupon
+  } = props;
+
+  const handleSubmit = event => {
+    event.preventDefault();
+    applyCoupon();
+  };
+
+  return (
+    <div className='checkout-coupon'>
+      <form onSubmit={handleSubmit} noValidate>
+        <div className='d-flex align-items-start'>
+          <Input
+            type={'text'}
+            error={error}
+            name={'couponCode'}
+            placeholder={'Coupon Code'}
+            value={couponCode}
+            onInputChange={(name, value) => {
+              checkoutCouponChange(value);
+            }}
+          />
+          <Button type='submit' variant='secondary' text='Apply' />
+        </div>
+      </form>
+      {codes.length > 0 && (
+        <ul className='checkout-options'>
+          {codes.map(code => (
+            <li
+              key={code}
+              className='d-flex align-items-center justify-content-between'
+            >
+              <span className='coupon-code'>{code}</span>
+              <Button
+                variant='empty'
+                borderless
+                ariaLabel={`remove ${code}`}
+                icon={<CloseIcon />}
+                onClick={() => removeCoupon(code)}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CheckoutCoupon;
@@ -0,0 +1,54 @@
+/**
+ *
+ * CheckoutPayment
+ *
+ */
+
+import React from 'react';
+
+import { Row, Col } from 'reactstrap';
+
+import Input from '../../Common/Input';
+
+const CheckoutPayment = props => {
+  const { payment, formErrors, checkoutPaymentChange } = props;
+
+  return (
+    <div className='checkout-payment'>
+      <h3>Payment</h3>
+      <p className='fs-12'>
+        Your card is only charged once the order is placed.
+      </p>
+      <Row>
+        <Col xs='12' md='6'>
+          <Input
+            type={'text'}
+            error={formErrors['cardName']}
+            label={'Name On Card'}
+            name={'cardName'}
+            placeholder={'Name On Card'}
+            value={payment.cardName}
+            onInputChange={(name, value) => {
+              checkoutPaymentChange(name, value);
+            }}
+          />
+        </Col>
+        <Col xs='12' md='6'>
+          <Input
+            type={'text'}
+            error={formErrors['cardNumber']}
+            label={'Card Number'}
+            name={'cardNumber'}
+            placeholder={'Card Number'}
+            value={payment.cardNumber}
+            onInputChange={(name, value) => {
+              checkoutPaymentChange(name, value);
+            }}
+          />
+        </Col>
+      </Row>
+    </div>
+  );
+};
+
+export default CheckoutPayment;
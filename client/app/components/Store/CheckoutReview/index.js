@@ -0,0 +1,71 @@
+/**
+ *
+ * CheckoutReview
+ *
+ */
+
+import React from 'react';
+
+import { formatAddress } from '../CheckoutAddress';
+
+const CheckoutReview = props => {
+  const {
+    cartItems,
+    contact,
+    address,
+    shippingMethod,
+    payment,
+    setCheckoutStep
+  } = props;
+
+  const renderSection = (title, step, content) => (
+    <div className='review-section'>
+      <div className='d-flex align-items-center justify-content-between'>
+        <h4 className='mb-1'>{title}</h4>
+        <button
+          type='button'
+          className='btn-link'
+          onClick={() => setCheckoutStep(step)}
+        >
+          Edit
+        </button>
+      </div>
+      <p>{content}</p>
+    </div>
+  );
+
+  return (
+    <div className='checkout-review'>
+      <h3>Review Your Order</h3>
+      <ul className='checkout-options'>
+        {cartItems.map(item => (
+          <li key={item._id} className='d-flex justify-content-between'>
+            <span>{`${item.name} x ${item.quantity}`}</span>
+            <span>${item.totalPrice}</span>
+          </li>
+        ))}
+      </ul>
+      {renderSection(
+        'Contact',
+        'contact',
+        [contact.email, contact.phoneNumber].filter(c => c).join(', ')
+      )}
+      {address && renderSection('Ship To', 'address', formatAddress(address))}
+      {shippingMethod &&
+        renderSection(
+          'Shipping',
+          'shipping',
+          `${shippingMethod.name}, ${
+            shippingMethod.cost > 0 ? `$${shippingMethod.cost}` : 'Free'
+          }`
+        )}
+      {renderSection(
+        'Payment',
+        'payment',
+        `Card ending in ${payment.cardNumber.replace(/[\s-]/g, '').slice(-4)}`
+      )}
+    </div>
+  );
+};
+
+export default CheckoutReview;
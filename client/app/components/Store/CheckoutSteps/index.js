@@ -0,0 +1,39 @@
+/**
+ *
+ * CheckoutSteps
+ *
+ */
+
+import React from 'react';
+
+import { CHECKOUT_STEPS } from '../../../constants';
+
+const CheckoutSteps = props => {
+  const { step, setCheckoutStep } = props;
+
+  const current = CHECKOUT_STEPS.findIndex(s => s.key === step);
+
+  return (
+    <ol className='checkout-steps'>
+      {CHECKOUT_STEPS.map((s, index) => (
+        <li
+          key={s.key}
+          className={`${index === current ? 'active' : ''}${
+            index < current ? ' done' : ''
+          }`}
+        >
+          <button
+            type='button'
+            disabled={index > current}
+            onClick={() => setCheckoutStep(s.key)}
+          >
+            <span className='step-number'>{index + 1}</span>
+            <span className='step-name'>{s.name}</span>
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default CheckoutSteps;
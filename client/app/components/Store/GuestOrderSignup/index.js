@@ -0,0 +1,32 @@
+/**
+ *
+ * GuestOrderSignup
+ *
+ */
+
+import React from 'react';
+
+import Button from '../../Common/Button';
+
+const GuestOrderSignup = props => {
+  const { order, token, signupFromOrder } = props;
+
+  return (
+    <div className='guest-order-signup'>
+      <div>
+        <h4 className='mb-1'>Track all your orders in one place</h4>
+        <p className='mb-0 fs-14'>
+          Create an account with {order.contact.email} and the orders you placed
+          as a guest are added to it.
+        </p>
+      </div>
+      <Button
+        variant='primary'
+        text='Create Account'
+        onClick={() => signupFromOrder(order, token)}
+      />
+    </div>
+  );
+};
+
+export default GuestOrderSignup;
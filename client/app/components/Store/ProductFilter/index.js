@@ -8,6 +8,7 @@ import React from 'react';
 import { Card, CardBody, CardHeader } from 'reactstrap';
 
 import RangeSlider from '../../Common/RangeSlider';
+import Checkbox from '../../Common/Checkbox';
 
 const priceMarks = {
   1: { label: <p className='fw-normal text-black'>$1</p> },
@@ -80,18 +81,103 @@ const rating = v => {
   }
 };
 
+const toggleValue = (list, value, checked) =>
+  checked ? [...list, value] : list.filter(item => item !== value);
+
+// a card of checkboxes with the number of products of each value
+const FacetFilter = ({ id, title, items, onChange }) => (
+  <Card className='mb-4 facet-filter'>
+    <CardHeader tag='h3'>{title}</CardHeader>
+    <CardBody>
+      {items.map(item => (
+        <Checkbox
+          key={item.value}
+          id={`${id}-${item.value}`.replace(/\s+/g, '-')}
+          name={item.value}
+          label={`${item.label} (${item.count})`}
+          checked={item.checked}
+          onChange={(name, checked) => onChange(item.value, checked)}
+        />
+      ))}
+    </CardBody>
+  </Card>
+);
+
 const ProductFilter = props => {
-  const { filterProducts } = props;
+  const { filterProducts, facets, filters, price, rating: minRating } = props;
+
+  const handleFacetChange = (facet, value, checked) => {
+    filterProducts('filters', {
+      ...filters,
+      [facet]: toggleValue(filters[facet], value, checked)
+    });
+  };
+
+  const handleAttributeChange = (name, value, checked) => {
+    filterProducts('filters', {
+      ...filters,
+      attributes: {
+        ...filters.attributes,
+        [name]: toggleValue(filters.attributes[name] || [], value, checked)
+      }
+    });
+  };
 
   return (
     <div className='product-filter'>
+      {facets.categories.length > 0 && (
+        <FacetFilter
+          id='category-filter'
+          title='Category'
+          items={facets.categories.map(category => ({
+            value: category._id,
+            label: category.name,
+            count: category.count,
+            checked: filters.categories.includes(category._id)
+          }))}
+          onChange={(value, checked) =>
+            handleFacetChange('categories', value, checked)
+          }
+        />
+      )}
+      {facets.brands.length > 0 && (
+        <FacetFilter
+          id='brand-filter'
+          title='Brand'
+          items={facets.brands.map(brand => ({
+            value: brand._id,
+            label: brand.name,
+            count: brand.count,
+            checked: filters.brands.includes(brand._id)
+          }))}
+          onChange={(value, checked) =>
+            handleFacetChange('brands', value, checked)
+          }
+        />
+      )}
+      {facets.attributes.map(attribute => (
+        <FacetFilter
+          key={attribute.name}
+          id={`attribute-filter-${attribute.name}`}
+          title={attribute.name}
+          items={attribute.values.map(({ value, count }) => ({
+            value,
+            label: value,
+            count,
+            checked: (filters.attributes[attribute.name] || []).includes(value)
+          }))}
+          onChange={(value, checked) =>
+            handleAttributeChange(attribute.name, value, checked)
+          }
+        />
+      ))}
       <Card className='mb-4'>
         <CardHeader tag='h3'>Price</CardHeader>
         <CardBody>
           <div className='mx-2 mb-3'>
             <RangeSlider
               marks={priceMarks}
-              defaultValue={[1, 2500]}
+              defaultValue={price}
               max={5000}
               onChange={v => {
                 filterProducts('price', v);
@@ -108,7 +194,7 @@ const ProductFilter = props => {
               type='slider'
               marks={rateMarks}
               step={20}
-              defaultValue={[100]}
+              defaultValue={[100 - minRating * 20]}
               onChange={v => {
                 filterProducts('rating', rating(v));
               }}
@@ -120,4 +206,19 @@ const ProductFilter = props => {
   );
 };
 
+ProductFilter.defaultProps = {
+  price: [1, 2500],
+  rating: 0,
+  facets: {
+    brands: [],
+    categories: [],
+    attributes: []
+  },
+  filters: {
+    brands: [],
+    categories: [],
+    attributes: {}
+  }
+};
+
 export default ProductFilter;
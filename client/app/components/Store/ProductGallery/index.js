@@ -0,0 +1,107 @@
+/**
+ *
+ * ProductGallery
+ *
+ */
+
+import React, { useState, useRef } from 'react';
+
+import ResponsiveImage from '../../Common/ResponsiveImage';
+
+const placeholder = { url: '/images/placeholder-image.png', alt: '' };
+
+const ProductGallery = props => {
+  const { images, name } = props;
+  const [active, setActive] = useState(0);
+  const [zoom, setZoom] = useState(null);
+  const thumbnails = useRef(null);
+
+  const list = images.length > 0 ? images : [placeholder];
+  const image = list[Math.min(active, list.length - 1)];
+
+  // the zoomed image follows the pointer over the main image
+  const handleZoom = event => {
+    const { left, top, width, height } =
+      event.currentTarget.getBoundingClientRect();
+
+    setZoom({
+      x: ((event.clientX - left) / width) * 100,
+      y: ((event.clientY - top) / height) * 100
+    });
+  };
+
+  const scrollThumbnails = direction => {
+    thumbnails.current.scrollBy({
+      left: direction * thumbnails.current.clientWidth,
+      behavior: 'smooth'
+    });
+  };
+
+  return (
+    <div className='product-gallery'>
+      <div
+        className={`gallery-main${zoom ? ' zoomed' : ''}`}
+        onMouseMove={handleZoom}
+        onMouseLeave={() => setZoom(null)}
+      >
+        <ResponsiveImage
+          className='item-image'
+          src={image.url}
+          imageSizes={image.sizes}
+          sizes='(min-width: 992px) 50vw, 100vw'
+          alt={image.alt || name}
+          style={
+            zoom ? { transformOrigin: `${zoom.x}% ${zoom.y}%` } : undefined
+          }
+        />
+      </div>
+      {list.length > 1 && (
+        <div className='gallery-thumbnails'>
+          <button
+            type='button'
+            className='gallery-arrow'
+            aria-label='previous images'
+            onClick={() => scrollThumbnails(-1)}
+          >
+            <i className='fa fa-angle-left' />
+          </button>
+          <div className='gallery-track' ref={thumbnails}>
+            {list.map((item, index) => (
+              <button
+                type='button'
+                key={item._id || item.url}
+                className={`gallery-thumbnail${
+                  index === active ? ' active' : ''
+                }`}
+                aria-label={`show image ${index + 1}`}
+                onClick={() => setActive(index)}
+              >
+                <ResponsiveImage
+                  src={item.url}
+                  imageSizes={item.sizes}
+                  sizes='64px'
+                  alt={item.alt || name}
+                />
+              </button>
+            ))}
+          </div>
+          <button
+            type='button'
+            className='gallery-arrow'
+            aria-label='next images'
+            onClick={() => scrollThumbnails(1)}
+          >
+            <i className='fa fa-angle-right' />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+ProductGallery.defaultProps = {
+  images: [],
+  name: ''
+};
+
+export default ProductGallery;
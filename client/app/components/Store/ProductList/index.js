@@ -9,6 +9,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 
 import AddToWishList from '../AddToWishList';
+import ResponsiveImage from '../../Common/ResponsiveImage';
 
 const ProductList = props => {
   const { products, updateWishlist, authenticated } = props;
@@ -36,13 +37,16 @@ const ProductList = props => {
                 >
                   <div className='item-image-container'>
                     <div className='item-image-box'>
-                      <img
+                      <ResponsiveImage
                         className='item-image'
                         src={`${
                           product.imageUrl
                             ? product.imageUrl
                             : '/images/placeholder-image.png'
                         }`}
+                        imageSizes={product.imageSizes}
+                        sizes='(min-width: 1200px) 25vw, (min-width: 992px) 33vw, (min-width: 768px) 50vw, 100vw'
+                        alt={product.name}
                       />
                     </div>
                   </div>
@@ -58,7 +62,11 @@ const ProductList = props => {
                     </div>
                   </div>
                   <div className='d-flex flex-row justify-content-between align-items-center px-4 mb-2 item-footer'>
-                    <p className='price mb-0'>${product.price}</p>
+                    <p className='price mb-0'>
+                      {product.minPrice < product.maxPrice
+                        ? `$${product.minPrice} - $${product.maxPrice}`
+                        : `$${product.minPrice ?? product.price}`}
+                    </p>
                     {product.totalReviews > 0 && (
                       <p className='mb-0'>
                         <span className='fs-16 fw-normal mr-1'>
@@ -0,0 +1,57 @@
+/**
+ *
+ * ShippingMethods
+ *
+ */
+
+import React from 'react';
+
+import LoadingIndicator from '../../Common/LoadingIndicator';
+
+const formatDelivery = method => {
+  if (method.minDays && method.maxDays) {
+    return `${method.minDays}-${method.maxDays} days`;
+  }
+
+  return method.maxDays ? `up to ${method.maxDays} days` : '';
+};
+
+const ShippingMethods = props => {
+  const { shipping, error, selectShippingMethod } = props;
+
+  if (shipping.isLoading) {
+    return <LoadingIndicator inline />;
+  }
+
+  if (shipping.methods.length === 0) {
+    return <p className='mb-0'>We do not ship to this address yet.</p>;
+  }
+
+  return (
+    <div className='shipping-methods'>
+      <ul>
+        {shipping.methods.map(method => (
+          <li key={method._id}>
+            <label className='d-flex align-items-center mb-0'>
+              <input
+                type='radio'
+                name='shippingMethod'
+                value={method._id}
+                checked={shipping.methodId === method._id}
+                onChange={() => selectShippingMethod(method._id)}
+              />
+              <span className='ml-2'>{method.name}</span>
+              <span className='ml-2 fs-12'>{formatDelivery(method)}</span>
+              <span className='ml-auto'>
+                {method.cost > 0 ? `$${method.cost}` : 'Free'}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      {error && <p className='checkout-error'>{error[0]}</p>}
+    </div>
+  );
+};
+
+export default ShippingMethods;
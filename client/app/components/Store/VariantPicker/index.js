@@ -0,0 +1,55 @@
+/**
+ *
+ * VariantPicker
+ *
+ */
+
+import React from 'react';
+
+import Button from '../../Common/Button';
+
+const VariantPicker = props => {
+  const { product, selected, error, onSelect } = props;
+
+  // a value is available when a variant has it along with the other selections
+  const isAvailable = (name, value) =>
+    product.variants.some(variant =>
+      variant.options.every(option =>
+        option.name === name
+          ? option.value === value
+          : !selected[option.name] || selected[option.name] === option.value
+      )
+    );
+
+  return (
+    <div className='variant-picker'>
+      {product.options.map((option, index) => (
+        <div key={index} className='variant-option'>
+          <label>{option.name}</label>
+          <div className='d-flex flex-wrap'>
+            {option.values.map(value => (
+              <Button
+                key={value}
+                size='sm'
+                variant={
+                  selected[option.name] === value ? 'primary' : 'secondary'
+                }
+                className='mr-2 mb-2'
+                text={value}
+                disabled={!isAvailable(option.name, value)}
+                onClick={() => onSelect({ ...selected, [option.name]: value })}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+      <span className='invalid-message'>{error && error[0]}</span>
+    </div>
+  );
+};
+
+VariantPicker.defaultProps = {
+  selected: {}
+};
+
+export default VariantPicker;
@@ -14,6 +14,16 @@ export const ROLES = {
 export const CART_ITEMS = 'cart_items';
 export const CART_TOTAL = 'cart_total';
 export const CART_ID = 'cart_id';
+export const CART_TOKEN = 'cart_token';
+export const CHECKOUT = 'checkout';
+
+export const CHECKOUT_STEPS = [
+  { key: 'contact', name: 'Contact' },
+  { key: 'address', name: 'Address' },
+  { key: 'shipping', name: 'Shipping' },
+  { key: 'payment', name: 'Payment' },
+  { key: 'review', name: 'Review' }
+];
 
 export const CART_ITEM_STATUS = {
   Processing: 'Processing',
@@ -23,12 +33,87 @@ export const CART_ITEM_STATUS = {
   Not_processed: 'Not processed'
 };
 
+export const ORDER_STATUS = {
+  Pending_Payment: 'Pending Payment',
+  Paid: 'Paid',
+  Fulfilling: 'Fulfilling',
+  Shipped: 'Shipped',
+  Delivered: 'Delivered',
+  Closed: 'Closed',
+  Cancelled: 'Cancelled',
+  Refunded: 'Refunded'
+};
+
+export const RETURN_STATUS = {
+  Requested: 'Requested',
+  Approved: 'Approved',
+  Rejected: 'Rejected',
+  Received: 'Received',
+  Inspected: 'Inspected',
+  Refunded: 'Refunded',
+  Cancelled: 'Cancelled'
+};
+
+export const RETURN_REASON = {
+  Damaged: 'Damaged',
+  Wrong_Item: 'Wrong Item',
+  Not_As_Described: 'Not As Described',
+  Does_Not_Fit: 'Does Not Fit',
+  No_Longer_Needed: 'No Longer Needed',
+  Other: 'Other'
+};
+
+export const REFUND_SOURCE = {
+  Manual: 'Manual',
+  Cancellation: 'Cancellation',
+  Return: 'Return'
+};
+
+export const SHIPMENT_CARRIER = {
+  UPS: 'UPS',
+  FedEx: 'FedEx',
+  USPS: 'USPS',
+  DHL: 'DHL',
+  Other: 'Other'
+};
+
+export const TAX_CLASS = {
+  Standard: 'Standard',
+  Reduced: 'Reduced',
+  Exempt: 'Exempt'
+};
+
+export const PROMOTION_TYPE = {
+  Percentage: 'Percentage',
+  Fixed: 'Fixed',
+  Free_Shipping: 'Free Shipping',
+  Buy_X_Get_Y: 'Buy X Get Y'
+};
+
 export const MERCHANT_STATUS = {
   Rejected: 'Rejected',
   Approved: 'Approved',
   Waiting_Approval: 'Waiting Approval'
 };
 
+export const PRODUCT_SORT = {
+  Newest: 'newest',
+  Price_High_To_Low: 'price-desc',
+  Price_Low_To_High: 'price-asc',
+  Best_Selling: 'best-selling',
+  Top_Rated: 'top-rated',
+  Most_Reviewed: 'most-reviewed',
+  Name_A_To_Z: 'name-asc',
+  Biggest_Discount: 'biggest-discount',
+  Relevance: 'relevance'
+};
+
+export const PRODUCT_IMPORT_ACTION = {
+  Create: 'create',
+  Update: 'update',
+  Error: 'error'
+};
+
 export const REVIEW_STATUS = {
   Rejected: 'Rejected',
   Approved: 'Approved',
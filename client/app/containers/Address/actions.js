@@ -89,7 +89,7 @@ export const fetchAddress = addressId => {
   };
 };
 
-export const addAddress = () => {
+export const addAddress = (redirect = true) => {
   return async (dispatch, getState) => {
     try {
       const rules = {
@@ -134,8 +134,12 @@ export const addAddress = () => {
           type: ADD_ADDRESS,
           payload: response.data.address
         });
-        dispatch(goBack());
+        if (redirect) {
+          dispatch(goBack());
+        }
         dispatch({ type: RESET_ADDRESS });
+
+        return response.data.address;
       }
     } catch (error) {
       handleError(error, dispatch);
@@ -25,12 +25,15 @@ import Notification from '../Notification';
 import ForgotPassword from '../ForgotPassword';
 import ResetPassword from '../ResetPassword';
 import Shop from '../Shop';
+import Search from '../Search';
 import BrandsPage from '../BrandsPage';
 import ProductPage from '../ProductPage';
 import Sell from '../Sell';
 import Contact from '../Contact';
 import OrderSuccess from '../OrderSuccess';
 import OrderPage from '../OrderPage';
+import PackingSlip from '../PackingSlip';
+import Checkout from '../Checkout';
 import AuthSuccess from '../AuthSuccess';
 
 import Footer from '../../components/Common/Footer';
@@ -83,11 +86,17 @@ class Application extends React.PureComponent {
               <Switch>
                 <Route exact path='/' component={HomePage} />
                 <Route path='/shop' component={Shop} />
+                <Route path='/search' component={Search} />
                 <Route path='/sell' component={Sell} />
                 <Route path='/contact' component={Contact} />
                 <Route path='/brands' component={BrandsPage} />
                 <Route path='/product/:slug' component={ProductPage} />
+                <Route path='/checkout' component={Checkout} />
                 <Route path='/order/success/:id' component={OrderSuccess} />
+                <Route
+                  path='/order/:id/packing-slip/:shipmentId'
+                  component={Authentication(PackingSlip)}
+                />
                 <Route path='/order/:id' component={OrderPage} />
                 <Route path='/login' component={Login} />
                 <Route path='/register' component={Signup} />
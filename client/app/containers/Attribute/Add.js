@@ -0,0 +1,50 @@
+/*
+ *
+ * Add
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import AddAttributeSet from '../../components/Manager/AddAttributeSet';
+import SubPage from '../../components/Manager/SubPage';
+
+class Add extends React.PureComponent {
+  render() {
+    const {
+      history,
+      attributeSetFormData,
+      formErrors,
+      attributeSetChange,
+      addAttributeSet
+    } = this.props;
+
+    return (
+      <SubPage
+        title='Add Attribute Set'
+        actionTitle='Cancel'
+        handleAction={() => history.goBack()}
+      >
+        <AddAttributeSet
+          attributeSetFormData={attributeSetFormData}
+          formErrors={formErrors}
+          attributeSetChange={attributeSetChange}
+          addAttributeSet={addAttributeSet}
+        />
+      </SubPage>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    attributeSetFormData: state.attribute.attributeSetFormData,
+    formErrors: state.attribute.formErrors
+  };
+};
+
+export default connect(mapStateToProps, actions)(Add);
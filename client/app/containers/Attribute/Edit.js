@@ -0,0 +1,69 @@
+/*
+ *
+ * Edit
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import EditAttributeSet from '../../components/Manager/EditAttributeSet';
+import SubPage from '../../components/Manager/SubPage';
+import NotFound from '../../components/Common/NotFound';
+
+class Edit extends React.PureComponent {
+  componentDidMount() {
+    const attributeSetId = this.props.match.params.id;
+    this.props.fetchAttributeSet(attributeSetId);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.props.match.params.id !== prevProps.match.params.id) {
+      const attributeSetId = this.props.match.params.id;
+      this.props.fetchAttributeSet(attributeSetId);
+    }
+  }
+
+  render() {
+    const {
+      history,
+      attributeSet,
+      formErrors,
+      attributeSetEditChange,
+      updateAttributeSet,
+      deleteAttributeSet
+    } = this.props;
+
+    return (
+      <SubPage
+        title='Edit Attribute Set'
+        actionTitle='Cancel'
+        handleAction={history.goBack}
+      >
+        {attributeSet?._id ? (
+          <EditAttributeSet
+            attributeSet={attributeSet}
+            formErrors={formErrors}
+            attributeSetChange={attributeSetEditChange}
+            updateAttributeSet={updateAttributeSet}
+            deleteAttributeSet={deleteAttributeSet}
+          />
+        ) : (
+          <NotFound message='No attribute set found.' />
+        )}
+      </SubPage>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    attributeSet: state.attribute.attributeSet,
+    formErrors: state.attribute.editFormErrors
+  };
+};
+
+export default connect(mapStateToProps, actions)(Edit);
@@ -0,0 +1,53 @@
+/*
+ *
+ * List
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import AttributeSetList from '../../components/Manager/AttributeSetList';
+import SubPage from '../../components/Manager/SubPage';
+import LoadingIndicator from '../../components/Common/LoadingIndicator';
+import NotFound from '../../components/Common/NotFound';
+
+class List extends React.PureComponent {
+  componentDidMount() {
+    this.props.fetchAttributeSets();
+  }
+
+  render() {
+    const { history, attributeSets, isLoading } = this.props;
+
+    return (
+      <>
+        <SubPage
+          title='Attribute Sets'
+          actionTitle='Add'
+          handleAction={() => history.push('/dashboard/attribute/add')}
+        >
+          {isLoading ? (
+            <LoadingIndicator inline />
+          ) : attributeSets.length > 0 ? (
+            <AttributeSetList attributeSets={attributeSets} />
+          ) : (
+            <NotFound message='No attribute sets found.' />
+          )}
+        </SubPage>
+      </>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    attributeSets: state.attribute.attributeSets,
+    isLoading: state.attribute.isLoading
+  };
+};
+
+export default connect(mapStateToProps, actions)(List);
@@ -0,0 +1,217 @@
+/*
+ *
+ * Attribute actions
+ *
+ */
+
+import { goBack } from 'connected-react-router';
+import { success } from 'react-notification-system-redux';
+import axios from 'axios';
+
+import {
+  FETCH_ATTRIBUTE_SETS,
+  FETCH_ATTRIBUTE_SET,
+  ATTRIBUTE_SET_CHANGE,
+  ATTRIBUTE_SET_EDIT_CHANGE,
+  SET_ATTRIBUTE_SET_FORM_ERRORS,
+  SET_ATTRIBUTE_SET_FORM_EDIT_ERRORS,
+  RESET_ATTRIBUTE_SET,
+  ADD_ATTRIBUTE_SET,
+  REMOVE_ATTRIBUTE_SET,
+  SET_ATTRIBUTE_SETS_LOADING
+} from './constants';
+
+import handleError from '../../utils/error';
+import { allFieldsValidation } from '../../utils/validation';
+import { API_URL } from '../../constants';
+
+const rules = {
+  name: 'required'
+};
+
+const messages = {
+  'required.name': 'Name is required.'
+};
+
+export const attributeSetChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: ATTRIBUTE_SET_CHANGE,
+    payload: formData
+  };
+};
+
+export const attributeSetEditChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: ATTRIBUTE_SET_EDIT_CHANGE,
+    payload: formData
+  };
+};
+
+export const resetAttributeSet = () => {
+  return async (dispatch, getState) => {
+    dispatch({ type: RESET_ATTRIBUTE_SET });
+  };
+};
+
+// fetch attribute sets api
+export const fetchAttributeSets = () => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch({ type: SET_ATTRIBUTE_SETS_LOADING, payload: true });
+
+      const response = await axios.get(`${API_URL}/attribute`);
+
+      dispatch({
+        type: FETCH_ATTRIBUTE_SETS,
+        payload: response.data.attributeSets
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    } finally {
+      dispatch({ type: SET_ATTRIBUTE_SETS_LOADING, payload: false });
+    }
+  };
+};
+
+// fetch attribute set api
+export const fetchAttributeSet = id => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.get(`${API_URL}/attribute/${id}`);
+
+      dispatch({
+        type: FETCH_ATTRIBUTE_SET,
+        payload: response.data.attributeSet
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// add attribute set api
+export const addAttributeSet = () => {
+  return async (dispatch, getState) => {
+    try {
+      const attributeSet = getState().attribute.attributeSetFormData;
+
+      const { isValid, errors } = allFieldsValidation(
+        attributeSet,
+        rules,
+        messages
+      );
+
+      if (!isValid) {
+        return dispatch({
+          type: SET_ATTRIBUTE_SET_FORM_ERRORS,
+          payload: errors
+        });
+      }
+
+      const response = await axios.post(
+        `${API_URL}/attribute/add`,
+        attributeSet
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+        dispatch({
+          type: ADD_ATTRIBUTE_SET,
+          payload: response.data.attributeSet
+        });
+
+        dispatch(goBack());
+        dispatch({ type: RESET_ATTRIBUTE_SET });
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// update attribute set api
+export const updateAttributeSet = () => {
+  return async (dispatch, getState) => {
+    try {
+      const attributeSet = getState().attribute.attributeSet;
+
+      const newAttributeSet = {
+        name: attributeSet.name,
+        attributes: attributeSet.attributes,
+        isActive: attributeSet.isActive
+      };
+
+      const { isValid, errors } = allFieldsValidation(
+        newAttributeSet,
+        rules,
+        messages
+      );
+
+      if (!isValid) {
+        return dispatch({
+          type: SET_ATTRIBUTE_SET_FORM_EDIT_ERRORS,
+          payload: errors
+        });
+      }
+
+      const response = await axios.put(
+        `${API_URL}/attribute/${attributeSet._id}`,
+        {
+          attributeSet: newAttributeSet
+        }
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+
+        dispatch(goBack());
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// delete attribute set api
+export const deleteAttributeSet = id => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.delete(`${API_URL}/attribute/delete/${id}`);
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+        dispatch({
+          type: REMOVE_ATTRIBUTE_SET,
+          payload: id
+        });
+        dispatch(goBack());
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
@@ -0,0 +1,20 @@
+/*
+ *
+ * Attribute constants
+ *
+ */
+
+export const FETCH_ATTRIBUTE_SETS = 'src/Attribute/FETCH_ATTRIBUTE_SETS';
+export const FETCH_ATTRIBUTE_SET = 'src/Attribute/FETCH_ATTRIBUTE_SET';
+export const ATTRIBUTE_SET_CHANGE = 'src/Attribute/ATTRIBUTE_SET_CHANGE';
+export const ATTRIBUTE_SET_EDIT_CHANGE =
+  'src/Attribute/ATTRIBUTE_SET_EDIT_CHANGE';
+export const SET_ATTRIBUTE_SET_FORM_ERRORS =
+  'src/Attribute/SET_ATTRIBUTE_SET_FORM_ERRORS';
+export const SET_ATTRIBUTE_SET_FORM_EDIT_ERRORS =
+  'src/Attribute/SET_ATTRIBUTE_SET_FORM_EDIT_ERRORS';
+export const RESET_ATTRIBUTE_SET = 'src/Attribute/RESET_ATTRIBUTE_SET';
+export const ADD_ATTRIBUTE_SET = 'src/Attribute/ADD_ATTRIBUTE_SET';
+export const REMOVE_ATTRIBUTE_SET = 'src/Attribute/REMOVE_ATTRIBUTE_SET';
+export const SET_ATTRIBUTE_SETS_LOADING =
+  'src/Attribute/SET_ATTRIBUTE_SETS_LOADING';
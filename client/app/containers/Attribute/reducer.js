@@ -0,0 +1,110 @@
+/*
+ *
+ * Attribute reducer
+ *
+ */
+
+import {
+  FETCH_ATTRIBUTE_SETS,
+  FETCH_ATTRIBUTE_SET,
+  ATTRIBUTE_SET_CHANGE,
+  ATTRIBUTE_SET_EDIT_CHANGE,
+  SET_ATTRIBUTE_SET_FORM_ERRORS,
+  SET_ATTRIBUTE_SET_FORM_EDIT_ERRORS,
+  RESET_ATTRIBUTE_SET,
+  ADD_ATTRIBUTE_SET,
+  REMOVE_ATTRIBUTE_SET,
+  SET_ATTRIBUTE_SETS_LOADING
+} from './constants';
+
+const initialState = {
+  attributeSets: [],
+  attributeSet: {
+    _id: ''
+  },
+  attributeSetFormData: {
+    name: '',
+    attributes: [{ name: '', values: [] }],
+    isActive: true
+  },
+  formErrors: {},
+  editFormErrors: {},
+  isLoading: false
+};
+
+const attributeReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case FETCH_ATTRIBUTE_SETS:
+      return {
+        ...state,
+        attributeSets: action.payload
+      };
+    case FETCH_ATTRIBUTE_SET:
+      return {
+        ...state,
+        attributeSet: action.payload,
+        editFormErrors: {}
+      };
+    case ADD_ATTRIBUTE_SET:
+      return {
+        ...state,
+        attributeSets: [...state.attributeSets, action.payload]
+      };
+    case REMOVE_ATTRIBUTE_SET:
+      const index = state.attributeSets.findIndex(
+        a => a._id === action.payload
+      );
+      return {
+        ...state,
+        attributeSets: [
+          ...state.attributeSets.slice(0, index),
+          ...state.attributeSets.slice(index + 1)
+        ]
+      };
+    case ATTRIBUTE_SET_CHANGE:
+      return {
+        ...state,
+        attributeSetFormData: {
+          ...state.attributeSetFormData,
+          ...action.payload
+        }
+      };
+    case ATTRIBUTE_SET_EDIT_CHANGE:
+      return {
+        ...state,
+        attributeSet: {
+          ...state.attributeSet,
+          ...action.payload
+        }
+      };
+    case SET_ATTRIBUTE_SET_FORM_ERRORS:
+      return {
+        ...state,
+        formErrors: action.payload
+      };
+    case SET_ATTRIBUTE_SET_FORM_EDIT_ERRORS:
+      return {
+        ...state,
+        editFormErrors: action.payload
+      };
+    case SET_ATTRIBUTE_SETS_LOADING:
+      return {
+        ...state,
+        isLoading: action.payload
+      };
+    case RESET_ATTRIBUTE_SET:
+      return {
+        ...state,
+        attributeSetFormData: {
+          name: '',
+          attributes: [{ name: '', values: [] }],
+          isActive: true
+        },
+        formErrors: {}
+      };
+    default:
+      return state;
+  }
+};
+
+export default attributeReducer;
@@ -36,7 +36,8 @@ class Edit extends React.PureComponent {
       brandEditChange,
       updateBrand,
       deleteBrand,
-      activateBrand
+      activateBrand,
+      uploadBrandImage
     } = this.props;
 
     return (
@@ -54,6 +55,7 @@ class Edit extends React.PureComponent {
             updateBrand={updateBrand}
             deleteBrand={deleteBrand}
             activateBrand={activateBrand}
+            uploadBrandImage={uploadBrandImage}
           />
         ) : (
           <NotFound message='No brand found.' />
@@ -215,6 +215,35 @@ export const updateBrand = () => {
   };
 };
 
+// upload brand image api
+export const uploadBrandImage = (id, image) => {
+  return async (dispatch, getState) => {
+    try {
+      const formData = new FormData();
+      formData.set('image', image);
+
+      const response = await axios.put(
+        `${API_URL}/brand/${id}/image`,
+        formData,
+        { headers: { 'Content-Type': 'multipart/form-data' } }
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+        dispatch(brandEditChange('imageUrl', response.data.imageUrl));
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
 // activate brand api
 export const activateBrand = (id, value) => {
   return async (dispatch, getState) => {
@@ -5,7 +5,7 @@
  */
 
 import { push } from 'connected-react-router';
-import { success } from 'react-notification-system-redux';
+import { warning } from 'react-notification-system-redux';
 import axios from 'axios';
 
 import {
@@ -22,18 +22,56 @@ import {
   RESET_PRODUCT_SHOP
 } from '../Product/constants';
 
-import { API_URL, CART_ID, CART_ITEMS, CART_TOTAL } from '../../constants';
+import {
+  API_URL,
+  CART_ID,
+  CART_TOKEN,
+  CART_ITEMS,
+  CART_TOTAL
+} from '../../constants';
+import { setCartToken } from '../../utils/token';
 import handleError from '../../utils/error';
+import {
+  getGuestAddress,
+  getVariantName,
+  findSelectedVariant,
+  isSameCartItem
+} from '../../utils/store';
 import { allFieldsValidation } from '../../utils/validation';
 import { toggleCart } from '../Navigation/actions';
 
 // Handle Add To Cart
-export const handleAddToCart = product => {
+export const handleAddToCart = storeProduct => {
   return (dispatch, getState) => {
-    product.quantity = Number(getState().product.productShopData.quantity);
+    const { quantity, options } = getState().product.productShopData;
+    const hasVariants = storeProduct.variants?.length > 0;
+    const variant = findSelectedVariant(storeProduct, options);
+
+    if (hasVariants && !variant) {
+      return dispatch({
+        type: SET_PRODUCT_SHOP_FORM_ERRORS,
+        payload: { variant: ['Please select an option.'] }
+      });
+    }
+
+    // a variant is sold with its own sku, price, stock and image
+    const product = variant
+      ? {
+          ...storeProduct,
+          variant: variant._id,
+          variantName: getVariantName(variant),
+          sku: variant.sku,
+          price: variant.price ?? storeProduct.price,
+          imageUrl: variant.imageUrl || storeProduct.imageUrl
+        }
+      : storeProduct;
+
+    product.quantity = Number(quantity);
     product.totalPrice = product.quantity * product.price;
     product.totalPrice = parseFloat(product.totalPrice.toFixed(2));
-    const inventory = getState().product.storeProduct.inventory;
+    const inventory = variant
+      ? variant.quantity
+      : getState().product.storeProduct.inventory;
 
     const result = calculatePurchaseQuantity(inventory);
 
@@ -68,6 +106,7 @@ export const handleAddToCart = product => {
     }
     localStorage.setItem(CART_ITEMS, JSON.stringify(newCartItems));
 
+    dispatch(discardCartId());
     dispatch(calculateCartTotal());
     dispatch(toggleCart());
   };
@@ -77,13 +116,16 @@ export const handleAddToCart = product => {
 export const handleRemoveFromCart = product => {
   return (dispatch, getState) => {
     const cartItems = JSON.parse(localStorage.getItem(CART_ITEMS));
-    const newCartItems = cartItems.filter(item => item._id !== product._id);
+    const newCartItems = cartItems.filter(
+      item => !isSameCartItem(item, product)
+    );
     localStorage.setItem(CART_ITEMS, JSON.stringify(newCartItems));
 
     dispatch({
       type: REMOVE_FROM_CART,
       payload: product
     });
+    dispatch(discardCartId());
     dispatch(calculateCartTotal());
     // dispatch(toggleCart());
   };
@@ -129,15 +171,8 @@ export const handleCart = () => {
 
 export const handleCheckout = () => {
   return (dispatch, getState) => {
-    const successfulOptions = {
-      title: `Please Login to proceed to checkout`,
-      position: 'tr',
-      autoDismiss: 1
-    };
-
     dispatch(toggleCart());
-    dispatch(push('/login'));
-    dispatch(success(successfulOptions));
+    dispatch(push('/checkout'));
   };
 };
 
@@ -156,22 +191,96 @@ export const getCartId = () => {
       const cartId = localStorage.getItem(CART_ID);
       const cartItems = getState().cart.cartItems;
       const products = getCartItems(cartItems);
+      const { addressId } = getState().shipping;
+      const address = getGuestAddress(getState());
 
       // create cart id if there is no one
       if (!cartId) {
-        const response = await axios.post(`${API_URL}/cart/add`, { products });
+        const response = await axios.post(`${API_URL}/cart/add`, {
+          products,
+          addressId,
+          address
+        });
 
-        dispatch(setCartId(response.data.cartId));
+        dispatch(setCartId(response.data.cartId, response.data.cartToken));
       }
     } catch (error) {
-      handleError(error, dispatch);
+      if (error.response?.data?.changes) {
+        dispatch(handleCartChanges(error.response.data.changes));
+      } else {
+        handleError(error, dispatch);
+      }
     }
   };
 };
 
-export const setCartId = cartId => {
+// sync the cart with the changes reported by the server and let the user review them
+export const handleCartChanges = changes => {
+  return (dispatch, getState) => {
+    const { cartItems, cartTotal, cartId } = getState().cart;
+
+    const isChangedItem = (change, item) =>
+      isSameCartItem(item, { _id: change.product, variant: change.variant });
+
+    const newCartItems = cartItems
+      .filter(
+        item =>
+          !changes.some(
+            change =>
+              isChangedItem(change, item) &&
+              (change.field === 'availability' ||
+                (change.field === 'quantity' && change.current < 1))
+          )
+      )
+      .map(item => {
+        const newItem = { ...item };
+
+        changes
+          .filter(change => isChangedItem(change, item))
+          .map(change => {
+            newItem[change.field] = change.current;
+          });
+
+        newItem.totalPrice = parseFloat(
+          (newItem.price * newItem.quantity).toFixed(2)
+        );
+
+        return newItem;
+      });
+
+    localStorage.setItem(CART_ITEMS, JSON.stringify(newCartItems));
+
+    dispatch({
+      type: HANDLE_CART,
+      payload: { cartItems: newCartItems, cartTotal, cartId }
+    });
+    dispatch(calculateCartTotal());
+
+    const warningOptions = {
+      title: 'Your cart has been updated',
+      message:
+        formatCartChanges(
+          changes.map(change => ({
+            ...change,
+            variantName: cartItems.find(item => isChangedItem(change, item))
+              ?.variantName
+          }))
+        ) || 'Please review your cart before placing your order.',
+      position: 'tr',
+      autoDismiss: 10
+    };
+
+    dispatch(warning(warningOptions));
+  };
+};
+
+export const setCartId = (cartId, cartToken) => {
   return (dispatch, getState) => {
     localStorage.setItem(CART_ID, cartId);
+    if (cartToken) {
+      localStorage.setItem(CART_TOKEN, cartToken);
+      setCartToken(cartToken);
+    }
     dispatch({
       type: SET_CART_ID,
       payload: cartId
@@ -179,11 +288,37 @@ export const setCartId = cartId => {
   };
 };
 
+// the server cart no longer matches the items, drop it and release its stock
+export const discardCartId = () => {
+  return async (dispatch, getState) => {
+    const cartId = localStorage.getItem(CART_ID);
+    const cartToken = localStorage.getItem(CART_TOKEN);
+
+    if (!cartId) return;
+
+    localStorage.removeItem(CART_ID);
+    dispatch({
+      type: SET_CART_ID,
+      payload: ''
+    });
+
+    try {
+      await axios.delete(`${API_URL}/cart/delete/${cartId}`);
+    } catch (error) {
+      handleError(error, dispatch);
+    } finally {
+      // the delete still needs the token, unless a new cart has replaced it since
+      if (localStorage.getItem(CART_TOKEN) === cartToken) removeCartToken();
+    }
+  };
+};
+
 export const clearCart = () => {
   return (dispatch, getState) => {
     localStorage.removeItem(CART_ITEMS);
     localStorage.removeItem(CART_TOTAL);
     localStorage.removeItem(CART_ID);
+    removeCartToken();
 
     dispatch({
       type: CLEAR_CART
@@ -191,20 +326,53 @@ export const clearCart = () => {
   };
 };
 
+const removeCartToken = () => {
+  localStorage.removeItem(CART_TOKEN);
+  setCartToken();
+};
+
 const getCartItems = cartItems => {
   const newCartItems = [];
   cartItems.map(item => {
     const newItem = {};
     newItem.quantity = item.quantity;
     newItem.price = item.price;
-    newItem.taxable = item.taxable;
+    newItem.taxClass = item.taxClass;
     newItem.product = item._id;
+    newItem.variant = item.variant;
     newCartItems.push(newItem);
   });
 
   return newCartItems;
 };
 
+const formatCartChanges = changes => {
+  return changes
+    .map(change => {
+      const item = change.variantName
+        ? `${change.name} (${change.variantName})`
+        : change.name;
+      const name = item || 'An item';
+
+      if (change.field === 'availability') {
+        return `${name} is no longer available.`;
+      } else if (change.field === 'price') {
+        return `${name} price changed from $${change.previous} to $${change.current}.`;
+      } else if (change.field === 'quantity') {
+        return change.current > 0
+          ? `Only ${change.current} of ${name} left in stock.`
+          : `${name} is out of stock.`;
+      } else if (change.field === 'taxClass') {
+        return `${name} is now taxed as ${change.current}.`;
+      } else if (change.field === 'tax') {
+        return `${name} tax changed from $${change.previous} to $${change.current}.`;
+      }
+
+      return `${name} ${change.field} has changed.`;
+    })
+    .join(' ');
+};
+
 const calculatePurchaseQuantity = inventory => {
   if (inventory <= 25) {
     return 1;
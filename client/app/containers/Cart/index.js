@@ -24,9 +24,7 @@ class Cart extends React.PureComponent {
       toggleCart,
       handleShopping,
       handleCheckout,
-      handleRemoveFromCart,
-      placeOrder,
-      authenticated
+      handleRemoveFromCart
     } = this.props;
 
     return (
@@ -62,8 +60,6 @@ class Cart extends React.PureComponent {
             <Checkout
               handleShopping={handleShopping}
               handleCheckout={handleCheckout}
-              placeOrder={placeOrder}
-              authenticated={authenticated}
             />
           </div>
         )}
@@ -76,8 +72,7 @@ const mapStateToProps = state => {
   return {
     isCartOpen: state.navigation.isCartOpen,
     cartItems: state.cart.cartItems,
-    cartTotal: state.cart.cartTotal,
-    authenticated: state.authentication.authenticated
+    cartTotal: state.cart.cartTotal
   };
 };
 
@@ -4,6 +4,7 @@
  *
  */
 
+import { isSameCartItem } from '../../utils/store';
 import {
   HANDLE_CART,
   ADD_TO_CART,
@@ -31,8 +32,8 @@ const cartReducer = (state = initialState, action) => {
 
       return newState;
     case REMOVE_FROM_CART:
-      let itemIndex = state.cartItems.findIndex(
-        x => x._id == action.payload._id
+      let itemIndex = state.cartItems.findIndex(x =>
+        isSameCartItem(x, action.payload)
       );
 
       newState = {
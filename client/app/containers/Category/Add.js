@@ -10,18 +10,23 @@ import { connect } from 'react-redux';
 
 import actions from '../../actions';
 
+import { formatSelectOptions } from '../../utils/select';
 import AddCategory from '../../components/Manager/AddCategory';
 import SubPage from '../../components/Manager/SubPage';
 
 class Add extends React.PureComponent {
   componentDidMount() {
     this.props.fetchProductsSelect();
+    this.props.fetchCategories();
+    this.props.fetchAttributeSets();
   }
 
   render() {
     const {
       history,
       products,
+      categories,
+      attributeSets,
       categoryFormData,
       formErrors,
       categoryChange,
@@ -36,6 +41,8 @@ class Add extends React.PureComponent {
       >
         <AddCategory
           products={products}
+          categories={categories}
+          attributeSets={attributeSets}
           categoryFormData={categoryFormData}
           formErrors={formErrors}
           categoryChange={categoryChange}
@@ -49,6 +56,8 @@ class Add extends React.PureComponent {
 const mapStateToProps = state => {
   return {
     products: state.product.productsSelect,
+    categories: formatSelectOptions(state.category.categories, true),
+    attributeSets: formatSelectOptions(state.attribute.attributeSets, true),
     categoryFormData: state.category.categoryFormData,
     formErrors: state.category.formErrors
   };
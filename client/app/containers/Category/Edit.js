@@ -10,6 +10,7 @@ import { connect } from 'react-redux';
 
 import actions from '../../actions';
 
+import { formatSelectOptions } from '../../utils/select';
 import EditCategory from '../../components/Manager/EditCategory';
 import SubPage from '../../components/Manager/SubPage';
 import NotFound from '../../components/Common/NotFound';
@@ -20,6 +21,8 @@ class Edit extends React.PureComponent {
     const categoryId = this.props.match.params.id;
     this.props.fetchCategory(categoryId);
     this.props.fetchProductsSelect();
+    this.props.fetchCategories();
+    this.props.fetchAttributeSets();
   }
 
   componentDidUpdate(prevProps) {
@@ -34,12 +37,15 @@ class Edit extends React.PureComponent {
     const {
       history,
       products,
+      categories,
+      attributeSets,
       category,
       formErrors,
       categoryEditChange,
       updateCategory,
       deleteCategory,
-      activateCategory
+      activateCategory,
+      uploadCategoryImage
     } = this.props;
 
     return (
@@ -51,12 +57,15 @@ class Edit extends React.PureComponent {
         {category?._id ? (
           <EditCategory
             products={products}
+            categories={categories}
+            attributeSets={attributeSets}
             category={category}
             formErrors={formErrors}
             categoryChange={categoryEditChange}
             updateCategory={updateCategory}
             deleteCategory={deleteCategory}
             activateCategory={activateCategory}
+            uploadCategoryImage={uploadCategoryImage}
           />
         ) : (
           <NotFound message='No category found.' />
@@ -67,8 +76,17 @@ class Edit extends React.PureComponent {
 }
 
 const mapStateToProps = state => {
+  const { category, categories } = state.category;
+
+  // a category can not be moved under itself or one of its subcategories
+  const parents = categories.filter(
+    c => c._id !== category._id && !c.path?.includes(`,${category._id},`)
+  );
+
   return {
     products: state.product.productsSelect,
+    categories: formatSelectOptions(parents, true),
+    attributeSets: formatSelectOptions(state.attribute.attributeSets, true),
     category: state.category.category,
     formErrors: state.category.editFormErrors
   };
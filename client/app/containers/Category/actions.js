@@ -12,6 +12,7 @@ import {
   FETCH_CATEGORIES,
   FETCH_STORE_CATEGORIES,
   FETCH_CATEGORY,
+  FETCH_STORE_CATEGORY,
   CATEGORY_CHANGE,
   CATEGORY_EDIT_CHANGE,
   SET_CATEGORY_FORM_ERRORS,
@@ -60,11 +61,11 @@ export const resetCategory = () => {
   };
 };
 
-// fetch store categories api
+// fetch store categories api, nested under their parent category
 export const fetchStoreCategories = () => {
   return async (dispatch, getState) => {
     try {
-      const response = await axios.get(`${API_URL}/category/list`);
+      const response = await axios.get(`${API_URL}/category/tree`);
 
       dispatch({
         type: FETCH_STORE_CATEGORIES,
@@ -76,6 +77,31 @@ export const fetchStoreCategories = () => {
   };
 };
 
+// fetch store category api
+export const fetchStoreCategory = slug => {
+  return async (dispatch, getState) => {
+    dispatch({
+      type: FETCH_STORE_CATEGORY,
+      payload: { category: {}, breadcrumbs: [], children: [] }
+    });
+
+    try {
+      const response = await axios.get(`${API_URL}/category/item/${slug}`);
+
+      dispatch({
+        type: FETCH_STORE_CATEGORY,
+        payload: {
+          category: response.data.category,
+          breadcrumbs: response.data.breadcrumbs,
+          children: response.data.children
+        }
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
 // fetch categories api
 export const fetchCategories = () => {
   return async (dispatch, getState) => {
@@ -105,6 +131,16 @@ export const fetchCategory = id => {
         response.data.category.products
       );
 
+      const parent = response.data.category.parent;
+      response.data.category.parent = parent
+        ? formatSelectOptions([parent])[0]
+        : null;
+
+      const attributeSet = response.data.category.attributeSet;
+      response.data.category.attributeSet = attributeSet
+        ? formatSelectOptions([attributeSet])[0]
+        : null;
+
       dispatch({
         type: FETCH_CATEGORY,
         payload: response.data.category
@@ -121,8 +157,7 @@ export const addCategory = () => {
     try {
       const rules = {
         name: 'required',
-        description: 'required|max:200',
-        products: 'required'
+        description: 'required|max:200'
       };
 
       const category = getState().category.categoryFormData;
@@ -130,15 +165,15 @@ export const addCategory = () => {
       const newCategory = {
         name: category.name,
         description: category.description,
-        products: unformatSelectOptions(category.products)
+        products: unformatSelectOptions(category.products) || [],
+        parent: category.parent?.value || null,
+        attributeSet: category.attributeSet?.value || null
       };
 
       const { isValid, errors } = allFieldsValidation(newCategory, rules, {
         'required.name': 'Name is required.',
         'required.description': 'Description is required.',
-        'max.description':
-          'Description may not be greater than 200 characters.',
-        'required.products': 'Products are required.'
+        'max.description': 'Description may not be greater than 200 characters.'
       });
 
       if (!isValid) {
@@ -175,8 +210,7 @@ export const updateCategory = () => {
       const rules = {
         name: 'required',
         slug: 'required|alpha_dash',
-        description: 'required|max:200',
-        products: 'required'
+        description: 'required|max:200'
       };
 
       const category = getState().category.category;
@@ -185,7 +219,9 @@ export const updateCategory = () => {
         name: category.name,
         slug: category.slug,
         description: category.description,
-        products: category.products && unformatSelectOptions(category.products)
+        products: unformatSelectOptions(category.products) || [],
+        parent: category.parent?.value || null,
+        attributeSet: category.attributeSet?.value || null
       };
 
       const { isValid, errors } = allFieldsValidation(newCategory, rules, {
@@ -194,9 +230,7 @@ export const updateCategory = () => {
         'alpha_dash.slug':
           'Slug may have alpha-numeric characters, as well as dashes and underscores only.',
         'required.description': 'Description is required.',
-        'max.description':
-          'Description may not be greater than 200 characters.',
-        'required.products': 'Products are required.'
+        'max.description': 'Description may not be greater than 200 characters.'
       });
 
       if (!isValid) {
@@ -227,6 +261,35 @@ export const updateCategory = () => {
   };
 };
 
+// upload category image api
+export const uploadCategoryImage = (id, image) => {
+  return async (dispatch, getState) => {
+    try {
+      const formData = new FormData();
+      formData.set('image', image);
+
+      const response = await axios.put(
+        `${API_URL}/category/${id}/image`,
+        formData,
+        { headers: { 'Content-Type': 'multipart/form-data' } }
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+        dispatch(categoryEditChange('imageUrl', response.data.imageUrl));
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
 // activate category api
 export const activateCategory = (id, value) => {
   return async (dispatch, getState) => {
@@ -8,6 +8,7 @@ import {
   FETCH_CATEGORIES,
   FETCH_STORE_CATEGORIES,
   FETCH_CATEGORY,
+  FETCH_STORE_CATEGORY,
   CATEGORY_CHANGE,
   CATEGORY_EDIT_CHANGE,
   SET_CATEGORY_FORM_ERRORS,
@@ -21,6 +22,11 @@ import {
 const initialState = {
   categories: [],
   storeCategories: [],
+  storeCategory: {
+    category: {},
+    breadcrumbs: [],
+    children: []
+  },
   category: {
     _id: ''
   },
@@ -28,6 +34,8 @@ const initialState = {
     name: '',
     description: '',
     products: [],
+    parent: null,
+    attributeSet: null,
     isActive: true
   },
   formErrors: {},
@@ -47,6 +55,11 @@ const categoryReducer = (state = initialState, action) => {
         ...state,
         storeCategories: action.payload
       };
+    case FETCH_STORE_CATEGORY:
+      return {
+        ...state,
+        storeCategory: action.payload
+      };
     case FETCH_CATEGORY:
       return {
         ...state,
@@ -101,6 +114,8 @@ const categoryReducer = (state = initialState, action) => {
           name: '',
           description: '',
           products: [],
+          parent: null,
+          attributeSet: null,
           isActive: true
         },
         category: {
@@ -6,31 +6,57 @@
 
 import React from 'react';
 import { connect } from 'react-redux';
+import { Link } from 'react-router-dom';
 
 import actions from '../../actions';
 
 import ProductList from '../../components/Store/ProductList';
+import Breadcrumbs from '../../components/Store/Breadcrumbs';
 import NotFound from '../../components/Common/NotFound';
 import LoadingIndicator from '../../components/Common/LoadingIndicator';
 
 class CategoryShop extends React.PureComponent {
   componentDidMount() {
     const slug = this.props.match.params.slug;
+    this.props.fetchStoreCategory(slug);
     this.props.filterProducts('category', slug);
   }
 
   componentDidUpdate(prevProps) {
     if (this.props.match.params.slug !== prevProps.match.params.slug) {
       const slug = this.props.match.params.slug;
+      this.props.fetchStoreCategory(slug);
       this.props.filterProducts('category', slug);
     }
   }
 
   render() {
-    const { products, isLoading, authenticated, updateWishlist } = this.props;
+    const {
+      storeCategory,
+      products,
+      isLoading,
+      authenticated,
+      updateWishlist
+    } = this.props;
+    const { category, breadcrumbs, children } = storeCategory;
 
     return (
       <div className='category-shop'>
+        {category.name && (
+          <Breadcrumbs
+            categories={breadcrumbs.slice(0, -1)}
+            current={category.name}
+          />
+        )}
+        {children.length > 0 && (
+          <div className='sub-categories'>
+            {children.map(child => (
+              <Link key={child._id} to={`/shop/category/${child.slug}`}>
+                {child.name}
+              </Link>
+            ))}
+          </div>
+        )}
         {isLoading && <LoadingIndicator />}
         {products && products.length > 0 && (
           <ProductList
@@ -49,6 +75,7 @@ class CategoryShop extends React.PureComponent {
 
 const mapStateToProps = state => {
   return {
+    storeCategory: state.category.storeCategory,
     products: state.product.storeProducts,
     isLoading: state.product.isLoading,
     authenticated: state.authentication.authenticated
@@ -0,0 +1,386 @@
+/*
+ *
+ * Checkout actions
+ *
+ */
+
+import axios from 'axios';
+
+import {
+  SET_CHECKOUT_STEP,
+  CHECKOUT_CONTACT_CHANGE,
+  CHECKOUT_ADDRESS_CHANGE,
+  CHECKOUT_PAYMENT_CHANGE,
+  CHECKOUT_COUPON_CHANGE,
+  SET_CHECKOUT_CODES,
+  SET_CHECKOUT_DISCOUNTS,
+  SET_CHECKOUT_FORM_ERRORS,
+  SET_CHECKOUT_SUBMITTING,
+  RESTORE_CHECKOUT,
+  RESET_CHECKOUT
+} from './constants';
+
+import { fetchAddresses, addAddress } from '../Address/actions';
+import {
+  selectShippingAddress,
+  selectShippingMethod,
+  fetchShippingMethods
+} from '../Shipping/actions';
+import { getCartId } from '../Cart/actions';
+import { addOrder } from '../Order/actions';
+import handleError from '../../utils/error';
+import { allFieldsValidation } from '../../utils/validation';
+import { getGuestAddress } from '../../utils/store';
+import { API_URL, CART_ID, CHECKOUT, CHECKOUT_STEPS } from '../../constants';
+
+const formatCardNumber = cardNumber => cardNumber.replace(/[\s-]/g, '');
+
+// validate the data collected by a step of the checkout
+const validateStep = (step, state) => {
+  const { contact, address, payment } = state.checkout;
+  const { addressId, methodId } = state.shipping;
+  const { authenticated } = state.authentication;
+
+  switch (step) {
+    case 'contact':
+      return allFieldsValidation(
+        contact,
+        { email: 'required|email' },
+        {
+          'required.email': 'Email is required.',
+          'email.email': 'Email format is invalid.'
+        }
+      );
+    case 'address':
+      if (!authenticated) {
+        return allFieldsValidation(
+          address,
+          {
+            address: 'required',
+            city: 'required',
+            state: 'required',
+            country: 'required',
+            zipCode: 'required'
+          },
+          {
+            'required.address': 'Address is required.',
+            'required.city': 'City is required.',
+            'required.state': 'State is required.',
+            'required.country': 'Country is required.',
+            'required.zipCode': 'Zipcode is required.'
+          }
+        );
+      }
+
+      return addressId
+        ? { isValid: true }
+        : {
+            isValid: false,
+            errors: { address: ['Please select a shipping address.'] }
+          };
+    case 'shipping':
+      return methodId
+        ? { isValid: true }
+        : {
+            isValid: false,
+            errors: { shippingMethod: ['Please select a shipping method.'] }
+          };
+    case 'payment':
+      return allFieldsValidation(
+        { ...payment, cardNumber: formatCardNumber(payment.cardNumber) },
+        { cardName: 'required', cardNumber: 'required|digits_between:12,19' },
+        {
+          'required.cardName': 'Name on card is required.',
+          'required.cardNumber': 'Card number is required.',
+          'digits_between.cardNumber': 'Card number is invalid.'
+        }
+      );
+    default:
+      return { isValid: true };
+  }
+};
+
+// the first step before the given one that has not been completed
+const findIncompleteStep = (step, state) => {
+  const index = CHECKOUT_STEPS.findIndex(s => s.key === step);
+
+  return CHECKOUT_STEPS.slice(0, index).find(
+    s => !validateStep(s.key, state).isValid
+  );
+};
+
+export const checkoutContactChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: CHECKOUT_CONTACT_CHANGE,
+    payload: formData
+  };
+};
+
+// shipping address entered by guests, who have no saved addresses
+export const checkoutAddressChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: CHECKOUT_ADDRESS_CHANGE,
+    payload: formData
+  };
+};
+
+export const checkoutPaymentChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: CHECKOUT_PAYMENT_CHANGE,
+    payload: formData
+  };
+};
+
+// card details are never saved, the payment step has to be filled again
+export const saveCheckout = () => {
+  return (dispatch, getState) => {
+    const { step, contact, address, codes } = getState().checkout;
+    const { addressId, methodId } = getState().shipping;
+
+    localStorage.setItem(
+      CHECKOUT,
+      JSON.stringify({ step, contact, address, codes, addressId, methodId })
+    );
+  };
+};
+
+export const setCheckoutStep = step => {
+  return (dispatch, getState) => {
+    const incompleteStep = findIncompleteStep(step, getState());
+
+    dispatch({
+      type: SET_CHECKOUT_STEP,
+      payload: incompleteStep ? incompleteStep.key : step
+    });
+    dispatch(saveCheckout());
+  };
+};
+
+export const nextCheckoutStep = () => {
+  return async (dispatch, getState) => {
+    const { step } = getState().checkout;
+    const { isValid, errors } = validateStep(step, getState());
+
+    if (!isValid) {
+      return dispatch({ type: SET_CHECKOUT_FORM_ERRORS, payload: errors });
+    }
+
+    const index = CHECKOUT_STEPS.findIndex(s => s.key === step);
+    const next = CHECKOUT_STEPS[Math.min(index + 1, CHECKOUT_STEPS.length - 1)];
+
+    // guests quote shipping once their address is complete
+    if (step === 'address' && !getState().authentication.authenticated) {
+      await dispatch(fetchShippingMethods());
+    }
+
+    dispatch(setCheckoutStep(next.key));
+  };
+};
+
+export const previousCheckoutStep = () => {
+  return (dispatch, getState) => {
+    const { step } = getState().checkout;
+
+    const index = CHECKOUT_STEPS.findIndex(s => s.key === step);
+    const previous = CHECKOUT_STEPS[Math.max(index - 1, 0)];
+
+    dispatch(setCheckoutStep(previous.key));
+  };
+};
+
+// resume the checkout saved before the page was reloaded
+export const restoreCheckout = () => {
+  return async (dispatch, getState) => {
+    const saved = JSON.parse(localStorage.getItem(CHECKOUT)) || {};
+    const user = getState().account.user;
+    const { authenticated } = getState().authentication;
+
+    dispatch({
+      type: RESTORE_CHECKOUT,
+      payload: {
+        step: 'contact',
+        contact: { email: user.email || '', ...saved.contact },
+        address: saved.address,
+        codes: saved.codes
+      }
+    });
+
+    if (authenticated) {
+      await dispatch(fetchAddresses());
+
+      const addresses = getState().address.addresses;
+      const address =
+        addresses.find(a => a._id === saved.addressId) ||
+        addresses.find(a => a.isDefault) ||
+        addresses[0];
+
+      if (address) {
+        await dispatch(selectShippingAddress(address._id));
+      }
+    } else if (validateStep('address', getState()).isValid) {
+      await dispatch(fetchShippingMethods());
+    }
+
+    const { methods } = getState().shipping;
+    if (methods.some(m => m._id === saved.methodId)) {
+      dispatch(selectShippingMethod(saved.methodId));
+    }
+
+    dispatch(setCheckoutStep(saved.step || 'contact'));
+    dispatch(fetchDiscounts());
+  };
+};
+
+export const checkoutCouponChange = value => {
+  return {
+    type: CHECKOUT_COUPON_CHANGE,
+    payload: value
+  };
+};
+
+// discounts the server grants the cart for the automatic promotions and the codes
+const quoteDiscounts = codes => {
+  return async (dispatch, getState) => {
+    await dispatch(getCartId());
+    const cartId = localStorage.getItem(CART_ID);
+
+    if (!cartId) return null;
+
+    const { addressId, methodId } = getState().shipping;
+
+    const response = await axios.post(`${API_URL}/promotion/quote`, {
+      cartId,
+      addressId,
+      address: getGuestAddress(getState()),
+      shippingMethod: methodId,
+      codes,
+      email: getState().checkout.contact.email
+    });
+
+    return response.data;
+  };
+};
+
+export const fetchDiscounts = () => {
+  return async (dispatch, getState) => {
+    const { codes } = getState().checkout;
+
+    if (getState().cart.cartItems.length === 0) return;
+
+    try {
+      const data = await dispatch(quoteDiscounts(codes));
+
+      if (data) {
+        dispatch({ type: SET_CHECKOUT_DISCOUNTS, payload: data.discounts });
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+
+      // drop the codes that no longer apply, automatic promotions still do
+      if (codes.length > 0) {
+        dispatch({ type: SET_CHECKOUT_CODES, payload: [] });
+        dispatch(saveCheckout());
+        dispatch(fetchDiscounts());
+      }
+    }
+  };
+};
+
+export const applyCoupon = () => {
+  return async (dispatch, getState) => {
+    const { couponCode, codes } = getState().checkout;
+    const code = couponCode.trim().toUpperCase();
+
+    if (!code) return;
+
+    if (codes.includes(code)) {
+      return dispatch({
+        type: SET_CHECKOUT_FORM_ERRORS,
+        payload: { couponCode: ['This coupon code is already applied.'] }
+      });
+    }
+
+    try {
+      const data = await dispatch(quoteDiscounts([...codes, code]));
+
+      if (!data) return;
+
+      dispatch({ type: SET_CHECKOUT_CODES, payload: [...codes, code] });
+      dispatch({ type: SET_CHECKOUT_DISCOUNTS, payload: data.discounts });
+      dispatch(checkoutCouponChange(''));
+      dispatch({ type: SET_CHECKOUT_FORM_ERRORS, payload: {} });
+      dispatch(saveCheckout());
+    } catch (error) {
+      dispatch({
+        type: SET_CHECKOUT_FORM_ERRORS,
+        payload: {
+          couponCode: [
+            error.response?.data?.error || 'This coupon code can not be used.'
+          ]
+        }
+      });
+    }
+  };
+};
+
+export const removeCoupon = code => {
+  return async (dispatch, getState) => {
+    const codes = getState().checkout.codes.filter(c => c !== code);
+
+    dispatch({ type: SET_CHECKOUT_CODES, payload: codes });
+    dispatch(saveCheckout());
+    await dispatch(fetchDiscounts());
+  };
+};
+
+export const addCheckoutAddress = () => {
+  return async (dispatch, getState) => {
+    const address = await dispatch(addAddress(false));
+
+    if (address) {
+      await dispatch(selectShippingAddress(address._id));
+      dispatch(saveCheckout());
+    }
+
+    return address;
+  };
+};
+
+export const resetCheckout = () => {
+  return (dispatch, getState) => {
+    localStorage.removeItem(CHECKOUT);
+    dispatch({ type: RESET_CHECKOUT });
+  };
+};
+
+export const submitCheckout = () => {
+  return async (dispatch, getState) => {
+    const incompleteStep = findIncompleteStep('review', getState());
+
+    if (incompleteStep) {
+      return dispatch(setCheckoutStep(incompleteStep.key));
+    }
+
+    try {
+      dispatch({ type: SET_CHECKOUT_SUBMITTING, payload: true });
+
+      await dispatch(getCartId());
+      const order = await dispatch(addOrder());
+
+      if (order) {
+        dispatch(resetCheckout());
+      }
+    } finally {
+      dispatch({ type: SET_CHECKOUT_SUBMITTING, payload: false });
+    }
+  };
+};
@@ -0,0 +1,17 @@
+/*
+ *
+ * Checkout constants
+ *
+ */
+
+export const SET_CHECKOUT_STEP = 'src/Checkout/SET_CHECKOUT_STEP';
+export const CHECKOUT_CONTACT_CHANGE = 'src/Checkout/CHECKOUT_CONTACT_CHANGE';
+export const CHECKOUT_ADDRESS_CHANGE = 'src/Checkout/CHECKOUT_ADDRESS_CHANGE';
+export const CHECKOUT_PAYMENT_CHANGE = 'src/Checkout/CHECKOUT_PAYMENT_CHANGE';
+export const CHECKOUT_COUPON_CHANGE = 'src/Checkout/CHECKOUT_COUPON_CHANGE';
+export const SET_CHECKOUT_CODES = 'src/Checkout/SET_CHECKOUT_CODES';
+export const SET_CHECKOUT_DISCOUNTS = 'src/Checkout/SET_CHECKOUT_DISCOUNTS';
+export const SET_CHECKOUT_FORM_ERRORS = 'src/Checkout/SET_CHECKOUT_FORM_ERRORS';
+export const SET_CHECKOUT_SUBMITTING = 'src/Checkout/SET_CHECKOUT_SUBMITTING';
+export const RESTORE_CHECKOUT = 'src/Checkout/RESTORE_CHECKOUT';
+export const RESET_CHECKOUT = 'src/Checkout/RESET_CHECKOUT';
@@ -0,0 +1,239 @@
+/*
+ *
+ * Checkout
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { Row, Col } from 'reactstrap';
+
+import actions from '../../actions';
+
+import CheckoutSteps from '../../components/Store/CheckoutSteps';
+import CheckoutContact from '../../components/Store/CheckoutContact';
+import CheckoutAddress from '../../components/Store/CheckoutAddress';
+import ShippingMethods from '../../components/Store/ShippingMethods';
+import CheckoutPayment from '../../components/Store/CheckoutPayment';
+import CheckoutReview from '../../components/Store/CheckoutReview';
+import CartSummary from '../../components/Store/CartSummary';
+import CheckoutCoupon from '../../components/Store/CheckoutCoupon';
+import NotFound from '../../components/Common/NotFound';
+import Button from '../../components/Common/Button';
+
+class Checkout extends React.PureComponent {
+  componentDidMount() {
+    this.props.restoreCheckout();
+  }
+
+  componentDidUpdate(prevProps) {
+    const { cartTotal, user, checkout } = this.props;
+
+    // the quote depends on the cart, request it again when the cart changes
+    if (cartTotal !== prevProps.cartTotal) {
+      this.refreshQuotes();
+    }
+
+    if (user.email && !prevProps.user.email && !checkout.contact.email) {
+      this.props.checkoutContactChange('email', user.email);
+    }
+  }
+
+  // shipping and discounts are priced for the cart, so both follow its changes
+  refreshQuotes = async () => {
+    await this.props.fetchShippingMethods();
+    this.props.fetchDiscounts();
+  };
+
+  handleShippingMethodSelect = methodId => {
+    this.props.selectShippingMethod(methodId);
+    this.props.saveCheckout();
+    this.props.fetchDiscounts();
+  };
+
+  renderStep() {
+    const {
+      checkout,
+      shipping,
+      addresses,
+      addressFormData,
+      addressFormErrors,
+      cartItems,
+      authenticated,
+      addressChange,
+      checkoutContactChange,
+      checkoutAddressChange,
+      checkoutPaymentChange,
+      selectShippingAddress,
+      addCheckoutAddress,
+      setCheckoutStep
+    } = this.props;
+
+    const { step, contact, address, payment, formErrors } = checkout;
+
+    switch (step) {
+      case 'contact':
+        return (
+          <CheckoutContact
+            contact={contact}
+            formErrors={formErrors}
+            checkoutContactChange={checkoutContactChange}
+          />
+        );
+      case 'address':
+        return (
+          <CheckoutAddress
+            isGuest={!authenticated}
+            guestAddress={address}
+            checkoutAddressChange={checkoutAddressChange}
+            addresses={addresses}
+            addressId={shipping.addressId}
+            formErrors={formErrors}
+            addressFormData={addressFormData}
+            addressFormErrors={addressFormErrors}
+            addressChange={addressChange}
+            selectShippingAddress={selectShippingAddress}
+            addCheckoutAddress={addCheckoutAddress}
+          />
+        );
+      case 'shipping':
+        return (
+          <div className='checkout-shipping'>
+            <h3>Shipping Method</h3>
+            <ShippingMethods
+              shipping={shipping}
+              error={formErrors['shippingMethod']}
+              selectShippingMethod={this.handleShippingMethodSelect}
+            />
+          </div>
+        );
+      case 'payment':
+        return (
+          <CheckoutPayment
+            payment={payment}
+            formErrors={formErrors}
+            checkoutPaymentChange={checkoutPaymentChange}
+          />
+        );
+      case 'review':
+        return (
+          <CheckoutReview
+            cartItems={cartItems}
+            contact={contact}
+            address={
+              authenticated
+                ? addresses.find(a => a._id === shipping.addressId)
+                : address
+            }
+            shippingMethod={shipping.methods.find(
+              m => m._id === shipping.methodId
+            )}
+            payment={payment}
+            setCheckoutStep={setCheckoutStep}
+          />
+        );
+      default:
+        return null;
+    }
+  }
+
+  render() {
+    const {
+      checkout,
+      shipping,
+      cartItems,
+      cartTotal,
+      setCheckoutStep,
+      nextCheckoutStep,
+      previousCheckoutStep,
+      submitCheckout,
+      checkoutCouponChange,
+      applyCoupon,
+      removeCoupon
+    } = this.props;
+
+    if (cartItems.length === 0) {
+      return (
+        <NotFound>
+          Your shopping cart is empty. <Link to='/shop'>Continue shopping</Link>
+        </NotFound>
+      );
+    }
+
+    const { step, isSubmitting, couponCode, codes, discounts, formErrors } =
+      checkout;
+
+    return (
+      <div className='checkout-page'>
+        <h2>Checkout</h2>
+        <hr />
+        <CheckoutSteps step={step} setCheckoutStep={setCheckoutStep} />
+        <Row>
+          <Col xs='12' lg='8' className='mb-3'>
+            <div className='checkout-step'>{this.renderStep()}</div>
+            <div className='checkout-step-actions'>
+              {step !== 'contact' && (
+                <Button
+                  variant='secondary'
+                  text='Back'
+                  onClick={previousCheckoutStep}
+                />
+              )}
+              {step === 'review' ? (
+                <Button
+                  variant='primary'
+                  text='Place Order'
+                  disabled={isSubmitting}
+                  onClick={submitCheckout}
+                />
+              ) : (
+                <Button
+                  variant='primary'
+                  text='Continue'
+                  onClick={nextCheckoutStep}
+                />
+              )}
+            </div>
+          </Col>
+          <Col xs='12' lg='4'>
+            <div className='checkout-summary'>
+              <CartSummary
+                cartTotal={cartTotal}
+                shippingMethod={shipping.methods.find(
+                  m => m._id === shipping.methodId
+                )}
+                discounts={discounts}
+              />
+              <CheckoutCoupon
+                couponCode={couponCode}
+                codes={codes}
+                error={formErrors['couponCode']}
+                checkoutCouponChange={checkoutCouponChange}
+                applyCoupon={applyCoupon}
+                removeCoupon={removeCoupon}
+              />
+            </div>
+          </Col>
+        </Row>
+      </div>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    checkout: state.checkout,
+    shipping: state.shipping,
+    addresses: state.address.addresses,
+    addressFormData: state.address.addressFormData,
+    addressFormErrors: state.address.formErrors,
+    cartItems: state.cart.cartItems,
+    cartTotal: state.cart.cartTotal,
+    authenticated: state.authentication.authenticated,
+    user: state.account.user
+  };
+};
+
+export default connect(mapStateToProps, actions)(Checkout);
@@ -0,0 +1,125 @@
+/*
+ *
+ * Checkout reducer
+ *
+ */
+
+import {
+  SET_CHECKOUT_STEP,
+  CHECKOUT_CONTACT_CHANGE,
+  CHECKOUT_ADDRESS_CHANGE,
+  CHECKOUT_PAYMENT_CHANGE,
+  CHECKOUT_COUPON_CHANGE,
+  SET_CHECKOUT_CODES,
+  SET_CHECKOUT_DISCOUNTS,
+  SET_CHECKOUT_FORM_ERRORS,
+  SET_CHECKOUT_SUBMITTING,
+  RESTORE_CHECKOUT,
+  RESET_CHECKOUT
+} from './constants';
+
+const initialState = {
+  step: 'contact',
+  contact: {
+    email: '',
+    phoneNumber: ''
+  },
+  address: {
+    address: '',
+    city: '',
+    state: '',
+    country: '',
+    zipCode: ''
+  },
+  payment: {
+    cardName: '',
+    cardNumber: ''
+  },
+  couponCode: '',
+  codes: [],
+  discounts: [],
+  formErrors: {},
+  isSubmitting: false
+};
+
+const checkoutReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case SET_CHECKOUT_STEP:
+      return {
+        ...state,
+        step: action.payload,
+        formErrors: {}
+      };
+    case CHECKOUT_CONTACT_CHANGE:
+      return {
+        ...state,
+        contact: {
+          ...state.contact,
+          ...action.payload
+        }
+      };
+    case CHECKOUT_ADDRESS_CHANGE:
+      return {
+        ...state,
+        address: {
+          ...state.address,
+          ...action.payload
+        }
+      };
+    case CHECKOUT_PAYMENT_CHANGE:
+      return {
+        ...state,
+        payment: {
+          ...state.payment,
+          ...action.payload
+        }
+      };
+    case CHECKOUT_COUPON_CHANGE:
+      return {
+        ...state,
+        couponCode: action.payload
+      };
+    case SET_CHECKOUT_CODES:
+      return {
+        ...state,
+        codes: action.payload
+      };
+    case SET_CHECKOUT_DISCOUNTS:
+      return {
+        ...state,
+        discounts: action.payload
+      };
+    case SET_CHECKOUT_FORM_ERRORS:
+      return {
+        ...state,
+        formErrors: action.payload
+      };
+    case SET_CHECKOUT_SUBMITTING:
+      return {
+        ...state,
+        isSubmitting: action.payload
+      };
+    case RESTORE_CHECKOUT:
+      return {
+        ...state,
+        step: action.payload.step,
+        contact: {
+          ...state.contact,
+          ...action.payload.contact
+        },
+        address: {
+          ...state.address,
+          ...action.payload.address
+        },
+        codes: action.payload.codes || []
+      };
+    case RESET_CHECKOUT:
+      return {
+        ...initialState
+      };
+    default:
+      return state;
+  }
+};
+
+export default checkoutReducer;
@@ -18,8 +18,10 @@ import {
 import { setAuth, clearAuth } from '../Authentication/actions';
 import setToken from '../../utils/token';
 import handleError from '../../utils/error';
-import { clearCart } from '../Cart/actions';
+import { clearCart, discardCartId } from '../Cart/actions';
 import { clearAccount } from '../Account/actions';
+import { resetCheckout } from '../Checkout/actions';
+import { resetShipping } from '../Shipping/actions';
 import { allFieldsValidation } from '../../utils/validation';
 import { API_URL } from '../../constants';
 
@@ -67,6 +69,9 @@ export const login = () => {
         autoDismiss: 1
       };
 
+      // the guest cart can not be used once logged in
+      await dispatch(discardCartId());
+
       localStorage.setItem('token', response.data.token);
 
       setToken(response.data.token);
@@ -95,6 +100,8 @@ export const signOut = () => {
 
     dispatch(clearAuth());
     dispatch(clearAccount());
+    dispatch(resetCheckout());
+    dispatch(resetShipping());
     dispatch(push('/login'));
 
     localStorage.removeItem('token');
@@ -47,9 +47,9 @@ export const onSuggestionsFetchRequested = value => {
   return async (dispatch, getState) => {
     try {
       if (inputValue && inputValue.length % 3 === 0) {
-        const response = await axios.get(
-          `${API_URL}/product/list/search/${inputValue}`
-        );
+        const response = await axios.get(`${API_URL}/product/search`, {
+          params: { q: inputValue, limit: 5 }
+        });
         dispatch({
           type: SUGGESTIONS_FETCH_REQUEST,
           payload: response.data.products
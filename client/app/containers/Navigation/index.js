@@ -27,6 +27,7 @@ import {
 } from 'reactstrap';
 
 import actions from '../../actions';
+import { formatSearchParams } from '../../utils/store';
 
 import Button from '../../components/Common/Button';
 import CartIcon from '../../components/Common/CartIcon';
@@ -57,8 +58,13 @@ class Navigation extends React.PureComponent {
 
   renderSuggestion(suggestion, { query, isHighlighted }) {
     const BoldName = (suggestion, query) => {
-      const matches = AutosuggestHighlightMatch(suggestion.name, query);
-      const parts = AutosuggestHighlightParse(suggestion.name, matches);
+      // the server highlights the words it matched, typos included
+      const parts =
+        suggestion.highlights?.name ||
+        AutosuggestHighlightParse(
+          suggestion.name,
+          AutosuggestHighlightMatch(suggestion.name, query)
+        );
 
       return (
         <div>
@@ -96,7 +102,9 @@ class Navigation extends React.PureComponent {
               </Row>
               <Row>
                 <Col>
-                  <span className='price'>${suggestion.price}</span>
+                  <span className='price'>
+                    ${suggestion.minPrice ?? suggestion.price}
+                  </span>
                 </Col>
               </Row>
             </Container>
@@ -191,17 +199,28 @@ class Navigation extends React.PureComponent {
               lg={{ size: 5, order: 2 }}
               className='pt-2 pt-lg-0'
             >
-              <Autosuggest
-                suggestions={suggestions}
-                onSuggestionsFetchRequested={onSuggestionsFetchRequested}
-                onSuggestionsClearRequested={onSuggestionsClearRequested}
-                getSuggestionValue={this.getSuggestionValue}
-                renderSuggestion={this.renderSuggestion}
-                inputProps={inputProps}
-                onSuggestionSelected={(_, item) => {
-                  history.push(`/product/${item.suggestion.slug}`);
+              <form
+                onSubmit={e => {
+                  e.preventDefault();
+                  if (searchValue.trim()) {
+                    history.push(
+                      `/search${formatSearchParams({ q: searchValue.trim() })}`
+                    );
+                  }
                 }}
-              />
+              >
+                <Autosuggest
+                  suggestions={suggestions}
+                  onSuggestionsFetchRequested={onSuggestionsFetchRequested}
+                  onSuggestionsClearRequested={onSuggestionsClearRequested}
+                  getSuggestionValue={this.getSuggestionValue}
+                  renderSuggestion={this.renderSuggestion}
+                  inputProps={inputProps}
+                  onSuggestionSelected={(_, item) => {
+                    history.push(`/product/${item.suggestion.slug}`);
+                  }}
+                />
+              </form>
             </Col>
             <Col
               xs={{ size: 12, order: 2 }}
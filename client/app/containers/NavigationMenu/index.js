@@ -23,6 +23,26 @@ class NavigationMenu extends React.PureComponent {
       this.props.toggleMenu();
     };
 
+    const renderCategories = list => (
+      <ul className='menu-list'>
+        {list.map((link, index) => (
+          <li key={index} className='menu-item'>
+            <NavLink
+              onClick={handleCategoryClick}
+              to={'/shop/category/' + link.slug}
+              activeClassName='active-link'
+              exact
+            >
+              {link.name}
+            </NavLink>
+            {link.children &&
+              link.children.length > 0 &&
+              renderCategories(link.children)}
+          </li>
+        ))}
+      </ul>
+    );
+
     return (
       <div className='navigation-menu'>
         <div className='menu-header'>
@@ -39,22 +59,7 @@ class NavigationMenu extends React.PureComponent {
         <div className='menu-body'>
           <Container>
             <h3 className='menu-title'>Shop By Category</h3>
-            <nav role='navigation'>
-              <ul className='menu-list'>
-                {categories.map((link, index) => (
-                  <li key={index} className='menu-item'>
-                    <NavLink
-                      onClick={handleCategoryClick}
-                      to={'/shop/category/' + link.slug}
-                      activeClassName='active-link'
-                      exact
-                    >
-                      {link.name}
-                    </NavLink>
-                  </li>
-                ))}
-              </ul>
-            </nav>
+            <nav role='navigation'>{renderCategories(categories)}</nav>
           </Container>
         </div>
       </div>
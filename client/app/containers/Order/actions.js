@@ -18,10 +18,14 @@ import {
   CLEAR_ORDERS
 } from './constants';
 
-import { clearCart, getCartId } from '../Cart/actions';
-import { toggleCart } from '../Navigation/actions';
+import { clearCart, handleCartChanges } from '../Cart/actions';
+import { resetShipping } from '../Shipping/actions';
+import { refreshOrderRefunds } from '../Refund/actions';
 import handleError from '../../utils/error';
-import { API_URL } from '../../constants';
+import { downloadFile } from '../../utils/download';
+import { getGuestAddress } from '../../utils/store';
+import { tokenizeCard } from '../../utils/payment';
+import { API_URL, ORDER_STATUS } from '../../constants';
 
 export const updateOrderStatus = value => {
   return {
@@ -124,18 +128,24 @@ export const searchOrders = filter => {
   };
 };
 
-export const fetchOrder = (id, withLoading = true) => {
+// guests pass the order access token they received at checkout
+export const fetchOrder = (id, withLoading = true, token) => {
   return async (dispatch, getState) => {
     try {
       if (withLoading) {
         dispatch(setOrderLoading(true));
       }
 
-      const response = await axios.get(`${API_URL}/order/${id}`);
+      const response = await axios.get(`${API_URL}/order/${id}`, {
+        params: { token }
+      });
+
+      const { order, invoice, allowedStatuses, allowedItemStatuses } =
+        response.data;
 
       dispatch({
         type: FETCH_ORDER,
-        payload: response.data.order
+        payload: { ...order, invoice, allowedStatuses, allowedItemStatuses }
       });
     } catch (error) {
       handleError(error, dispatch);
@@ -147,20 +157,56 @@ export const fetchOrder = (id, withLoading = true) => {
   };
 };
 
-export const cancelOrder = () => {
+// guests send the access token of their order
+export const downloadInvoice = token => {
   return async (dispatch, getState) => {
     try {
       const order = getState().order.order;
 
-      await axios.delete(`${API_URL}/order/cancel/${order._id}`);
+      await downloadFile(
+        `${API_URL}/order/${order._id}/invoice.pdf`,
+        `${order.invoice}.pdf`,
+        { token }
+      );
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// the statuses the order can go to come with the order from the server
+export const changeOrderStatus = (status, note = '') => {
+  return async (dispatch, getState) => {
+    try {
+      const order = getState().order.order;
+
+      const response = await axios.put(`${API_URL}/order/${order._id}/status`, {
+        status,
+        note
+      });
 
-      dispatch(push(`/dashboard/orders`));
+      dispatch(fetchOrder(order._id, false));
+      dispatch(refreshOrderRefunds());
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      dispatch(success(successfulOptions));
     } catch (error) {
       handleError(error, dispatch);
     }
   };
 };
 
+export const cancelOrder = () => {
+  return async (dispatch, getState) => {
+    dispatch(changeOrderStatus(ORDER_STATUS.Cancelled));
+  };
+};
+
 export const updateOrderItemStatus = (itemId, status) => {
   return async (dispatch, getState) => {
     try {
@@ -170,17 +216,13 @@ export const updateOrderItemStatus = (itemId, status) => {
         `${API_URL}/order/status/item/${itemId}`,
         {
           orderId: order._id,
-          cartId: order.cartId,
           status
         }
       );
 
-      if (response.data.orderCancelled) {
-        dispatch(push(`/dashboard/orders`));
-      } else {
-        dispatch(updateOrderStatus({ itemId, status }));
-        dispatch(fetchOrder(order._id, false));
-      }
+      dispatch(updateOrderStatus({ itemId, status }));
+      dispatch(fetchOrder(order._id, false));
+      dispatch(refreshOrderRefunds());
 
       const successfulOptions = {
         title: `${response.data.message}`,
@@ -195,40 +237,96 @@ export const updateOrderItemStatus = (itemId, status) => {
   };
 };
 
-export const addOrder = () => {
+// authorize the cart payment, resolves with the payment or null when declined
+export const authorizePayment = (cartId, source) => {
   return async (dispatch, getState) => {
     try {
-      const cartId = localStorage.getItem('cart_id');
       const total = getState().cart.cartTotal;
+      const { addressId, methodId } = getState().shipping;
+      const { contact, codes } = getState().checkout;
+
+      const response = await axios.post(`${API_URL}/payment/authorize`, {
+        cartId,
+        addressId,
+        address: getGuestAddress(getState()),
+        shippingMethod: methodId,
+        codes,
+        email: contact.email,
+        total,
+        source
+      });
 
-      if (cartId) {
-        const response = await axios.post(`${API_URL}/order/add`, {
-          cartId,
-          total
-        });
-
-        dispatch(push(`/order/success/${response.data.order._id}`));
-        dispatch(clearCart());
+      return response.data.payment;
+    } catch (error) {
+      if (error.response?.data?.changes) {
+        dispatch(handleCartChanges(error.response.data.changes));
+      } else {
+        handleError(error, dispatch, 'Payment Failed!');
       }
+      return null;
+    }
+  };
+};
+
+export const voidPayment = paymentId => {
+  return async (dispatch, getState) => {
+    try {
+      await axios.post(`${API_URL}/payment/${paymentId}/void`);
     } catch (error) {
       handleError(error, dispatch);
     }
   };
 };
 
-export const placeOrder = () => {
-  return (dispatch, getState) => {
-    const token = localStorage.getItem('token');
+// place the order collected by the checkout, resolves with the order or null
+export const addOrder = () => {
+  return async (dispatch, getState) => {
+    const cartId = localStorage.getItem('cart_id');
+
+    if (!cartId) return null;
+
+    const { contact, codes, payment: card } = getState().checkout;
+    const source = await tokenizeCard(card);
 
-    const cartItems = getState().cart.cartItems;
+    const payment = await dispatch(authorizePayment(cartId, source));
 
-    if (token && cartItems.length > 0) {
-      Promise.all([dispatch(getCartId())]).then(() => {
-        dispatch(addOrder());
+    if (!payment) return null;
+
+    try {
+      const { addressId, methodId } = getState().shipping;
+
+      const response = await axios.post(`${API_URL}/order/add`, {
+        cartId,
+        addressId,
+        address: getGuestAddress(getState()),
+        shippingMethod: methodId,
+        codes,
+        contact,
+        paymentId: payment._id
       });
-    }
 
-    dispatch(toggleCart());
+      const { _id, accessToken } = response.data.order;
+
+      dispatch(
+        push(
+          `/order/success/${_id}${accessToken ? `?token=${accessToken}` : ''}`
+        )
+      );
+      dispatch(clearCart());
+      dispatch(resetShipping());
+
+      return response.data.order;
+    } catch (error) {
+      dispatch(voidPayment(payment._id));
+
+      if (error.response?.data?.changes) {
+        dispatch(handleCartChanges(error.response.data.changes));
+      } else {
+        handleError(error, dispatch);
+      }
+
+      return null;
+    }
   };
 };
 
@@ -19,11 +19,18 @@ const initialState = {
   searchedOrders: [],
   order: {
     _id: '',
-    cartId: '',
     products: [],
+    subtotal: 0,
     totalTax: 0,
-    total: 0,
-    status: ''
+    shippingTotal: 0,
+    discountTotal: 0,
+    grandTotal: 0,
+    taxes: [],
+    status: '',
+    statusHistory: [],
+    invoice: null,
+    allowedStatuses: [],
+    allowedItemStatuses: {}
   },
   isLoading: false,
   advancedFilters: {
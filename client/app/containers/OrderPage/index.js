@@ -9,52 +9,126 @@ import React from 'react';
 import { connect } from 'react-redux';
 
 import actions from '../../actions';
+import { ROLES } from '../../constants';
 
 import OrderDetails from '../../components/Manager/OrderDetails';
+import GuestOrderSignup from '../../components/Store/GuestOrderSignup';
 import NotFound from '../../components/Common/NotFound';
 import LoadingIndicator from '../../components/Common/LoadingIndicator';
 
 class OrderPage extends React.PureComponent {
   componentDidMount() {
     const id = this.props.match.params.id;
-    this.props.fetchOrder(id);
+    this.props.fetchOrder(id, true, this.getToken());
+    this.props.fetchOrderShipments(id, this.getToken());
+    this.fetchReturns(id);
+    this.fetchRefunds(id);
   }
 
   componentDidUpdate(prevProps) {
-    if (this.props.match.params.id !== prevProps.match.params.id) {
-      const id = this.props.match.params.id;
-      this.props.fetchOrder(id);
+    const id = this.props.match.params.id;
+
+    if (id !== prevProps.match.params.id) {
+      this.props.fetchOrder(id, true, this.getToken());
+      this.props.fetchOrderShipments(id, this.getToken());
+      this.fetchReturns(id);
+      this.fetchRefunds(id);
+    } else if (this.props.user.role !== prevProps.user.role) {
+      this.fetchRefunds(id);
+    }
+  }
+
+  componentWillUnmount() {
+    this.props.resetReturns();
+    this.props.resetRefunds();
+    this.props.resetShipments();
+  }
+
+  // the refunds ledger is for admins only
+  fetchRefunds(id) {
+    if (this.props.authenticated && this.props.user.role === ROLES.Admin) {
+      this.props.fetchOrderRefunds(id);
     }
   }
 
+  // returns are only for signed in customers and the staff
+  fetchReturns(id) {
+    if (this.props.authenticated) {
+      this.props.fetchOrderReturns(id);
+    }
+  }
+
+  // order access token of guest orders
+  getToken() {
+    return new URLSearchParams(this.props.location.search).get('token');
+  }
+
   render() {
     const {
       history,
       order,
       user,
+      authenticated,
       isLoading,
       cancelOrder,
-      updateOrderItemStatus
+      changeOrderStatus,
+      updateOrderItemStatus,
+      signupFromOrder,
+      returns,
+      addReturn,
+      changeReturnStatus,
+      inspectReturn,
+      refundReturn,
+      refund,
+      addRefund,
+      shipment,
+      addShipment,
+      downloadInvoice
     } = this.props;
 
+    // guests can only view the order they have a token for
+    const isGuest = !authenticated;
+
     return (
       <div className='order-page'>
         {isLoading ? (
           <LoadingIndicator backdrop />
         ) : order._id ? (
-          <OrderDetails
-            order={order}
-            user={user}
-            cancelOrder={cancelOrder}
-            updateOrderItemStatus={updateOrderItemStatus}
-            onBack={() => {
-              if (window.location.toString().includes('success')) {
-                history.push('/dashboard/orders');
-              } else {
-                history.goBack();
-              }
-            }}
-          />
+          <>
+            {isGuest && (
+              <GuestOrderSignup
+                order={order}
+                token={this.getToken()}
+                signupFromOrder={signupFromOrder}
+              />
+            )}
+            <OrderDetails
+              order={order}
+              user={user}
+              cancelOrder={isGuest ? null : cancelOrder}
+              changeOrderStatus={isGuest ? null : changeOrderStatus}
+              updateOrderItemStatus={isGuest ? null : updateOrderItemStatus}
+              returns={isGuest ? null : returns}
+              addReturn={addReturn}
+              changeReturnStatus={changeReturnStatus}
+              inspectReturn={inspectReturn}
+              refundReturn={refundReturn}
+              refund={isGuest ? null : refund}
+              addRefund={addRefund}
+              shipment={shipment}
+              addShipment={isGuest ? null : addShipment}
+              downloadInvoice={() => downloadInvoice(this.getToken())}
+              onBack={() => {
+                if (isGuest) {
+                  history.push('/shop');
+                } else if (window.location.toString().includes('success')) {
+                  history.push('/dashboard/orders');
+                } else {
+                  history.goBack();
+                }
+              }}
+            />
+          </>
         ) : (
           <NotFound message='No order found.' />
         )}
@@ -66,7 +140,11 @@ class OrderPage extends React.PureComponent {
 const mapStateToProps = state => {
   return {
     user: state.account.user,
+    authenticated: state.authentication.authenticated,
     order: state.order.order,
+    returns: state.returns,
+    refund: state.refund,
+    shipment: state.shipment,
     isLoading: state.order.isLoading
   };
 };
@@ -11,24 +11,31 @@ import { Link } from 'react-router-dom';
 
 import actions from '../../actions';
 
+import Button from '../../components/Common/Button';
 import NotFound from '../../components/Common/NotFound';
 import LoadingIndicator from '../../components/Common/LoadingIndicator';
 
 class OrderSuccess extends React.PureComponent {
   componentDidMount() {
     const id = this.props.match.params.id;
-    this.props.fetchOrder(id);
+    this.props.fetchOrder(id, true, this.getToken());
   }
 
   componentDidUpdate(prevProps) {
     if (this.props.match.params.id !== prevProps.match.params.id) {
       const id = this.props.match.params.id;
-      this.props.fetchOrder(id);
+      this.props.fetchOrder(id, true, this.getToken());
     }
   }
 
+  // order access token of guest orders
+  getToken() {
+    return new URLSearchParams(this.props.location.search).get('token');
+  }
+
   render() {
-    const { order, isLoading } = this.props;
+    const { order, isLoading, authenticated, downloadInvoice } = this.props;
+    const token = this.getToken();
 
     return (
       <div className='order-success'>
@@ -41,7 +48,9 @@ class OrderSuccess extends React.PureComponent {
               Order{' '}
               <Link
                 to={{
-                  pathname: `/order/${order._id}?success`,
+                  pathname: `/order/${order._id}?success${
+                    token ? `&token=${token}` : ''
+                  }`,
                   state: { prevPath: location.pathname }
                 }}
                 // to={`/order/${order._id}?success`}
@@ -53,9 +62,19 @@ class OrderSuccess extends React.PureComponent {
             </p>
             <p>A confirmation email will be sent to you shortly.</p>
             <div className='order-success-actions'>
-              <Link to='/dashboard/orders' className='btn-link'>
-                Manage Orders
-              </Link>
+              {order.invoice && (
+                <Button
+                  variant='link'
+                  className='btn-link'
+                  text='Download Invoice'
+                  onClick={() => downloadInvoice(token)}
+                />
+              )}
+              {authenticated && (
+                <Link to='/dashboard/orders' className='btn-link'>
+                  Manage Orders
+                </Link>
+              )}
               <Link to='/shop' className='btn-link shopping-btn'>
                 Continue Shopping
               </Link>
@@ -72,7 +91,8 @@ class OrderSuccess extends React.PureComponent {
 const mapStateToProps = state => {
   return {
     order: state.order.order,
-    isLoading: state.order.isLoading
+    isLoading: state.order.isLoading,
+    authenticated: state.authentication.authenticated
   };
 };
 
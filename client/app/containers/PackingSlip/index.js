@@ -0,0 +1,124 @@
+/**
+ *
+ * PackingSlip
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+import { Row, Col } from 'reactstrap';
+
+import actions from '../../actions';
+import { formatDate } from '../../utils/date';
+
+import Button from '../../components/Common/Button';
+import NotFound from '../../components/Common/NotFound';
+import LoadingIndicator from '../../components/Common/LoadingIndicator';
+
+class PackingSlip extends React.PureComponent {
+  componentDidMount() {
+    this.props.fetchPackingSlip(this.props.match.params.shipmentId);
+  }
+
+  componentDidUpdate(prevProps) {
+    const shipmentId = this.props.match.params.shipmentId;
+
+    if (shipmentId !== prevProps.match.params.shipmentId) {
+      this.props.fetchPackingSlip(shipmentId);
+    }
+  }
+
+  componentWillUnmount() {
+    this.props.resetShipments();
+  }
+
+  render() {
+    const { history, packingSlip, isLoading, downloadPackingSlip } = this.props;
+
+    if (isLoading) return <LoadingIndicator backdrop />;
+
+    if (!packingSlip) return <NotFound message='No packing slip found.' />;
+
+    const { shipment, order } = packingSlip;
+    const address = order.shippingAddress || {};
+
+    return (
+      <div className='packing-slip'>
+        <div className='d-flex justify-content-between align-items-center mb-4 no-print'>
+          <Button
+            variant='link'
+            text='Back to order'
+            onClick={() => history.push(`/order/${order._id}`)}
+          />
+          <div className='d-flex'>
+            <Button
+              variant='secondary'
+              text='Download PDF'
+              className='mr-2'
+              onClick={() => downloadPackingSlip(shipment._id)}
+            />
+            <Button text='Print' onClick={() => window.print()} />
+          </div>
+        </div>
+        <h2>Packing Slip</h2>
+        <Row className='mt-3'>
+          <Col xs='12' md='6'>
+            <p className='mb-1'>{`Order #${order._id}`}</p>
+            <p className='mb-1'>{`Placed ${formatDate(order.created)}`}</p>
+            <p className='mb-1'>{`Shipped ${formatDate(shipment.shipped)}`}</p>
+            <p className='mb-1'>{`${shipment.carrier} ${shipment.trackingNumber}`}</p>
+            {order.shippingMethod && (
+              <p className='mb-1'>{order.shippingMethod}</p>
+            )}
+          </Col>
+          <Col xs='12' md='6' className='mt-3 mt-md-0'>
+            <p className='mb-1 order-label'>Ship To</p>
+            <p className='mb-1'>{address.address}</p>
+            <p className='mb-1'>
+              {[address.city, address.state, address.zipCode]
+                .filter(part => part)
+                .join(', ')}
+            </p>
+            <p className='mb-1'>{address.country}</p>
+            {order.contact?.phoneNumber && (
+              <p className='mb-1'>{order.contact.phoneNumber}</p>
+            )}
+          </Col>
+        </Row>
+        <table className='table mt-4'>
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>SKU</th>
+              <th className='text-right'>Quantity</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shipment.items.map(item => (
+              <tr key={item.item}>
+                <td>
+                  {item.name}
+                  {item.variantName && (
+                    <span className='d-block fs-12'>{item.variantName}</span>
+                  )}
+                </td>
+                <td>{item.sku}</td>
+                <td className='text-right'>{item.quantity}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    packingSlip: state.shipment.packingSlip,
+    isLoading: state.shipment.isLoading
+  };
+};
+
+export default connect(mapStateToProps, actions)(PackingSlip);
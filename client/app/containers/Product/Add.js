@@ -10,12 +10,15 @@ import { connect } from 'react-redux';
 
 import actions from '../../actions';
 
+import { formatSelectOptions } from '../../utils/select';
 import AddProduct from '../../components/Manager/AddProduct';
 import SubPage from '../../components/Manager/SubPage';
 
 class Add extends React.PureComponent {
   componentDidMount() {
     this.props.fetchBrandsSelect();
+    this.props.fetchCategories();
+    this.props.fetchAttributeSets();
   }
 
   render() {
@@ -25,6 +28,9 @@ class Add extends React.PureComponent {
       productFormData,
       formErrors,
       brands,
+      categories,
+      categoryList,
+      attributeSets,
       productChange,
       addProduct
     } = this.props;
@@ -40,6 +46,9 @@ class Add extends React.PureComponent {
           productFormData={productFormData}
           formErrors={formErrors}
           brands={brands}
+          categories={categories}
+          categoryList={categoryList}
+          attributeSets={attributeSets}
           productChange={productChange}
           addProduct={addProduct}
         />
@@ -53,7 +62,10 @@ const mapStateToProps = state => {
     user: state.account.user,
     productFormData: state.product.productFormData,
     formErrors: state.product.formErrors,
-    brands: state.brand.brandsSelect
+    brands: state.brand.brandsSelect,
+    categories: formatSelectOptions(state.category.categories),
+    categoryList: state.category.categories,
+    attributeSets: state.attribute.attributeSets
   };
 };
 
@@ -10,6 +10,7 @@ import { connect } from 'react-redux';
 
 import actions from '../../actions';
 
+import { formatSelectOptions } from '../../utils/select';
 import EditProduct from '../../components/Manager/EditProduct';
 import SubPage from '../../components/Manager/SubPage';
 import NotFound from '../../components/Common/NotFound';
@@ -20,6 +21,8 @@ class Edit extends React.PureComponent {
     const productId = this.props.match.params.id;
     this.props.fetchProduct(productId);
     this.props.fetchBrandsSelect();
+    this.props.fetchCategories();
+    this.props.fetchAttributeSets();
   }
 
   componentDidUpdate(prevProps) {
@@ -37,10 +40,17 @@ class Edit extends React.PureComponent {
       product,
       formErrors,
       brands,
+      categories,
+      categoryList,
+      attributeSets,
       productEditChange,
       updateProduct,
       deleteProduct,
-      activateProduct
+      activateProduct,
+      uploadVariantImage,
+      addProductImages,
+      updateProductImages,
+      deleteProductImage
     } = this.props;
 
     return (
@@ -55,10 +65,17 @@ class Edit extends React.PureComponent {
             product={product}
             formErrors={formErrors}
             brands={brands}
+            categories={categories}
+            categoryList={categoryList}
+            attributeSets={attributeSets}
             productChange={productEditChange}
             updateProduct={updateProduct}
             deleteProduct={deleteProduct}
             activateProduct={activateProduct}
+            uploadVariantImage={uploadVariantImage}
+            addProductImages={addProductImages}
+            updateProductImages={updateProductImages}
+            deleteProductImage={deleteProductImage}
           />
         ) : (
           <NotFound message='No product found.' />
@@ -73,7 +90,10 @@ const mapStateToProps = state => {
     user: state.account.user,
     product: state.product.product,
     formErrors: state.product.editFormErrors,
-    brands: state.brand.brandsSelect
+    brands: state.brand.brandsSelect,
+    categories: formatSelectOptions(state.category.categories),
+    categoryList: state.category.categories,
+    attributeSets: state.attribute.attributeSets
   };
 };
 
@@ -0,0 +1,144 @@
+/*
+ *
+ * Import
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import ImportReport from '../../components/Manager/ImportReport';
+import SubPage from '../../components/Manager/SubPage';
+import Input from '../../components/Common/Input';
+import Button from '../../components/Common/Button';
+import LoadingIndicator from '../../components/Common/LoadingIndicator';
+
+// the file is checked with a dry run first, it is imported once the merchant
+// has seen what it changes
+class Import extends React.PureComponent {
+  state = { file: null };
+
+  componentWillUnmount() {
+    this.props.resetProductImport();
+  }
+
+  reset = () => {
+    this.setState({ file: null });
+    this.props.resetProductImport();
+  };
+
+  renderUpload() {
+    const { isImporting, importProducts, exportProducts } = this.props;
+    const { file } = this.state;
+
+    return (
+      <div className='import-upload'>
+        <p>
+          Upload a CSV file with the columns{' '}
+          <code>
+            sku, name, description, price, quantity, brand, categories, images
+          </code>
+          . Products are matched by sku, new skus are added and existing ones
+          are updated. Columns left out of the file are not changed.
+        </p>
+        <p>
+          Brands and categories are written by name or slug. Separate several
+          categories or image URLs with <code>|</code>. Export your products to
+          get a file to start from.
+        </p>
+        <Input
+          type={'file'}
+          label={'CSV File'}
+          name={'file'}
+          accept={'.csv,text/csv'}
+          onInputChange={(name, value) => this.setState({ file: value })}
+        />
+        <div className='d-flex justify-content-between mt-3'>
+          <Button
+            variant='secondary'
+            text='Export Products'
+            onClick={() => exportProducts()}
+          />
+          <Button
+            text='Check File'
+            disabled={!file || isImporting}
+            onClick={() => importProducts(file, true)}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  renderReview() {
+    const { report, isImporting, importProducts } = this.props;
+    const { created, updated } = report.summary;
+
+    return (
+      <>
+        <ImportReport report={report} />
+        <div className='d-flex justify-content-between mt-3'>
+          <Button variant='secondary' text='Back' onClick={this.reset} />
+          <Button
+            text={`Import ${created + updated} Products`}
+            disabled={created + updated === 0 || isImporting}
+            onClick={() => importProducts(this.state.file, false)}
+          />
+        </div>
+      </>
+    );
+  }
+
+  renderResult() {
+    const { history, report } = this.props;
+
+    return (
+      <>
+        <ImportReport report={report} />
+        <div className='d-flex justify-content-between mt-3'>
+          <Button
+            variant='secondary'
+            text='Import Another File'
+            onClick={this.reset}
+          />
+          <Button
+            text='View Products'
+            onClick={() => history.push('/dashboard/product')}
+          />
+        </div>
+      </>
+    );
+  }
+
+  render() {
+    const { history, report, isImporting } = this.props;
+
+    return (
+      <SubPage
+        title='Import Products'
+        actionTitle='Cancel'
+        handleAction={() => history.push('/dashboard/product')}
+      >
+        <div className='product-import'>
+          {isImporting && <LoadingIndicator />}
+          {!report
+            ? this.renderUpload()
+            : report.dryRun
+            ? this.renderReview()
+            : this.renderResult()}
+        </div>
+      </SubPage>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    report: state.product.importReport,
+    isImporting: state.product.isImporting
+  };
+};
+
+export default connect(mapStateToProps, actions)(Import);
@@ -14,6 +14,7 @@ import ProductList from '../../components/Manager/ProductList';
 import SubPage from '../../components/Manager/SubPage';
 import LoadingIndicator from '../../components/Common/LoadingIndicator';
 import NotFound from '../../components/Common/NotFound';
+import Button from '../../components/Common/Button';
 
 class List extends React.PureComponent {
   componentDidMount() {
@@ -21,7 +22,7 @@ class List extends React.PureComponent {
   }
 
   render() {
-    const { history, products, isLoading } = this.props;
+    const { history, products, isLoading, exportProducts } = this.props;
 
     return (
       <>
@@ -30,6 +31,21 @@ class List extends React.PureComponent {
           actionTitle='Add'
           handleAction={() => history.push('/dashboard/product/add')}
         >
+          <div className='d-flex justify-content-end mb-3'>
+            <Button
+              variant='secondary'
+              size='sm'
+              text='Import CSV'
+              className='mr-2'
+              onClick={() => history.push('/dashboard/product/import')}
+            />
+            <Button
+              variant='secondary'
+              size='sm'
+              text='Export CSV'
+              onClick={() => exportProducts()}
+            />
+          </div>
           {isLoading ? (
             <LoadingIndicator inline />
           ) : products.length > 0 ? (
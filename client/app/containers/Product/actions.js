@@ -24,7 +24,11 @@ import {
   FETCH_PRODUCTS_SELECT,
   SET_PRODUCTS_LOADING,
   SET_ADVANCED_FILTERS,
-  RESET_ADVANCED_FILTERS
+  RESET_ADVANCED_FILTERS,
+  FETCH_PRODUCT_FACETS,
+  SET_PRODUCT_IMPORT,
+  SET_PRODUCT_IMPORTING,
+  RESET_PRODUCT_IMPORT
 } from './constants';
 
 import { API_URL, ROLES } from '../../constants';
@@ -84,8 +88,9 @@ export const filterProducts = (n, v) => {
       const advancedFilters = getState().product.advancedFilters;
       let payload = productsFilterOrganizer(n, v, advancedFilters);
       dispatch({ type: SET_ADVANCED_FILTERS, payload });
-      const sortOrder = getSortOrder(payload.order);
-      payload = { ...payload, sortOrder };
+      payload = { ...payload, sort: payload.order };
+
+      dispatch(fetchProductFacets(payload));
 
       const response = await axios.get(`${API_URL}/product/list`, {
         params: {
@@ -117,6 +122,66 @@ export const filterProducts = (n, v) => {
   };
 };
 
+// fetch the counts of the shop filters for the current products api
+// fetch the store products matching the search params of the search page
+export const searchStoreProducts = params => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch(setProductLoading(true));
+
+      const { q, sort, page, min, max, rating, filters } = params;
+      const { limit } = getState().product.advancedFilters;
+      const query = {
+        q,
+        min,
+        max,
+        rating,
+        filters,
+        page,
+        limit,
+        sort
+      };
+
+      dispatch(fetchProductFacets(query));
+
+      const response = await axios.get(`${API_URL}/product/search`, {
+        params: query
+      });
+      const { products, totalPages, currentPage, count } = response.data;
+
+      dispatch({
+        type: FETCH_STORE_PRODUCTS,
+        payload: products
+      });
+      dispatch({
+        type: SET_ADVANCED_FILTERS,
+        payload: { totalPages, currentPage, count }
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    } finally {
+      dispatch(setProductLoading(false));
+    }
+  };
+};
+
+export const fetchProductFacets = params => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.get(`${API_URL}/product/list/facets`, {
+        params
+      });
+
+      dispatch({
+        type: FETCH_PRODUCT_FACETS,
+        payload: response.data.facets
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
 // fetch store product api
 export const fetchStoreProduct = slug => {
   return async (dispatch, getState) => {
@@ -126,7 +191,11 @@ export const fetchStoreProduct = slug => {
       const response = await axios.get(`${API_URL}/product/item/${slug}`);
 
       const inventory = response.data.product.quantity;
-      const product = { ...response.data.product, inventory };
+      const product = {
+        ...response.data.product,
+        inventory,
+        breadcrumbs: response.data.breadcrumbs
+      };
 
       dispatch({
         type: FETCH_STORE_PRODUCT,
@@ -222,6 +291,9 @@ export const fetchProduct = id => {
       );
 
       response.data.product.brand = brandData[0];
+      response.data.product.categories = formatSelectOptions(
+        response.data.product.categories
+      );
 
       const product = { ...response.data.product, inventory };
 
@@ -245,8 +317,9 @@ export const addProduct = () => {
         description: 'required|max:200',
         quantity: 'required|numeric',
         price: 'required|numeric',
-        taxable: 'required',
-        image: 'required',
+        weight: 'numeric|min:0',
+        taxClass: 'required',
+        images: 'required',
         brand: 'required'
       };
 
@@ -261,10 +334,15 @@ export const addProduct = () => {
         name: product.name,
         description: product.description,
         price: product.price,
+        weight: product.weight,
         quantity: product.quantity,
-        image: product.image,
+        images: product.images,
         isActive: product.isActive,
-        taxable: product.taxable.value,
+        taxClass: product.taxClass.value,
+        categories: unformatSelectOptions(product.categories) || [],
+        attributes: product.attributes,
+        options: product.options,
+        variants: product.variants,
         brand:
           user.role !== ROLES.Merchant
             ? brand != 0
@@ -283,8 +361,10 @@ export const addProduct = () => {
           'Description may not be greater than 200 characters.',
         'required.quantity': 'Quantity is required.',
         'required.price': 'Price is required.',
-        'required.taxable': 'Taxable is required.',
-        'required.image': 'Please upload files with jpg, jpeg, png format.',
+        'numeric.weight': 'Weight must be a number.',
+        'min.weight': 'Weight may not be negative.',
+        'required.taxClass': 'Tax class is required.',
+        'required.images': 'Please upload files with jpg, jpeg, png format.',
         'required.brand': 'Brand is required.'
       });
 
@@ -292,11 +372,20 @@ export const addProduct = () => {
         return dispatch({ type: SET_PRODUCT_FORM_ERRORS, payload: errors });
       }
       const formData = new FormData();
-      if (newProduct.image) {
+      if (newProduct.images.length > 0) {
         for (const key in newProduct) {
           if (newProduct.hasOwnProperty(key)) {
             if (key === 'brand' && newProduct[key] === null) {
               continue;
+            } else if (key === 'images') {
+              newProduct.images.forEach(image => formData.append(key, image));
+            } else if (
+              key === 'categories' ||
+              key === 'attributes' ||
+              key === 'options' ||
+              key === 'variants'
+            ) {
+              formData.set(key, JSON.stringify(newProduct[key]));
             } else {
               formData.set(key, newProduct[key]);
             }
@@ -340,7 +429,8 @@ export const updateProduct = () => {
         description: 'required|max:200',
         quantity: 'required|numeric',
         price: 'required|numeric',
-        taxable: 'required',
+        weight: 'numeric|min:0',
+        taxClass: 'required',
         brand: 'required'
       };
 
@@ -355,7 +445,12 @@ export const updateProduct = () => {
         description: product.description,
         quantity: product.quantity,
         price: product.price,
-        taxable: product.taxable,
+        weight: product.weight,
+        taxClass: product.taxClass,
+        categories: unformatSelectOptions(product.categories) || [],
+        attributes: product.attributes,
+        options: product.options,
+        variants: product.variants,
         brand: brand != 0 ? brand : null
       };
 
@@ -372,7 +467,9 @@ export const updateProduct = () => {
           'Description may not be greater than 200 characters.',
         'required.quantity': 'Quantity is required.',
         'required.price': 'Price is required.',
-        'required.taxable': 'Taxable is required.',
+        'numeric.weight': 'Weight must be a number.',
+        'min.weight': 'Weight may not be negative.',
+        'required.taxClass': 'Tax class is required.',
         'required.brand': 'Brand is required.'
       });
 
@@ -404,6 +501,179 @@ export const updateProduct = () => {
   };
 };
 
+// upload variant image api
+export const uploadVariantImage = (productId, variantId, image) => {
+  return async (dispatch, getState) => {
+    try {
+      const formData = new FormData();
+      formData.set('image', image);
+
+      const response = await axios.put(
+        `${API_URL}/product/${productId}/variant/${variantId}/image`,
+        formData,
+        { headers: { 'Content-Type': 'multipart/form-data' } }
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+
+        const variants = getState().product.product.variants.map(variant =>
+          variant._id === variantId
+            ? {
+                ...variant,
+                imageUrl: response.data.imageUrl,
+                imageSizes: response.data.imageSizes
+              }
+            : variant
+        );
+
+        dispatch(productEditChange('variants', variants));
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// upload product gallery images api
+export const addProductImages = (productId, images) => {
+  return async (dispatch, getState) => {
+    try {
+      const formData = new FormData();
+      images.forEach(image => formData.append('images', image));
+
+      const response = await axios.post(
+        `${API_URL}/product/${productId}/images`,
+        formData,
+        { headers: { 'Content-Type': 'multipart/form-data' } }
+      );
+
+      dispatch(setProductImages(response.data));
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// reorder product gallery images and save their alt texts api
+export const updateProductImages = () => {
+  return async (dispatch, getState) => {
+    try {
+      const product = getState().product.product;
+
+      const response = await axios.put(
+        `${API_URL}/product/${product._id}/images`,
+        {
+          images: product.images.map(({ _id, alt }) => ({ _id, alt }))
+        }
+      );
+
+      dispatch(setProductImages(response.data));
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// delete product gallery image api
+export const deleteProductImage = (productId, imageId) => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.delete(
+        `${API_URL}/product/${productId}/images/${imageId}`
+      );
+
+      dispatch(setProductImages(response.data));
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+const setProductImages = data => {
+  return dispatch => {
+    const successfulOptions = {
+      title: `${data.message}`,
+      position: 'tr',
+      autoDismiss: 1
+    };
+
+    if (data.success === true) {
+      dispatch(success(successfulOptions));
+      dispatch(productEditChange('images', data.images));
+      dispatch(productEditChange('imageUrl', data.images[0]?.url || ''));
+    }
+  };
+};
+
+// check or import a csv file of products api, a dry run only reports
+// what the import would change
+export const importProducts = (file, dryRun) => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch({ type: SET_PRODUCT_IMPORTING, payload: true });
+
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', dryRun);
+
+      const response = await axios.post(`${API_URL}/product/import`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      dispatch({ type: SET_PRODUCT_IMPORT, payload: response.data });
+
+      if (!dryRun) {
+        dispatch(
+          success({
+            title: `${response.data.message}`,
+            position: 'tr',
+            autoDismiss: 1
+          })
+        );
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    } finally {
+      dispatch({ type: SET_PRODUCT_IMPORTING, payload: false });
+    }
+  };
+};
+
+export const resetProductImport = () => {
+  return {
+    type: RESET_PRODUCT_IMPORT
+  };
+};
+
+// export products api, the browser saves the csv file
+export const exportProducts = () => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.get(`${API_URL}/product/export`, {
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'products.csv';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
 // activate product api
 export const activateProduct = (id, value) => {
   return async (dispatch, getState) => {
@@ -467,7 +737,8 @@ const productsFilterOrganizer = (n, v, s) => {
         rating: s.rating,
         order: s.order,
         page: s.currentPage,
-        limit: s.limit
+        limit: s.limit,
+        filters: { brands: [], categories: [], attributes: {} }
       };
     case 'brand':
       return {
@@ -479,7 +750,8 @@ const productsFilterOrganizer = (n, v, s) => {
         rating: s.rating,
         order: s.order,
         page: s.currentPage,
-        limit: s.limit
+        limit: s.limit,
+        filters: s.filters
       };
     case 'sorting':
       return {
@@ -491,7 +763,8 @@ const productsFilterOrganizer = (n, v, s) => {
         rating: s.rating,
         order: v,
         page: s.currentPage,
-        limit: s.limit
+        limit: s.limit,
+        filters: s.filters
       };
     case 'price':
       return {
@@ -503,7 +776,8 @@ const productsFilterOrganizer = (n, v, s) => {
         rating: s.rating,
         order: s.order,
         page: s.currentPage,
-        limit: s.limit
+        limit: s.limit,
+        filters: s.filters
       };
     case 'rating':
       return {
@@ -515,7 +789,21 @@ const productsFilterOrganizer = (n, v, s) => {
         rating: v,
         order: s.order,
         page: s.currentPage,
-        limit: s.limit
+        limit: s.limit,
+        filters: s.filters
+      };
+    case 'filters':
+      return {
+        name: s.name,
+        category: s.category,
+        brand: s.brand,
+        min: s.min,
+        max: s.max,
+        rating: s.rating,
+        order: s.order,
+        page: 1,
+        limit: s.limit,
+        filters: v
       };
     case 'pagination':
       return {
@@ -527,7 +815,8 @@ const productsFilterOrganizer = (n, v, s) => {
         rating: s.rating,
         order: s.order,
         page: v ?? s.currentPage,
-        limit: s.limit
+        limit: s.limit,
+        filters: s.filters
       };
     default:
       return {
@@ -539,27 +828,8 @@ const productsFilterOrganizer = (n, v, s) => {
         rating: s.rating,
         order: s.order,
         page: s.currentPage,
-        limit: s.limit
+        limit: s.limit,
+        filters: s.filters
       };
   }
 };
-
-const getSortOrder = value => {
-  let sortOrder = {};
-  switch (value) {
-    case 0:
-      sortOrder._id = -1;
-      break;
-    case 1:
-      sortOrder.price = -1;
-      break;
-    case 2:
-      sortOrder.price = 1;
-      break;
-
-    default:
-      break;
-  }
-
-  return sortOrder;
-};
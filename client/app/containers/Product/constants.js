@@ -24,3 +24,7 @@ export const FETCH_PRODUCTS_SELECT = 'src/Product/FETCH_PRODUCTS_SELECT';
 export const SET_PRODUCTS_LOADING = 'src/Product/SET_PRODUCTS_LOADING';
 export const SET_ADVANCED_FILTERS = 'src/Product/SET_ADVANCED_FILTERS';
 export const RESET_ADVANCED_FILTERS = 'src/Product/RESET_ADVANCED_FILTERS';
+export const FETCH_PRODUCT_FACETS = 'src/Product/FETCH_PRODUCT_FACETS';
+export const SET_PRODUCT_IMPORT = 'src/Product/SET_PRODUCT_IMPORT';
+export const SET_PRODUCT_IMPORTING = 'src/Product/SET_PRODUCT_IMPORTING';
+export const RESET_PRODUCT_IMPORT = 'src/Product/RESET_PRODUCT_IMPORT';
@@ -15,6 +15,7 @@ import actions from '../../actions';
 import List from './List';
 import Add from './Add';
 import Edit from './Edit';
+import Import from './Import';
 import Page404 from '../../components/Common/Page404';
 
 class Product extends React.PureComponent {
@@ -29,6 +30,7 @@ class Product extends React.PureComponent {
           {/* {user.role === ROLES.Admin && ( */}
           <Route exact path='/dashboard/product/add' component={Add} />
           {/* )} */}
+          <Route exact path='/dashboard/product/import' component={Import} />
           <Route path='*' component={Page404} />
         </Switch>
       </div>
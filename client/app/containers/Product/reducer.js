@@ -22,8 +22,13 @@ import {
   FETCH_PRODUCTS_SELECT,
   SET_PRODUCTS_LOADING,
   SET_ADVANCED_FILTERS,
-  RESET_ADVANCED_FILTERS
+  RESET_ADVANCED_FILTERS,
+  FETCH_PRODUCT_FACETS,
+  SET_PRODUCT_IMPORT,
+  SET_PRODUCT_IMPORTING,
+  RESET_PRODUCT_IMPORT
 } from './constants';
+import { PRODUCT_SORT } from '../../constants';
 
 const initialState = {
   products: [],
@@ -39,17 +44,23 @@ const initialState = {
     description: '',
     quantity: 1,
     price: 1,
-    image: {},
+    weight: 0,
+    images: [],
     isActive: true,
-    taxable: { value: 0, label: 'No' },
+    taxClass: { value: 'Exempt', label: 'Exempt' },
     brand: {
       value: 0,
       label: 'No Options Selected'
-    }
+    },
+    categories: [],
+    attributes: [],
+    options: [],
+    variants: []
   },
   isLoading: false,
   productShopData: {
-    quantity: 1
+    quantity: 1,
+    options: {}
   },
   formErrors: {},
   editFormErrors: {},
@@ -61,12 +72,24 @@ const initialState = {
     min: 1,
     max: 2500,
     rating: 0,
-    order: 0,
+    order: PRODUCT_SORT.Newest,
     totalPages: 1,
     currentPage: 1,
     count: 0,
-    limit: 10
-  }
+    limit: 10,
+    filters: {
+      brands: [],
+      categories: [],
+      attributes: {}
+    }
+  },
+  facets: {
+    brands: [],
+    categories: [],
+    attributes: []
+  },
+  importReport: null,
+  isImporting: false
 };
 
 const productReducer = (state = initialState, action) => {
@@ -92,7 +115,8 @@ const productReducer = (state = initialState, action) => {
         ...state,
         storeProduct: action.payload,
         productShopData: {
-          quantity: 1
+          quantity: 1,
+          options: {}
         },
         shopFormErrors: {}
       };
@@ -165,13 +189,18 @@ const productReducer = (state = initialState, action) => {
           description: '',
           quantity: 1,
           price: 1,
-          image: {},
+          weight: 0,
+          images: [],
           isActive: true,
-          taxable: { value: 0, label: 'No' },
+          taxClass: { value: 'Exempt', label: 'Exempt' },
           brand: {
             value: 0,
             label: 'No Options Selected'
-          }
+          },
+          categories: [],
+          attributes: [],
+          options: [],
+          variants: []
         },
         product: {
           _id: ''
@@ -182,7 +211,8 @@ const productReducer = (state = initialState, action) => {
       return {
         ...state,
         productShopData: {
-          quantity: 1
+          quantity: 1,
+          options: state.productShopData.options
         },
         shopFormErrors: {}
       };
@@ -204,13 +234,38 @@ const productReducer = (state = initialState, action) => {
           min: 1,
           max: 2500,
           rating: 0,
-          order: 0,
+          order: PRODUCT_SORT.Newest,
           totalPages: 1,
           currentPage: 1,
           count: 0,
-          limit: 10
+          limit: 10,
+          filters: {
+            brands: [],
+            categories: [],
+            attributes: {}
+          }
         }
       };
+    case FETCH_PRODUCT_FACETS:
+      return {
+        ...state,
+        facets: action.payload
+      };
+    case SET_PRODUCT_IMPORT:
+      return {
+        ...state,
+        importReport: action.payload
+      };
+    case SET_PRODUCT_IMPORTING:
+      return {
+        ...state,
+        isImporting: action.payload
+      };
+    case RESET_PRODUCT_IMPORT:
+      return {
+        ...state,
+        importReport: null
+      };
     default:
       return state;
   }
@@ -18,6 +18,10 @@ import NotFound from '../../components/Common/NotFound';
 import { BagIcon } from '../../components/Common/Icon';
 import ProductReviews from '../../components/Store/ProductReviews';
 import SocialShare from '../../components/Store/SocialShare';
+import Breadcrumbs from '../../components/Store/Breadcrumbs';
+import VariantPicker from '../../components/Store/VariantPicker';
+import ProductGallery from '../../components/Store/ProductGallery';
+import { findSelectedVariant, isSameCartItem } from '../../utils/store';
 
 class ProductPage extends React.PureComponent {
   componentDidMount() {
@@ -42,6 +46,7 @@ class ProductPage extends React.PureComponent {
     const {
       isLoading,
       product,
+      variant,
       productShopData,
       shopFormErrors,
       itemInCart,
@@ -56,24 +61,62 @@ class ProductPage extends React.PureComponent {
       reviewFormErrors
     } = this.props;
 
+    const hasVariants = product.variants?.length > 0;
+    const prices = hasVariants
+      ? product.variants.map(v => v.price ?? product.price)
+      : [product.price];
+    const minPrice = Math.min(...prices);
+    const maxPrice = Math.max(...prices);
+
+    const gallery = product.images?.length
+      ? product.images
+      : product.imageUrl
+      ? [
+          {
+            url: product.imageUrl,
+            sizes: product.imageSizes,
+            alt: product.name
+          }
+        ]
+      : [];
+    // the image of the picked variant comes first
+    const images = variant?.imageUrl
+      ? [
+          {
+            url: variant.imageUrl,
+            sizes: variant.imageSizes,
+            alt: product.name
+          },
+          ...gallery.filter(image => image.url !== variant.imageUrl)
+        ]
+      : gallery;
+
+    // until a variant is picked, the product is in stock when one of them is
+    const inventory = variant
+      ? variant.quantity
+      : hasVariants
+      ? Math.max(...product.variants.map(v => v.quantity))
+      : product.inventory;
+
     return (
       <div className='product-shop'>
         {isLoading ? (
           <LoadingIndicator />
         ) : Object.keys(product).length > 0 ? (
           <>
+            <Breadcrumbs
+              categories={product.breadcrumbs}
+              current={product.name}
+            />
             <Row className='flex-row'>
               <Col xs='12' md='5' lg='5' className='mb-3 px-3 px-md-2'>
                 <div className='position-relative'>
-                  <img
-                    className='item-image'
-                    src={`${
-                      product.imageUrl
-                        ? product.imageUrl
-                        : '/images/placeholder-image.png'
-                    }`}
+                  <ProductGallery
+                    key={variant?._id || product._id}
+                    images={images}
+                    name={product.name}
                   />
-                  {product.inventory <= 0 && !shopFormErrors['quantity'] ? (
+                  {inventory <= 0 && !shopFormErrors['quantity'] ? (
                     <p className='stock out-of-stock'>Out of stock</p>
                   ) : (
                     <p className='stock in-stock'>In stock</p>
@@ -87,7 +130,7 @@ class ProductPage extends React.PureComponent {
                       <h1 className='item-name one-line-ellipsis'>
                         {product.name}
                       </h1>
-                      <p className='sku'>{product.sku}</p>
+                      <p className='sku'>{variant?.sku || product.sku}</p>
                       <hr />
                       {product.brand && (
                         <p className='by'>
@@ -101,9 +144,35 @@ class ProductPage extends React.PureComponent {
                         </p>
                       )}
                       <p className='item-desc'>{product.description}</p>
-                      <p className='price'>${product.price}</p>
+                      {product.attributes?.length > 0 && (
+                        <ul className='item-attributes'>
+                          {product.attributes.map(attribute => (
+                            <li key={attribute.name}>
+                              <span>{attribute.name}</span>
+                              {attribute.value}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <p className='price'>
+                        {variant
+                          ? `$${variant.price ?? product.price}`
+                          : minPrice < maxPrice
+                          ? `$${minPrice} - $${maxPrice}`
+                          : `$${minPrice}`}
+                      </p>
                     </div>
                     <div className='item-customize'>
+                      {hasVariants && (
+                        <VariantPicker
+                          product={product}
+                          selected={productShopData.options}
+                          error={shopFormErrors['variant']}
+                          onSelect={options =>
+                            productShopChange('options', options)
+                          }
+                        />
+                      )}
                       <Input
                         type={'number'}
                         error={shopFormErrors['quantity']}
@@ -111,11 +180,9 @@ class ProductPage extends React.PureComponent {
                         name={'quantity'}
                         decimals={false}
                         min={1}
-                        max={product.inventory}
+                        max={inventory}
                         placeholder={'Product Quantity'}
-                        disabled={
-                          product.inventory <= 0 && !shopFormErrors['quantity']
-                        }
+                        disabled={inventory <= 0 && !shopFormErrors['quantity']}
                         value={productShopData.quantity}
                         onInputChange={(name, value) => {
                           productShopChange(name, value);
@@ -130,19 +197,23 @@ class ProductPage extends React.PureComponent {
                         <Button
                           variant='primary'
                           disabled={
-                            product.inventory <= 0 &&
-                            !shopFormErrors['quantity']
+                            inventory <= 0 && !shopFormErrors['quantity']
                           }
                           text='Remove From Bag'
                           className='bag-btn'
                           icon={<BagIcon />}
-                          onClick={() => handleRemoveFromCart(product)}
+                          onClick={() =>
+                            handleRemoveFromCart({
+                              _id: product._id,
+                              variant: variant?._id
+                            })
+                          }
                         />
                       ) : (
                         <Button
                           variant='primary'
                           disabled={
-                            product.quantity <= 0 && !shopFormErrors['quantity']
+                            inventory <= 0 && !shopFormErrors['quantity']
                           }
                           text='Add To Bag'
                           className='bag-btn'
@@ -173,14 +244,18 @@ class ProductPage extends React.PureComponent {
 }
 
 const mapStateToProps = state => {
-  const itemInCart = state.cart.cartItems.find(
-    item => item._id === state.product.storeProduct._id
+  const { storeProduct, productShopData } = state.product;
+  const variant = findSelectedVariant(storeProduct, productShopData.options);
+
+  const itemInCart = state.cart.cartItems.find(item =>
+    isSameCartItem(item, { _id: storeProduct._id, variant: variant?._id })
   )
     ? true
     : false;
 
   return {
     product: state.product.storeProduct,
+    variant,
     productShopData: state.product.productShopData,
     shopFormErrors: state.product.shopFormErrors,
     isLoading: state.product.isLoading,
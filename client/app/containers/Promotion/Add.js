@@ -0,0 +1,66 @@
+/*
+ *
+ * Add
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import { formatSelectOptions } from '../../utils/select';
+import AddPromotion from '../../components/Manager/AddPromotion';
+import SubPage from '../../components/Manager/SubPage';
+
+class Add extends React.PureComponent {
+  componentDidMount() {
+    this.props.fetchProductsSelect();
+    this.props.fetchBrandsSelect();
+    this.props.fetchCategories();
+  }
+
+  render() {
+    const {
+      history,
+      products,
+      brands,
+      categories,
+      promotionFormData,
+      formErrors,
+      promotionChange,
+      addPromotion
+    } = this.props;
+
+    return (
+      <SubPage
+        title='Add Promotion'
+        actionTitle='Cancel'
+        handleAction={() => history.goBack()}
+      >
+        <AddPromotion
+          products={products}
+          brands={brands}
+          categories={categories}
+          promotionFormData={promotionFormData}
+          formErrors={formErrors}
+          promotionChange={promotionChange}
+          addPromotion={addPromotion}
+        />
+      </SubPage>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    products: state.product.productsSelect,
+    brands: state.brand.brandsSelect.filter(brand => brand.value !== 0),
+    categories: formatSelectOptions(state.category.categories),
+    promotionFormData: state.promotion.promotionFormData,
+    formErrors: state.promotion.formErrors
+  };
+};
+
+export default connect(mapStateToProps, actions)(Add);
@@ -0,0 +1,82 @@
+/*
+ *
+ * Edit
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import { formatSelectOptions } from '../../utils/select';
+import EditPromotion from '../../components/Manager/EditPromotion';
+import SubPage from '../../components/Manager/SubPage';
+import NotFound from '../../components/Common/NotFound';
+
+class Edit extends React.PureComponent {
+  componentDidMount() {
+    const promotionId = this.props.match.params.id;
+    this.props.fetchPromotion(promotionId);
+    this.props.fetchProductsSelect();
+    this.props.fetchBrandsSelect();
+    this.props.fetchCategories();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.props.match.params.id !== prevProps.match.params.id) {
+      const promotionId = this.props.match.params.id;
+      this.props.fetchPromotion(promotionId);
+    }
+  }
+
+  render() {
+    const {
+      history,
+      products,
+      brands,
+      categories,
+      promotion,
+      formErrors,
+      promotionEditChange,
+      updatePromotion,
+      deletePromotion
+    } = this.props;
+
+    return (
+      <SubPage
+        title='Edit Promotion'
+        actionTitle='Cancel'
+        handleAction={history.goBack}
+      >
+        {promotion?._id ? (
+          <EditPromotion
+            products={products}
+            brands={brands}
+            categories={categories}
+            promotion={promotion}
+            formErrors={formErrors}
+            promotionChange={promotionEditChange}
+            updatePromotion={updatePromotion}
+            deletePromotion={deletePromotion}
+          />
+        ) : (
+          <NotFound message='No promotion found.' />
+        )}
+      </SubPage>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    products: state.product.productsSelect,
+    brands: state.brand.brandsSelect.filter(brand => brand.value !== 0),
+    categories: formatSelectOptions(state.category.categories),
+    promotion: state.promotion.promotion,
+    formErrors: state.promotion.editFormErrors
+  };
+};
+
+export default connect(mapStateToProps, actions)(Edit);
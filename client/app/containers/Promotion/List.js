@@ -0,0 +1,53 @@
+/*
+ *
+ * List
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import PromotionList from '../../components/Manager/PromotionList';
+import SubPage from '../../components/Manager/SubPage';
+import LoadingIndicator from '../../components/Common/LoadingIndicator';
+import NotFound from '../../components/Common/NotFound';
+
+class List extends React.PureComponent {
+  componentDidMount() {
+    this.props.fetchPromotions();
+  }
+
+  render() {
+    const { history, promotions, isLoading } = this.props;
+
+    return (
+      <>
+        <SubPage
+          title='Promotions'
+          actionTitle='Add'
+          handleAction={() => history.push('/dashboard/promotion/add')}
+        >
+          {isLoading ? (
+            <LoadingIndicator inline />
+          ) : promotions.length > 0 ? (
+            <PromotionList promotions={promotions} />
+          ) : (
+            <NotFound message='No promotions found.' />
+          )}
+        </SubPage>
+      </>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    promotions: state.promotion.promotions,
+    isLoading: state.promotion.isLoading
+  };
+};
+
+export default connect(mapStateToProps, actions)(List);
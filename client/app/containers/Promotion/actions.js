@@ -0,0 +1,258 @@
+/*
+ *
+ * Promotion actions
+ *
+ */
+
+import { goBack } from 'connected-react-router';
+import { success } from 'react-notification-system-redux';
+import axios from 'axios';
+
+import {
+  FETCH_PROMOTIONS,
+  FETCH_PROMOTION,
+  PROMOTION_CHANGE,
+  PROMOTION_EDIT_CHANGE,
+  SET_PROMOTION_FORM_ERRORS,
+  SET_PROMOTION_FORM_EDIT_ERRORS,
+  RESET_PROMOTION,
+  ADD_PROMOTION,
+  REMOVE_PROMOTION,
+  SET_PROMOTIONS_LOADING
+} from './constants';
+
+import handleError from '../../utils/error';
+import { allFieldsValidation } from '../../utils/validation';
+import { formatSelectOptions, unformatSelectOptions } from '../../utils/select';
+import { API_URL } from '../../constants';
+
+const rules = {
+  name: 'required',
+  type: 'required',
+  value: 'numeric|min:0',
+  minSubtotal: 'numeric|min:0'
+};
+
+const messages = {
+  'required.name': 'Name is required.',
+  'required.type': 'Type is required.',
+  'numeric.value': 'Value must be a number.',
+  'min.value': 'Value may not be lower than 0.',
+  'numeric.minSubtotal': 'Minimum subtotal must be a number.',
+  'min.minSubtotal': 'Minimum subtotal may not be lower than 0.'
+};
+
+// dates are edited as yyyy-mm-dd in the date inputs
+const formatDateInput = date => (date ? date.slice(0, 10) : '');
+
+const formatPromotionData = promotion => ({
+  name: promotion.name,
+  code: promotion.code,
+  type: promotion.type,
+  value: promotion.value,
+  minSubtotal: promotion.minSubtotal,
+  buyQuantity: promotion.buyQuantity,
+  getQuantity: promotion.getQuantity,
+  products: unformatSelectOptions(promotion.products),
+  brands: unformatSelectOptions(promotion.brands),
+  categories: unformatSelectOptions(promotion.categories),
+  usageLimit: promotion.usageLimit,
+  usageLimitPerUser: promotion.usageLimitPerUser,
+  isStackable: promotion.isStackable,
+  startDate: promotion.startDate,
+  endDate: promotion.endDate,
+  isActive: promotion.isActive
+});
+
+export const promotionChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: PROMOTION_CHANGE,
+    payload: formData
+  };
+};
+
+export const promotionEditChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: PROMOTION_EDIT_CHANGE,
+    payload: formData
+  };
+};
+
+export const resetPromotion = () => {
+  return async (dispatch, getState) => {
+    dispatch({ type: RESET_PROMOTION });
+  };
+};
+
+// fetch promotions api
+export const fetchPromotions = () => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch({ type: SET_PROMOTIONS_LOADING, payload: true });
+
+      const response = await axios.get(`${API_URL}/promotion`);
+
+      dispatch({
+        type: FETCH_PROMOTIONS,
+        payload: response.data.promotions
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    } finally {
+      dispatch({ type: SET_PROMOTIONS_LOADING, payload: false });
+    }
+  };
+};
+
+// fetch promotion api
+export const fetchPromotion = id => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.get(`${API_URL}/promotion/${id}`);
+
+      const promotion = response.data.promotion;
+
+      dispatch({
+        type: FETCH_PROMOTION,
+        payload: {
+          ...promotion,
+          code: promotion.code || '',
+          usageLimit: promotion.usageLimit || '',
+          usageLimitPerUser: promotion.usageLimitPerUser || '',
+          products: formatSelectOptions(promotion.products),
+          brands: formatSelectOptions(promotion.brands),
+          categories: formatSelectOptions(promotion.categories),
+          startDate: formatDateInput(promotion.startDate),
+          endDate: formatDateInput(promotion.endDate)
+        }
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// add promotion api
+export const addPromotion = () => {
+  return async (dispatch, getState) => {
+    try {
+      const promotion = getState().promotion.promotionFormData;
+
+      const newPromotion = formatPromotionData({
+        ...promotion,
+        type: promotion.type.value
+      });
+
+      const { isValid, errors } = allFieldsValidation(
+        newPromotion,
+        rules,
+        messages
+      );
+
+      if (!isValid) {
+        return dispatch({ type: SET_PROMOTION_FORM_ERRORS, payload: errors });
+      }
+
+      const response = await axios.post(
+        `${API_URL}/promotion/add`,
+        newPromotion
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+        dispatch({
+          type: ADD_PROMOTION,
+          payload: response.data.promotion
+        });
+
+        dispatch(goBack());
+        dispatch({ type: RESET_PROMOTION });
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// update promotion api
+export const updatePromotion = () => {
+  return async (dispatch, getState) => {
+    try {
+      const promotion = getState().promotion.promotion;
+
+      const newPromotion = formatPromotionData(promotion);
+
+      const { isValid, errors } = allFieldsValidation(
+        newPromotion,
+        rules,
+        messages
+      );
+
+      if (!isValid) {
+        return dispatch({
+          type: SET_PROMOTION_FORM_EDIT_ERRORS,
+          payload: errors
+        });
+      }
+
+      const response = await axios.put(
+        `${API_URL}/promotion/${promotion._id}`,
+        {
+          promotion: newPromotion
+        }
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+
+        dispatch(goBack());
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// delete promotion api
+export const deletePromotion = id => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.delete(`${API_URL}/promotion/delete/${id}`);
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+        dispatch({
+          type: REMOVE_PROMOTION,
+          payload: id
+        });
+        dispatch(goBack());
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
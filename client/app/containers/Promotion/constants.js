@@ -0,0 +1,18 @@
+/*
+ *
+ * Promotion constants
+ *
+ */
+
+export const FETCH_PROMOTIONS = 'src/Promotion/FETCH_PROMOTIONS';
+export const FETCH_PROMOTION = 'src/Promotion/FETCH_PROMOTION';
+export const PROMOTION_CHANGE = 'src/Promotion/PROMOTION_CHANGE';
+export const PROMOTION_EDIT_CHANGE = 'src/Promotion/PROMOTION_EDIT_CHANGE';
+export const SET_PROMOTION_FORM_ERRORS =
+  'src/Promotion/SET_PROMOTION_FORM_ERRORS';
+export const SET_PROMOTION_FORM_EDIT_ERRORS =
+  'src/Promotion/SET_PROMOTION_FORM_EDIT_ERRORS';
+export const RESET_PROMOTION = 'src/Promotion/RESET_PROMOTION';
+export const ADD_PROMOTION = 'src/Promotion/ADD_PROMOTION';
+export const REMOVE_PROMOTION = 'src/Promotion/REMOVE_PROMOTION';
+export const SET_PROMOTIONS_LOADING = 'src/Promotion/SET_PROMOTIONS_LOADING';
@@ -0,0 +1,33 @@
+/*
+ *
+ * Promotion
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+import { Switch, Route } from 'react-router-dom';
+
+import actions from '../../actions';
+import List from './List';
+import Add from './Add';
+import Edit from './Edit';
+import Page404 from '../../components/Common/Page404';
+
+class Promotion extends React.PureComponent {
+  render() {
+    return (
+      <div className='promotion-dashboard'>
+        <Switch>
+          <Route exact path='/dashboard/promotion' component={List} />
+          <Route exact path='/dashboard/promotion/edit/:id' component={Edit} />
+          <Route exact path='/dashboard/promotion/add' component={Add} />
+          <Route path='*' component={Page404} />
+        </Switch>
+      </div>
+    );
+  }
+}
+
+export default connect(null, actions)(Promotion);
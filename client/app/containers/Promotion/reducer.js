@@ -0,0 +1,134 @@
+/*
+ *
+ * Promotion reducer
+ *
+ */
+
+import {
+  FETCH_PROMOTIONS,
+  FETCH_PROMOTION,
+  PROMOTION_CHANGE,
+  PROMOTION_EDIT_CHANGE,
+  SET_PROMOTION_FORM_ERRORS,
+  SET_PROMOTION_FORM_EDIT_ERRORS,
+  RESET_PROMOTION,
+  ADD_PROMOTION,
+  REMOVE_PROMOTION,
+  SET_PROMOTIONS_LOADING
+} from './constants';
+
+const initialState = {
+  promotions: [],
+  promotion: {
+    _id: ''
+  },
+  promotionFormData: {
+    name: '',
+    code: '',
+    type: { value: 'Percentage', label: 'Percentage' },
+    value: 0,
+    minSubtotal: 0,
+    buyQuantity: 0,
+    getQuantity: 0,
+    products: [],
+    brands: [],
+    categories: [],
+    usageLimit: '',
+    usageLimitPerUser: '',
+    isStackable: false,
+    startDate: '',
+    endDate: '',
+    isActive: true
+  },
+  formErrors: {},
+  editFormErrors: {},
+  isLoading: false
+};
+
+const promotionReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case FETCH_PROMOTIONS:
+      return {
+        ...state,
+        promotions: action.payload
+      };
+    case FETCH_PROMOTION:
+      return {
+        ...state,
+        promotion: action.payload,
+        editFormErrors: {}
+      };
+    case ADD_PROMOTION:
+      return {
+        ...state,
+        promotions: [action.payload, ...state.promotions]
+      };
+    case REMOVE_PROMOTION:
+      const index = state.promotions.findIndex(p => p._id === action.payload);
+      return {
+        ...state,
+        promotions: [
+          ...state.promotions.slice(0, index),
+          ...state.promotions.slice(index + 1)
+        ]
+      };
+    case PROMOTION_CHANGE:
+      return {
+        ...state,
+        promotionFormData: {
+          ...state.promotionFormData,
+          ...action.payload
+        }
+      };
+    case PROMOTION_EDIT_CHANGE:
+      return {
+        ...state,
+        promotion: {
+          ...state.promotion,
+          ...action.payload
+        }
+      };
+    case SET_PROMOTION_FORM_ERRORS:
+      return {
+        ...state,
+        formErrors: action.payload
+      };
+    case SET_PROMOTION_FORM_EDIT_ERRORS:
+      return {
+        ...state,
+        editFormErrors: action.payload
+      };
+    case SET_PROMOTIONS_LOADING:
+      return {
+        ...state,
+        isLoading: action.payload
+      };
+    case RESET_PROMOTION:
+      return {
+        ...state,
+        promotionFormData: {
+          name: '',
+          code: '',
+          type: { value: 'Percentage', label: 'Percentage' },
+          value: 0,
+          minSubtotal: 0,
+          buyQuantity: 0,
+          getQuantity: 0,
+          products: [],
+          brands: [],
+          categories: [],
+          usageLimit: '',
+          usageLimitPerUser: '',
+          isStackable: false,
+          startDate: '',
+          endDate: '',
+          isActive: true
+        },
+        formErrors: {}
+      };
+    default:
+      return state;
+  }
+};
+
+export default promotionReducer;
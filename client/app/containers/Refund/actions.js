@@ -0,0 +1,81 @@
+/*
+ *
+ * Refund actions
+ *
+ */
+
+import axios from 'axios';
+import { success } from 'react-notification-system-redux';
+
+import { FETCH_ORDER_REFUNDS, SET_REFUNDING, RESET_REFUNDS } from './constants';
+
+import handleError from '../../utils/error';
+import { API_URL } from '../../constants';
+
+export const resetRefunds = () => {
+  return {
+    type: RESET_REFUNDS
+  };
+};
+
+// the refunds of the order and what is left to refund on it
+export const fetchOrderRefunds = orderId => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.get(`${API_URL}/refund/order/${orderId}`);
+      const { refunds, ledger } = response.data;
+
+      dispatch({
+        type: FETCH_ORDER_REFUNDS,
+        payload: { orderId, refunds, ledger }
+      });
+    } catch (error) {
+      dispatch(resetRefunds());
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// the ledger is only loaded for admins, other changes to the order can
+// refund it too
+export const refreshOrderRefunds = () => {
+  return async (dispatch, getState) => {
+    const { orderId } = getState().refund;
+
+    if (orderId && orderId === getState().order.order._id) {
+      dispatch(fetchOrderRefunds(orderId));
+    }
+  };
+};
+
+// values are the items and quantities, shipping and adjustment to refund or
+// full to refund everything left. resolves with true once refunded
+export const addRefund = values => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch({ type: SET_REFUNDING, payload: true });
+
+      const orderId = getState().order.order._id;
+      const response = await axios.post(
+        `${API_URL}/refund/order/${orderId}`,
+        values
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      dispatch(success(successfulOptions));
+      dispatch(fetchOrderRefunds(orderId));
+
+      return true;
+    } catch (error) {
+      handleError(error, dispatch);
+      return false;
+    } finally {
+      dispatch({ type: SET_REFUNDING, payload: false });
+    }
+  };
+};
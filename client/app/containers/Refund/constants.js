@@ -0,0 +1,9 @@
+/*
+ *
+ * Refund constants
+ *
+ */
+
+export const FETCH_ORDER_REFUNDS = 'src/Refund/FETCH_ORDER_REFUNDS';
+export const SET_REFUNDING = 'src/Refund/SET_REFUNDING';
+export const RESET_REFUNDS = 'src/Refund/RESET_REFUNDS';
@@ -0,0 +1,37 @@
+/*
+ *
+ * Refund reducer
+ *
+ */
+
+import { FETCH_ORDER_REFUNDS, SET_REFUNDING, RESET_REFUNDS } from './constants';
+
+const initialState = {
+  orderId: null,
+  refunds: [],
+  ledger: null,
+  isRefunding: false
+};
+
+const refundReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case FETCH_ORDER_REFUNDS:
+      return {
+        ...state,
+        ...action.payload
+      };
+    case SET_REFUNDING:
+      return {
+        ...state,
+        isRefunding: action.payload
+      };
+    case RESET_REFUNDS:
+      return {
+        ...initialState
+      };
+    default:
+      return state;
+  }
+};
+
+export default refundReducer;
@@ -0,0 +1,131 @@
+/*
+ *
+ * Return actions
+ *
+ */
+
+import axios from 'axios';
+import { success } from 'react-notification-system-redux';
+
+import {
+  FETCH_ORDER_RETURNS,
+  SET_RETURNS_LOADING,
+  RESET_RETURNS
+} from './constants';
+
+import { refreshOrderRefunds } from '../Refund/actions';
+import handleError from '../../utils/error';
+import { API_URL } from '../../constants';
+
+const notifySuccess = (dispatch, message) => {
+  const successfulOptions = {
+    title: `${message}`,
+    position: 'tr',
+    autoDismiss: 1
+  };
+
+  dispatch(success(successfulOptions));
+};
+
+export const resetReturns = () => {
+  return {
+    type: RESET_RETURNS
+  };
+};
+
+// the returns of the order with the quantities the customer can still return
+export const fetchOrderReturns = orderId => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch({ type: SET_RETURNS_LOADING, payload: true });
+
+      const response = await axios.get(`${API_URL}/return/order/${orderId}`);
+      const { returns, returnableItems, windowDays } = response.data;
+
+      dispatch({
+        type: FETCH_ORDER_RETURNS,
+        payload: { returns, returnableItems, windowDays }
+      });
+    } catch (error) {
+      dispatch(resetReturns());
+      handleError(error, dispatch);
+    } finally {
+      dispatch({ type: SET_RETURNS_LOADING, payload: false });
+    }
+  };
+};
+
+// resolves with true once the request is sent
+export const addReturn = (items, comment) => {
+  return async (dispatch, getState) => {
+    try {
+      const orderId = getState().order.order._id;
+
+      const response = await axios.post(`${API_URL}/return/add`, {
+        orderId,
+        items,
+        comment
+      });
+
+      notifySuccess(dispatch, response.data.message);
+      dispatch(fetchOrderReturns(orderId));
+
+      return true;
+    } catch (error) {
+      handleError(error, dispatch);
+      return false;
+    }
+  };
+};
+
+export const changeReturnStatus = (returnId, status, note = '') => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.put(`${API_URL}/return/${returnId}/status`, {
+        status,
+        note
+      });
+
+      notifySuccess(dispatch, response.data.message);
+      dispatch(fetchOrderReturns(getState().order.order._id));
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// items are the accepted quantity of every line and whether it is restocked
+export const inspectReturn = (returnId, items, note = '') => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/return/${returnId}/inspect`,
+        { items, note }
+      );
+
+      notifySuccess(dispatch, response.data.message);
+      dispatch(fetchOrderReturns(getState().order.order._id));
+
+      return true;
+    } catch (error) {
+      handleError(error, dispatch);
+      return false;
+    }
+  };
+};
+
+export const refundReturn = (returnId, note = '') => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.put(`${API_URL}/return/${returnId}/refund`, {
+        note
+      });
+
+      notifySuccess(dispatch, response.data.message);
+      dispatch(fetchOrderReturns(getState().order.order._id));
+      dispatch(refreshOrderRefunds());
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
@@ -0,0 +1,9 @@
+/*
+ *
+ * Return constants
+ *
+ */
+
+export const FETCH_ORDER_RETURNS = 'src/Return/FETCH_ORDER_RETURNS';
+export const SET_RETURNS_LOADING = 'src/Return/SET_RETURNS_LOADING';
+export const RESET_RETURNS = 'src/Return/RESET_RETURNS';
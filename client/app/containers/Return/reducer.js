@@ -0,0 +1,41 @@
+/*
+ *
+ * Return reducer
+ *
+ */
+
+import {
+  FETCH_ORDER_RETURNS,
+  SET_RETURNS_LOADING,
+  RESET_RETURNS
+} from './constants';
+
+const initialState = {
+  returns: [],
+  returnableItems: {},
+  windowDays: 0,
+  isLoading: false
+};
+
+const returnReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case FETCH_ORDER_RETURNS:
+      return {
+        ...state,
+        ...action.payload
+      };
+    case SET_RETURNS_LOADING:
+      return {
+        ...state,
+        isLoading: action.payload
+      };
+    case RESET_RETURNS:
+      return {
+        ...initialState
+      };
+    default:
+      return state;
+  }
+};
+
+export default returnReducer;
@@ -0,0 +1,202 @@
+/**
+ *
+ * Search
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+import { Row, Col } from 'reactstrap';
+
+import actions from '../../actions';
+import {
+  searchSortOptions,
+  parseSearchParams,
+  formatSearchParams
+} from '../../utils/store';
+
+import ProductList from '../../components/Store/ProductList';
+import ProductFilter from '../../components/Store/ProductFilter';
+import Pagination from '../../components/Common/Pagination';
+import SelectOption from '../../components/Common/SelectOption';
+import NotFound from '../../components/Common/NotFound';
+import LoadingIndicator from '../../components/Common/LoadingIndicator';
+
+class Search extends React.PureComponent {
+  componentDidMount() {
+    document.body.classList.add('shop-page');
+    this.props.searchStoreProducts(this.getParams());
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.props.location.search !== prevProps.location.search) {
+      this.props.searchStoreProducts(this.getParams());
+    }
+  }
+
+  componentWillUnmount() {
+    document.body.classList.remove('shop-page');
+  }
+
+  getParams() {
+    return parseSearchParams(this.props.location.search);
+  }
+
+  // every change is a new url, the results are fetched when it changes
+  filterSearch = (n, v) => {
+    const params = this.getParams();
+
+    switch (n) {
+      case 'sorting':
+        params.sort = v;
+        params.page = 1;
+        break;
+      case 'price':
+        params.min = v[0];
+        params.max = v[1];
+        params.page = 1;
+        break;
+      case 'rating':
+        params.rating = v;
+        params.page = 1;
+        break;
+      case 'filters':
+        params.filters = v;
+        params.page = 1;
+        break;
+      case 'pagination':
+        params.page = v;
+        break;
+      default:
+        break;
+    }
+
+    this.props.history.push(`/search${formatSearchParams(params)}`);
+  };
+
+  render() {
+    const {
+      location,
+      products,
+      advancedFilters,
+      facets,
+      isLoading,
+      authenticated,
+      updateWishlist
+    } = this.props;
+    const { q, sort, min, max, rating, filters } = parseSearchParams(
+      location.search
+    );
+    const { totalPages, currentPage, count, limit } = advancedFilters;
+    const displayProducts = products && products.length > 0;
+    const left = limit * (currentPage - 1) + 1;
+    const right = products.length + left - 1;
+
+    return (
+      <div className='shop search-page'>
+        <h2 className='search-title'>
+          {q ? `Search results for "${q}"` : 'Search'}
+        </h2>
+        <Row xs='12'>
+          <Col
+            xs={{ size: 12, order: 1 }}
+            sm={{ size: 12, order: 1 }}
+            md={{ size: 12, order: 1 }}
+            lg={{ size: 3, order: 1 }}
+          >
+            <ProductFilter
+              key={location.search}
+              facets={facets}
+              filters={filters}
+              price={[min, max]}
+              rating={rating}
+              filterProducts={this.filterSearch}
+            />
+          </Col>
+          <Col
+            xs={{ size: 12, order: 2 }}
+            sm={{ size: 12, order: 2 }}
+            md={{ size: 12, order: 2 }}
+            lg={{ size: 9, order: 2 }}
+          >
+            <Row className='align-items-center mx-0 mb-4 mt-4 mt-lg-0 py-3 py-lg-0 bg-white shop-toolbar'>
+              <Col
+                xs={{ size: 12, order: 1 }}
+                sm={{ size: 12, order: 1 }}
+                md={{ size: 5, order: 1 }}
+                lg={{ size: 6, order: 1 }}
+                className='text-center text-md-left mt-3 mt-md-0 mb-1 mb-md-0'
+              >
+                <span>Showing: </span>
+                {displayProducts
+                  ? `${left}-${right} products of ${count} products`
+                  : `${count} products`}
+              </Col>
+              <Col
+                xs={{ size: 12, order: 2 }}
+                sm={{ size: 12, order: 2 }}
+                md={{ size: 2, order: 2 }}
+                lg={{ size: 2, order: 2 }}
+                className='text-right pr-0 d-none d-md-block'
+              >
+                <span>Sort by</span>
+              </Col>
+              <Col
+                xs={{ size: 12, order: 2 }}
+                sm={{ size: 12, order: 2 }}
+                md={{ size: 5, order: 2 }}
+                lg={{ size: 4, order: 2 }}
+              >
+                <SelectOption
+                  name={'sorting'}
+                  value={searchSortOptions.find(
+                    option => option.value === sort
+                  )}
+                  options={searchSortOptions}
+                  handleSelectChange={n => {
+                    this.filterSearch('sorting', n.value);
+                  }}
+                />
+              </Col>
+            </Row>
+
+            {isLoading && <LoadingIndicator />}
+            {displayProducts && (
+              <ProductList
+                products={products}
+                authenticated={authenticated}
+                updateWishlist={updateWishlist}
+              />
+            )}
+            {!isLoading && !displayProducts && (
+              <NotFound message='No products match your search.' />
+            )}
+
+            {totalPages > 1 && (
+              <div className='d-flex justify-content-center text-center mt-4'>
+                <Pagination
+                  totalPages={totalPages}
+                  currentPage={currentPage}
+                  onPagination={this.filterSearch}
+                />
+              </div>
+            )}
+          </Col>
+        </Row>
+      </div>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    advancedFilters: state.product.advancedFilters,
+    facets: state.product.facets,
+    products: state.product.storeProducts,
+    isLoading: state.product.isLoading,
+    authenticated: state.authentication.authenticated
+  };
+};
+
+export default connect(mapStateToProps, actions)(Search);
@@ -0,0 +1,115 @@
+/*
+ *
+ * Shipment actions
+ *
+ */
+
+import axios from 'axios';
+import { success } from 'react-notification-system-redux';
+
+import {
+  FETCH_ORDER_SHIPMENTS,
+  FETCH_PACKING_SLIP,
+  SET_SHIPPING,
+  SET_PACKING_SLIP_LOADING,
+  RESET_SHIPMENTS
+} from './constants';
+
+import { fetchOrder } from '../Order/actions';
+import handleError from '../../utils/error';
+import { downloadFile } from '../../utils/download';
+import { API_URL } from '../../constants';
+
+export const resetShipments = () => {
+  return {
+    type: RESET_SHIPMENTS
+  };
+};
+
+// the shipments of the order, guests send the access token of their order
+export const fetchOrderShipments = (orderId, token) => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.get(`${API_URL}/shipment/order/${orderId}`, {
+        params: { token }
+      });
+      const { shipments, shippableItems } = response.data;
+
+      dispatch({
+        type: FETCH_ORDER_SHIPMENTS,
+        payload: { shipments, shippableItems }
+      });
+    } catch (error) {
+      dispatch(resetShipments());
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// values are the items, carrier, tracking number and ship date. resolves
+// with true once shipped
+export const addShipment = values => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch({ type: SET_SHIPPING, payload: true });
+
+      const orderId = getState().order.order._id;
+      const response = await axios.post(
+        `${API_URL}/shipment/order/${orderId}`,
+        values
+      );
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      dispatch(success(successfulOptions));
+      dispatch(fetchOrder(orderId, false));
+      dispatch(fetchOrderShipments(orderId));
+
+      return true;
+    } catch (error) {
+      handleError(error, dispatch);
+      return false;
+    } finally {
+      dispatch({ type: SET_SHIPPING, payload: false });
+    }
+  };
+};
+
+export const fetchPackingSlip = shipmentId => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch({ type: SET_PACKING_SLIP_LOADING, payload: true });
+
+      const response = await axios.get(
+        `${API_URL}/shipment/${shipmentId}/packing-slip`
+      );
+
+      dispatch({
+        type: FETCH_PACKING_SLIP,
+        payload: response.data.packingSlip
+      });
+    } catch (error) {
+      dispatch({ type: FETCH_PACKING_SLIP, payload: null });
+      handleError(error, dispatch);
+    } finally {
+      dispatch({ type: SET_PACKING_SLIP_LOADING, payload: false });
+    }
+  };
+};
+
+export const downloadPackingSlip = shipmentId => {
+  return async (dispatch, getState) => {
+    try {
+      await downloadFile(
+        `${API_URL}/shipment/${shipmentId}/packing-slip.pdf`,
+        `packing-slip-${shipmentId}.pdf`
+      );
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
@@ -0,0 +1,11 @@
+/*
+ *
+ * Shipment constants
+ *
+ */
+
+export const FETCH_ORDER_SHIPMENTS = 'src/Shipment/FETCH_ORDER_SHIPMENTS';
+export const FETCH_PACKING_SLIP = 'src/Shipment/FETCH_PACKING_SLIP';
+export const SET_SHIPPING = 'src/Shipment/SET_SHIPPING';
+export const SET_PACKING_SLIP_LOADING = 'src/Shipment/SET_PACKING_SLIP_LOADING';
+export const RESET_SHIPMENTS = 'src/Shipment/RESET_SHIPMENTS';
@@ -0,0 +1,54 @@
+/*
+ *
+ * Shipment reducer
+ *
+ */
+
+import {
+  FETCH_ORDER_SHIPMENTS,
+  FETCH_PACKING_SLIP,
+  SET_SHIPPING,
+  SET_PACKING_SLIP_LOADING,
+  RESET_SHIPMENTS
+} from './constants';
+
+const initialState = {
+  shipments: [],
+  shippableItems: [],
+  packingSlip: null,
+  isShipping: false,
+  isLoading: false
+};
+
+const shipmentReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case FETCH_ORDER_SHIPMENTS:
+      return {
+        ...state,
+        ...action.payload
+      };
+    case FETCH_PACKING_SLIP:
+      return {
+        ...state,
+        packingSlip: action.payload
+      };
+    case SET_SHIPPING:
+      return {
+        ...state,
+        isShipping: action.payload
+      };
+    case SET_PACKING_SLIP_LOADING:
+      return {
+        ...state,
+        isLoading: action.payload
+      };
+    case RESET_SHIPMENTS:
+      return {
+        ...initialState
+      };
+    default:
+      return state;
+  }
+};
+
+export default shipmentReducer;
@@ -0,0 +1,85 @@
+/*
+ *
+ * Shipping actions
+ *
+ */
+
+import axios from 'axios';
+
+import {
+  FETCH_SHIPPING_METHODS,
+  SHIPPING_ADDRESS_SELECT,
+  SHIPPING_METHOD_SELECT,
+  SET_SHIPPING_LOADING,
+  RESET_SHIPPING
+} from './constants';
+
+import { getCartId } from '../Cart/actions';
+import handleError from '../../utils/error';
+import { getGuestAddress } from '../../utils/store';
+import { API_URL, CART_ID } from '../../constants';
+
+export const setShippingLoading = value => {
+  return {
+    type: SET_SHIPPING_LOADING,
+    payload: value
+  };
+};
+
+export const selectShippingMethod = methodId => {
+  return {
+    type: SHIPPING_METHOD_SELECT,
+    payload: methodId
+  };
+};
+
+export const resetShipping = () => {
+  return {
+    type: RESET_SHIPPING
+  };
+};
+
+export const selectShippingAddress = addressId => {
+  return async (dispatch, getState) => {
+    dispatch({
+      type: SHIPPING_ADDRESS_SELECT,
+      payload: addressId
+    });
+
+    await dispatch(fetchShippingMethods());
+  };
+};
+
+// quote the shipping methods of the cart for the selected address
+export const fetchShippingMethods = () => {
+  return async (dispatch, getState) => {
+    try {
+      const { addressId } = getState().shipping;
+      const address = getGuestAddress(getState());
+
+      if (!(addressId || address) || getState().cart.cartItems.length === 0) {
+        return;
+      }
+
+      dispatch(setShippingLoading(true));
+
+      await dispatch(getCartId());
+      const cartId = localStorage.getItem(CART_ID);
+
+      const response = await axios.post(`${API_URL}/shipping/quote`, {
+        cartId,
+        addressId,
+        address
+      });
+
+      dispatch({
+        type: FETCH_SHIPPING_METHODS,
+        payload: response.data.methods
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    } finally {
+      dispatch(setShippingLoading(false));
+    }
+  };
+};
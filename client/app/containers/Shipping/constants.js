@@ -0,0 +1,11 @@
+/*
+ *
+ * Shipping constants
+ *
+ */
+
+export const FETCH_SHIPPING_METHODS = 'src/Shipping/FETCH_SHIPPING_METHODS';
+export const SHIPPING_ADDRESS_SELECT = 'src/Shipping/SHIPPING_ADDRESS_SELECT';
+export const SHIPPING_METHOD_SELECT = 'src/Shipping/SHIPPING_METHOD_SELECT';
+export const SET_SHIPPING_LOADING = 'src/Shipping/SET_SHIPPING_LOADING';
+export const RESET_SHIPPING = 'src/Shipping/RESET_SHIPPING';
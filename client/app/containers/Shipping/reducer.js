@@ -0,0 +1,58 @@
+/*
+ *
+ * Shipping reducer
+ *
+ */
+
+import {
+  FETCH_SHIPPING_METHODS,
+  SHIPPING_ADDRESS_SELECT,
+  SHIPPING_METHOD_SELECT,
+  SET_SHIPPING_LOADING,
+  RESET_SHIPPING
+} from './constants';
+
+const initialState = {
+  addressId: '',
+  methods: [],
+  methodId: '',
+  isLoading: false
+};
+
+const shippingReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case FETCH_SHIPPING_METHODS:
+      return {
+        ...state,
+        methods: action.payload,
+        methodId: action.payload.some(m => m._id === state.methodId)
+          ? state.methodId
+          : ''
+      };
+    case SHIPPING_ADDRESS_SELECT:
+      return {
+        ...state,
+        addressId: action.payload,
+        methods: [],
+        methodId: ''
+      };
+    case SHIPPING_METHOD_SELECT:
+      return {
+        ...state,
+        methodId: action.payload
+      };
+    case SET_SHIPPING_LOADING:
+      return {
+        ...state,
+        isLoading: action.payload
+      };
+    case RESET_SHIPPING:
+      return {
+        ...initialState
+      };
+    default:
+      return state;
+  }
+};
+
+export default shippingReducer;
@@ -32,7 +32,7 @@ class Shop extends React.PureComponent {
   }
 
   render() {
-    const { products, advancedFilters, filterProducts } = this.props;
+    const { products, advancedFilters, facets, filterProducts } = this.props;
     const { totalPages, currentPage, count, limit, order } = advancedFilters;
     const displayPagination = totalPages > 1;
     const totalProducts = products.length;
@@ -48,7 +48,11 @@ class Shop extends React.PureComponent {
             md={{ size: 12, order: 1 }}
             lg={{ size: 3, order: 1 }}
           >
-            <ProductFilter filterProducts={filterProducts} />
+            <ProductFilter
+              facets={facets}
+              filters={advancedFilters.filters}
+              filterProducts={filterProducts}
+            />
           </Col>
           <Col
             xs={{ size: 12, order: 2 }}
@@ -86,7 +90,7 @@ class Shop extends React.PureComponent {
               >
                 <SelectOption
                   name={'sorting'}
-                  value={{ value: order, label: sortOptions[order].label }}
+                  value={sortOptions.find(option => option.value === order)}
                   options={sortOptions}
                   handleSelectChange={(n, v) => {
                     filterProducts('sorting', n.value);
@@ -119,6 +123,7 @@ class Shop extends React.PureComponent {
 const mapStateToProps = state => {
   return {
     advancedFilters: state.product.advancedFilters,
+    facets: state.product.facets,
     products: state.product.storeProducts
   };
 };
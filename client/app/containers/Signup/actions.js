@@ -6,6 +6,7 @@
 
 import { success } from 'react-notification-system-redux';
 import axios from 'axios';
+import { push } from 'connected-react-router';
 
 import {
   SIGNUP_CHANGE,
@@ -13,10 +14,12 @@ import {
   SET_SIGNUP_LOADING,
   SET_SIGNUP_SUBMITTING,
   SUBSCRIBE_CHANGE,
-  SET_SIGNUP_FORM_ERRORS
+  SET_SIGNUP_FORM_ERRORS,
+  SET_SIGNUP_ORDER_TOKEN
 } from './constants';
 
 import { setAuth } from '../Authentication/actions';
+import { discardCartId } from '../Cart/actions';
 import setToken from '../../utils/token';
 import handleError from '../../utils/error';
 import { allFieldsValidation } from '../../utils/validation';
@@ -38,6 +41,15 @@ export const subscribeChange = () => {
   };
 };
 
+// create an account from a guest order, the guest orders of its email are linked to it
+export const signupFromOrder = (order, token) => {
+  return (dispatch, getState) => {
+    dispatch(signupChange('email', order.contact.email));
+    dispatch({ type: SET_SIGNUP_ORDER_TOKEN, payload: token });
+    dispatch(push('/register'));
+  };
+};
+
 export const signUp = () => {
   return async (dispatch, getState) => {
     try {
@@ -49,7 +61,7 @@ export const signUp = () => {
       };
 
       const newUser = getState().signup.signupFormData;
-      const isSubscribed = getState().signup.isSubscribed;
+      const { isSubscribed, orderToken } = getState().signup;
 
       const { isValid, errors } = allFieldsValidation(newUser, rules, {
         'required.email': 'Email is required.',
@@ -67,6 +79,7 @@ export const signUp = () => {
 
       const user = {
         isSubscribed,
+        orderToken: orderToken || undefined,
         ...newUser
       };
 
@@ -74,10 +87,17 @@ export const signUp = () => {
 
       const successfulOptions = {
         title: `You have signed up successfully! You will be receiving an email as well. Thank you!`,
+        message:
+          response.data.linkedOrders > 0
+            ? 'Your previous orders have been added to your account.'
+            : '',
         position: 'tr',
         autoDismiss: 1
       };
 
+      // the guest cart can not be used by the new account
+      await dispatch(discardCartId());
+
       localStorage.setItem('token', response.data.token);
 
       setToken(response.data.token);
@@ -10,3 +10,4 @@ export const SET_SIGNUP_LOADING = 'src/Signup/SET_SIGNUP_LOADING';
 export const SET_SIGNUP_SUBMITTING = 'src/Signup/SET_SIGNUP_SUBMITTING';
 export const SET_SIGNUP_FORM_ERRORS = 'src/Signup/SET_SIGNUP_FORM_ERRORS';
 export const SUBSCRIBE_CHANGE = 'src/Signup/SUBSCRIBE_CHANGE';
+export const SET_SIGNUP_ORDER_TOKEN = 'src/Signup/SET_SIGNUP_ORDER_TOKEN';
@@ -27,6 +27,7 @@ class Signup extends React.PureComponent {
       isLoading,
       isSubmitting,
       isSubscribed,
+      orderToken,
       signupChange,
       signUp,
       subscribeChange
@@ -44,6 +45,11 @@ class Signup extends React.PureComponent {
         {isLoading && <LoadingIndicator />}
         <h2>Sign Up</h2>
         <hr />
+        {orderToken && (
+          <p>
+            Your orders placed with this email will be added to your account.
+          </p>
+        )}
         <form onSubmit={handleSubmit} noValidate>
           <Row>
             <Col
@@ -143,7 +149,8 @@ const mapStateToProps = state => {
     formErrors: state.signup.formErrors,
     isLoading: state.signup.isLoading,
     isSubmitting: state.signup.isSubmitting,
-    isSubscribed: state.signup.isSubscribed
+    isSubscribed: state.signup.isSubscribed,
+    orderToken: state.signup.orderToken
   };
 };
 
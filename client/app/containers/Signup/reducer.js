@@ -10,7 +10,8 @@ import {
   SET_SIGNUP_LOADING,
   SET_SIGNUP_SUBMITTING,
   SUBSCRIBE_CHANGE,
-  SET_SIGNUP_FORM_ERRORS
+  SET_SIGNUP_FORM_ERRORS,
+  SET_SIGNUP_ORDER_TOKEN
 } from './constants';
 
 const initialState = {
@@ -23,7 +24,8 @@ const initialState = {
   formErrors: {},
   isSubmitting: false,
   isLoading: false,
-  isSubscribed: false
+  isSubscribed: false,
+  orderToken: ''
 };
 
 const signupReducer = (state = initialState, action) => {
@@ -53,6 +55,11 @@ const signupReducer = (state = initialState, action) => {
         ...state,
         isSubmitting: action.payload
       };
+    case SET_SIGNUP_ORDER_TOKEN:
+      return {
+        ...state,
+        orderToken: action.payload
+      };
     case SIGNUP_RESET:
       return {
         ...state,
@@ -63,7 +70,8 @@ const signupReducer = (state = initialState, action) => {
           password: ''
         },
         formErrors: {},
-        isLoading: false
+        isLoading: false,
+        orderToken: ''
       };
     default:
       return state;
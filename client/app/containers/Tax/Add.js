@@ -0,0 +1,45 @@
+/*
+ *
+ * Add
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import AddTaxRate from '../../components/Manager/AddTaxRate';
+import SubPage from '../../components/Manager/SubPage';
+
+class Add extends React.PureComponent {
+  render() {
+    const { history, taxRateFormData, formErrors, taxRateChange, addTaxRate } =
+      this.props;
+
+    return (
+      <SubPage
+        title='Add Tax Rate'
+        actionTitle='Cancel'
+        handleAction={() => history.goBack()}
+      >
+        <AddTaxRate
+          taxRateFormData={taxRateFormData}
+          formErrors={formErrors}
+          taxRateChange={taxRateChange}
+          addTaxRate={addTaxRate}
+        />
+      </SubPage>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    taxRateFormData: state.tax.taxRateFormData,
+    formErrors: state.tax.formErrors
+  };
+};
+
+export default connect(mapStateToProps, actions)(Add);
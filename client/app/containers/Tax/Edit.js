@@ -0,0 +1,69 @@
+/*
+ *
+ * Edit
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import EditTaxRate from '../../components/Manager/EditTaxRate';
+import SubPage from '../../components/Manager/SubPage';
+import NotFound from '../../components/Common/NotFound';
+
+class Edit extends React.PureComponent {
+  componentDidMount() {
+    const taxRateId = this.props.match.params.id;
+    this.props.fetchTaxRate(taxRateId);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.props.match.params.id !== prevProps.match.params.id) {
+      const taxRateId = this.props.match.params.id;
+      this.props.fetchTaxRate(taxRateId);
+    }
+  }
+
+  render() {
+    const {
+      history,
+      taxRate,
+      formErrors,
+      taxRateEditChange,
+      updateTaxRate,
+      deleteTaxRate
+    } = this.props;
+
+    return (
+      <SubPage
+        title='Edit Tax Rate'
+        actionTitle='Cancel'
+        handleAction={history.goBack}
+      >
+        {taxRate?._id ? (
+          <EditTaxRate
+            taxRate={taxRate}
+            formErrors={formErrors}
+            taxRateChange={taxRateEditChange}
+            updateTaxRate={updateTaxRate}
+            deleteTaxRate={deleteTaxRate}
+          />
+        ) : (
+          <NotFound message='No tax rate found.' />
+        )}
+      </SubPage>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    taxRate: state.tax.taxRate,
+    formErrors: state.tax.editFormErrors
+  };
+};
+
+export default connect(mapStateToProps, actions)(Edit);
@@ -0,0 +1,53 @@
+/*
+ *
+ * List
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+
+import actions from '../../actions';
+
+import TaxRateList from '../../components/Manager/TaxRateList';
+import SubPage from '../../components/Manager/SubPage';
+import LoadingIndicator from '../../components/Common/LoadingIndicator';
+import NotFound from '../../components/Common/NotFound';
+
+class List extends React.PureComponent {
+  componentDidMount() {
+    this.props.fetchTaxRates();
+  }
+
+  render() {
+    const { history, taxRates, isLoading } = this.props;
+
+    return (
+      <>
+        <SubPage
+          title='Tax Rates'
+          actionTitle='Add'
+          handleAction={() => history.push('/dashboard/tax/add')}
+        >
+          {isLoading ? (
+            <LoadingIndicator inline />
+          ) : taxRates.length > 0 ? (
+            <TaxRateList taxRates={taxRates} />
+          ) : (
+            <NotFound message='No tax rates found.' />
+          )}
+        </SubPage>
+      </>
+    );
+  }
+}
+
+const mapStateToProps = state => {
+  return {
+    taxRates: state.tax.taxRates,
+    isLoading: state.tax.isLoading
+  };
+};
+
+export default connect(mapStateToProps, actions)(List);
@@ -0,0 +1,225 @@
+/*
+ *
+ * Tax actions
+ *
+ */
+
+import { goBack } from 'connected-react-router';
+import { success } from 'react-notification-system-redux';
+import axios from 'axios';
+
+import {
+  FETCH_TAX_RATES,
+  FETCH_TAX_RATE,
+  TAX_RATE_CHANGE,
+  TAX_RATE_EDIT_CHANGE,
+  SET_TAX_RATE_FORM_ERRORS,
+  SET_TAX_RATE_FORM_EDIT_ERRORS,
+  RESET_TAX_RATE,
+  ADD_TAX_RATE,
+  REMOVE_TAX_RATE,
+  SET_TAX_RATES_LOADING
+} from './constants';
+
+import handleError from '../../utils/error';
+import { allFieldsValidation } from '../../utils/validation';
+import { API_URL } from '../../constants';
+
+const rules = {
+  name: 'required',
+  taxClass: 'required',
+  rate: 'required|numeric|min:0|max:100'
+};
+
+const messages = {
+  'required.name': 'Name is required.',
+  'required.taxClass': 'Tax class is required.',
+  'required.rate': 'Rate is required.',
+  'numeric.rate': 'Rate must be a number.',
+  'min.rate': 'Rate may not be lower than 0.',
+  'max.rate': 'Rate may not be greater than 100.'
+};
+
+export const taxRateChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: TAX_RATE_CHANGE,
+    payload: formData
+  };
+};
+
+export const taxRateEditChange = (name, value) => {
+  let formData = {};
+  formData[name] = value;
+
+  return {
+    type: TAX_RATE_EDIT_CHANGE,
+    payload: formData
+  };
+};
+
+export const resetTaxRate = () => {
+  return async (dispatch, getState) => {
+    dispatch({ type: RESET_TAX_RATE });
+  };
+};
+
+// fetch tax rates api
+export const fetchTaxRates = () => {
+  return async (dispatch, getState) => {
+    try {
+      dispatch({ type: SET_TAX_RATES_LOADING, payload: true });
+
+      const response = await axios.get(`${API_URL}/tax`);
+
+      dispatch({
+        type: FETCH_TAX_RATES,
+        payload: response.data.taxRates
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    } finally {
+      dispatch({ type: SET_TAX_RATES_LOADING, payload: false });
+    }
+  };
+};
+
+// fetch tax rate api
+export const fetchTaxRate = id => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.get(`${API_URL}/tax/${id}`);
+
+      dispatch({
+        type: FETCH_TAX_RATE,
+        payload: response.data.taxRate
+      });
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// add tax rate api
+export const addTaxRate = () => {
+  return async (dispatch, getState) => {
+    try {
+      const taxRate = getState().tax.taxRateFormData;
+
+      const newTaxRate = {
+        ...taxRate,
+        taxClass: taxRate.taxClass.value
+      };
+
+      const { isValid, errors } = allFieldsValidation(
+        newTaxRate,
+        rules,
+        messages
+      );
+
+      if (!isValid) {
+        return dispatch({ type: SET_TAX_RATE_FORM_ERRORS, payload: errors });
+      }
+
+      const response = await axios.post(`${API_URL}/tax/add`, newTaxRate);
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+        dispatch({
+          type: ADD_TAX_RATE,
+          payload: response.data.taxRate
+        });
+
+        dispatch(goBack());
+        dispatch({ type: RESET_TAX_RATE });
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// update tax rate api
+export const updateTaxRate = () => {
+  return async (dispatch, getState) => {
+    try {
+      const taxRate = getState().tax.taxRate;
+
+      const newTaxRate = {
+        name: taxRate.name,
+        country: taxRate.country,
+        state: taxRate.state,
+        zipCode: taxRate.zipCode,
+        taxClass: taxRate.taxClass,
+        rate: taxRate.rate,
+        isInclusive: taxRate.isInclusive,
+        isActive: taxRate.isActive
+      };
+
+      const { isValid, errors } = allFieldsValidation(
+        newTaxRate,
+        rules,
+        messages
+      );
+
+      if (!isValid) {
+        return dispatch({
+          type: SET_TAX_RATE_FORM_EDIT_ERRORS,
+          payload: errors
+        });
+      }
+
+      const response = await axios.put(`${API_URL}/tax/${taxRate._id}`, {
+        taxRate: newTaxRate
+      });
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+
+        dispatch(goBack());
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
+
+// delete tax rate api
+export const deleteTaxRate = id => {
+  return async (dispatch, getState) => {
+    try {
+      const response = await axios.delete(`${API_URL}/tax/delete/${id}`);
+
+      const successfulOptions = {
+        title: `${response.data.message}`,
+        position: 'tr',
+        autoDismiss: 1
+      };
+
+      if (response.data.success === true) {
+        dispatch(success(successfulOptions));
+        dispatch({
+          type: REMOVE_TAX_RATE,
+          payload: id
+        });
+        dispatch(goBack());
+      }
+    } catch (error) {
+      handleError(error, dispatch);
+    }
+  };
+};
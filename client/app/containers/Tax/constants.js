@@ -0,0 +1,17 @@
+/*
+ *
+ * Tax constants
+ *
+ */
+
+export const FETCH_TAX_RATES = 'src/Tax/FETCH_TAX_RATES';
+export const FETCH_TAX_RATE = 'src/Tax/FETCH_TAX_RATE';
+export const TAX_RATE_CHANGE = 'src/Tax/TAX_RATE_CHANGE';
+export const TAX_RATE_EDIT_CHANGE = 'src/Tax/TAX_RATE_EDIT_CHANGE';
+export const SET_TAX_RATE_FORM_ERRORS = 'src/Tax/SET_TAX_RATE_FORM_ERRORS';
+export const SET_TAX_RATE_FORM_EDIT_ERRORS =
+  'src/Tax/SET_TAX_RATE_FORM_EDIT_ERRORS';
+export const RESET_TAX_RATE = 'src/Tax/RESET_TAX_RATE';
+export const ADD_TAX_RATE = 'src/Tax/ADD_TAX_RATE';
+export const REMOVE_TAX_RATE = 'src/Tax/REMOVE_TAX_RATE';
+export const SET_TAX_RATES_LOADING = 'src/Tax/SET_TAX_RATES_LOADING';
@@ -0,0 +1,33 @@
+/*
+ *
+ * Tax
+ *
+ */
+
+import React from 'react';
+
+import { connect } from 'react-redux';
+import { Switch, Route } from 'react-router-dom';
+
+import actions from '../../actions';
+import List from './List';
+import Add from './Add';
+import Edit from './Edit';
+import Page404 from '../../components/Common/Page404';
+
+class Tax extends React.PureComponent {
+  render() {
+    return (
+      <div className='tax-dashboard'>
+        <Switch>
+          <Route exact path='/dashboard/tax' component={List} />
+          <Route exact path='/dashboard/tax/edit/:id' component={Edit} />
+          <Route exact path='/dashboard/tax/add' component={Add} />
+          <Route path='*' component={Page404} />
+        </Switch>
+      </div>
+    );
+  }
+}
+
+export default connect(null, actions)(Tax);
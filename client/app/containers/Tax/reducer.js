@@ -0,0 +1,118 @@
+/*
+ *
+ * Tax reducer
+ *
+ */
+
+import {
+  FETCH_TAX_RATES,
+  FETCH_TAX_RATE,
+  TAX_RATE_CHANGE,
+  TAX_RATE_EDIT_CHANGE,
+  SET_TAX_RATE_FORM_ERRORS,
+  SET_TAX_RATE_FORM_EDIT_ERRORS,
+  RESET_TAX_RATE,
+  ADD_TAX_RATE,
+  REMOVE_TAX_RATE,
+  SET_TAX_RATES_LOADING
+} from './constants';
+
+const initialState = {
+  taxRates: [],
+  taxRate: {
+    _id: ''
+  },
+  taxRateFormData: {
+    name: '',
+    country: '',
+    state: '',
+    zipCode: '',
+    taxClass: { value: 'Standard', label: 'Standard' },
+    rate: 0,
+    isInclusive: false,
+    isActive: true
+  },
+  formErrors: {},
+  editFormErrors: {},
+  isLoading: false
+};
+
+const taxReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case FETCH_TAX_RATES:
+      return {
+        ...state,
+        taxRates: action.payload
+      };
+    case FETCH_TAX_RATE:
+      return {
+        ...state,
+        taxRate: action.payload,
+        editFormErrors: {}
+      };
+    case ADD_TAX_RATE:
+      return {
+        ...state,
+        taxRates: [...state.taxRates, action.payload]
+      };
+    case REMOVE_TAX_RATE:
+      const index = state.taxRates.findIndex(t => t._id === action.payload);
+      return {
+        ...state,
+        taxRates: [
+          ...state.taxRates.slice(0, index),
+          ...state.taxRates.slice(index + 1)
+        ]
+      };
+    case TAX_RATE_CHANGE:
+      return {
+        ...state,
+        taxRateFormData: {
+          ...state.taxRateFormData,
+          ...action.payload
+        }
+      };
+    case TAX_RATE_EDIT_CHANGE:
+      return {
+        ...state,
+        taxRate: {
+          ...state.taxRate,
+          ...action.payload
+        }
+      };
+    case SET_TAX_RATE_FORM_ERRORS:
+      return {
+        ...state,
+        formErrors: action.payload
+      };
+    case SET_TAX_RATE_FORM_EDIT_ERRORS:
+      return {
+        ...state,
+        editFormErrors: action.payload
+      };
+    case SET_TAX_RATES_LOADING:
+      return {
+        ...state,
+        isLoading: action.payload
+      };
+    case RESET_TAX_RATE:
+      return {
+        ...state,
+        taxRateFormData: {
+          name: '',
+          country: '',
+          state: '',
+          zipCode: '',
+          taxClass: { value: 'Standard', label: 'Standard' },
+          rate: 0,
+          isInclusive: false,
+          isActive: true
+        },
+        formErrors: {}
+      };
+    default:
+      return state;
+  }
+};
+
+export default taxReducer;
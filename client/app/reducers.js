@@ -31,8 +31,16 @@ import shopReducer from './containers/Shop/reducer';
 import merchantReducer from './containers/Merchant/reducer';
 import contactReducer from './containers/Contact/reducer';
 import orderReducer from './containers/Order/reducer';
+import returnReducer from './containers/Return/reducer';
+import refundReducer from './containers/Refund/reducer';
+import shipmentReducer from './containers/Shipment/reducer';
 import reviewReducer from './containers/Review/reducer';
 import wishListReducer from './containers/WishList/reducer';
+import taxReducer from './containers/Tax/reducer';
+import shippingReducer from './containers/Shipping/reducer';
+import checkoutReducer from './containers/Checkout/reducer';
+import promotionReducer from './containers/Promotion/reducer';
+import attributeReducer from './containers/Attribute/reducer';
 
 const createReducer = history =>
   combineReducers({
@@ -60,8 +68,16 @@ const createReducer = history =>
     merchant: merchantReducer,
     contact: contactReducer,
     order: orderReducer,
+    returns: returnReducer,
+    refund: refundReducer,
+    shipment: shipmentReducer,
     review: reviewReducer,
-    wishlist: wishListReducer
+    wishlist: wishListReducer,
+    tax: taxReducer,
+    shipping: shippingReducer,
+    checkout: checkoutReducer,
+    promotion: promotionReducer,
+    attribute: attributeReducer
   });
 
 export default createReducer;
@@ -0,0 +1,32 @@
+/**
+ *
+ * download.js
+ * this helper fetches a file from the api and saves it
+ */
+
+import axios from 'axios';
+
+export const downloadFile = async (url, fileName, params = {}) => {
+  try {
+    const response = await axios.get(url, { params, responseType: 'blob' });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(response.data);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    // errors come back as a blob too, read the message the server sent
+    if (error.response?.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text());
+      } catch (e) {
+        error.response.data = {};
+      }
+    }
+
+    throw error;
+  }
+};
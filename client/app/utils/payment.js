@@ -0,0 +1,17 @@
+/**
+ *
+ * payment.js
+ * card tokenization, the card number never leaves the browser
+ */
+
+// test card the mock provider declines, to try the failure path of the checkout
+const DECLINED_CARD = '4000000000000002';
+
+// resolves with the opaque source the payment provider authorizes. A real
+// provider tokenizes through its own browser SDK, the mock provider only
+// needs to know whether to decline.
+export const tokenizeCard = async card => {
+  const cardNumber = card.cardNumber.replace(/[\s-]/g, '');
+
+  return cardNumber === DECLINED_CARD ? 'mock_declined' : 'mock_ok';
+};
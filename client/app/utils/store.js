@@ -1,5 +1,106 @@
+import { PRODUCT_SORT } from '../constants';
+
+// the server computes every sort, the keys are all it accepts
 export const sortOptions = [
-  { value: 0, label: 'Newest First' },
-  { value: 1, label: 'Price High to Low' },
-  { value: 2, label: 'Price Low to High' }
+  { value: PRODUCT_SORT.Newest, label: 'Newest First' },
+  { value: PRODUCT_SORT.Best_Selling, label: 'Best Selling' },
+  { value: PRODUCT_SORT.Top_Rated, label: 'Top Rated' },
+  { value: PRODUCT_SORT.Most_Reviewed, label: 'Most Reviewed' },
+  { value: PRODUCT_SORT.Price_High_To_Low, label: 'Price High to Low' },
+  { value: PRODUCT_SORT.Price_Low_To_High, label: 'Price Low to High' },
+  { value: PRODUCT_SORT.Name_A_To_Z, label: 'Name A to Z' },
+  { value: PRODUCT_SORT.Biggest_Discount, label: 'Biggest Discount' }
 ];
+
+// guests have no saved addresses, they send the address entered at checkout
+export const getGuestAddress = state =>
+  state.authentication.authenticated ? undefined : state.checkout.address;
+
+export const getVariantName = variant =>
+  (variant?.options || []).map(option => option.value).join(' / ');
+
+// the variant matching every selected option value, null until all are picked
+export const findSelectedVariant = (product, selected = {}) =>
+  (product.variants || []).find(variant =>
+    variant.options.every(option => selected[option.name] === option.value)
+  ) || null;
+
+// cart lines are a product, or one of its variants when it has some
+export const isSameCartItem = (item, other) =>
+  item._id === other._id && (item.variant || null) === (other.variant || null);
+
+// search results are ranked unless the shopper picks another order
+export const searchSortOptions = [
+  { value: PRODUCT_SORT.Relevance, label: 'Relevance' },
+  ...sortOptions
+];
+
+const searchDefaults = {
+  q: '',
+  sort: PRODUCT_SORT.Relevance,
+  page: 1,
+  min: 1,
+  max: 2500,
+  rating: 0
+};
+
+const parseFilters = value => {
+  try {
+    const filters = JSON.parse(value) || {};
+
+    return {
+      brands: filters.brands || [],
+      categories: filters.categories || [],
+      attributes: filters.attributes || {}
+    };
+  } catch (error) {
+    return { brands: [], categories: [], attributes: {} };
+  }
+};
+
+// the search page keeps its query, filters, sort and page in the url so
+// searches can be shared and the back button goes to the previous results
+export const parseSearchParams = search => {
+  const params = new URLSearchParams(search);
+  const number = name => {
+    const value = Number(params.get(name));
+    return params.has(name) && !isNaN(value) ? value : searchDefaults[name];
+  };
+
+  return {
+    q: params.get('q') || '',
+    sort: searchSortOptions.some(option => option.value === params.get('sort'))
+      ? params.get('sort')
+      : searchDefaults.sort,
+    page: Math.max(number('page'), 1),
+    min: number('min'),
+    max: number('max'),
+    rating: number('rating'),
+    filters: parseFilters(params.get('filters'))
+  };
+};
+
+// the url search of the params, leaving out the default values
+export const formatSearchParams = values => {
+  const params = new URLSearchParams();
+
+  Object.keys(searchDefaults).forEach(name => {
+    const value = values[name];
+
+    if (value !== undefined && value !== searchDefaults[name]) {
+      params.set(name, value);
+    }
+  });
+
+  const filters = values.filters;
+  if (
+    filters &&
+    (filters.brands.length > 0 ||
+      filters.categories.length > 0 ||
+      Object.values(filters.attributes).some(list => list.length > 0))
+  ) {
+    params.set('filters', JSON.stringify(filters));
+  }
+
+  return `?${params.toString()}`;
+};
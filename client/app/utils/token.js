@@ -14,4 +14,13 @@ const setToken = token => {
   }
 };
 
+// guests can only reach their cart with the token it was created with
+export const setCartToken = token => {
+  if (token) {
+    axios.defaults.headers.common['X-Cart-Token'] = token;
+  } else {
+    delete axios.defaults.headers.common['X-Cart-Token'];
+  }
+};
+
 export default setToken;
@@ -10,7 +10,9 @@ module.exports = {
   },
   jwt: {
     secret: process.env.JWT_SECRET,
-    tokenLife: '7d'
+    tokenLife: '7d',
+    orderTokenLife: '90d',
+    cartTokenLife: '30d'
   },
   mailchimp: {
     key: process.env.MAILCHIMP_KEY,
@@ -31,6 +33,28 @@ module.exports = {
     clientSecret: process.env.FACEBOOK_CLIENT_SECRET,
     callbackURL: process.env.FACEBOOK_CALLBACK_URL
   },
+  payment: {
+    provider: process.env.PAYMENT_PROVIDER || 'mock',
+    currency: process.env.PAYMENT_CURRENCY || 'usd'
+  },
+  inventory: {
+    reservationMinutes: Number(process.env.STOCK_RESERVATION_MINUTES) || 15,
+    sweepIntervalSeconds: Number(process.env.STOCK_SWEEP_SECONDS) || 60
+  },
+  // days after delivery customers can ask to return an item
+  returns: {
+    windowDays: Number(process.env.RETURN_WINDOW_DAYS) || 30
+  },
+  // uploads go to s3 when a bucket is configured, to the disk otherwise
+  storage: {
+    driver:
+      process.env.STORAGE_DRIVER ||
+      (process.env.AWS_BUCKET_NAME ? 's3' : 'local'),
+    localPath: process.env.STORAGE_LOCAL_PATH || 'uploads',
+    publicURL:
+      process.env.STORAGE_PUBLIC_URL ||
+      `http://localhost:${process.env.PORT || 3000}/uploads`
+  },
   aws: {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
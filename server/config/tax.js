@@ -1,5 +1,8 @@
 module.exports = {
-  stateCode: 'CA',
-  stateName: 'California',
-  stateTaxRate: 0.05
+  // address used to tax customers who have not saved any address yet
+  origin: {
+    country: 'United States',
+    state: 'CA',
+    zipCode: ''
+  }
 };
@@ -97,13 +97,46 @@ exports.merchantDeactivateAccount = () => {
   return message;
 };
 
-exports.orderConfirmationEmail = order => {
+exports.orderConfirmationEmail = (host, order) => {
   const message = {
     subject: `Order Confirmation ${order._id}`,
     text:
-      `Hi ${order.user.profile.firstName}! Thank you for your order!. \n\n` +
+      `Hi${
+        order.user ? ` ${order.user.firstName}` : ''
+      }! Thank you for your order!. \n\n` +
       `We've received your order and will contact you as soon as your package is shipped. \n\n`
   };
 
+  if (order.accessToken) {
+    message.text +=
+      `You can follow your order at any time using the following link:\n\n` +
+      `http://${host}/order/${order._id}?token=${order.accessToken}\n\n`;
+  }
+
+  return message;
+};
+
+exports.orderShippedEmail = (host, { order, shipment, accessToken }) => {
+  const message = {
+    subject: `Order Shipped ${order._id}`,
+    text:
+      `Good news! Items from your order are on their way. \n\n` +
+      `${shipment.items
+        .map(item => `${item.name} x ${item.quantity}`)
+        .join('\n')}\n\n` +
+      `Carrier: ${shipment.carrier}\n` +
+      `Tracking number: ${shipment.trackingNumber}\n\n`
+  };
+
+  if (shipment.trackingUrl) {
+    message.text += `You can track the package here:\n\n${shipment.trackingUrl}\n\n`;
+  }
+
+  message.text +=
+    `You can follow your order at any time using the following link:\n\n` +
+    `http://${host}/order/${order._id}${
+      accessToken ? `?token=${accessToken}` : ''
+    }\n\n`;
+
   return message;
 };
@@ -18,12 +18,118 @@ exports.CART_ITEM_STATUS = {
   Not_processed: 'Not processed'
 };
 
+exports.ORDER_STATUS = {
+  Pending_Payment: 'Pending Payment',
+  Paid: 'Paid',
+  Fulfilling: 'Fulfilling',
+  Shipped: 'Shipped',
+  Delivered: 'Delivered',
+  Closed: 'Closed',
+  Cancelled: 'Cancelled',
+  Refunded: 'Refunded'
+};
+
+exports.RETURN_STATUS = {
+  Requested: 'Requested',
+  Approved: 'Approved',
+  Rejected: 'Rejected',
+  Received: 'Received',
+  Inspected: 'Inspected',
+  Refunded: 'Refunded',
+  Cancelled: 'Cancelled'
+};
+
+exports.RETURN_REASON = {
+  Damaged: 'Damaged',
+  Wrong_Item: 'Wrong Item',
+  Not_As_Described: 'Not As Described',
+  Does_Not_Fit: 'Does Not Fit',
+  No_Longer_Needed: 'No Longer Needed',
+  Other: 'Other'
+};
+
+exports.REFUND_SOURCE = {
+  Manual: 'Manual',
+  Cancellation: 'Cancellation',
+  Return: 'Return'
+};
+
+exports.SHIPMENT_CARRIER = {
+  UPS: 'UPS',
+  FedEx: 'FedEx',
+  USPS: 'USPS',
+  DHL: 'DHL',
+  Other: 'Other'
+};
+
+exports.RESERVATION_STATUS = {
+  Active: 'Active',
+  Committed: 'Committed',
+  Released: 'Released'
+};
+
 exports.REVIEW_STATUS = {
   Rejected: 'Rejected',
   Approved: 'Approved',
   Waiting_Approval: 'Waiting Approval'
 };
 
+exports.TAX_CLASS = {
+  Standard: 'Standard',
+  Reduced: 'Reduced',
+  Exempt: 'Exempt'
+};
+
+exports.SHIPPING_RATE_TYPE = {
+  Flat: 'Flat',
+  Weight: 'Weight',
+  Free_Over: 'Free Over'
+};
+
+exports.PROMOTION_TYPE = {
+  Percentage: 'Percentage',
+  Fixed: 'Fixed',
+  Free_Shipping: 'Free Shipping',
+  Buy_X_Get_Y: 'Buy X Get Y'
+};
+
+exports.PRODUCT_SORT = {
+  Newest: 'newest',
+  Price_High_To_Low: 'price-desc',
+  Price_Low_To_High: 'price-asc',
+  Best_Selling: 'best-selling',
+  Top_Rated: 'top-rated',
+  Most_Reviewed: 'most-reviewed',
+  Name_A_To_Z: 'name-asc',
+  Biggest_Discount: 'biggest-discount',
+  Relevance: 'relevance'
+};
+
+exports.PAYMENT_STATUS = {
+  Pending: 'Pending',
+  Authorized: 'Authorized',
+  Captured: 'Captured',
+  Voided: 'Voided',
+  Partially_Refunded: 'Partially Refunded',
+  Refunded: 'Refunded',
+  Failed: 'Failed'
+};
+
+exports.PAYMENT_PROVIDER = {
+  Mock: 'mock'
+};
+
+exports.PRODUCT_IMPORT_ACTION = {
+  Create: 'create',
+  Update: 'update',
+  Error: 'error'
+};
+
+exports.STORAGE_DRIVER = {
+  S3: 's3',
+  Local: 'local'
+};
+
 exports.EMAIL_PROVIDER = {
   Email: 'Email',
   Google: 'Google',
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const chalk = require('chalk');
 const cors = require('cors');
@@ -8,6 +9,8 @@ const keys = require('./config/keys');
 const routes = require('./routes');
 const socket = require('./socket');
 const setupDB = require('./utils/db');
+const { startReservationSweeper } = require('./utils/inventory');
+const { STORAGE_DRIVER } = require('./constants');
 
 const { port } = keys;
 const app = express();
@@ -22,7 +25,13 @@ app.use(
 );
 app.use(cors());
 
+// files of the local storage driver
+if (keys.storage.driver === STORAGE_DRIVER.Local) {
+  app.use('/uploads', express.static(path.resolve(keys.storage.localPath)));
+}
+
 setupDB();
+startReservationSweeper();
 require('./config/passport')(app);
 app.use(routes);
 
@@ -0,0 +1,12 @@
+const auth = require('./auth');
+
+// lets guests through and authenticates the user when a token is sent
+const guest = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return auth(req, res, next);
+};
+
+module.exports = guest;
@@ -0,0 +1,57 @@
+const multer = require('multer');
+
+const gallery = require('../utils/gallery');
+const { MAX_IMAGE_SIZE } = require('../utils/image');
+
+// in bytes, a catalog file of the most rows the import takes fits easily
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const toMB = bytes => bytes / 1024 / 1024;
+
+// multer stops reading the request once a limit is crossed, so a file is
+// never buffered in memory past its limit
+const images = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: gallery.MAX_IMAGES }
+});
+
+const files = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+});
+
+const getErrorMessage = (error, maxSize, maxCount) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `A file is larger than ${toMB(maxSize)} MB.`;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `You can upload up to ${maxCount} file${
+        maxCount === 1 ? '' : 's'
+      } at once.`;
+    default:
+      return 'Your upload could not be processed.';
+  }
+};
+
+// answer a limit crossed by the upload like any other invalid request
+const handle = (middleware, maxSize, maxCount) => (req, res, next) =>
+  middleware(req, res, error => {
+    if (error instanceof multer.MulterError) {
+      return res
+        .status(400)
+        .json({ error: getErrorMessage(error, maxSize, maxCount) });
+    }
+
+    return next(error);
+  });
+
+const image = field => handle(images.single(field), MAX_IMAGE_SIZE, 1);
+
+const imageArray = (field, maxCount = gallery.MAX_IMAGES) =>
+  handle(images.array(field, maxCount), MAX_IMAGE_SIZE, maxCount);
+
+const file = field => handle(files.single(field), MAX_FILE_SIZE, 1);
+
+const upload = { image, imageArray, file };
+module.exports = upload;
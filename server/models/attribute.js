@@ -0,0 +1,33 @@
+const Mongoose = require('mongoose');
+const { Schema } = Mongoose;
+
+// Attribute Set Schema
+// the attributes the products of a category can be described and filtered by,
+// like the material of furniture or the screen size of phones
+const AttributeSetSchema = new Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  attributes: [
+    {
+      _id: false,
+      name: {
+        type: String,
+        trim: true
+      },
+      values: [String]
+    }
+  ],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updated: Date,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = Mongoose.model('AttributeSet', AttributeSetSchema);
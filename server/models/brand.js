@@ -21,10 +21,24 @@ const BrandSchema = new Schema({
     slug: 'name',
     unique: true
   },
-  image: {
-    data: Buffer,
-    contentType: String
+  imageUrl: {
+    type: String
   },
+  imageKey: {
+    type: String
+  },
+  // the resized copies of the image, the client picks one of them with srcset
+  imageSizes: [
+    {
+      _id: false,
+      size: String,
+      format: String,
+      width: Number,
+      height: Number,
+      url: String,
+      key: String
+    }
+  ],
   description: {
     type: String,
     trim: true
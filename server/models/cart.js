@@ -10,6 +10,10 @@ const CartItemSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'Product'
   },
+  variant: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
   quantity: Number,
   purchasePrice: {
     type: Number,
@@ -27,6 +31,17 @@ const CartItemSchema = new Schema({
     type: Number,
     default: 0
   },
+  taxClass: {
+    type: String
+  },
+  tax: {
+    name: String,
+    rate: Number,
+    isInclusive: Boolean,
+    country: String,
+    state: String,
+    zipCode: String
+  },
   status: {
     type: String,
     default: CART_ITEM_STATUS.Not_processed,
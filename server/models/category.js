@@ -25,10 +25,24 @@ const CategorySchema = new Schema({
     slug: 'name',
     unique: true
   },
-  image: {
-    data: Buffer,
-    contentType: String
+  imageUrl: {
+    type: String
   },
+  imageKey: {
+    type: String
+  },
+  // the resized copies of the image, the client picks one of them with srcset
+  imageSizes: [
+    {
+      _id: false,
+      size: String,
+      format: String,
+      width: Number,
+      height: Number,
+      url: String,
+      key: String
+    }
+  ],
   description: {
     type: String,
     trim: true
@@ -37,12 +51,27 @@ const CategorySchema = new Schema({
     type: Boolean,
     default: true
   },
-  products: [
-    {
-      type: Schema.Types.ObjectId,
-      ref: 'Product'
-    }
-  ],
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // ids from the root category down to this one, like ",root,child,"
+  // so a whole subtree is found with a single prefix match
+  path: {
+    type: String,
+    index: true
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // the attributes its products are described by
+  attributeSet: {
+    type: Schema.Types.ObjectId,
+    ref: 'AttributeSet',
+    default: null
+  },
   updated: Date,
   created: {
     type: Date,
@@ -1,6 +1,113 @@
 const Mongoose = require('mongoose');
+
+const { CART_ITEM_STATUS, ORDER_STATUS } = require('../constants');
+
 const { Schema } = Mongoose;
 
+// Order Item Schema
+// a copy of the cart line and its product when the order was placed,
+// so editing or deleting the product never rewrites the order history
+const OrderItemSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  variant: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  variantName: String,
+  name: String,
+  sku: String,
+  slug: String,
+  imageUrl: String,
+  brand: {
+    type: Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null
+  },
+  brandName: String,
+  quantity: Number,
+  purchasePrice: {
+    type: Number,
+    default: 0
+  },
+  totalPrice: {
+    type: Number,
+    default: 0
+  },
+  priceWithTax: {
+    type: Number,
+    default: 0
+  },
+  totalTax: {
+    type: Number,
+    default: 0
+  },
+  // the part of the discounts of the order taken off the line, missing on
+  // the orders placed before the discounts were kept by line
+  discount: Number,
+  taxClass: {
+    type: String
+  },
+  tax: {
+    name: String,
+    rate: Number,
+    isInclusive: Boolean,
+    country: String,
+    state: String,
+    zipCode: String
+  },
+  status: {
+    type: String,
+    default: CART_ITEM_STATUS.Not_processed,
+    enum: [
+      CART_ITEM_STATUS.Not_processed,
+      CART_ITEM_STATUS.Processing,
+      CART_ITEM_STATUS.Shipped,
+      CART_ITEM_STATUS.Delivered,
+      CART_ITEM_STATUS.Cancelled
+    ]
+  },
+  // when the item got to the customer, the return window starts from it
+  delivered: Date
+});
+
+// Order Discount Schema
+// a promotion applied to the order and the amount it took off
+const OrderDiscountSchema = new Schema({
+  promotion: {
+    type: Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  code: String,
+  name: String,
+  type: { type: String },
+  amount: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Order Status Schema
+// one step of the order lifecycle, who took it and when. the actor is null
+// when the store moved the order on its own
+const OrderStatusSchema = new Schema({
+  status: String,
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: String,
+  actorRole: String,
+  note: String,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 // Order Schema
 const OrderSchema = new Schema({
   cart: {
@@ -11,10 +118,79 @@ const OrderSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User'
   },
-  total: {
+  payment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  products: [OrderItemSchema],
+  status: {
+    type: String,
+    default: ORDER_STATUS.Pending_Payment,
+    enum: Object.values(ORDER_STATUS)
+  },
+  statusHistory: [OrderStatusSchema],
+  contact: {
+    email: String,
+    phoneNumber: String
+  },
+  shippingAddress: {
+    address: String,
+    city: String,
+    state: String,
+    country: String,
+    zipCode: String
+  },
+  shippingMethod: {
+    method: {
+      type: Schema.Types.ObjectId,
+      default: null
+    },
+    name: String,
+    type: { type: String },
+    zone: String,
+    minDays: Number,
+    maxDays: Number
+  },
+  discounts: [OrderDiscountSchema],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  totalTax: {
     type: Number,
     default: 0
   },
+  shippingTotal: {
+    type: Number,
+    default: 0
+  },
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  grandTotal: {
+    type: Number,
+    default: 0
+  },
+  // rates applied when the order was placed, editing a rate never changes them
+  taxes: [
+    {
+      _id: false,
+      name: String,
+      taxClass: String,
+      rate: Number,
+      isInclusive: Boolean,
+      country: String,
+      state: String,
+      zipCode: String,
+      amount: Number
+    }
+  ],
+  // given in sequence when the order is paid, orders that were never paid
+  // have none
+  invoiceNumber: Number,
+  invoiced: Date,
   updated: Date,
   created: {
     type: Date,
@@ -22,4 +198,13 @@ const OrderSchema = new Schema({
   }
 });
 
+// no two orders share an invoice number, orders without one are left out
+OrderSchema.index(
+  { invoiceNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { invoiceNumber: { $exists: true } }
+  }
+);
+
 module.exports = Mongoose.model('Order', OrderSchema);
@@ -0,0 +1,67 @@
+const Mongoose = require('mongoose');
+
+const { PAYMENT_STATUS } = require('../constants');
+
+const { Schema } = Mongoose;
+
+// Payment Schema
+const PaymentSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  cart: {
+    type: Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  transactionId: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  amountCaptured: {
+    type: Number,
+    default: 0
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String
+  },
+  status: {
+    type: String,
+    default: PAYMENT_STATUS.Pending,
+    enum: [
+      PAYMENT_STATUS.Pending,
+      PAYMENT_STATUS.Authorized,
+      PAYMENT_STATUS.Captured,
+      PAYMENT_STATUS.Voided,
+      PAYMENT_STATUS.Partially_Refunded,
+      PAYMENT_STATUS.Refunded,
+      PAYMENT_STATUS.Failed
+    ]
+  },
+  failureReason: {
+    type: String
+  },
+  updated: Date,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = Mongoose.model('Payment', PaymentSchema);
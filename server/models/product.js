@@ -1,5 +1,8 @@
 const Mongoose = require('mongoose');
 const slug = require('mongoose-slug-generator');
+
+const { TAX_CLASS } = require('../constants');
+
 const { Schema } = Mongoose;
 
 const options = {
@@ -10,6 +13,74 @@ const options = {
 
 Mongoose.plugin(slug, options);
 
+// Image Size Schema
+// one resized copy of an uploaded image, the client picks one of them with
+// srcset
+const ImageSizeSchema = new Schema(
+  {
+    size: String,
+    format: String,
+    width: Number,
+    height: Number,
+    url: String,
+    key: String
+  },
+  { _id: false }
+);
+
+// Product Variant Schema
+// one combination of the product option values with its own sku and stock,
+// the product price is used when the variant has no price of its own
+const ProductVariantSchema = new Schema({
+  sku: {
+    type: String,
+    trim: true
+  },
+  options: [
+    {
+      _id: false,
+      name: String,
+      value: String
+    }
+  ],
+  price: {
+    type: Number,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  imageUrl: {
+    type: String
+  },
+  imageKey: {
+    type: String
+  },
+  imageSizes: [ImageSizeSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Product Image Schema
+// one picture of the product gallery, the gallery is shown in array order
+const ProductImageSchema = new Schema({
+  url: {
+    type: String
+  },
+  key: {
+    type: String
+  },
+  sizes: [ImageSizeSchema],
+  alt: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+});
+
 // Product Schema
 const ProductSchema = new Schema({
   sku: {
@@ -24,12 +95,15 @@ const ProductSchema = new Schema({
     slug: 'name',
     unique: true
   },
+  // the first image of the gallery, shown by the lists, carts and orders
   imageUrl: {
     type: String
   },
   imageKey: {
     type: String
   },
+  imageSizes: [ImageSizeSchema],
+  images: [ProductImageSchema],
   description: {
     type: String,
     trim: true
@@ -40,9 +114,15 @@ const ProductSchema = new Schema({
   price: {
     type: Number
   },
-  taxable: {
-    type: Boolean,
-    default: false
+  // in kilograms, used by weight based shipping rates
+  weight: {
+    type: Number,
+    default: 0
+  },
+  taxClass: {
+    type: String,
+    default: TAX_CLASS.Exempt,
+    enum: [TAX_CLASS.Standard, TAX_CLASS.Reduced, TAX_CLASS.Exempt]
   },
   isActive: {
     type: Boolean,
@@ -53,6 +133,44 @@ const ProductSchema = new Schema({
     ref: 'Brand',
     default: null
   },
+  categories: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Category'
+    }
+  ],
+  // values of the attributes of the category attribute sets
+  attributes: [
+    {
+      _id: false,
+      name: String,
+      value: String
+    }
+  ],
+  // option types like size or color and the values they can take
+  options: [
+    {
+      _id: false,
+      name: {
+        type: String,
+        trim: true
+      },
+      values: [String]
+    }
+  ],
+  variants: [ProductVariantSchema],
+  // the words of the name, skus, description, brand and categories the
+  // product is found by, kept up to date by utils/search
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  // units on the order lines that were not cancelled, kept up to date by
+  // utils/inventory for the best selling sort
+  soldCount: {
+    type: Number,
+    default: 0
+  },
   updated: Date,
   created: {
     type: Date,
@@ -60,4 +178,10 @@ const ProductSchema = new Schema({
   }
 });
 
+ProductSchema.index({ 'variants.sku': 1 });
+ProductSchema.index({ categories: 1 });
+ProductSchema.index({ searchTokens: 1 });
+ProductSchema.index({ soldCount: -1, _id: -1 });
+ProductSchema.index({ 'attributes.name': 1, 'attributes.value': 1 });
+
 module.exports = Mongoose.model('Product', ProductSchema);
@@ -0,0 +1,107 @@
+const Mongoose = require('mongoose');
+
+const { PROMOTION_TYPE } = require('../constants');
+
+const { Schema } = Mongoose;
+
+// Promotion Schema
+// promotions without a code apply automatically to every matching cart
+const PromotionSchema = new Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  type: {
+    type: String,
+    default: PROMOTION_TYPE.Percentage,
+    enum: [
+      PROMOTION_TYPE.Percentage,
+      PROMOTION_TYPE.Fixed,
+      PROMOTION_TYPE.Free_Shipping,
+      PROMOTION_TYPE.Buy_X_Get_Y
+    ]
+  },
+  // percentage or amount off, for buy x get y the percentage off the free items
+  value: {
+    type: Number,
+    default: 0
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0
+  },
+  buyQuantity: {
+    type: Number,
+    default: 0
+  },
+  getQuantity: {
+    type: Number,
+    default: 0
+  },
+  // the promotion applies to the lines matching any of these,
+  // or to the whole cart when they are all empty
+  products: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Product'
+    }
+  ],
+  brands: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Brand'
+    }
+  ],
+  categories: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Category'
+    }
+  ],
+  usageLimit: {
+    type: Number,
+    default: null
+  },
+  usageLimitPerUser: {
+    type: Number,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  isStackable: {
+    type: Boolean,
+    default: false
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updated: Date,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PromotionSchema.index(
+  { code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+
+module.exports = Mongoose.model('Promotion', PromotionSchema);
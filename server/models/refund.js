@@ -0,0 +1,92 @@
+const Mongoose = require('mongoose');
+
+const { REFUND_SOURCE } = require('../constants');
+
+const { Schema } = Mongoose;
+
+// Refund Item Schema
+// the quantity of an order line refunded and its share of the amount
+const RefundItemSchema = new Schema(
+  {
+    item: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    tax: {
+      type: Number,
+      default: 0
+    }
+  },
+  { _id: false }
+);
+
+// Refund Schema
+// money given back on an order, the refunds of an order add up to what was
+// refunded on its payment
+const RefundSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  payment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  return: {
+    type: Schema.Types.ObjectId,
+    ref: 'Return',
+    default: null
+  },
+  source: {
+    type: String,
+    default: REFUND_SOURCE.Manual,
+    enum: Object.values(REFUND_SOURCE)
+  },
+  items: [RefundItemSchema],
+  shipping: {
+    type: Number,
+    default: 0
+  },
+  // the part of the amount no line or shipping accounts for
+  adjustment: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  transactionId: String,
+  note: {
+    type: String,
+    trim: true
+  },
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: String,
+  actorRole: String,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = Mongoose.model('Refund', RefundSchema);
@@ -0,0 +1,51 @@
+const Mongoose = require('mongoose');
+
+const { RESERVATION_STATUS } = require('../constants');
+
+const { Schema } = Mongoose;
+
+// Stock Reservation Schema
+const StockReservationSchema = new Schema({
+  cart: {
+    type: Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  variant: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    default: RESERVATION_STATUS.Active,
+    enum: [
+      RESERVATION_STATUS.Active,
+      RESERVATION_STATUS.Committed,
+      RESERVATION_STATUS.Released
+    ]
+  },
+  expires: {
+    type: Date
+  },
+  updated: Date,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+StockReservationSchema.index({ status: 1, expires: 1 });
+StockReservationSchema.index({ cart: 1, product: 1 });
+
+module.exports = Mongoose.model('StockReservation', StockReservationSchema);
@@ -0,0 +1,105 @@
+const Mongoose = require('mongoose');
+
+const { RETURN_STATUS, RETURN_REASON } = require('../constants');
+
+const { Schema } = Mongoose;
+
+// Return Item Schema
+// an order line sent back, the accepted quantity is what passed inspection
+// and is refunded
+const ReturnItemSchema = new Schema({
+  item: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  variant: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  name: String,
+  variantName: String,
+  sku: String,
+  imageUrl: String,
+  brand: {
+    type: Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.values(RETURN_REASON)
+  },
+  acceptedQuantity: {
+    type: Number,
+    default: 0
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  refundAmount: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Return Status Schema
+// one step of the return, who took it and when
+const ReturnStatusSchema = new Schema({
+  status: String,
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: String,
+  actorRole: String,
+  note: String,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Return Schema
+const ReturnSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  items: [ReturnItemSchema],
+  comment: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    default: RETURN_STATUS.Requested,
+    enum: Object.values(RETURN_STATUS)
+  },
+  statusHistory: [ReturnStatusSchema],
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  updated: Date,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = Mongoose.model('Return', ReturnSchema);
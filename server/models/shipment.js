@@ -0,0 +1,69 @@
+const Mongoose = require('mongoose');
+
+const { SHIPMENT_CARRIER } = require('../constants');
+
+const { Schema } = Mongoose;
+
+// Shipment Item Schema
+// an order line that went out in the shipment
+const ShipmentItemSchema = new Schema(
+  {
+    item: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    variantName: String,
+    sku: String,
+    imageUrl: String,
+    brand: {
+      type: Schema.Types.ObjectId,
+      ref: 'Brand',
+      default: null
+    },
+    quantity: Number
+  },
+  { _id: false }
+);
+
+// Shipment Schema
+// a package of order lines sent with a carrier, the tracking url is kept
+// as it was when the package went out
+const ShipmentSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  items: [ShipmentItemSchema],
+  carrier: {
+    type: String,
+    enum: Object.values(SHIPMENT_CARRIER)
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  trackingUrl: String,
+  shipped: {
+    type: Date,
+    default: Date.now
+  },
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: String,
+  actorRole: String,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = Mongoose.model('Shipment', ShipmentSchema);
@@ -0,0 +1,83 @@
+const Mongoose = require('mongoose');
+
+const { SHIPPING_RATE_TYPE } = require('../constants');
+
+const { Schema } = Mongoose;
+
+// Shipping Method Schema
+const ShippingMethodSchema = new Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    default: SHIPPING_RATE_TYPE.Flat,
+    enum: [
+      SHIPPING_RATE_TYPE.Flat,
+      SHIPPING_RATE_TYPE.Weight,
+      SHIPPING_RATE_TYPE.Free_Over
+    ]
+  },
+  // flat fee, base fee of weight based rates or fee below the threshold
+  rate: {
+    type: Number,
+    default: 0
+  },
+  // fee per kilogram of weight based rates
+  ratePerWeight: {
+    type: Number,
+    default: 0
+  },
+  // subtotal from which free over rates cost nothing
+  threshold: {
+    type: Number,
+    default: 0
+  },
+  minDays: {
+    type: Number
+  },
+  maxDays: {
+    type: Number
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Shipping Zone Schema
+const ShippingZoneSchema = new Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  // empty fields match every address
+  country: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  state: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  zipCode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  methods: [ShippingMethodSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updated: Date,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = Mongoose.model('ShippingZone', ShippingZoneSchema);
@@ -0,0 +1,52 @@
+const Mongoose = require('mongoose');
+
+const { TAX_CLASS } = require('../constants');
+
+const { Schema } = Mongoose;
+
+// Tax Rate Schema
+const TaxRateSchema = new Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  state: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  zipCode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  taxClass: {
+    type: String,
+    default: TAX_CLASS.Standard,
+    enum: [TAX_CLASS.Standard, TAX_CLASS.Reduced]
+  },
+  rate: {
+    type: Number,
+    default: 0
+  },
+  isInclusive: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updated: Date,
+  created: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = Mongoose.model('TaxRate', TaxRateSchema);
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+
+// Bring in Models & Utils
+const AttributeSet = require('../../models/attribute');
+const Category = require('../../models/category');
+const auth = require('../../middleware/auth');
+const role = require('../../middleware/role');
+const { normalizeOptions } = require('../../utils/variant');
+const { ROLES } = require('../../constants');
+
+// Input Validation
+// the attributes share the shape of the product options, a name and values
+const formatAttributeSet = ({ name, attributes, isActive }) => {
+  if (!name) {
+    throw { status: 400, message: 'You must enter a name.' };
+  }
+
+  const normalizedAttributes = normalizeOptions(attributes);
+  const names = normalizedAttributes.map(attribute => attribute.name);
+
+  if (normalizedAttributes.length === 0) {
+    throw {
+      status: 400,
+      message: 'You must enter at least one attribute with values.'
+    };
+  }
+
+  if (new Set(names).size !== names.length) {
+    throw { status: 400, message: 'Attribute names must be unique.' };
+  }
+
+  return { name, attributes: normalizedAttributes, isActive };
+};
+
+// Add Attribute Set
+router.post('/add', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const { name, attributes, isActive } = formatAttributeSet(req.body);
+
+    const attributeSet = new AttributeSet({
+      name,
+      attributes,
+      isActive
+    });
+
+    const attributeSetDoc = await attributeSet.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Attribute set has been added successfully!',
+      attributeSet: attributeSetDoc
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Fetch Attribute Sets
+// merchants read them to fill in the attributes of their products
+router.get(
+  '/',
+  auth,
+  role.check(ROLES.Admin, ROLES.Merchant),
+  async (req, res) => {
+    try {
+      const attributeSets = await AttributeSet.find({}).sort('name');
+
+      res.status(200).json({ attributeSets });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Your request could not be processed. Please try again.'
+      });
+    }
+  }
+);
+
+// Fetch Attribute Set by ID
+router.get('/:id', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const attributeSetId = req.params.id;
+    const attributeSetDoc = await AttributeSet.findOne({ _id: attributeSetId });
+
+    if (!attributeSetDoc) {
+      return res.status(404).json({
+        message: `Cannot find attribute set with the id: ${attributeSetId}.`
+      });
+    }
+
+    res.status(200).json({ attributeSet: attributeSetDoc });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Update Attribute Set
+// product values of removed attributes stay until the product is saved again
+router.put('/:id', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const attributeSetId = req.params.id;
+    const query = { _id: attributeSetId };
+
+    const update = formatAttributeSet(req.body.attributeSet);
+
+    update.updated = Date.now();
+    await AttributeSet.findOneAndUpdate(query, update, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Attribute set has been updated successfully!'
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Delete Attribute Set
+router.delete(
+  '/delete/:id',
+  auth,
+  role.check(ROLES.Admin),
+  async (req, res) => {
+    try {
+      const attributeSet = await AttributeSet.deleteOne({ _id: req.params.id });
+
+      // the categories are left without attributes
+      await Category.updateMany(
+        { attributeSet: req.params.id },
+        { attributeSet: null }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Attribute set has been deleted successfully!',
+        attributeSet
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Your request could not be processed. Please try again.'
+      });
+    }
+  }
+);
+
+module.exports = router;
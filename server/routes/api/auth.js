@@ -11,6 +11,7 @@ const auth = require('../../middleware/auth');
 const User = require('../../models/user');
 const mailchimp = require('../../services/mailchimp');
 const mailgun = require('../../services/mailgun');
+const guestCheckout = require('../../utils/guest');
 const keys = require('../../config/keys');
 const { EMAIL_PROVIDER, JWT_COOKIE } = require('../../constants');
 
@@ -95,7 +96,7 @@ router.post('/login', async (req, res) => {
 // Registration Route
 router.post('/register', async (req, res) => {
   try {
-    const { email, firstName, lastName, password, isSubscribed } = req.body;
+    const { email, firstName, lastName, password, isSubscribed, orderToken } = req.body;
     validateUserInput(res, { email, password, firstName, lastName, isSubscribed });
 
     const existingUser = await User.findOne({ email });
@@ -126,6 +127,13 @@ router.post('/register', async (req, res) => {
     user.password = hash;
     const registeredUser = await user.save();
 
+    // an account created from a guest order takes over the orders placed with its email
+    let linkedOrders = 0;
+    const order = orderToken && guestCheckout.verifyOrderToken(orderToken);
+    if (order && order.email === guestCheckout.normalizeEmail(registeredUser.email)) {
+      linkedOrders = await guestCheckout.linkGuestOrders(registeredUser);
+    }
+
     const payload = {
       id: registeredUser.id
     };
@@ -142,6 +150,7 @@ router.post('/register', async (req, res) => {
     res.status(200).json({
       success: true,
       subscribed,
+      linkedOrders,
       token: `Bearer ${token}`,
       user: {
         id: registeredUser.id,
@@ -7,7 +7,11 @@ const Product = require('../../models/product');
 const Merchant = require('../../models/merchant');
 const auth = require('../../middleware/auth');
 const role = require('../../middleware/role');
+const upload = require('../../middleware/upload');
 const store = require('../../utils/store');
+const search = require('../../utils/search');
+const storage = require('../../services/storage');
+const { processImage, getImageKeys } = require('../../utils/image');
 const { ROLES, MERCHANT_STATUS } = require('../../constants');
 
 // Input Validation
@@ -121,12 +125,60 @@ router.put('/:id', auth, role.check(ROLES.Admin, ROLES.Merchant), async (req, re
 
     await Brand.findOneAndUpdate(query, update, { new: true });
 
+    // the products are found by the name of their brand
+    if (update.name) {
+      await search.indexProducts({ brand: brandId });
+    }
+
     res.status(200).json({ success: true, message: 'Brand has been updated successfully!' });
   } catch (error) {
     res.status(400).json({ error: 'Your request could not be processed. Please try again.' });
   }
 });
 
+// Update Brand Image
+router.put('/:id/image', auth, role.check(ROLES.Admin, ROLES.Merchant), upload.image('image'), async (req, res) => {
+  try {
+    const brandId = req.params.id;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'You must select an image.' });
+    }
+
+    const query = { _id: brandId };
+
+    // merchants only change the image of their own brand
+    if (req.user.merchant) {
+      query.merchant = req.user.merchant;
+    }
+
+    const brandDoc = await Brand.findOne(query, 'imageKey imageSizes');
+
+    if (!brandDoc) {
+      return res.status(404).json({ message: `Cannot find brand with the id: ${brandId}.` });
+    }
+
+    // only the re-encoded copies are stored, never the uploaded file
+    const image = await processImage(req.file, 'brands');
+    await Brand.updateOne(
+      { _id: brandId },
+      { imageUrl: image.url, imageKey: image.key, imageSizes: image.sizes, updated: Date.now() }
+    );
+    await storage.remove(getImageKeys({ key: brandDoc.imageKey, sizes: brandDoc.imageSizes }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Brand image has been updated successfully!',
+      imageUrl: image.url,
+      imageSizes: image.sizes
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: `Your request could not be processed. ${error.status ? error.message : 'Please try again.'}`
+    });
+  }
+});
+
 // Update Brand's Active Status
 router.put('/:id/active', auth, role.check(ROLES.Admin, ROLES.Merchant), async (req, res) => {
   try {
@@ -153,8 +205,13 @@ router.delete('/delete/:id', auth, role.check(ROLES.Admin), async (req, res) =>
   try {
     const brandId = req.params.id;
     await deactivateMerchant(brandId);
+    const brandDoc = await Brand.findOne({ _id: brandId }, 'imageKey imageSizes');
     const brand = await Brand.deleteOne({ _id: brandId });
 
+    if (brandDoc) {
+      await storage.remove(getImageKeys({ key: brandDoc.imageKey, sizes: brandDoc.imageSizes }));
+    }
+
     res.status(200).json({
       success: true,
       message: 'Brand has been deleted successfully!',
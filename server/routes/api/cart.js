@@ -3,40 +3,70 @@ const router = express.Router();
 
 // Bring in Models & Utils
 const Cart = require('../../models/cart');
-const Product = require('../../models/product');
-const auth = require('../../middleware/auth');
+const guest = require('../../middleware/guest');
 const store = require('../../utils/store');
+const inventory = require('../../utils/inventory');
+const guestCheckout = require('../../utils/guest');
 
-router.post('/add', auth, async (req, res) => {
+router.post('/add', guest, async (req, res) => {
   try {
-    const user = req.user._id;
+    const user = req.user ? req.user._id : null;
     const items = req.body.products;
 
-    const products = store.caculateItemsSalesTax(items);
+    const address = await store.getTaxAddress(
+      user,
+      req.body.addressId,
+      req.body.address
+    );
+    const { products, changes } = await store.priceCartItems(items, address);
+
+    if (changes.length > 0) {
+      return res.status(400).json({
+        error: 'Some items in your cart have changed. Please review your cart.',
+        changes
+      });
+    }
 
     const cart = new Cart({
       user,
       products
     });
 
-    const cartDoc = await cart.save();
+    const shortages = await inventory.reserveStock(cart._id, user, products);
 
-    decreaseQuantity(products);
+    if (shortages.length > 0) {
+      return res.status(400).json({
+        error: 'Some items in your cart are out of stock.',
+        changes: shortages
+      });
+    }
+
+    const cartDoc = await cart.save();
 
     res.status(200).json({
       success: true,
-      cartId: cartDoc.id
+      cartId: cartDoc.id,
+      // guests need it for every later request on the cart
+      cartToken: user ? null : guestCheckout.createCartToken(cartDoc)
     });
   } catch (error) {
     res.status(400).json({
-      error: 'Your request could not be processed. Please try again.'
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
     });
   }
 });
 
-router.delete('/delete/:cartId', auth, async (req, res) => {
+router.delete('/delete/:cartId', guest, async (req, res) => {
   try {
-    await Cart.deleteOne({ _id: req.params.cartId });
+    const query = guestCheckout.getCartQuery(req, req.params.cartId);
+    const cart = query && (await Cart.findOne(query));
+
+    if (cart) {
+      await inventory.releaseStock(cart._id, cart.products);
+      await Cart.deleteOne({ _id: cart._id });
+    }
 
     res.status(200).json({
       success: true
@@ -48,29 +78,83 @@ router.delete('/delete/:cartId', auth, async (req, res) => {
   }
 });
 
-router.post('/add/:cartId', auth, async (req, res) => {
+router.post('/add/:cartId', guest, async (req, res) => {
   try {
     const product = req.body.product;
-    const query = { _id: req.params.cartId };
+    const user = req.user ? req.user._id : null;
+    const query = guestCheckout.getCartQuery(req, req.params.cartId);
+    const cart = query && (await Cart.findOne(query));
+
+    if (!cart) {
+      return res.status(404).json({
+        message: `Cannot find cart with the id: ${req.params.cartId}.`
+      });
+    }
 
-    await Cart.updateOne(query, { $push: { products: product } }).exec();
+    const address = await store.getTaxAddress(
+      user,
+      req.body.addressId,
+      req.body.address
+    );
+    const { products, changes } = await store.priceCartItems(
+      [product],
+      address
+    );
+
+    if (changes.length > 0) {
+      return res.status(400).json({
+        error: 'This item has changed. Please review your cart.',
+        changes
+      });
+    }
+
+    const shortages = await inventory.reserveStock(cart._id, user, products);
+
+    if (shortages.length > 0) {
+      return res.status(400).json({
+        error: 'This item is out of stock.',
+        changes: shortages
+      });
+    }
+
+    await Cart.updateOne(query, {
+      $push: { products: { $each: products } }
+    }).exec();
 
     res.status(200).json({
       success: true
     });
   } catch (error) {
     res.status(400).json({
-      error: 'Your request could not be processed. Please try again.'
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
     });
   }
 });
 
-router.delete('/delete/:cartId/:productId', auth, async (req, res) => {
+// remove a product from the cart, only the given variant when there is one
+router.delete('/delete/:cartId/:productId', guest, async (req, res) => {
   try {
-    const product = { product: req.params.productId };
-    const query = { _id: req.params.cartId };
-
-    await Cart.updateOne(query, { $pull: { products: product } }).exec();
+    const variant = req.query.variant;
+    const product = {
+      product: req.params.productId,
+      ...(variant && { variant })
+    };
+    const query = guestCheckout.getCartQuery(req, req.params.cartId);
+    const cart = query && (await Cart.findOne(query));
+
+    if (cart) {
+      await inventory.releaseStock(
+        cart._id,
+        cart.products.filter(
+          item =>
+            item.product == req.params.productId &&
+            (!variant || item.variant == variant)
+        )
+      );
+      await Cart.updateOne(query, { $pull: { products: product } }).exec();
+    }
 
     res.status(200).json({
       success: true
@@ -82,17 +166,4 @@ router.delete('/delete/:cartId/:productId', auth, async (req, res) => {
   }
 });
 
-const decreaseQuantity = products => {
-  let bulkOptions = products.map(item => {
-    return {
-      updateOne: {
-        filter: { _id: item.product },
-        update: { $inc: { quantity: -item.quantity } }
-      }
-    };
-  });
-
-  Product.bulkWrite(bulkOptions);
-};
-
 module.exports = router;
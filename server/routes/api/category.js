@@ -4,43 +4,107 @@ const passport = require('passport');
 
 // Bring in Models & Utils
 const Category = require('../../models/category');
+const Product = require('../../models/product');
 const auth = require('../../middleware/auth');
 const role = require('../../middleware/role');
+const upload = require('../../middleware/upload');
 const store = require('../../utils/store');
+const categories = require('../../utils/category');
+const search = require('../../utils/search');
+const storage = require('../../services/storage');
+const { processImage, getImageKeys } = require('../../utils/image');
 const { ROLES } = require('../../constants');
 
-router.post('/add', auth, role.check(ROLES.Admin), (req, res) => {
-  const name = req.body.name;
-  const description = req.body.description;
-  const products = req.body.products;
-  const isActive = req.body.isActive;
+router.post('/add', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const name = req.body.name;
+    const description = req.body.description;
+    const products = req.body.products;
+    const isActive = req.body.isActive;
+    const parent = req.body.parent;
+    const attributeSet = req.body.attributeSet || null;
 
-  if (!description || !name) {
-    return res
-      .status(400)
-      .json({ error: 'You must enter description & name.' });
-  }
+    if (!description || !name) {
+      return res
+        .status(400)
+        .json({ error: 'You must enter description & name.' });
+    }
 
-  const category = new Category({
-    name,
-    description,
-    products,
-    isActive
-  });
+    const category = new Category({
+      name,
+      description,
+      isActive,
+      attributeSet
+    });
 
-  category.save((err, data) => {
-    if (err) {
-      return res.status(400).json({
-        error: 'Your request could not be processed. Please try again.'
-      });
-    }
+    await categories.setParent(category, parent);
+    const data = await category.save();
+    await categories.setProducts(data._id, products);
 
     res.status(200).json({
       success: true,
       message: `Category has been added successfully!`,
       category: data
     });
-  });
+  } catch (error) {
+    res.status(400).json({
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// fetch store category tree api
+router.get('/tree', async (req, res) => {
+  try {
+    const categoryDocs = await Category.find(
+      { isActive: true },
+      'name slug parent'
+    ).sort('name');
+
+    res.status(200).json({
+      categories: categories.buildTree(categoryDocs)
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// fetch store category by slug with its breadcrumbs and subcategories api
+router.get('/item/:slug', async (req, res) => {
+  try {
+    const slug = req.params.slug;
+
+    const categoryDoc = await Category.findOne(
+      { slug, isActive: true },
+      'name slug description parent path depth'
+    );
+
+    if (!categoryDoc) {
+      return res.status(404).json({
+        message: `Cannot find category with the slug: ${slug}.`
+      });
+    }
+
+    const breadcrumbs = await categories.getBreadcrumbs(categoryDoc);
+    const children = await Category.find(
+      { parent: categoryDoc._id, isActive: true },
+      'name slug'
+    ).sort('name');
+
+    res.status(200).json({
+      category: categoryDoc,
+      breadcrumbs,
+      children
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
 });
 
 // fetch store categories api
@@ -76,10 +140,15 @@ router.get('/:id', async (req, res) => {
   try {
     const categoryId = req.params.id;
 
-    const categoryDoc = await Category.findOne({ _id: categoryId }).populate({
-      path: 'products',
-      select: 'name'
-    });
+    const categoryDoc = await Category.findOne({ _id: categoryId })
+      .populate({
+        path: 'parent',
+        select: 'name'
+      })
+      .populate({
+        path: 'attributeSet',
+        select: 'name'
+      });
 
     if (!categoryDoc) {
       return res.status(404).json({
@@ -87,8 +156,13 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const products = await Product.find(
+      { categories: categoryDoc._id },
+      'name'
+    );
+
     res.status(200).json({
-      category: categoryDoc
+      category: { ...categoryDoc.toObject(), products }
     });
   } catch (error) {
     res.status(400).json({
@@ -100,7 +174,8 @@ router.get('/:id', async (req, res) => {
 router.put('/:id', auth, role.check(ROLES.Admin), async (req, res) => {
   try {
     const categoryId = req.params.id;
-    const update = req.body.category;
+    // the path follows the parent and the products keep their own categories
+    const { path, depth, products, ...update } = req.body.category;
     const query = { _id: categoryId };
     const { slug } = req.body.category;
 
@@ -112,17 +187,37 @@ router.put('/:id', auth, role.check(ROLES.Admin), async (req, res) => {
       return res.status(400).json({ error: 'Slug is already in use.' });
     }
 
+    if (update.parent !== undefined) {
+      const categoryDoc = await Category.findOne(query);
+
+      await categories.setParent(categoryDoc, update.parent);
+
+      update.parent = categoryDoc.parent;
+      update.path = categoryDoc.path;
+      update.depth = categoryDoc.depth;
+    }
+
     await Category.findOneAndUpdate(query, update, {
       new: true
     });
 
+    if (products !== undefined) {
+      await categories.setProducts(categoryId, products);
+    }
+
+    if (update.name) {
+      await search.indexProducts({ categories: categoryId });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Category has been updated successfully!'
     });
   } catch (error) {
     res.status(400).json({
-      error: 'Your request could not be processed. Please try again.'
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
     });
   }
 });
@@ -135,12 +230,9 @@ router.put('/:id/active', auth, role.check(ROLES.Admin), async (req, res) => {
 
     // disable category(categoryId) products
     if (!update.isActive) {
-      const categoryDoc = await Category.findOne(
-        { _id: categoryId, isActive: true },
-        'products -_id'
-      ).populate('products');
+      const products = await Product.find({ categories: categoryId }, '_id');
 
-      store.disableProducts(categoryDoc.products);
+      store.disableProducts(products);
     }
 
     await Category.findOneAndUpdate(query, update, {
@@ -158,13 +250,94 @@ router.put('/:id/active', auth, role.check(ROLES.Admin), async (req, res) => {
   }
 });
 
+// update category image api
+router.put(
+  '/:id/image',
+  auth,
+  role.check(ROLES.Admin),
+  upload.image('image'),
+  async (req, res) => {
+    try {
+      const categoryId = req.params.id;
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'You must select an image.' });
+      }
+
+      const categoryDoc = await Category.findOne(
+        { _id: categoryId },
+        'imageKey imageSizes'
+      );
+
+      if (!categoryDoc) {
+        return res.status(404).json({
+          message: `Cannot find category with the id: ${categoryId}.`
+        });
+      }
+
+      // only the re-encoded copies are stored, never the uploaded file
+      const image = await processImage(req.file, 'categories');
+      await Category.updateOne(
+        { _id: categoryId },
+        {
+          imageUrl: image.url,
+          imageKey: image.key,
+          imageSizes: image.sizes,
+          updated: Date.now()
+        }
+      );
+      await storage.remove(
+        getImageKeys({
+          key: categoryDoc.imageKey,
+          sizes: categoryDoc.imageSizes
+        })
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Category image has been updated successfully!',
+        imageUrl: image.url,
+        imageSizes: image.sizes
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: `Your request could not be processed. ${
+          error.status ? error.message : 'Please try again.'
+        }`
+      });
+    }
+  }
+);
+
 router.delete(
   '/delete/:id',
   auth,
   role.check(ROLES.Admin),
   async (req, res) => {
     try {
+      const categoryDoc = await Category.findOne({ _id: req.params.id });
+
+      // the subcategories move up to the parent of the deleted category
+      if (categoryDoc) {
+        const children = await Category.find({ parent: categoryDoc._id });
+
+        for (const child of children) {
+          await categories.setParent(child, categoryDoc.parent);
+          await child.save();
+        }
+      }
+
       const product = await Category.deleteOne({ _id: req.params.id });
+      await categories.removeFromProducts(req.params.id);
+
+      if (categoryDoc) {
+        await storage.remove(
+          getImageKeys({
+            key: categoryDoc.imageKey,
+            sizes: categoryDoc.imageSizes
+          })
+        );
+      }
 
       res.status(200).json({
         success: true,
@@ -11,6 +11,14 @@ const contactRoutes = require('./contact');
 const merchantRoutes = require('./merchant');
 const cartRoutes = require('./cart');
 const orderRoutes = require('./order');
+const returnRoutes = require('./return');
+const refundRoutes = require('./refund');
+const shipmentRoutes = require('./shipment');
+const paymentRoutes = require('./payment');
+const taxRoutes = require('./tax');
+const shippingRoutes = require('./shipping');
+const promotionRoutes = require('./promotion');
+const attributeRoutes = require('./attribute');
 const reviewRoutes = require('./review');
 const wishlistRoutes = require('./wishlist');
 
@@ -47,6 +55,30 @@ router.use('/cart', cartRoutes);
 // order routes
 router.use('/order', orderRoutes);
 
+// return routes
+router.use('/return', returnRoutes);
+
+// refund routes
+router.use('/refund', refundRoutes);
+
+// shipment routes
+router.use('/shipment', shipmentRoutes);
+
+// payment routes
+router.use('/payment', paymentRoutes);
+
+// tax routes
+router.use('/tax', taxRoutes);
+
+// shipping routes
+router.use('/shipping', shippingRoutes);
+
+// promotion routes
+router.use('/promotion', promotionRoutes);
+
+// attribute routes
+router.use('/attribute', attributeRoutes);
+
 // Review routes
 router.use('/review', reviewRoutes);
 
@@ -5,11 +5,26 @@ const Mongoose = require('mongoose');
 // Bring in Models & Utils
 const Order = require('../../models/order');
 const Cart = require('../../models/cart');
-const Product = require('../../models/product');
+const Payment = require('../../models/payment');
+const Brand = require('../../models/brand');
 const auth = require('../../middleware/auth');
+const guest = require('../../middleware/guest');
 const mailgun = require('../../services/mailgun');
+const payments = require('../../services/payment');
 const store = require('../../utils/store');
-const { ROLES, CART_ITEM_STATUS } = require('../../constants');
+const shipping = require('../../utils/shipping');
+const inventory = require('../../utils/inventory');
+const guestCheckout = require('../../utils/guest');
+const promotions = require('../../utils/promotion');
+const orders = require('../../utils/order');
+const invoices = require('../../utils/invoice');
+const pdf = require('../../utils/pdf');
+const {
+  ROLES,
+  CART_ITEM_STATUS,
+  PAYMENT_STATUS,
+  ORDER_STATUS
+} = require('../../constants');
 
 // Reusable function for error response
 const sendErrorResponse = (res, message) => {
@@ -18,46 +33,249 @@ const sendErrorResponse = (res, message) => {
   });
 };
 
-router.post('/add', auth, async (req, res) => {
+const findMerchantBrand = async merchant => {
+  const brandDoc = await Brand.findOne({ merchant }, '_id');
+  return brandDoc ? brandDoc._id : null;
+};
+
+// the order and item statuses the user can set. merchants manage the items
+// of their brand and the orders made only of them, members their own orders
+const getPermissions = async (order, user) => {
+  let items = [];
+
+  if (user.role === ROLES.Admin) {
+    items = order.products;
+  } else if (user.role === ROLES.Merchant) {
+    const brand = await findMerchantBrand(user.merchant);
+    items = order.products.filter(
+      item => brand && `${item.brand}` === `${brand}`
+    );
+  } else if (order.user && `${order.user}` === `${user._id}`) {
+    items = order.products;
+  }
+
+  const isWholeOrder =
+    items.length > 0 && items.length === order.products.length;
+
+  return {
+    statuses: isWholeOrder ? orders.getAllowedStatuses(order, user.role) : [],
+    itemStatuses: items.reduce((itemStatuses, item) => {
+      itemStatuses[item._id] = orders.getAllowedItemStatuses(
+        order,
+        item,
+        user.role
+      );
+      return itemStatuses;
+    }, {})
+  };
+};
+
+// give back what placing an order took before its payment was captured
+const releasePlacement = async ({ payment, cart, discounts, order }) => {
+  if (cart) {
+    await inventory.releaseStock(
+      cart._id,
+      order ? order.products : cart.products
+    );
+  }
+  if (discounts) await promotions.releasePromotions(discounts);
+  if (order) await Order.deleteOne({ _id: order._id });
+  if (payment) await payments.unclaim(payment);
+};
+
+router.post('/add', guest, async (req, res) => {
+  // what the order holds so far, released when placing it fails
+  let placement = {};
+
   try {
-    const { cartId, total } = req.body;
-    const user = req.user._id;
+    const {
+      cartId,
+      addressId,
+      address,
+      shippingMethod,
+      codes,
+      paymentId,
+      contact = {}
+    } = req.body;
+    const user = req.user ? req.user._id : null;
+    const email = guestCheckout.normalizeEmail(
+      contact.email || (req.user && req.user.email)
+    );
+
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return sendErrorResponse(res, 'Please enter a valid email address.');
+    }
 
-    const order = await Order.create({
+    // guests reach their cart and its payment with the token of the cart
+    const cartQuery = guestCheckout.getCartQuery(req, cartId);
+    const cart = cartQuery && (await Cart.findOne(cartQuery));
+
+    if (!cart) {
+      return res.status(404).json({
+        message: `Cannot find cart with the id: ${cartId}.`
+      });
+    }
+
+    const payment = await Payment.findOne({
+      _id: paymentId,
+      user,
       cart: cartId,
+      order: null,
+      status: PAYMENT_STATUS.Authorized
+    });
+
+    if (!payment) {
+      return sendErrorResponse(res, 'Your payment has not been authorized.');
+    }
+
+    const shippingAddress = await shipping.getShippingAddress(
       user,
-      total
+      addressId,
+      address
+    );
+    const taxAddress = await store.getTaxAddress(user, addressId, address);
+    const changes = await store.repriceCart(cart, taxAddress);
+    const quote = await shipping.getShippingQuote(
+      cart.products,
+      shippingAddress,
+      shippingMethod
+    );
+    const { discounts, discountTotal, lineDiscounts } =
+      await promotions.applyPromotions(cart.products, {
+        codes,
+        user,
+        email,
+        shippingCost: quote.cost
+      });
+    // the order lines are snapshotted with the tax of their discounted price
+    const { totalWithTax } = store.caculateCartTotal({
+      products: store.applyLineDiscounts(cart.products, lineDiscounts)
     });
+    const amount = store.caculateChargeAmount(
+      totalWithTax,
+      quote.cost,
+      discountTotal
+    );
+
+    if (changes.length > 0 || amount !== payment.amount) {
+      return res.status(400).json({
+        error: 'Your cart total has changed. Please review your cart.',
+        changes
+      });
+    }
+
+    // the payment is held for this order, a placement made at the same time
+    // with the same payment is turned down here
+    const orderId = new Mongoose.Types.ObjectId();
+    await payments.claim(payment, orderId);
+    placement.payment = payment;
 
-    const orderDoc = await order
+    const isRedeemed = await promotions.redeemPromotions(discounts);
+
+    if (!isRedeemed) {
+      await releasePlacement(placement);
+      return sendErrorResponse(res, 'A promotion is no longer available.');
+    }
+
+    placement.discounts = discounts;
+    const shortages = await inventory.commitStock(cart, user);
+
+    if (shortages.length > 0) {
+      await releasePlacement(placement);
+      return res.status(400).json({
+        error: 'Some items in your cart are out of stock.',
+        changes: shortages
+      });
+    }
+
+    placement.cart = cart;
+
+    await cart
       .populate({
-        path: 'cart',
+        path: 'products.product',
         populate: {
-          path: 'products.product',
-          populate: {
-            path: 'brand'
-          }
+          path: 'brand',
+          select: 'name'
         }
       })
       .execPopulate();
 
-    const newOrder = {
-      _id: orderDoc._id,
-      created: orderDoc.created,
-      user: orderDoc.user,
-      total: orderDoc.total,
-      products: orderDoc.cart.products
-    };
+    const order = new Order({
+      _id: orderId,
+      cart: cartId,
+      user,
+      payment: payment._id,
+      products: store.snapshotOrderItems(cart.products, lineDiscounts),
+      contact: {
+        email,
+        phoneNumber: contact.phoneNumber
+      },
+      shippingAddress: shipping.snapshotAddress(shippingAddress),
+      shippingMethod: {
+        method: quote._id,
+        name: quote.name,
+        type: quote.type,
+        zone: quote.zone,
+        minDays: quote.minDays,
+        maxDays: quote.maxDays
+      },
+      shippingTotal: quote.cost,
+      discounts,
+      discountTotal,
+      statusHistory: [
+        orders.createStatusEntry(
+          ORDER_STATUS.Pending_Payment,
+          req.user,
+          'Order placed.'
+        )
+      ]
+    });
+
+    await store.caculateOrderTotals(order).save();
+    placement.order = order;
+
+    try {
+      await payments.capture(payment, order._id);
+    } catch (error) {
+      await releasePlacement(placement);
+      return sendErrorResponse(res, 'Your payment could not be captured.');
+    }
+
+    // the order is paid for, nothing is given back from here on
+    placement = {};
+
+    await orders.changeStatus(
+      order,
+      ORDER_STATUS.Paid,
+      null,
+      'Payment captured.'
+    );
+
+    // guests have no account to see their orders, they get a link instead
+    const accessToken = user ? null : guestCheckout.createOrderToken(order);
 
-    await mailgun.sendEmail(order.user.email, 'order-confirmation', newOrder);
+    await mailgun.sendEmail(
+      order.contact.email,
+      'order-confirmation',
+      req.headers.host,
+      {
+        _id: order._id,
+        created: order.created,
+        user: req.user,
+        grandTotal: order.grandTotal,
+        products: order.products,
+        accessToken
+      }
+    );
 
     res.status(200).json({
       success: true,
       message: 'Your order has been placed successfully!',
-      order: { _id: orderDoc._id }
+      order: { _id: order._id, accessToken }
     });
   } catch (error) {
-    sendErrorResponse(res, 'Please try again.');
+    await releasePlacement(placement).catch(() => {});
+    sendErrorResponse(res, error.status ? error.message : 'Please try again.');
   }
 });
 
@@ -65,48 +283,22 @@ router.get('/search', auth, async (req, res) => {
   try {
     const { search } = req.query;
 
-    if (!mongoose.Types.ObjectId.isValid(search)) {
+    if (!Mongoose.Types.ObjectId.isValid(search)) {
       return res.status(200).json({
         orders: []
       });
     }
 
-    const query = { _id: mongoose.Types.ObjectId(search) };
+    const query = { _id: Mongoose.Types.ObjectId(search) };
     if (req.user.role !== ROLES.Admin) {
       query.user = req.user._id;
     }
 
-    const ordersDoc = await Order.find(query)
-      .populate({
-        path: 'cart',
-        populate: {
-          path: 'products.product',
-          populate: {
-            path: 'brand'
-          }
-        }
-      })
-      .filter(order => order.cart);
-
-    if (ordersDoc.length > 0) {
-      const newOrders = ordersDoc.map(o => ({
-        _id: o._id,
-        total: parseFloat(Number(o.total.toFixed(2))),
-        created: o.created,
-        products: o.cart?.products
-      }));
+    const orders = await Order.find(query).sort('-created');
 
-      const orders = newOrders.map(o => store.calculateTaxAmount(o));
-      orders.sort((a, b) => b.created - a.created);
-
-      res.status(200).json({
-        orders
-      });
-    } else {
-      res.status(200).json({
-        orders: []
-      });
-    }
+    res.status(200).json({
+      orders
+    });
   } catch (error) {
     sendErrorResponse(res, 'Please try again.');
   }
@@ -115,23 +307,13 @@ router.get('/search', auth, async (req, res) => {
 router.get('/', auth, async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
-    const ordersDoc = await Order.find()
+    const orders = await Order.find()
       .sort('-created')
-      .populate({
-        path: 'cart',
-        populate: {
-          path: 'products.product',
-          populate: {
-            path: 'brand'
-          }
-        }
-      })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .exec();
 
     const count = await Order.countDocuments();
-    const orders = store.formatOrders(ordersDoc);
 
     res.status(200).json({
       orders,
@@ -150,23 +332,13 @@ router.get('/me', auth, async (req, res) => {
     const user = req.user._id;
     const query = { user };
 
-    const ordersDoc = await Order.find(query)
+    const orders = await Order.find(query)
       .sort('-created')
-      .populate({
-        path: 'cart',
-        populate: {
-          path: 'products.product',
-          populate: {
-            path: 'brand'
-          }
-        }
-      })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .exec();
 
     const count = await Order.countDocuments(query);
-    const orders = store.formatOrders(ordersDoc);
 
     res.status(200).json({
       orders,
@@ -179,146 +351,172 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-router.get('/:orderId', auth, async (req, res) => {
+// guests view their order with the access token they received at checkout
+router.get('/:orderId', guest, async (req, res) => {
   try {
     const orderId = req.params.orderId;
+    const query = { _id: orderId };
+    const hasAccess = guestCheckout.verifyOrderToken(req.query.token, orderId);
 
-    let orderDoc = null;
+    if (!req.user && !hasAccess) {
+      return res.status(401).send('Unauthorized');
+    }
 
-    if (req.user.role === ROLES.Admin) {
-      orderDoc = await Order.findOne({ _id: orderId }).populate({
-        path: 'cart',
-        populate: {
-          path: 'products.product',
-          populate: {
-            path: 'brand'
-          }
-        }
-      });
-    } else {
-      const user = req.user._id;
-      orderDoc = await Order.findOne({ _id: orderId, user }).populate({
-        path: 'cart',
-        populate: {
-          path: 'products.product',
-          populate: {
-            path: 'brand'
-          }
-        }
+    // merchants see the orders with items of their brand
+    if (req.user && req.user.role === ROLES.Merchant && !hasAccess) {
+      query.$or = [
+        { user: req.user._id },
+        { 'products.brand': await findMerchantBrand(req.user.merchant) }
+      ];
+    } else if (req.user && req.user.role !== ROLES.Admin && !hasAccess) {
+      query.user = req.user._id;
+    }
+
+    const order = await Order.findOne(query);
+
+    if (!order) {
+      return res.status(404).json({
+        message: `Cannot find order with the id: ${orderId}.`
       });
     }
 
-    if (!orderDoc || !orderDoc.cart) {
+    const permissions = req.user
+      ? await getPermissions(order, req.user)
+      : { statuses: [], itemStatuses: {} };
+
+    res.status(200).json({
+      order,
+      invoice: order.invoiceNumber
+        ? invoices.formatInvoiceNumber(order.invoiceNumber)
+        : null,
+      allowedStatuses: permissions.statuses,
+      allowedItemStatuses: permissions.itemStatuses
+    });
+  } catch (error) {
+    sendErrorResponse(res, 'Please try again.');
+  }
+});
+
+// the invoice of a paid order for admins, the customer and guests with the
+// access token of the order
+router.get('/:orderId/invoice.pdf', guest, async (req, res) => {
+  try {
+    const orderId = req.params.orderId;
+    const query = { _id: orderId };
+    const hasAccess = guestCheckout.verifyOrderToken(req.query.token, orderId);
+
+    if (!req.user && !hasAccess) {
+      return res.status(401).send('Unauthorized');
+    }
+
+    if (req.user && req.user.role !== ROLES.Admin && !hasAccess) {
+      query.user = req.user._id;
+    }
+
+    const order = await Order.findOne(query);
+
+    if (!order) {
       return res.status(404).json({
         message: `Cannot find order with the id: ${orderId}.`
       });
     }
 
-    let order = {
-      _id: orderDoc._id,
-      total: orderDoc.total,
-      created: orderDoc.created,
-      totalTax: 0,
-      products: orderDoc?.cart?.products,
-      cartId: orderDoc.cart._id
-    };
+    if (!order.invoiceNumber) {
+      return sendErrorResponse(res, 'The order has not been invoiced yet.');
+    }
 
-    order = store.calculateTaxAmount(order);
+    const invoice = await pdf.createInvoice(order);
 
-    res.status(200).json({
-      order
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoices.formatInvoiceNumber(
+        order.invoiceNumber
+      )}.pdf"`
     });
+    res.status(200).send(invoice);
   } catch (error) {
     sendErrorResponse(res, 'Please try again.');
   }
 });
 
-router.delete('/cancel/:orderId', auth, async (req, res) => {
+// Change the status of an order, the statuses it can go to depend on the
+// current one and the role of the user
+router.put('/:orderId/status', auth, async (req, res) => {
   try {
     const orderId = req.params.orderId;
+    const { status, note } = req.body;
 
     const order = await Order.findOne({ _id: orderId });
-    const foundCart = await Cart.findOne({ _id: order.cart });
 
-    increaseQuantity(foundCart.products);
+    if (!order) {
+      return res.status(404).json({
+        message: `Cannot find order with the id: ${orderId}.`
+      });
+    }
+
+    const { statuses } = await getPermissions(order, req.user);
+
+    if (!statuses.includes(status)) {
+      return sendErrorResponse(
+        res,
+        `Order cannot go from ${order.status} to ${status}.`
+      );
+    }
 
-    await Order.deleteOne({ _id: orderId });
-    await Cart.deleteOne({ _id: order.cart });
+    await orders.changeStatus(order, status, req.user, (note || '').trim());
 
     res.status(200).json({
-      success: true
+      success: true,
+      message: `Order is now ${status}.`,
+      order
     });
   } catch (error) {
-    sendErrorResponse(res, 'Please try again.');
+    sendErrorResponse(res, error.status ? error.message : 'Please try again.');
   }
 });
 
+// Change the status of an order item, the order follows its items
 router.put('/status/item/:itemId', auth, async (req, res) => {
   try {
     const itemId = req.params.itemId;
-    const orderId = req.body.orderId;
-    const cartId = req.body.cartId;
     const status = req.body.status || CART_ITEM_STATUS.Cancelled;
 
-    const foundCart = await Cart.findOne({ 'products._id': itemId });
-    const foundCartProduct = foundCart.products.find(p => p._id == itemId);
+    const order = await Order.findOne({ 'products._id': itemId });
 
-    await Cart.updateOne(
-      { 'products._id': itemId },
-      {
-        'products.$.status': status
-      }
-    );
+    if (!order) {
+      return res.status(404).json({
+        message: `Cannot find item with the id: ${itemId}.`
+      });
+    }
 
-    if (status === CART_ITEM_STATUS.Cancelled) {
-      await Product.updateOne(
-        { _id: foundCartProduct.product },
-        { $inc: { quantity: foundCartProduct.quantity } }
-      );
+    const item = order.products.id(itemId);
+    const { itemStatuses } = await getPermissions(order, req.user);
 
-      const cart = await Cart.findOne({ _id: cartId });
-      const items = cart.products.filter(
-        item => item.status === CART_ITEM_STATUS.Cancelled
+    if (!(itemStatuses[itemId] || []).includes(status)) {
+      return sendErrorResponse(
+        res,
+        `${item.name} cannot go from ${item.status} to ${status}.`
       );
+    }
 
-      // All items are cancelled => Cancel order
-      if (cart.products.length === items.length) {
-        await Order.deleteOne({ _id: orderId });
-        await Cart.deleteOne({ _id: cartId });
+    await orders.changeItemStatus(order, item, status, req.user);
 
-        return res.status(200).json({
-          success: true,
-          orderCancelled: true,
-          message: `${
-            req.user.role === ROLES.Admin ? 'Order' : 'Your order'
-          } has been cancelled successfully`
-        });
-      }
-
-      return res.status(200).json({
-        success: true,
-        message: 'Item has been cancelled successfully!'
-      });
-    }
+    const orderCancelled = order.status === ORDER_STATUS.Cancelled;
 
     res.status(200).json({
       success: true,
-      message: 'Item status has been updated successfully!'
+      orderCancelled,
+      message: orderCancelled
+        ? `${
+            req.user.role === ROLES.Admin ? 'Order' : 'Your order'
+          } has been cancelled successfully`
+        : status === CART_ITEM_STATUS.Cancelled
+        ? 'Item has been cancelled successfully!'
+        : 'Item status has been updated successfully!'
     });
   } catch (error) {
-    sendErrorResponse(res, 'Please try again.');
+    sendErrorResponse(res, error.status ? error.message : 'Please try again.');
   }
 });
 
-const increaseQuantity = products => {
-  let bulkOptions = products.map(item => ({
-    updateOne: {
-      filter: { _id: item.product },
-      update: { $inc: { quantity: item.quantity } }
-    }
-  }));
-
-  Product.bulkWrite(bulkOptions);
-};
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
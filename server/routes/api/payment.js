@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+
+// Bring in Models & Utils
+const Payment = require('../../models/payment');
+const Cart = require('../../models/cart');
+const guest = require('../../middleware/guest');
+const payments = require('../../services/payment');
+const store = require('../../utils/store');
+const shipping = require('../../utils/shipping');
+const promotions = require('../../utils/promotion');
+const guestCheckout = require('../../utils/guest');
+const { PAYMENT_STATUS } = require('../../constants');
+
+// Reusable function for error response
+const sendErrorResponse = (res, error) => {
+  res.status(error.status || 400).json({
+    error: error.status
+      ? error.message
+      : 'Your request could not be processed. Please try again.'
+  });
+};
+
+// authorize the payment of a cart before the order is placed
+router.post('/authorize', guest, async (req, res) => {
+  try {
+    const {
+      cartId,
+      addressId,
+      address,
+      shippingMethod,
+      codes,
+      email,
+      total,
+      source
+    } = req.body;
+    const user = req.user ? req.user._id : null;
+
+    const query = guestCheckout.getCartQuery(req, cartId);
+    const cart = query && (await Cart.findOne(query));
+
+    if (!cart) {
+      return res.status(404).json({
+        message: `Cannot find cart with the id: ${cartId}.`
+      });
+    }
+
+    const shippingAddress = await shipping.getShippingAddress(
+      user,
+      addressId,
+      address
+    );
+
+    // never trust the client total, the cart is repriced against the store
+    const taxAddress = await store.getTaxAddress(user, addressId, address);
+    const changes = await store.repriceCart(cart, taxAddress);
+    const { total: cartTotal } = store.caculateCartTotal(cart);
+
+    if (changes.length > 0 || Number(total) !== cartTotal) {
+      return res.status(400).json({
+        error: 'Your cart total has changed. Please review your cart.',
+        changes,
+        total: { previous: Number(total), current: cartTotal }
+      });
+    }
+
+    const quote = await shipping.getShippingQuote(
+      cart.products,
+      shippingAddress,
+      shippingMethod
+    );
+
+    const { discountTotal, lineDiscounts } = await promotions.applyPromotions(
+      cart.products,
+      {
+        codes,
+        user,
+        email: guestCheckout.normalizeEmail(email),
+        shippingCost: quote.cost
+      }
+    );
+    const { totalWithTax } = store.caculateCartTotal({
+      products: store.applyLineDiscounts(cart.products, lineDiscounts)
+    });
+
+    const payment = await payments.authorize({
+      user,
+      cart: cart._id,
+      amount: store.caculateChargeAmount(
+        totalWithTax,
+        quote.cost,
+        discountTotal
+      ),
+      source
+    });
+
+    res.status(200).json({
+      success: true,
+      payment: {
+        _id: payment._id,
+        status: payment.status,
+        amount: payment.amount
+      }
+    });
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// void an authorization that never turned into an order
+router.post('/:id/void', guest, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.id,
+      user: req.user ? req.user._id : null,
+      order: null,
+      status: PAYMENT_STATUS.Authorized
+    });
+
+    // guests void the payments of the cart they have the token of
+    if (!payment || !guestCheckout.getCartQuery(req, payment.cart)) {
+      return res.status(404).json({
+        message: `Cannot find payment with the id: ${req.params.id}.`
+      });
+    }
+
+    await payments.void(payment);
+
+    res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,5 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const mongoose = require('mongoose');
 
 const Product = require('../../models/product');
@@ -8,15 +7,22 @@ const Brand = require('../../models/brand');
 const Category = require('../../models/category');
 const authMiddleware = require('../../middleware/auth');
 const roleMiddleware = require('../../middleware/role');
-const { s3Upload } = require('../../utils/storage');
+const upload = require('../../middleware/upload');
+const checkAuth = require('../../utils/auth');
+const variants = require('../../utils/variant');
+const categories = require('../../utils/category');
+const attributes = require('../../utils/attribute');
+const facets = require('../../utils/facet');
+const search = require('../../utils/search');
+const gallery = require('../../utils/gallery');
+const sorts = require('../../utils/sort');
+const catalog = require('../../utils/catalog');
+const { processImage } = require('../../utils/image');
 const {
   getStoreProductsQuery,
   getStoreProductsWishListQuery
 } = require('../../utils/queries');
-const { ROLES } = require('../../constants');
-
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+const { ROLES, PRODUCT_SORT } = require('../../constants');
 
 // Common error response function
 const sendErrorResponse = (res, message) => {
@@ -26,6 +32,39 @@ const sendErrorResponse = (res, message) => {
 // Helper function to check if a brand is active
 const isBrandActive = brand => brand && brand.isActive;
 
+// options and variants arrive as JSON in the multipart form of a new product
+const parseList = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// normalize the product options and variants, throws when they are invalid
+const getProductVariants = (sku, options, productVariants) => {
+  const normalizedOptions = variants.normalizeOptions(parseList(options));
+  const normalizedVariants = variants.normalizeVariants(normalizedOptions, parseList(productVariants));
+
+  variants.validateVariants(normalizedOptions, normalizedVariants);
+
+  if (normalizedVariants.some(variant => variant.sku === sku)) {
+    throw { status: 400, message: 'Variants need a sku of their own.' };
+  }
+
+  return { options: normalizedOptions, variants: normalizedVariants };
+};
+
+// the ids of the existing categories among the given ones
+const findCategories = async value => {
+  const ids = (parseList(value) || []).filter(id => id);
+  if (ids.length === 0) return [];
+
+  const categoryDocs = await Category.find({ _id: { $in: ids } }, '_id');
+  return categoryDocs.map(category => category._id);
+};
+
+// skus are unique across the products and their variants
+const findSkuConflict = (skus, productId) =>
+  Product.findOne({
+    ...(productId && { _id: { $ne: productId } }),
+    $or: [{ sku: { $in: skus } }, { 'variants.sku': { $in: skus } }]
+  });
+
 // Fetch product by slug
 router.get('/item/:slug', async (req, res) => {
   try {
@@ -39,64 +78,65 @@ router.get('/item/:slug', async (req, res) => {
       return sendErrorResponse(res, 'No product found.');
     }
 
-    res.status(200).json({ product: productDoc });
+    // inactive variants are not for sale
+    productDoc.variants = productDoc.variants.filter(variant => variant.isActive);
+
+    // the breadcrumbs follow the deepest category the product is in
+    const categoryDoc = await Category.findOne({ _id: { $in: productDoc.categories }, isActive: true }, 'path depth').sort('-depth');
+    const breadcrumbs = categoryDoc ? await categories.getBreadcrumbs(categoryDoc) : [];
+
+    res.status(200).json({ product: productDoc, breadcrumbs });
   } catch (error) {
     sendErrorResponse(res, 'Your request could not be processed. Please try again.');
   }
 });
 
-// Fetch products by name search
-router.get('/list/search/:name', async (req, res) => {
-  try {
-    const name = req.params.name;
-    const productDoc = await Product.find(
-      { name: { $regex: new RegExp(name), $options: 'is' }, isActive: true },
-      { name: 1, slug: 1, imageUrl: 1, price: 1, _id: 0 }
+// store products query of the shop filters shared by the list, the search
+// and their facets, search matches keep their rank in the relevance field
+const getStoreListQuery = async ({ min, max, rating, category }, matches) => {
+  const basicQuery = getStoreProductsQuery(min, max, rating);
+
+  if (matches) {
+    const ids = matches.map(match => match._id);
+
+    basicQuery.push(
+      { $match: { _id: { $in: ids } } },
+      { $addFields: { relevance: { $indexOfArray: [ids, '$_id'] } } }
     );
+  }
 
-    if (!productDoc || productDoc.length === 0) {
-      return sendErrorResponse(res, 'No product found.');
-    }
+  const categoryDoc = category
+    ? await Category.findOne({ slug: category, isActive: true }, 'path')
+    : null;
 
-    res.status(200).json({ products: productDoc });
-  } catch (error) {
-    sendErrorResponse(res, 'Your request could not be processed. Please try again.');
+  // a category lists the products of all its active subcategories too
+  if (categoryDoc) {
+    const subtree = await Category.find(
+      { ...categories.getSubtreeQuery(categoryDoc), isActive: true },
+      '_id'
+    );
+
+    basicQuery.push({
+      $match: {
+        isActive: true,
+        categories: { $in: subtree.map(c => c._id) }
+      }
+    });
   }
-});
+
+  return basicQuery;
+};
 
 // Fetch store products by advanced filters
 router.get('/list', async (req, res) => {
   try {
-    let {
-      sortOrder,
-      rating,
-      max,
-      min,
-      category,
-      page = 1,
-      limit = 10
-    } = req.query;
-    sortOrder = JSON.parse(sortOrder);
-
-    const categoryFilter = category ? { category } : {};
-    const basicQuery = getStoreProductsQuery(min, max, rating);
+    const { sort = PRODUCT_SORT.Newest, page = 1, limit = 10 } = req.query;
+    const sortQuery = sorts.getSortQuery(sort);
 
-    const userDoc = await checkAuth(req);
-    const categoryDoc = await Category.findOne(
-      { slug: categoryFilter.category, isActive: true },
-      'products -_id'
-    );
+    const basicQuery = await getStoreListQuery(req.query);
+    basicQuery.push({ $match: facets.getFilterMatch(facets.parseFilters(req.query.filters)) });
 
-    if (categoryDoc && categoryFilter !== category) {
-      basicQuery.push({
-        $match: {
-          isActive: true,
-          _id: {
-            $in: Array.from(categoryDoc.products)
-          }
-        }
-      });
-    }
+    const userDoc = await checkAuth(req);
 
     let products = null;
     const productsCount = await Product.aggregate(basicQuery);
@@ -106,7 +146,7 @@ router.get('/list', async (req, res) => {
 
     // paginate query
     const paginateQuery = [
-      { $sort: sortOrder },
+      ...sortQuery,
       { $skip: size * limit },
       { $limit: limit * 1 }
     ];
@@ -127,6 +167,57 @@ router.get('/list', async (req, res) => {
     res.status(200).json({ products, totalPages: Math.ceil(count / limit), currentPage, count });
   } catch (error) {
     console.log('error', error);
+    sendErrorResponse(res, error.status ? error.message : 'Your request could not be processed. Please try again.');
+  }
+});
+
+// Search store products by relevance, with the advanced filters
+router.get('/search', async (req, res) => {
+  try {
+    const { q = '', sort = PRODUCT_SORT.Relevance, page = 1, limit = 10 } = req.query;
+    const sortQuery = sorts.getSortQuery(sort, true);
+
+    const matches = await search.searchProducts(q);
+    const basicQuery = await getStoreListQuery(req.query, matches);
+    basicQuery.push({ $match: facets.getFilterMatch(facets.parseFilters(req.query.filters)) });
+
+    const userDoc = await checkAuth(req);
+
+    const [counted] = await Product.aggregate(basicQuery.concat({ $count: 'count' }));
+    const count = counted ? counted.count : 0;
+    const totalPages = Math.ceil(count / limit);
+    const currentPage = Math.min(Math.max(Number(page), 1), Math.max(totalPages, 1));
+
+    const paginateQuery = [
+      ...sortQuery,
+      { $skip: (currentPage - 1) * limit },
+      { $limit: limit * 1 }
+    ];
+
+    const query = userDoc ? getStoreProductsWishListQuery(userDoc.id).concat(basicQuery) : basicQuery;
+    const products = (await Product.aggregate(query.concat(paginateQuery))).map(product => {
+      const match = matches.find(m => m._id.toString() === product._id.toString());
+
+      return { ...product, highlights: match.highlights };
+    });
+
+    res.status(200).json({ products, totalPages, currentPage, count });
+  } catch (error) {
+    sendErrorResponse(res, error.status ? error.message : 'Your request could not be processed. Please try again.');
+  }
+});
+
+// Fetch the counts of the shop filters for the products of the advanced filters
+router.get('/list/facets', async (req, res) => {
+  try {
+    const matches = req.query.q ? await search.searchProducts(req.query.q) : null;
+    const basicQuery = await getStoreListQuery(req.query, matches);
+    const filters = facets.parseFilters(req.query.filters);
+
+    const [result] = await Product.aggregate(basicQuery.concat(facets.getFacetsQuery(filters)));
+
+    res.status(200).json({ facets: facets.formatFacets(result) });
+  } catch (error) {
     sendErrorResponse(res, 'Your request could not be processed. Please try again.');
   }
 });
@@ -236,7 +327,7 @@ router.post(
   '/add',
   authMiddleware,
   roleMiddleware.check(ROLES.Admin, ROLES.Merchant),
-  upload.single('image'),
+  upload.imageArray('images'),
   async (req, res) => {
     try {
       const sku = req.body.sku;
@@ -244,22 +335,30 @@ router.post(
       const description = req.body.description;
       const quantity = req.body.quantity;
       const price = req.body.price;
-      const taxable = req.body.taxable;
+      const weight = req.body.weight;
+      const taxClass = req.body.taxClass;
       const isActive = req.body.isActive;
       const brand = req.body.brand;
-      const image = req.file;
+      const files = req.files || [];
+      const productCategories = await findCategories(req.body.categories);
+      const productAttributes = attributes.validateAttributes(
+        parseList(req.body.attributes),
+        await attributes.loadAttributes(productCategories)
+      );
 
       if (!sku || !description || !name || !quantity || !price) {
         return sendErrorResponse(res, 'Invalid input. Ensure all required fields are provided.');
       }
 
-      const foundProduct = await Product.findOne({ sku });
+      const { options, variants: productVariants } = getProductVariants(sku, req.body.options, req.body.variants);
+
+      const foundProduct = await findSkuConflict([sku, ...productVariants.map(variant => variant.sku)]);
 
       if (foundProduct) {
         return sendErrorResponse(res, 'This sku is already in use.');
       }
 
-      const { imageUrl, imageKey } = await s3Upload(image);
+      const images = await gallery.uploadImages(files, parseList(req.body.imageAlts), name);
 
       const product = new Product({
         sku,
@@ -267,14 +366,20 @@ router.post(
         description,
         quantity,
         price,
-        taxable,
+        weight,
+        taxClass,
         isActive,
         brand,
-        imageUrl,
-        imageKey
+        categories: productCategories,
+        attributes: productAttributes,
+        options,
+        variants: productVariants,
+        images,
+        ...gallery.getCover(images)
       });
 
       const savedProduct = await product.save();
+      await search.indexProducts({ _id: savedProduct._id });
 
       res.status(200).json({
         success: true,
@@ -282,7 +387,7 @@ router.post(
         product: savedProduct
       });
     } catch (error) {
-      sendErrorResponse(res, 'Your request could not be processed. Please try again.');
+      sendErrorResponse(res, error.status ? error.message : 'Your request could not be processed. Please try again.');
     }
   }
 );
@@ -331,6 +436,81 @@ router.get(
   }
 );
 
+// the brand of a merchant, merchants manage the products of their brand
+const findMerchantBrand = async merchant => {
+  const brandDoc = await Brand.findOne({ merchant }, '_id');
+  return brandDoc ? brandDoc._id : null;
+};
+
+// scope a product query to the products the user manages, null when a
+// merchant has no brand and so no products
+const getManagedProductQuery = async (user, query) => {
+  if (!user.merchant) {
+    return query;
+  }
+
+  const brand = await findMerchantBrand(user.merchant);
+  return brand ? { ...query, brand } : null;
+};
+
+// Export products as csv
+router.get(
+  '/export',
+  authMiddleware,
+  roleMiddleware.check(ROLES.Admin, ROLES.Merchant),
+  async (req, res) => {
+    try {
+      const brand = req.user.merchant ? await findMerchantBrand(req.user.merchant) : null;
+
+      if (req.user.merchant && !brand) {
+        return sendErrorResponse(res, 'You need a brand to export products.');
+      }
+
+      const data = await catalog.exportProducts(brand ? { brand } : {});
+
+      res.attachment('products.csv');
+      res.type('text/csv');
+      res.status(200).send(data);
+    } catch (error) {
+      sendErrorResponse(res, 'Your request could not be processed. Please try again.');
+    }
+  }
+);
+
+// Import products from csv, products are matched by sku and a dry run only
+// reports what would change
+router.post(
+  '/import',
+  authMiddleware,
+  roleMiddleware.check(ROLES.Admin, ROLES.Merchant),
+  upload.file('file'),
+  async (req, res) => {
+    try {
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+      if (!req.file || !/\.csv$/i.test(req.file.originalname)) {
+        return sendErrorResponse(res, 'You must select a CSV file.');
+      }
+
+      const brand = req.user.merchant ? await findMerchantBrand(req.user.merchant) : null;
+
+      if (req.user.merchant && !brand) {
+        return sendErrorResponse(res, 'You need a brand to import products.');
+      }
+
+      const report = await catalog.importProducts(req.file.buffer.toString('utf8'), { brand, dryRun });
+
+      res.status(200).json({
+        success: true,
+        message: dryRun ? 'The file has been checked.' : 'Products have been imported.',
+        ...report
+      });
+    } catch (error) {
+      sendErrorResponse(res, error.status ? error.message : 'Your request could not be processed. Please try again.');
+    }
+  }
+);
+
 // Fetch product
 router.get(
   '/:id',
@@ -354,12 +534,15 @@ router.get(
             path: 'brand',
             select: 'name'
           })
+          .populate('categories', 'name')
           .where('brand', brandId);
       } else {
-        productDoc = await Product.findOne({ _id: productId }).populate({
-          path: 'brand',
-          select: 'name'
-        });
+        productDoc = await Product.findOne({ _id: productId })
+          .populate({
+            path: 'brand',
+            select: 'name'
+          })
+          .populate('categories', 'name');
       }
 
       if (!productDoc) {
@@ -387,22 +570,199 @@ router.put(
       const query = { _id: productId };
       const { sku, slug } = req.body.product;
 
-      const foundProduct = await Product.findOne({
-        $or: [{ slug }, { sku }]
-      });
+      if (update.options || update.variants) {
+        Object.assign(update, getProductVariants(sku, update.options, update.variants));
+      }
+
+      if (update.categories) {
+        update.categories = await findCategories(update.categories);
+      }
+
+      if (update.attributes) {
+        const productCategories = update.categories || (await Product.findOne(query, 'categories')).categories;
+        update.attributes = attributes.validateAttributes(update.attributes, await attributes.loadAttributes(productCategories));
+      }
+
+      const skus = [sku, ...(update.variants || []).map(variant => variant.sku)].filter(value => value);
+      const foundProduct =
+        (slug && (await Product.findOne({ _id: { $ne: productId }, slug }))) ||
+        (skus.length > 0 && (await findSkuConflict(skus, productId)));
 
-      if (foundProduct && foundProduct._id != productId) {
+      if (foundProduct) {
         return sendErrorResponse(res, 'Sku or slug is already in use.');
       }
 
       await Product.findOneAndUpdate(query, update, {
         new: true
       });
+      await search.indexProducts(query);
 
       res.status(200).json({
         success: true,
         message: 'Product has been updated successfully!'
       });
+    } catch (error) {
+      sendErrorResponse(res, error.status ? error.message : 'Your request could not be processed. Please try again.');
+    }
+  }
+);
+
+// Update the image of a product variant
+router.put(
+  '/:id/variant/:variantId/image',
+  authMiddleware,
+  roleMiddleware.check(ROLES.Admin, ROLES.Merchant),
+  upload.image('image'),
+  async (req, res) => {
+    try {
+      const { id, variantId } = req.params;
+
+      if (!req.file) {
+        return sendErrorResponse(res, 'You must select an image.');
+      }
+
+      const query = await getManagedProductQuery(req.user, { _id: id, 'variants._id': variantId });
+
+      if (!query) {
+        return res.status(404).json({
+          message: `Cannot find variant with the id: ${variantId}.`
+        });
+      }
+
+      const image = await processImage(req.file, 'products');
+
+      const result = await Product.updateOne(
+        query,
+        {
+          'variants.$.imageUrl': image.url,
+          'variants.$.imageKey': image.key,
+          'variants.$.imageSizes': image.sizes,
+          updated: Date.now()
+        }
+      );
+
+      if (result.n === 0) {
+        await gallery.deleteImages([image]);
+
+        return res.status(404).json({
+          message: `Cannot find variant with the id: ${variantId}.`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Variant image has been updated successfully!',
+        imageUrl: image.url,
+        imageSizes: image.sizes
+      });
+    } catch (error) {
+      sendErrorResponse(res, error.status ? error.message : 'Your request could not be processed. Please try again.');
+    }
+  }
+);
+
+// Add images to the gallery of a product
+router.post(
+  '/:id/images',
+  authMiddleware,
+  roleMiddleware.check(ROLES.Admin, ROLES.Merchant),
+  upload.imageArray('images'),
+  async (req, res) => {
+    try {
+      const productId = req.params.id;
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return sendErrorResponse(res, 'You must select an image.');
+      }
+
+      const query = await getManagedProductQuery(req.user, { _id: productId });
+      const productDoc = query && (await Product.findOne(query, 'name images'));
+
+      if (!productDoc) {
+        return res.status(404).json({
+          message: `Cannot find product with the id: ${productId}.`
+        });
+      }
+
+      gallery.checkImageCount(productDoc.images, files);
+
+      const uploaded = await gallery.uploadImages(files, parseList(req.body.imageAlts), productDoc.name);
+      productDoc.images.push(...uploaded);
+      Object.assign(productDoc, gallery.getCover(productDoc.images), { updated: Date.now() });
+      await productDoc.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Product images have been added successfully!',
+        images: productDoc.images
+      });
+    } catch (error) {
+      sendErrorResponse(res, error.status ? error.message : 'Your request could not be processed. Please try again.');
+    }
+  }
+);
+
+// Reorder the gallery of a product and update the alt texts
+router.put(
+  '/:id/images',
+  authMiddleware,
+  roleMiddleware.check(ROLES.Admin, ROLES.Merchant),
+  async (req, res) => {
+    try {
+      const productId = req.params.id;
+      const query = await getManagedProductQuery(req.user, { _id: productId });
+      const productDoc = query && (await Product.findOne(query, 'images'));
+
+      if (!productDoc) {
+        return res.status(404).json({
+          message: `Cannot find product with the id: ${productId}.`
+        });
+      }
+
+      productDoc.images = gallery.orderImages(productDoc.images, req.body.images);
+      Object.assign(productDoc, gallery.getCover(productDoc.images), { updated: Date.now() });
+      await productDoc.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Product images have been updated successfully!',
+        images: productDoc.images
+      });
+    } catch (error) {
+      sendErrorResponse(res, error.status ? error.message : 'Your request could not be processed. Please try again.');
+    }
+  }
+);
+
+// Delete an image of the gallery of a product
+router.delete(
+  '/:id/images/:imageId',
+  authMiddleware,
+  roleMiddleware.check(ROLES.Admin, ROLES.Merchant),
+  async (req, res) => {
+    try {
+      const { id, imageId } = req.params;
+      const query = await getManagedProductQuery(req.user, { _id: id, 'images._id': imageId });
+      const productDoc = query && (await Product.findOne(query, 'images'));
+
+      if (!productDoc) {
+        return res.status(404).json({
+          message: `Cannot find image with the id: ${imageId}.`
+        });
+      }
+
+      const image = productDoc.images.id(imageId);
+      productDoc.images.pull(imageId);
+      Object.assign(productDoc, gallery.getCover(productDoc.images), { updated: Date.now() });
+      await productDoc.save();
+      await gallery.deleteImages([image]);
+
+      res.status(200).json({
+        success: true,
+        message: 'Product image has been deleted successfully!',
+        images: productDoc.images
+      });
     } catch (error) {
       sendErrorResponse(res, 'Your request could not be processed. Please try again.');
     }
@@ -441,8 +801,13 @@ router.delete(
   roleMiddleware.check(ROLES.Admin, ROLES.Merchant),
   async (req, res) => {
     try {
+      const productDoc = await Product.findOne({ _id: req.params.id }, 'images');
       const product = await Product.deleteOne({ _id: req.params.id });
 
+      if (productDoc) {
+        await gallery.deleteImages(productDoc.images);
+      }
+
       res.status(200).json({
         success: true,
         message: 'Product has been deleted successfully!',
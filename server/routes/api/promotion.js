@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router();
+
+// Bring in Models & Utils
+const Promotion = require('../../models/promotion');
+const Cart = require('../../models/cart');
+const auth = require('../../middleware/auth');
+const guest = require('../../middleware/guest');
+const role = require('../../middleware/role');
+const shipping = require('../../utils/shipping');
+const promotions = require('../../utils/promotion');
+const guestCheckout = require('../../utils/guest');
+const { ROLES, PROMOTION_TYPE } = require('../../constants');
+
+// Reusable function for error response
+const sendErrorResponse = (res, error) => {
+  res.status(error.status || 400).json({
+    error: error.status
+      ? error.message
+      : error.code === 11000
+      ? 'That coupon code is already in use.'
+      : 'Your request could not be processed. Please try again.'
+  });
+};
+
+const isPositiveInteger = value =>
+  Number.isInteger(Number(value)) && Number(value) > 0;
+
+// Input Validation
+const validatePromotionInput = promotion => {
+  const { name, type, value, buyQuantity, getQuantity, startDate, endDate } =
+    promotion;
+
+  if (!name) {
+    throw { status: 400, message: 'You must enter a name.' };
+  }
+
+  if (!Object.values(PROMOTION_TYPE).includes(type)) {
+    throw { status: 400, message: 'Promotion type is invalid.' };
+  }
+
+  const isPercentage =
+    type === PROMOTION_TYPE.Percentage || type === PROMOTION_TYPE.Buy_X_Get_Y;
+
+  if (isPercentage && !(Number(value) > 0 && Number(value) <= 100)) {
+    throw {
+      status: 400,
+      message: 'Value must be a percentage between 0 and 100.'
+    };
+  }
+
+  if (type === PROMOTION_TYPE.Fixed && !(Number(value) > 0)) {
+    throw { status: 400, message: 'Value must be a positive amount.' };
+  }
+
+  if (
+    type === PROMOTION_TYPE.Buy_X_Get_Y &&
+    !(isPositiveInteger(buyQuantity) && isPositiveInteger(getQuantity))
+  ) {
+    throw {
+      status: 400,
+      message: 'Buy and get quantities must be whole numbers above 0.'
+    };
+  }
+
+  ['minSubtotal', 'usageLimit', 'usageLimitPerUser'].forEach(field => {
+    const fieldValue = promotion[field];
+
+    if (fieldValue && !(Number(fieldValue) >= 0)) {
+      throw { status: 400, message: `${field} must be a positive number.` };
+    }
+  });
+
+  if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+    throw { status: 400, message: 'The end date must be after the start.' };
+  }
+};
+
+// automatic promotions have no code
+const formatPromotion = promotion => ({
+  ...promotion,
+  code: promotion.code ? promotion.code.trim().toUpperCase() : null,
+  usageLimit: promotion.usageLimit || null,
+  usageLimitPerUser: promotion.usageLimitPerUser || null,
+  startDate: promotion.startDate || null,
+  endDate: promotion.endDate || null
+});
+
+// Quote the discounts of a cart for the automatic promotions and the codes
+router.post('/quote', guest, async (req, res) => {
+  try {
+    const { cartId, addressId, address, shippingMethod, codes, email } =
+      req.body;
+    const user = req.user ? req.user._id : null;
+
+    const query = guestCheckout.getCartQuery(req, cartId);
+    const cart = query && (await Cart.findOne(query));
+
+    if (!cart) {
+      return res.status(404).json({
+        message: `Cannot find cart with the id: ${cartId}.`
+      });
+    }
+
+    let shippingCost = 0;
+    if (shippingMethod) {
+      const shippingAddress = await shipping.getShippingAddress(
+        user,
+        addressId,
+        address
+      );
+      const quote = await shipping.getShippingQuote(
+        cart.products,
+        shippingAddress,
+        shippingMethod
+      );
+      shippingCost = quote.cost;
+    }
+
+    const { discounts, discountTotal } = await promotions.applyPromotions(
+      cart.products,
+      {
+        codes,
+        user,
+        email: guestCheckout.normalizeEmail(email),
+        shippingCost
+      }
+    );
+
+    res.status(200).json({ discounts, discountTotal });
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Add Promotion
+router.post('/add', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    validatePromotionInput(req.body);
+
+    const {
+      name,
+      code,
+      type,
+      value,
+      minSubtotal,
+      buyQuantity,
+      getQuantity,
+      products,
+      brands,
+      categories,
+      usageLimit,
+      usageLimitPerUser,
+      isStackable,
+      startDate,
+      endDate,
+      isActive
+    } = formatPromotion(req.body);
+
+    const promotion = new Promotion({
+      name,
+      code,
+      type,
+      value,
+      minSubtotal,
+      buyQuantity,
+      getQuantity,
+      products,
+      brands,
+      categories,
+      usageLimit,
+      usageLimitPerUser,
+      isStackable,
+      startDate,
+      endDate,
+      isActive
+    });
+
+    const promotionDoc = await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion has been added successfully!',
+      promotion: promotionDoc
+    });
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Fetch Promotions
+router.get('/', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const promotionDocs = await Promotion.find({}).sort('-created');
+
+    res.status(200).json({ promotions: promotionDocs });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Fetch Promotion by ID
+router.get('/:id', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const promotionId = req.params.id;
+    const promotionDoc = await Promotion.findOne({ _id: promotionId })
+      .populate('products', 'name')
+      .populate('brands', 'name')
+      .populate('categories', 'name');
+
+    if (!promotionDoc) {
+      return res.status(404).json({
+        message: `Cannot find promotion with the id: ${promotionId}.`
+      });
+    }
+
+    res.status(200).json({ promotion: promotionDoc });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Update Promotion
+router.put('/:id', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const promotionId = req.params.id;
+    const query = { _id: promotionId };
+
+    validatePromotionInput(req.body.promotion);
+
+    // the usage count is only changed by orders
+    const { usageCount, ...update } = formatPromotion(req.body.promotion);
+
+    update.updated = Date.now();
+    await Promotion.findOneAndUpdate(query, update, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion has been updated successfully!'
+    });
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Delete Promotion
+router.delete(
+  '/delete/:id',
+  auth,
+  role.check(ROLES.Admin),
+  async (req, res) => {
+    try {
+      const promotion = await Promotion.deleteOne({ _id: req.params.id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Promotion has been deleted successfully!',
+        promotion
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Your request could not be processed. Please try again.'
+      });
+    }
+  }
+);
+
+module.exports = router;
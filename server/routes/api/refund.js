@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+
+// Bring in Models & Utils
+const Refund = require('../../models/refund');
+const Order = require('../../models/order');
+const Payment = require('../../models/payment');
+const auth = require('../../middleware/auth');
+const role = require('../../middleware/role');
+const refunds = require('../../utils/refund');
+const { ROLES, REFUND_SOURCE } = require('../../constants');
+
+// Reusable function for error response
+const sendErrorResponse = (res, message) => {
+  res.status(400).json({
+    error: `Your request could not be processed. ${message}`
+  });
+};
+
+// the refunds of an order with what is left to refund on every line
+router.get(
+  '/order/:orderId',
+  auth,
+  role.check(ROLES.Admin),
+  async (req, res) => {
+    try {
+      const orderId = req.params.orderId;
+      const order = await Order.findOne({ _id: orderId });
+
+      if (!order) {
+        return res.status(404).json({
+          message: `Cannot find order with the id: ${orderId}.`
+        });
+      }
+
+      const payment = await Payment.findOne({ _id: order.payment });
+      const list = await Refund.find({ order: order._id }).sort('-created');
+
+      res.status(200).json({
+        refunds: list,
+        ledger: refunds.getLedger(order, payment, list)
+      });
+    } catch (error) {
+      sendErrorResponse(res, 'Please try again.');
+    }
+  }
+);
+
+// refund lines, shipping and an adjustment of the order, or everything left
+router.post(
+  '/order/:orderId',
+  auth,
+  role.check(ROLES.Admin),
+  async (req, res) => {
+    try {
+      const orderId = req.params.orderId;
+      const { items, shipping, adjustment, full, note } = req.body;
+      const order = await Order.findOne({ _id: orderId });
+
+      if (!order) {
+        return res.status(404).json({
+          message: `Cannot find order with the id: ${orderId}.`
+        });
+      }
+
+      const refund = await refunds.createRefund(
+        order,
+        {
+          items: Array.isArray(items) ? items : [],
+          shipping: !!shipping,
+          adjustment,
+          full: !!full,
+          source: REFUND_SOURCE.Manual,
+          note: (note || '').trim()
+        },
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `$${refund.amount} has been refunded.`,
+        refund
+      });
+    } catch (error) {
+      sendErrorResponse(
+        res,
+        error.status ? error.message : 'Please try again.'
+      );
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require('express');
+const router = express.Router();
+
+// Bring in Models & Utils
+const Return = require('../../models/return');
+const Order = require('../../models/order');
+const Brand = require('../../models/brand');
+const auth = require('../../middleware/auth');
+const returns = require('../../utils/return');
+const keys = require('../../config/keys');
+const { ROLES, RETURN_STATUS } = require('../../constants');
+
+// Reusable function for error response
+const sendErrorResponse = (res, message) => {
+  res.status(400).json({
+    error: `Your request could not be processed. ${message}`
+  });
+};
+
+const findMerchantBrand = async merchant => {
+  const brandDoc = await Brand.findOne({ merchant }, '_id');
+  return brandDoc ? brandDoc._id : null;
+};
+
+const isOwner = (order, user) =>
+  !!order.user && `${order.user}` === `${user._id}`;
+
+// the role the user acts with on the returns of the order, null when the
+// returns are not theirs to see. merchants see the returns with items of
+// their brand and manage the ones made only of them
+const getAccess = async (order, user) => {
+  if (user.role === ROLES.Admin) {
+    return { role: ROLES.Admin, brand: null };
+  }
+
+  if (user.role === ROLES.Merchant) {
+    const brand = await findMerchantBrand(user.merchant);
+    const hasItems = order.products.some(
+      item => brand && `${item.brand}` === `${brand}`
+    );
+
+    if (hasItems) return { role: ROLES.Merchant, brand };
+  }
+
+  return isOwner(order, user) ? { role: ROLES.Member, brand: null } : null;
+};
+
+const canSee = (returnDoc, access) =>
+  !access.brand ||
+  returnDoc.items.some(item => `${item.brand}` === `${access.brand}`);
+
+const getAllowedStatuses = (returnDoc, access) => {
+  const isManaged =
+    !access.brand ||
+    returnDoc.items.every(item => `${item.brand}` === `${access.brand}`);
+
+  return isManaged ? returns.getAllowedStatuses(returnDoc, access.role) : [];
+};
+
+// the return with the order it belongs to, throws when the user can not
+// manage it
+const findReturn = async (id, user) => {
+  const returnDoc = await Return.findOne({ _id: id });
+  const order = returnDoc && (await Order.findOne({ _id: returnDoc.order }));
+
+  if (!returnDoc || !order) {
+    throw { status: 404, message: `Cannot find return with the id: ${id}.` };
+  }
+
+  const access = await getAccess(order, user);
+
+  if (!access || !canSee(returnDoc, access)) {
+    throw { status: 404, message: `Cannot find return with the id: ${id}.` };
+  }
+
+  return {
+    returnDoc,
+    order,
+    allowedStatuses: getAllowedStatuses(returnDoc, access)
+  };
+};
+
+const sendReturnError = (res, error) => {
+  if (error.status === 404) {
+    return res.status(404).json({ message: error.message });
+  }
+
+  sendErrorResponse(res, error.status ? error.message : 'Please try again.');
+};
+
+// the returns of an order and what the customer can still return
+router.get('/order/:orderId', auth, async (req, res) => {
+  try {
+    const orderId = req.params.orderId;
+    const order = await Order.findOne({ _id: orderId });
+    const access = order && (await getAccess(order, req.user));
+
+    if (!access) {
+      return res.status(404).json({
+        message: `Cannot find order with the id: ${orderId}.`
+      });
+    }
+
+    const list = await Return.find({ order: order._id }).sort('-created');
+
+    res.status(200).json({
+      returns: list
+        .filter(returnDoc => canSee(returnDoc, access))
+        .map(returnDoc => ({
+          ...returnDoc.toObject(),
+          allowedStatuses: getAllowedStatuses(returnDoc, access)
+        })),
+      returnableItems: isOwner(order, req.user)
+        ? returns.getReturnableQuantities(order, list)
+        : {},
+      windowDays: keys.returns.windowDays
+    });
+  } catch (error) {
+    sendErrorResponse(res, 'Please try again.');
+  }
+});
+
+// customers return the delivered items of their order within the return window
+router.post('/add', auth, async (req, res) => {
+  try {
+    const { orderId, items, comment } = req.body;
+    const order = await Order.findOne({ _id: orderId });
+
+    if (!order || !isOwner(order, req.user)) {
+      return res.status(404).json({
+        message: `Cannot find order with the id: ${orderId}.`
+      });
+    }
+
+    const list = await Return.find({ order: order._id });
+    const returnDoc = await returns.createReturn(
+      order,
+      list,
+      req.user,
+      items,
+      (comment || '').trim()
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Your return request has been sent.',
+      return: returnDoc
+    });
+  } catch (error) {
+    sendErrorResponse(res, error.status ? error.message : 'Please try again.');
+  }
+});
+
+// approve, reject, receive or cancel a return
+router.put('/:id/status', auth, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const { returnDoc, allowedStatuses } = await findReturn(
+      req.params.id,
+      req.user
+    );
+
+    // inspection and refunds have their own routes
+    if (
+      [RETURN_STATUS.Inspected, RETURN_STATUS.Refunded].includes(status) ||
+      !allowedStatuses.includes(status)
+    ) {
+      return sendErrorResponse(
+        res,
+        `Return cannot go from ${returnDoc.status} to ${status}.`
+      );
+    }
+
+    await returns.changeStatus(
+      returnDoc,
+      status,
+      req.user,
+      (note || '').trim()
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Return is now ${status}.`,
+      return: returnDoc
+    });
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+// record the quantities that passed inspection and whether they go back in stock
+router.put('/:id/inspect', auth, async (req, res) => {
+  try {
+    const { items, note } = req.body;
+    const { returnDoc, order, allowedStatuses } = await findReturn(
+      req.params.id,
+      req.user
+    );
+
+    if (!allowedStatuses.includes(RETURN_STATUS.Inspected)) {
+      return sendErrorResponse(
+        res,
+        `Return cannot be inspected while it is ${returnDoc.status}.`
+      );
+    }
+
+    await returns.inspectReturn(
+      returnDoc,
+      order,
+      items,
+      req.user,
+      (note || '').trim()
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Return is now ${returnDoc.status}.`,
+      return: returnDoc
+    });
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+// refund the inspected items through the payment of the order
+router.put('/:id/refund', auth, async (req, res) => {
+  try {
+    const { note } = req.body;
+    const { returnDoc, order, allowedStatuses } = await findReturn(
+      req.params.id,
+      req.user
+    );
+
+    if (!allowedStatuses.includes(RETURN_STATUS.Refunded)) {
+      return sendErrorResponse(
+        res,
+        `Return cannot be refunded while it is ${returnDoc.status}.`
+      );
+    }
+
+    await returns.refundReturn(returnDoc, order, req.user, (note || '').trim());
+
+    res.status(200).json({
+      success: true,
+      message: `$${returnDoc.refundAmount} has been refunded.`,
+      return: returnDoc
+    });
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+
+// Bring in Models & Utils
+const Shipment = require('../../models/shipment');
+const Order = require('../../models/order');
+const Brand = require('../../models/brand');
+const auth = require('../../middleware/auth');
+const guest = require('../../middleware/guest');
+const mailgun = require('../../services/mailgun');
+const shipments = require('../../utils/shipment');
+const pdf = require('../../utils/pdf');
+const guestCheckout = require('../../utils/guest');
+const { ROLES } = require('../../constants');
+
+// Reusable function for error response
+const sendErrorResponse = (res, message) => {
+  res.status(400).json({
+    error: `Your request could not be processed. ${message}`
+  });
+};
+
+const findMerchantBrand = async merchant => {
+  const brandDoc = await Brand.findOne({ merchant }, '_id');
+  return brandDoc ? brandDoc._id : null;
+};
+
+// the role the user acts with on the shipments of the order, null when they
+// are not theirs to see. merchants see and ship the items of their brand,
+// guests follow the order with its access token
+const getAccess = async (order, user, token) => {
+  if (user && user.role === ROLES.Admin) {
+    return { role: ROLES.Admin, brand: null };
+  }
+
+  if (user && user.role === ROLES.Merchant) {
+    const brand = await findMerchantBrand(user.merchant);
+    const hasItems = order.products.some(
+      item => brand && `${item.brand}` === `${brand}`
+    );
+
+    if (hasItems) return { role: ROLES.Merchant, brand };
+  }
+
+  const isOwner = user && order.user && `${order.user}` === `${user._id}`;
+
+  return isOwner || guestCheckout.verifyOrderToken(token, order._id)
+    ? { role: ROLES.Member, brand: null }
+    : null;
+};
+
+const isStaff = access =>
+  !!access && [ROLES.Admin, ROLES.Merchant].includes(access.role);
+
+// the shipment with only the lines the merchant can see
+const filterItems = (shipment, access) => ({
+  ...shipment.toObject(),
+  items: shipment.items.filter(
+    item => !access.brand || `${item.brand}` === `${access.brand}`
+  )
+});
+
+// the shipments of an order with their tracking links and, for the staff,
+// the lines they can still ship
+router.get('/order/:orderId', guest, async (req, res) => {
+  try {
+    const orderId = req.params.orderId;
+    const order = await Order.findOne({ _id: orderId });
+    const access = order && (await getAccess(order, req.user, req.query.token));
+
+    if (!access) {
+      return res.status(404).json({
+        message: `Cannot find order with the id: ${orderId}.`
+      });
+    }
+
+    const list = await Shipment.find({ order: order._id }).sort('-shipped');
+
+    res.status(200).json({
+      shipments: list
+        .map(shipment => filterItems(shipment, access))
+        .filter(shipment => shipment.items.length > 0),
+      shippableItems: isStaff(access)
+        ? shipments
+            .getShippableItems(order, list, access.brand)
+            .map(item => item._id)
+        : []
+    });
+  } catch (error) {
+    sendErrorResponse(res, 'Please try again.');
+  }
+});
+
+// ship order lines with a carrier and let the customer know
+router.post('/order/:orderId', auth, async (req, res) => {
+  try {
+    const orderId = req.params.orderId;
+    const { items, carrier, trackingNumber, shipped } = req.body;
+    const order = await Order.findOne({ _id: orderId });
+    const access = order && (await getAccess(order, req.user));
+
+    if (!isStaff(access)) {
+      return res.status(404).json({
+        message: `Cannot find order with the id: ${orderId}.`
+      });
+    }
+
+    const list = await Shipment.find({ order: order._id });
+    const shipment = await shipments.createShipment(order, list, req.user, {
+      items,
+      carrier,
+      trackingNumber,
+      shipped,
+      brand: access.brand
+    });
+
+    await mailgun.sendEmail(
+      order.contact.email,
+      'order-shipped',
+      req.headers.host,
+      {
+        order,
+        shipment,
+        // guests have no account, they follow the order with a token
+        accessToken: order.user ? null : guestCheckout.createOrderToken(order)
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${shipment.items.length} ${
+        shipment.items.length === 1 ? 'item has' : 'items have'
+      } been shipped.`,
+      shipment
+    });
+  } catch (error) {
+    sendErrorResponse(res, error.status ? error.message : 'Please try again.');
+  }
+});
+
+// what goes in the package and where it goes, without prices
+router.get('/:id/packing-slip', auth, async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne({ _id: req.params.id });
+    const order = shipment && (await Order.findOne({ _id: shipment.order }));
+    const access = order && (await getAccess(order, req.user));
+    const packed = isStaff(access) && filterItems(shipment, access);
+
+    if (!packed || packed.items.length === 0) {
+      return res.status(404).json({
+        message: `Cannot find shipment with the id: ${req.params.id}.`
+      });
+    }
+
+    res.status(200).json({
+      packingSlip: {
+        shipment: packed,
+        order: {
+          _id: order._id,
+          created: order.created,
+          contact: order.contact,
+          shippingAddress: order.shippingAddress,
+          shippingMethod: order.shippingMethod.name
+        }
+      }
+    });
+  } catch (error) {
+    sendErrorResponse(res, 'Please try again.');
+  }
+});
+
+// the packing slip to print and put in the package
+router.get('/:id/packing-slip.pdf', auth, async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne({ _id: req.params.id });
+    const order = shipment && (await Order.findOne({ _id: shipment.order }));
+    const access = order && (await getAccess(order, req.user));
+    const packed = isStaff(access) && filterItems(shipment, access);
+
+    if (!packed || packed.items.length === 0) {
+      return res.status(404).json({
+        message: `Cannot find shipment with the id: ${req.params.id}.`
+      });
+    }
+
+    const packingSlip = await pdf.createPackingSlip(order, packed);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="packing-slip-${shipment._id}.pdf"`
+    });
+    res.status(200).send(packingSlip);
+  } catch (error) {
+    sendErrorResponse(res, 'Please try again.');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+
+// Bring in Models & Utils
+const ShippingZone = require('../../models/shipping');
+const Cart = require('../../models/cart');
+const auth = require('../../middleware/auth');
+const guest = require('../../middleware/guest');
+const role = require('../../middleware/role');
+const shipping = require('../../utils/shipping');
+const guestCheckout = require('../../utils/guest');
+const { ROLES, SHIPPING_RATE_TYPE } = require('../../constants');
+
+// Input Validation
+const validateShippingZoneInput = ({ name, methods = [] }) => {
+  if (!name) {
+    throw { status: 400, message: 'You must enter a name.' };
+  }
+
+  methods.forEach(method => {
+    if (!method.name) {
+      throw { status: 400, message: 'You must enter a shipping method name.' };
+    }
+
+    if (!Object.values(SHIPPING_RATE_TYPE).includes(method.type)) {
+      throw {
+        status: 400,
+        message: `${method.name} has an invalid rate type.`
+      };
+    }
+
+    const isNegative = ['rate', 'ratePerWeight', 'threshold'].some(
+      field => method[field] !== undefined && !(Number(method[field]) >= 0)
+    );
+
+    if (isNegative) {
+      throw {
+        status: 400,
+        message: `${method.name} rates must be positive numbers.`
+      };
+    }
+  });
+};
+
+// Quote the shipping methods of a cart for an address
+router.post('/quote', guest, async (req, res) => {
+  try {
+    const { cartId, addressId, address: guestAddress } = req.body;
+    const user = req.user ? req.user._id : null;
+
+    const query = guestCheckout.getCartQuery(req, cartId);
+    const cart = query && (await Cart.findOne(query));
+
+    if (!cart) {
+      return res.status(404).json({
+        message: `Cannot find cart with the id: ${cartId}.`
+      });
+    }
+
+    const address = await shipping.getShippingAddress(
+      user,
+      addressId,
+      guestAddress
+    );
+    const methods = await shipping.quoteShipping(cart.products, address);
+
+    res.status(200).json({ methods });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Add Shipping Zone
+router.post('/zone/add', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const { name, country, state, zipCode, methods, isActive } = req.body;
+
+    validateShippingZoneInput(req.body);
+
+    const zone = new ShippingZone({
+      name,
+      country,
+      state,
+      zipCode,
+      methods,
+      isActive
+    });
+
+    const zoneDoc = await zone.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone has been added successfully!',
+      zone: zoneDoc
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Fetch Shipping Zones
+router.get('/zone', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const zones = await ShippingZone.find({}).sort({ country: 1, state: 1 });
+
+    res.status(200).json({ zones });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Fetch Shipping Zone by ID
+router.get('/zone/:id', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const zoneId = req.params.id;
+    const zoneDoc = await ShippingZone.findOne({ _id: zoneId });
+
+    if (!zoneDoc) {
+      return res
+        .status(404)
+        .json({ message: `Cannot find shipping zone with the id: ${zoneId}.` });
+    }
+
+    res.status(200).json({ zone: zoneDoc });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Update Shipping Zone
+router.put('/zone/:id', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const zoneId = req.params.id;
+    const update = req.body.zone;
+    const query = { _id: zoneId };
+
+    validateShippingZoneInput(update);
+
+    update.updated = Date.now();
+    await ShippingZone.findOneAndUpdate(query, update, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone has been updated successfully!'
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Delete Shipping Zone
+router.delete(
+  '/zone/delete/:id',
+  auth,
+  role.check(ROLES.Admin),
+  async (req, res) => {
+    try {
+      const zone = await ShippingZone.deleteOne({ _id: req.params.id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Shipping zone has been deleted successfully!',
+        zone
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Your request could not be processed. Please try again.'
+      });
+    }
+  }
+);
+
+module.exports = router;
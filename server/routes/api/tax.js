@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+
+// Bring in Models & Utils
+const TaxRate = require('../../models/tax');
+const auth = require('../../middleware/auth');
+const role = require('../../middleware/role');
+const { ROLES, TAX_CLASS } = require('../../constants');
+
+// Input Validation
+const validateTaxRateInput = ({ name, rate, taxClass }) => {
+  if (!name) {
+    throw { status: 400, message: 'You must enter a name.' };
+  }
+
+  if (rate === undefined || isNaN(rate) || rate < 0 || rate > 100) {
+    throw {
+      status: 400,
+      message: 'Rate must be a percentage between 0 and 100.'
+    };
+  }
+
+  if (taxClass === TAX_CLASS.Exempt) {
+    throw { status: 400, message: 'Exempt products are never taxed.' };
+  }
+};
+
+// Add Tax Rate
+router.post('/add', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const {
+      name,
+      country,
+      state,
+      zipCode,
+      taxClass,
+      rate,
+      isInclusive,
+      isActive
+    } = req.body;
+
+    validateTaxRateInput(req.body);
+
+    const taxRate = new TaxRate({
+      name,
+      country,
+      state,
+      zipCode,
+      taxClass,
+      rate,
+      isInclusive,
+      isActive
+    });
+
+    const taxRateDoc = await taxRate.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate has been added successfully!',
+      taxRate: taxRateDoc
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Fetch Tax Rates
+router.get('/', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const taxRates = await TaxRate.find({}).sort({ country: 1, state: 1 });
+
+    res.status(200).json({ taxRates });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Fetch Tax Rate by ID
+router.get('/:id', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+    const taxRateDoc = await TaxRate.findOne({ _id: taxRateId });
+
+    if (!taxRateDoc) {
+      return res
+        .status(404)
+        .json({ message: `Cannot find tax rate with the id: ${taxRateId}.` });
+    }
+
+    res.status(200).json({ taxRate: taxRateDoc });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Update Tax Rate
+router.put('/:id', auth, role.check(ROLES.Admin), async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+    const update = req.body.taxRate;
+    const query = { _id: taxRateId };
+
+    validateTaxRateInput(update);
+
+    update.updated = Date.now();
+    await TaxRate.findOneAndUpdate(query, update, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate has been updated successfully!'
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      error: error.status
+        ? error.message
+        : 'Your request could not be processed. Please try again.'
+    });
+  }
+});
+
+// Delete Tax Rate
+router.delete(
+  '/delete/:id',
+  auth,
+  role.check(ROLES.Admin),
+  async (req, res) => {
+    try {
+      const taxRate = await TaxRate.deleteOne({ _id: req.params.id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Tax rate has been deleted successfully!',
+        taxRate
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Your request could not be processed. Please try again.'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -78,7 +78,11 @@ const prepareTemplate = (type, host, data) => {
       break;
 
     case 'order-confirmation':
-      message = template.orderConfirmationEmail(data);
+      message = template.orderConfirmationEmail(host, data);
+      break;
+
+    case 'order-shipped':
+      message = template.orderShippedEmail(host, data);
       break;
 
     default:
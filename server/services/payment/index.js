@@ -0,0 +1,251 @@
+const Payment = require('../../models/payment');
+const keys = require('../../config/keys');
+const { PAYMENT_STATUS, PAYMENT_PROVIDER } = require('../../constants');
+const MockProvider = require('./mock');
+
+const { provider: providerName, currency } = keys.payment;
+
+// A provider is any class implementing authorize, capture, void and refund.
+// Each method resolves with the provider transaction data or throws
+// { status, message } when the provider rejects the operation.
+const providers = {
+  [PAYMENT_PROVIDER.Mock]: MockProvider
+};
+
+class PaymentService {
+  init() {
+    const Provider = providers[providerName];
+
+    if (!Provider) {
+      console.warn(`Unknown payment provider ${providerName}`);
+      return null;
+    }
+
+    return new Provider();
+  }
+}
+
+let provider = new PaymentService().init();
+
+const getProvider = () => {
+  if (!provider) {
+    throw { status: 400, message: 'Payments are not available right now.' };
+  }
+
+  return provider;
+};
+
+const roundAmount = amount => parseFloat(Number(amount).toFixed(2));
+
+// the status of the refunded amount, only saved while no other refund has
+// changed the amount since. resolves with the status
+const setRefundStatus = async payment => {
+  const refunded = roundAmount(payment.amountRefunded);
+  const status =
+    refunded >= payment.amountCaptured
+      ? PAYMENT_STATUS.Refunded
+      : refunded > 0
+      ? PAYMENT_STATUS.Partially_Refunded
+      : PAYMENT_STATUS.Captured;
+
+  await Payment.updateOne(
+    { _id: payment._id, amountRefunded: payment.amountRefunded },
+    { status, updated: Date.now() }
+  );
+
+  return status;
+};
+
+exports.registerProvider = (name, Provider) => {
+  providers[name] = Provider;
+
+  if (name === providerName) {
+    provider = new Provider();
+  }
+};
+
+exports.authorize = async ({ user, cart, amount, source }) => {
+  const payment = new Payment({
+    user,
+    cart,
+    provider: providerName,
+    amount: roundAmount(amount),
+    currency
+  });
+
+  try {
+    const result = await getProvider().authorize({
+      amount: payment.amount,
+      currency,
+      source
+    });
+
+    payment.transactionId = result.transactionId;
+    payment.status = PAYMENT_STATUS.Authorized;
+    payment.updated = Date.now();
+
+    return await payment.save();
+  } catch (error) {
+    payment.status = PAYMENT_STATUS.Failed;
+    payment.failureReason = error.message;
+    payment.updated = Date.now();
+    await payment.save();
+
+    throw error;
+  }
+};
+
+// hold an authorized payment for the order being placed, no other order can
+// use it from then on. throws when another order holds it already
+exports.claim = async (payment, order) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.Authorized, order: null },
+    { order, updated: Date.now() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw { status: 400, message: 'Your payment has already been used.' };
+  }
+
+  payment.order = order;
+
+  return claimed;
+};
+
+// let go of a payment whose order could not be placed, so it can be voided
+exports.unclaim = payment =>
+  Payment.updateOne(
+    {
+      _id: payment._id,
+      status: PAYMENT_STATUS.Authorized,
+      order: payment.order
+    },
+    { order: null, updated: Date.now() }
+  );
+
+// capture a payment claimed by the order, throws when it is not authorized
+// for that order anymore
+exports.capture = async (payment, order) => {
+  if (payment.status !== PAYMENT_STATUS.Authorized) {
+    throw { status: 400, message: 'Payment has not been authorized.' };
+  }
+
+  const result = await getProvider().capture(
+    payment.transactionId,
+    payment.amount
+  );
+
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.Authorized, order },
+    {
+      amountCaptured: roundAmount(result.amount),
+      status: PAYMENT_STATUS.Captured,
+      updated: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!captured) {
+    throw { status: 400, message: 'Payment has not been authorized.' };
+  }
+
+  return captured;
+};
+
+exports.void = async payment => {
+  if (payment.status !== PAYMENT_STATUS.Authorized) {
+    throw { status: 400, message: 'Only authorized payments can be voided.' };
+  }
+
+  await getProvider().void(payment.transactionId);
+
+  payment.status = PAYMENT_STATUS.Voided;
+  payment.updated = Date.now();
+
+  return await payment.save();
+};
+
+exports.refund = async (payment, amount) => {
+  const refundable = roundAmount(
+    payment.amountCaptured - payment.amountRefunded
+  );
+  const refundAmount = roundAmount(amount ?? refundable);
+
+  if (
+    payment.status !== PAYMENT_STATUS.Captured &&
+    payment.status !== PAYMENT_STATUS.Partially_Refunded
+  ) {
+    throw { status: 400, message: 'Only captured payments can be refunded.' };
+  }
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw {
+      status: 400,
+      message: `Refund amount must be between 0 and ${refundable}.`
+    };
+  }
+
+  // the amount is claimed before the provider is called, so refunds made at
+  // the same time never give back more than was captured
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: {
+        $in: [PAYMENT_STATUS.Captured, PAYMENT_STATUS.Partially_Refunded]
+      },
+      $expr: {
+        $lte: [
+          { $add: ['$amountRefunded', refundAmount] },
+          { $add: ['$amountCaptured', 0.001] }
+        ]
+      }
+    },
+    { $inc: { amountRefunded: refundAmount } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw {
+      status: 400,
+      message: 'The payment has been refunded in the meantime.'
+    };
+  }
+
+  let result;
+  try {
+    result = await getProvider().refund(payment.transactionId, refundAmount);
+  } catch (error) {
+    const released = await Payment.findOneAndUpdate(
+      { _id: payment._id },
+      { $inc: { amountRefunded: -refundAmount } },
+      { new: true }
+    );
+    await setRefundStatus(released);
+    throw error;
+  }
+
+  payment.amountRefunded = roundAmount(claimed.amountRefunded);
+  payment.status = await setRefundStatus(claimed);
+  payment.updated = Date.now();
+
+  return result;
+};
+
+// void an authorization or refund whatever is left of a captured payment
+exports.release = async payment => {
+  if (!payment) return null;
+
+  if (payment.status === PAYMENT_STATUS.Authorized) {
+    return await this.void(payment);
+  }
+
+  if (
+    payment.status === PAYMENT_STATUS.Captured ||
+    payment.status === PAYMENT_STATUS.Partially_Refunded
+  ) {
+    await this.refund(payment);
+  }
+
+  return payment;
+};
@@ -0,0 +1,128 @@
+const Mongoose = require('mongoose');
+
+const Payment = require('../../models/payment');
+const MockProvider = require('./mock');
+const payments = require('./index');
+const { PAYMENT_STATUS } = require('../../constants');
+
+describe('Payment placements', () => {
+  const order = new Mongoose.Types.ObjectId();
+  const createPayment = () => ({
+    _id: new Mongoose.Types.ObjectId(),
+    transactionId: 'mock_auth_1',
+    status: PAYMENT_STATUS.Authorized,
+    amount: 50,
+    order: null
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should turn down a second placement with the same payment', async () => {
+    const payment = createPayment();
+    const claim = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ ...payment, order })
+      .mockResolvedValueOnce(null);
+
+    await payments.claim(payment, order);
+    await expect(
+      payments.claim(createPayment(), new Mongoose.Types.ObjectId())
+    ).rejects.toEqual({
+      status: 400,
+      message: 'Your payment has already been used.'
+    });
+
+    expect(claim.mock.calls[0][0]).toEqual({
+      _id: payment._id,
+      status: PAYMENT_STATUS.Authorized,
+      order: null
+    });
+    expect(payment.order).toBe(order);
+  });
+
+  it('should only capture a payment still authorized for the order', async () => {
+    const payment = { ...createPayment(), order };
+    const capture = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockResolvedValue(null);
+
+    await expect(payments.capture(payment, order)).rejects.toMatchObject({
+      status: 400
+    });
+    expect(capture.mock.calls[0][0]).toEqual({
+      _id: payment._id,
+      status: PAYMENT_STATUS.Authorized,
+      order
+    });
+  });
+});
+
+describe('Payment refunds', () => {
+  const createPayment = () => ({
+    _id: new Mongoose.Types.ObjectId(),
+    transactionId: 'mock_auth_1',
+    status: PAYMENT_STATUS.Captured,
+    amountCaptured: 50,
+    amountRefunded: 0
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should claim the amount on the payment before refunding it', async () => {
+    const payment = createPayment();
+    const claim = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockResolvedValue({ ...payment, amountRefunded: 20 });
+    const setStatus = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    const refund = jest.spyOn(MockProvider.prototype, 'refund');
+
+    await payments.refund(payment, 20);
+
+    expect(claim.mock.calls[0][0].$expr).toEqual({
+      $lte: [
+        { $add: ['$amountRefunded', 20] },
+        { $add: ['$amountCaptured', 0.001] }
+      ]
+    });
+    expect(claim.mock.calls[0][1]).toEqual({ $inc: { amountRefunded: 20 } });
+    expect(refund).toHaveBeenCalledWith('mock_auth_1', 20);
+    expect(setStatus.mock.calls[0][0]).toEqual({
+      _id: payment._id,
+      amountRefunded: 20
+    });
+    expect(payment.status).toBe(PAYMENT_STATUS.Partially_Refunded);
+  });
+
+  it('should not refund what another refund has claimed', async () => {
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+    const refund = jest.spyOn(MockProvider.prototype, 'refund');
+
+    await expect(payments.refund(createPayment(), 50)).rejects.toMatchObject({
+      status: 400
+    });
+    expect(refund).not.toHaveBeenCalled();
+  });
+
+  it('should give the claim back when the provider fails', async () => {
+    const payment = createPayment();
+    const update = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ ...payment, amountRefunded: 20 })
+      .mockResolvedValueOnce({ ...payment, amountRefunded: 0 });
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    jest
+      .spyOn(MockProvider.prototype, 'refund')
+      .mockRejectedValue({ status: 400, message: 'Refund failed.' });
+
+    await expect(payments.refund(payment, 20)).rejects.toMatchObject({
+      message: 'Refund failed.'
+    });
+    expect(update.mock.calls[1][1]).toEqual({
+      $inc: { amountRefunded: -20 }
+    });
+  });
+});
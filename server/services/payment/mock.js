@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// The only payment sources the mock provider accepts, the storefront
+// tokenizes the card into one of them so no card number reaches the server.
+// The declined source is handy to exercise the failure path of the checkout.
+const APPROVED_SOURCE = 'mock_ok';
+const DECLINED_SOURCE = 'mock_declined';
+
+const generateId = prefix =>
+  `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Offline provider, nothing leaves the server and every call succeeds
+// unless a declined source is used.
+class MockProvider {
+  async authorize({ amount, source }) {
+    if (source === DECLINED_SOURCE) {
+      throw { status: 400, message: 'Your payment was declined.' };
+    }
+
+    if (source !== APPROVED_SOURCE) {
+      throw { status: 400, message: 'Invalid payment source.' };
+    }
+
+    return { transactionId: generateId('mock_auth'), amount };
+  }
+
+  async capture(transactionId, amount) {
+    return { transactionId, amount };
+  }
+
+  async void(transactionId) {
+    return { transactionId };
+  }
+
+  async refund(transactionId, amount) {
+    return { transactionId, refundId: generateId('mock_refund'), amount };
+  }
+}
+
+MockProvider.APPROVED_SOURCE = APPROVED_SOURCE;
+MockProvider.DECLINED_SOURCE = DECLINED_SOURCE;
+
+module.exports = MockProvider;
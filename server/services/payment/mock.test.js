@@ -0,0 +1,27 @@
+const MockProvider = require('./mock');
+
+describe('Mock payment provider', () => {
+  const provider = new MockProvider();
+
+  it('should authorize the approved source', async () => {
+    const result = await provider.authorize({
+      amount: 10,
+      source: MockProvider.APPROVED_SOURCE
+    });
+
+    expect(result.amount).toBe(10);
+    expect(result.transactionId).toMatch(/^mock_auth_/);
+  });
+
+  it('should decline the declined source', async () => {
+    await expect(
+      provider.authorize({ amount: 10, source: MockProvider.DECLINED_SOURCE })
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should not accept a card number as the source', async () => {
+    await expect(
+      provider.authorize({ amount: 10, source: '4242424242424242' })
+    ).rejects.toEqual({ status: 400, message: 'Invalid payment source.' });
+  });
+});
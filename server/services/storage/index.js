@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const keys = require('../../config/keys');
+const { STORAGE_DRIVER } = require('../../constants');
+const S3Driver = require('./s3');
+const LocalDriver = require('./local');
+
+const { driver: driverName } = keys.storage;
+
+// A driver is any class implementing put, get, delete and url. Files are
+// addressed by their key, the url is where the store loads them from.
+const drivers = {
+  [STORAGE_DRIVER.S3]: S3Driver,
+  [STORAGE_DRIVER.Local]: LocalDriver
+};
+
+let driver = null;
+
+// drivers are created on first use, so requiring the storage needs no
+// credentials
+const getDriver = () => {
+  if (!driver) {
+    const Driver = drivers[driverName];
+
+    if (!Driver) {
+      throw { status: 400, message: 'File uploads are not available.' };
+    }
+
+    driver = new Driver();
+  }
+
+  return driver;
+};
+
+exports.registerDriver = (name, Driver) => {
+  drivers[name] = Driver;
+
+  if (name === driverName) {
+    driver = new Driver();
+  }
+};
+
+// a random prefix keeps two uploads of the same file name apart
+exports.getStorageKey = (filename, folder = '') => {
+  const extension = path.extname(filename || '');
+  const name = path
+    .basename(filename || '', extension)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const key = `${crypto.randomBytes(8).toString('hex')}-${
+    name || 'image'
+  }${extension.toLowerCase()}`;
+
+  return folder ? `${folder}/${key}` : key;
+};
+
+exports.put = (key, body, contentType) =>
+  getDriver().put(key, body, contentType);
+
+exports.get = key => getDriver().get(key);
+
+exports.url = key => getDriver().url(key);
+
+// removing the files never fails the request, they are not used anymore
+exports.remove = async imageKeys => {
+  const list = imageKeys.filter(key => key);
+
+  if (list.length === 0) return;
+
+  try {
+    await getDriver().delete(list);
+  } catch (error) {
+    console.log('error', error);
+  }
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+const keys = require('../../config/keys');
+
+// Files are written under a folder of the server and served by express at
+// the public url, so uploads work without any cloud account.
+class LocalDriver {
+  constructor(options = keys.storage) {
+    this.root = path.resolve(options.localPath);
+    this.publicURL = options.publicURL.replace(/\/+$/, '');
+  }
+
+  // keys never point outside of the storage folder
+  getPath(key) {
+    const file = path.resolve(this.root, key);
+
+    if (!file.startsWith(`${this.root}${path.sep}`)) {
+      throw { status: 400, message: 'Invalid file key.' };
+    }
+
+    return file;
+  }
+
+  async put(key, body) {
+    const file = this.getPath(key);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, body);
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.getPath(key));
+  }
+
+  async delete(keys) {
+    await Promise.all(
+      keys.map(key => fs.promises.rm(this.getPath(key), { force: true }))
+    );
+  }
+
+  url(key) {
+    return `${this.publicURL}/${key}`;
+  }
+}
+
+module.exports = LocalDriver;
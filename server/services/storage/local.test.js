@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LocalDriver = require('./local');
+
+describe('Local storage driver', () => {
+  let root;
+  let driver;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+    driver = new LocalDriver({
+      localPath: root,
+      publicURL: 'http://localhost:3000/uploads/'
+    });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should put, get and delete files by key', async () => {
+    await driver.put('products/a-shirt.png', Buffer.from('image'));
+
+    expect((await driver.get('products/a-shirt.png')).toString()).toBe('image');
+    expect(driver.url('products/a-shirt.png')).toBe(
+      'http://localhost:3000/uploads/products/a-shirt.png'
+    );
+
+    await driver.delete(['products/a-shirt.png', 'products/missing.png']);
+    await expect(driver.get('products/a-shirt.png')).rejects.toThrow();
+  });
+
+  it('should refuse keys outside of the storage folder', async () => {
+    await expect(
+      driver.put('../outside.png', Buffer.from('image'))
+    ).rejects.toEqual({ status: 400, message: 'Invalid file key.' });
+    expect(() => driver.getPath('/etc/passwd')).toThrow();
+  });
+});
@@ -0,0 +1,51 @@
+const AWS = require('aws-sdk');
+
+const keys = require('../../config/keys');
+
+// Files are public objects of the configured bucket.
+class S3Driver {
+  constructor(options = keys.aws) {
+    this.bucketName = options.bucketName;
+    this.region = options.region;
+    this.s3 = new AWS.S3({
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      region: options.region
+    });
+  }
+
+  async put(key, body, contentType) {
+    await this.s3
+      .upload({
+        Bucket: this.bucketName,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ACL: 'public-read'
+      })
+      .promise();
+  }
+
+  async get(key) {
+    const object = await this.s3
+      .getObject({ Bucket: this.bucketName, Key: key })
+      .promise();
+
+    return object.Body;
+  }
+
+  async delete(keys) {
+    await this.s3
+      .deleteObjects({
+        Bucket: this.bucketName,
+        Delete: { Objects: keys.map(key => ({ Key: key })) }
+      })
+      .promise();
+  }
+
+  url(key) {
+    return `https://${this.bucketName}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+module.exports = S3Driver;
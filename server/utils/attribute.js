@@ -0,0 +1,73 @@
+const Category = require('../models/category');
+
+const normalize = value => (value || '').toString().trim();
+
+// the attributes of the given sets, an attribute in several sets takes the
+// values of all of them
+exports.mergeAttributes = sets =>
+  sets.reduce((attributes, set) => {
+    (set.attributes || []).forEach(attribute => {
+      const found = attributes.find(a => a.name === attribute.name);
+
+      if (found) {
+        found.values = [...new Set([...found.values, ...attribute.values])];
+      } else {
+        attributes.push({
+          name: attribute.name,
+          values: [...attribute.values]
+        });
+      }
+    });
+
+    return attributes;
+  }, []);
+
+// the attributes products of the given categories can have
+exports.loadAttributes = async categoryIds => {
+  if (!categoryIds || categoryIds.length === 0) return [];
+
+  const categories = await Category.find(
+    { _id: { $in: categoryIds } },
+    'attributeSet'
+  ).populate('attributeSet');
+
+  return this.mergeAttributes(
+    categories
+      .map(category => category.attributeSet)
+      .filter(set => set && set.isActive)
+  );
+};
+
+// keep the attribute values that were filled in for the attributes of the
+// product categories, values of the categories it left are dropped,
+// throws when an attribute takes an unknown value
+exports.validateAttributes = (values, attributes) => {
+  const list = Array.isArray(values) ? values : [];
+
+  return list
+    .map(value => ({
+      name: normalize(value.name),
+      value: normalize(value.value)
+    }))
+    .filter(
+      value =>
+        value.value &&
+        attributes.some(attribute => attribute.name === value.name)
+    )
+    .map(value => {
+      const attribute = attributes.find(a => a.name === value.name);
+
+      if (!attribute.values.includes(value.value)) {
+        throw {
+          status: 400,
+          message: `${value.value} is not a value of ${value.name}.`
+        };
+      }
+
+      return value;
+    })
+    .filter(
+      (value, index, list) =>
+        list.findIndex(v => v.name === value.name) === index
+    );
+};
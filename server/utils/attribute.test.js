@@ -0,0 +1,42 @@
+const attributes = require('./attribute');
+
+describe('Product attributes', () => {
+  const definitions = attributes.mergeAttributes([
+    { attributes: [{ name: 'Material', values: ['Wood'] }] },
+    {
+      attributes: [
+        { name: 'Material', values: ['Wood', 'Metal'] },
+        { name: 'Seats', values: ['2', '4'] }
+      ]
+    }
+  ]);
+
+  it('should merge the attributes of the sets', () => {
+    expect(definitions).toEqual([
+      { name: 'Material', values: ['Wood', 'Metal'] },
+      { name: 'Seats', values: ['2', '4'] }
+    ]);
+  });
+
+  it('should keep the filled in attribute values', () => {
+    expect(
+      attributes.validateAttributes(
+        [
+          { name: 'Material', value: ' Metal ' },
+          { name: 'Seats', value: '' },
+          { name: 'Color', value: 'Red' }
+        ],
+        definitions
+      )
+    ).toEqual([{ name: 'Material', value: 'Metal' }]);
+  });
+
+  it('should reject unknown values', () => {
+    expect(() =>
+      attributes.validateAttributes(
+        [{ name: 'Seats', value: '3' }],
+        definitions
+      )
+    ).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
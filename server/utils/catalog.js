@@ -0,0 +1,440 @@
+const axios = require('axios');
+const path = require('path');
+
+const Product = require('../models/product');
+const Brand = require('../models/brand');
+const Category = require('../models/category');
+const csv = require('./csv');
+const gallery = require('./gallery');
+const attributes = require('./attribute');
+const search = require('./search');
+const network = require('./network');
+const { processImage, MAX_IMAGE_SIZE } = require('./image');
+const { PRODUCT_IMPORT_ACTION } = require('../constants');
+
+// the columns of the import and export files, brands and categories are
+// written by slug and found by slug or name
+exports.COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'quantity',
+  'brand',
+  'categories',
+  'images'
+];
+
+// a new product can not do without these, an update leaves the columns
+// missing from the file as they are
+const REQUIRED_COLUMNS = ['sku', 'name', 'description', 'price', 'quantity'];
+
+// categories and image urls of a cell
+exports.LIST_SEPARATOR = '|';
+
+exports.MAX_ROWS = 1000;
+
+const splitList = value =>
+  value
+    .split(this.LIST_SEPARATOR)
+    .map(item => item.trim())
+    .filter(item => item);
+
+const isURL = value => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// the rows of an import file keyed by column with their row in the file,
+// unknown columns and blank rows are left out
+exports.readRows = text => {
+  const [header = [], ...records] = csv.parse(text);
+  const names = header.map(name => name.trim().toLowerCase());
+
+  if (!names.includes('sku')) {
+    throw { status: 400, message: 'The file needs a sku column.' };
+  }
+
+  const rows = records
+    .map((record, index) => ({
+      row: index + 2,
+      values: names.reduce((values, name, i) => {
+        if (this.COLUMNS.includes(name)) {
+          values[name] = (record[i] || '').trim();
+        }
+        return values;
+      }, {})
+    }))
+    .filter(row => Object.values(row.values).some(value => value));
+
+  if (rows.length === 0) {
+    throw { status: 400, message: 'The file has no products.' };
+  }
+
+  if (rows.length > this.MAX_ROWS) {
+    throw {
+      status: 400,
+      message: `A file can have up to ${this.MAX_ROWS} products.`
+    };
+  }
+
+  return {
+    columns: this.COLUMNS.filter(column => names.includes(column)),
+    rows
+  };
+};
+
+// the brand or category a cell stands for, by slug first then by name
+exports.findReference = (docs, value) => {
+  const key = value.toLowerCase();
+  const bySlug = docs.find(doc => doc.slug === key);
+  if (bySlug) return { doc: bySlug };
+
+  const byName = docs.filter(doc => doc.name.toLowerCase() === key);
+  if (byName.length > 1) return { error: 'matches several, use its slug' };
+
+  return byName.length === 1 ? { doc: byName[0] } : { error: 'does not exist' };
+};
+
+// the changes a row makes with the errors keeping it from being imported.
+// merchants only import products of their brand
+exports.validateRow = ({ row, values }, columns, context) => {
+  const { products, brands, categories, brand, skus } = context;
+  const errors = [];
+  const update = {};
+  const sku = values.sku || '';
+
+  if (!sku) {
+    errors.push('Sku is required.');
+  } else if (skus.has(sku)) {
+    errors.push(`Sku ${sku} is used by another row.`);
+  }
+  skus.add(sku);
+
+  const existing = products.find(product => product.sku === sku) || null;
+  const owner = products.find(product =>
+    product.variants.some(variant => variant.sku === sku)
+  );
+
+  if (sku && owner) {
+    errors.push(`Sku ${sku} is used by a variant of ${owner.name}.`);
+  }
+
+  if (existing && brand && `${existing.brand}` !== `${brand}`) {
+    errors.push(`Sku ${sku} belongs to another brand.`);
+  }
+
+  REQUIRED_COLUMNS.forEach(column => {
+    if (column === 'sku') return;
+
+    if (columns.includes(column) ? !values[column] : !existing) {
+      errors.push(`${column[0].toUpperCase()}${column.slice(1)} is required.`);
+    }
+  });
+
+  if (values.name) update.name = values.name;
+  if (values.description) update.description = values.description;
+
+  if (values.price) {
+    if (Number(values.price) >= 0) {
+      update.price = Number(values.price);
+    } else {
+      errors.push('Price must be a positive number.');
+    }
+  }
+
+  if (values.quantity) {
+    if (Number.isInteger(Number(values.quantity)) && values.quantity >= 0) {
+      update.quantity = Number(values.quantity);
+    } else {
+      errors.push('Quantity must be a whole number.');
+    }
+  }
+
+  if (columns.includes('brand') && values.brand) {
+    const { doc, error } = this.findReference(brands, values.brand);
+
+    if (error) {
+      errors.push(`Brand ${values.brand} ${error}.`);
+    } else {
+      update.brand = doc._id;
+    }
+  } else if (columns.includes('brand') || !existing) {
+    update.brand = brand;
+  }
+
+  if (columns.includes('categories')) {
+    update.categories = [];
+
+    splitList(values.categories || '').forEach(value => {
+      const { doc, error } = this.findReference(categories, value);
+
+      if (error) {
+        errors.push(`Category ${value} ${error}.`);
+      } else if (!update.categories.some(id => `${id}` === `${doc._id}`)) {
+        update.categories.push(doc._id);
+      }
+    });
+  }
+
+  if (columns.includes('images')) {
+    update.images = [...new Set(splitList(values.images || ''))];
+
+    update.images
+      .filter(url => !isURL(url))
+      .forEach(url => errors.push(`Image ${url} is not a web address.`));
+
+    if (update.images.length > gallery.MAX_IMAGES) {
+      errors.push(`A product can have up to ${gallery.MAX_IMAGES} images.`);
+    }
+  }
+
+  return {
+    row,
+    sku,
+    action:
+      errors.length > 0
+        ? PRODUCT_IMPORT_ACTION.Error
+        : existing
+        ? PRODUCT_IMPORT_ACTION.Update
+        : PRODUCT_IMPORT_ACTION.Create,
+    errors,
+    existing,
+    update
+  };
+};
+
+// how many redirects an image url may take to the image
+const MAX_REDIRECTS = 3;
+
+// a file the image pipeline can take from an image url. the urls come from
+// the sheet, so every hop is checked to be a public address and only an
+// image of the allowed size is read
+exports.downloadImage = async url => {
+  try {
+    let location = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      await network.checkPublicUrl(location);
+
+      const response = await axios.get(location, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxContentLength: MAX_IMAGE_SIZE,
+        maxRedirects: 0,
+        httpAgent: network.httpAgent,
+        httpsAgent: network.httpsAgent,
+        validateStatus: status => status >= 200 && status < 400
+      });
+
+      if (response.status >= 300) {
+        if (!response.headers.location) break;
+
+        location = new URL(response.headers.location, location).toString();
+        continue;
+      }
+
+      const mimetype = (response.headers['content-type'] || '')
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+
+      if (!mimetype.startsWith('image/')) break;
+
+      const buffer = Buffer.from(response.data);
+
+      return {
+        originalname: path.basename(new URL(location).pathname) || 'image',
+        mimetype,
+        size: buffer.length,
+        buffer
+      };
+    }
+  } catch (error) {
+    // the reasons stay on the server, the sheet only learns it failed
+  }
+
+  throw { status: 400, message: `Image ${url} could not be downloaded.` };
+};
+
+// the gallery of the image urls, images the product already has are kept
+// and the others are downloaded
+exports.importImages = async (urls, current, name) => {
+  const images = [];
+  const uploaded = [];
+
+  try {
+    for (const url of urls) {
+      const found = current.find(
+        image =>
+          image.url === url || (image.sizes || []).some(s => s.url === url)
+      );
+
+      if (found) {
+        images.push(found);
+      } else {
+        const file = await this.downloadImage(url);
+        const {
+          url: imageUrl,
+          key,
+          sizes
+        } = await processImage(file, 'products');
+        const image = { url: imageUrl, key, sizes, alt: name };
+
+        images.push(image);
+        uploaded.push(image);
+      }
+    }
+  } catch (error) {
+    await gallery.deleteImages(uploaded);
+    throw error;
+  }
+
+  return { images, uploaded };
+};
+
+// create or update the product of a valid row
+exports.importRow = async ({ existing, update }) => {
+  const { images: urls, ...fields } = update;
+  const product = existing || new Product();
+  const categoriesChanged =
+    existing &&
+    fields.categories &&
+    fields.categories.join() !== existing.categories.join();
+
+  Object.assign(product, fields);
+
+  let uploaded = [];
+  let removed = [];
+
+  if (urls) {
+    const result = await this.importImages(
+      urls,
+      existing ? existing.images : [],
+      product.name
+    );
+
+    uploaded = result.uploaded;
+    removed = (existing ? existing.images : []).filter(
+      image => !result.images.includes(image)
+    );
+    product.images = result.images;
+    Object.assign(product, gallery.getCover(product.images));
+  }
+
+  // values of the attributes of the categories it left are dropped
+  if (categoriesChanged) {
+    product.attributes = attributes.validateAttributes(
+      product.attributes,
+      await attributes.loadAttributes(product.categories)
+    );
+  }
+
+  if (existing) product.updated = Date.now();
+
+  try {
+    await product.save();
+  } catch (error) {
+    await gallery.deleteImages(uploaded);
+    throw error;
+  }
+
+  await gallery.deleteImages(removed);
+
+  return product;
+};
+
+// check the rows of a csv file and, unless it is a dry run, import the valid
+// ones. every row gets its action and errors in the report
+exports.importProducts = async (
+  text,
+  { brand = null, dryRun = false } = {}
+) => {
+  const { columns, rows } = this.readRows(text);
+  const skus = rows.map(row => row.values.sku).filter(sku => sku);
+
+  const [products, brands, categories] = await Promise.all([
+    Product.find(
+      { $or: [{ sku: { $in: skus } }, { 'variants.sku': { $in: skus } }] },
+      'sku name brand categories attributes images variants.sku'
+    ),
+    Brand.find(brand ? { _id: brand } : {}, 'name slug'),
+    Category.find({}, 'name slug')
+  ]);
+
+  const context = { products, brands, categories, brand, skus: new Set() };
+  const results = rows.map(row => this.validateRow(row, columns, context));
+  const imported = [];
+
+  if (!dryRun) {
+    for (const result of results) {
+      if (result.action === PRODUCT_IMPORT_ACTION.Error) continue;
+
+      try {
+        const product = await this.importRow(result);
+        imported.push(product._id);
+      } catch (error) {
+        result.action = PRODUCT_IMPORT_ACTION.Error;
+        result.errors.push(
+          error.status ? error.message : 'The product could not be saved.'
+        );
+      }
+    }
+
+    if (imported.length > 0) {
+      await search.indexProducts({ _id: { $in: imported } });
+    }
+  }
+
+  const count = action => results.filter(r => r.action === action).length;
+
+  return {
+    dryRun,
+    summary: {
+      total: results.length,
+      created: count(PRODUCT_IMPORT_ACTION.Create),
+      updated: count(PRODUCT_IMPORT_ACTION.Update),
+      failed: count(PRODUCT_IMPORT_ACTION.Error)
+    },
+    rows: results.map(({ row, sku, action, errors }) => ({
+      row,
+      sku,
+      action,
+      errors
+    }))
+  };
+};
+
+// the products in the columns of the import file
+exports.exportProducts = async query => {
+  const products = await Product.find(
+    query,
+    'sku name description price quantity brand categories images imageUrl'
+  )
+    .populate('brand', 'slug')
+    .populate('categories', 'slug')
+    .sort('sku');
+
+  return csv.stringify([
+    this.COLUMNS,
+    ...products.map(product => [
+      product.sku,
+      product.name,
+      product.description,
+      product.price,
+      product.quantity,
+      product.brand?.slug || '',
+      product.categories
+        .filter(category => category)
+        .map(category => category.slug)
+        .join(this.LIST_SEPARATOR),
+      (product.images.length > 0
+        ? product.images.map(image => image.url)
+        : [product.imageUrl].filter(url => url)
+      ).join(this.LIST_SEPARATOR)
+    ])
+  ]);
+};
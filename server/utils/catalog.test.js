@@ -0,0 +1,171 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+
+const catalog = require('./catalog');
+const network = require('./network');
+const { PRODUCT_IMPORT_ACTION } = require('../constants');
+
+describe('Product catalog import', () => {
+  const id = () => new mongoose.Types.ObjectId();
+
+  const brand = { _id: id(), name: 'Acme', slug: 'acme' };
+  const categories = [
+    { _id: id(), name: 'Shoes', slug: 'shoes' },
+    { _id: id(), name: 'Bags', slug: 'women-bags' },
+    { _id: id(), name: 'Bags', slug: 'men-bags' }
+  ];
+  const existing = {
+    _id: id(),
+    sku: 'SHOE-1',
+    name: 'Runner',
+    brand: brand._id,
+    variants: [{ sku: 'SHOE-1-42' }]
+  };
+
+  const validate = (text, options = {}) => {
+    const { columns, rows } = catalog.readRows(text);
+    const context = {
+      products: [existing],
+      brands: [brand],
+      categories,
+      brand: null,
+      skus: new Set(),
+      ...options
+    };
+
+    return rows.map(row => catalog.validateRow(row, columns, context));
+  };
+
+  it('should read the known columns of the rows by name', () => {
+    const { columns, rows } = catalog.readRows(
+      'SKU,Name,Color\nA-1,Boot,Red\n,,\nA-2,Sandal,Blue'
+    );
+
+    expect(columns).toEqual(['sku', 'name']);
+    expect(rows).toEqual([
+      { row: 2, values: { sku: 'A-1', name: 'Boot' } },
+      { row: 4, values: { sku: 'A-2', name: 'Sandal' } }
+    ]);
+    expect(() => catalog.readRows('name\nBoot')).toThrow();
+  });
+
+  it('should create new skus and update existing ones', () => {
+    const [created, updated] = validate(
+      'sku,name,description,price,quantity,brand,categories\n' +
+        'NEW-1,Boot,Warm,49.9,3,Acme,shoes|Shoes\n' +
+        'SHOE-1,Runner,Fast,80,10,,'
+    );
+
+    expect(created.action).toBe(PRODUCT_IMPORT_ACTION.Create);
+    expect(created.update).toMatchObject({
+      name: 'Boot',
+      price: 49.9,
+      quantity: 3,
+      brand: brand._id,
+      categories: [categories[0]._id]
+    });
+    expect(updated.action).toBe(PRODUCT_IMPORT_ACTION.Update);
+    expect(updated.update).toMatchObject({ brand: null, categories: [] });
+  });
+
+  it('should leave the columns missing from the file as they are', () => {
+    const [updated] = validate('sku,price\nSHOE-1,75');
+    const [created] = validate('sku,price\nNEW-1,75');
+
+    expect(updated.action).toBe(PRODUCT_IMPORT_ACTION.Update);
+    expect(updated.update).toEqual({ price: 75 });
+    expect(created.errors).toEqual([
+      'Name is required.',
+      'Description is required.',
+      'Quantity is required.'
+    ]);
+  });
+
+  it('should report every error of a row', () => {
+    const [row, repeated, variant] = validate(
+      'sku,name,description,price,quantity,brand,categories,images\n' +
+        'A-1,Boot,Warm,-1,1.5,Nope,bags,ftp://host/a.jpg\n' +
+        'A-1,Boot,Warm,1,1,,,\n' +
+        'SHOE-1-42,Boot,Warm,1,1,,,'
+    );
+
+    expect(row.action).toBe(PRODUCT_IMPORT_ACTION.Error);
+    expect(row.errors).toEqual([
+      'Price must be a positive number.',
+      'Quantity must be a whole number.',
+      'Brand Nope does not exist.',
+      'Category bags matches several, use its slug.',
+      'Image ftp://host/a.jpg is not a web address.'
+    ]);
+    expect(repeated.errors).toEqual(['Sku A-1 is used by another row.']);
+    expect(variant.errors).toEqual([
+      'Sku SHOE-1-42 is used by a variant of Runner.'
+    ]);
+  });
+
+  it('should keep merchants to the products of their brand', () => {
+    const other = id();
+    const [updated, created] = validate(
+      'sku,name,description,price,quantity\n' +
+        'SHOE-1,Runner,Fast,80,10\n' +
+        'NEW-1,Boot,Warm,40,1',
+      { brand: other, brands: [] }
+    );
+
+    expect(updated.errors).toEqual(['Sku SHOE-1 belongs to another brand.']);
+    expect(created.update.brand).toBe(other);
+  });
+
+  describe('image downloads', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should check every redirect before following it', async () => {
+      jest.spyOn(network, 'checkPublicUrl').mockResolvedValue();
+      jest
+        .spyOn(axios, 'get')
+        .mockResolvedValueOnce({
+          status: 302,
+          headers: { location: '/images/shoe.png' }
+        })
+        .mockResolvedValueOnce({
+          status: 200,
+          headers: { 'content-type': 'image/png' },
+          data: Buffer.from('png')
+        });
+
+      const file = await catalog.downloadImage('https://cdn.example.com/a');
+
+      expect(network.checkPublicUrl.mock.calls).toEqual([
+        ['https://cdn.example.com/a'],
+        ['https://cdn.example.com/images/shoe.png']
+      ]);
+      expect(axios.get.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ maxRedirects: 0 })
+      );
+      expect(file).toEqual(
+        expect.objectContaining({ originalname: 'shoe.png', size: 3 })
+      );
+    });
+
+    it('should refuse private hosts and files that are not images', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({
+        status: 200,
+        headers: { 'content-type': 'text/html' },
+        data: Buffer.from('<script>')
+      });
+
+      await expect(
+        catalog.downloadImage('http://169.254.169.254/latest/meta-data')
+      ).rejects.toEqual(expect.objectContaining({ status: 400 }));
+      expect(axios.get).not.toHaveBeenCalled();
+
+      jest.spyOn(network, 'checkPublicUrl').mockResolvedValue();
+
+      await expect(
+        catalog.downloadImage('https://cdn.example.com/a.png')
+      ).rejects.toEqual(expect.objectContaining({ status: 400 }));
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const Category = require('../models/category');
+const Product = require('../models/product');
+const search = require('./search');
+
+exports.getPath = (parent, id) => `${parent ? parent.path : ','}${id},`;
+
+// ids of the category ancestors and the category itself, root first
+exports.getPathIds = category =>
+  (category.path || `,${category._id},`).split(',').filter(id => id);
+
+// the paths only hold ids and commas, they are safe to use in a regex
+exports.getSubtreeQuery = category => ({
+  path: { $regex: `^${category.path || `,${category._id},`}` }
+});
+
+exports.isInSubtree = (category, other) =>
+  this.getPathIds(other).includes(category._id.toString());
+
+// nest the categories under their parent, categories whose parent is not
+// in the list (an inactive one) are left out with their whole branch
+exports.buildTree = categories => {
+  const nodes = categories.map(category => ({
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    parent: category.parent || null,
+    children: []
+  }));
+
+  const roots = [];
+
+  nodes.forEach(node => {
+    if (!node.parent) {
+      roots.push(node);
+      return;
+    }
+
+    const parent = nodes.find(n => n._id.toString() === node.parent.toString());
+
+    if (parent) parent.children.push(node);
+  });
+
+  return roots;
+};
+
+// the categories from the root down to the given one
+exports.getBreadcrumbs = async category => {
+  const ids = this.getPathIds(category);
+  const categories = await Category.find(
+    { _id: { $in: ids } },
+    'name slug isActive'
+  );
+
+  return ids
+    .map(id => categories.find(c => c._id.toString() === id))
+    .filter(c => c && c.isActive)
+    .map(c => ({ _id: c._id, name: c.name, slug: c.slug }));
+};
+
+// place the category under a new parent and rewrite the paths of its subtree,
+// throws when the parent is the category itself or one of its descendants
+exports.setParent = async (category, parentId) => {
+  const parent = parentId
+    ? await Category.findOne({ _id: parentId }, 'path depth')
+    : null;
+
+  if (parentId && !parent) {
+    throw { status: 400, message: 'The parent category does not exist.' };
+  }
+
+  if (parent && this.isInSubtree(category, parent)) {
+    throw {
+      status: 400,
+      message: 'A category can not be moved under itself.'
+    };
+  }
+
+  const previousPath = category.path;
+  const previousDepth = category.depth || 0;
+
+  category.parent = parent ? parent._id : null;
+  category.path = this.getPath(parent, category._id);
+  category.depth = parent ? parent.depth + 1 : 0;
+
+  if (!previousPath || previousPath === category.path) return category;
+
+  const descendants = await Category.find(
+    {
+      path: { $regex: `^${previousPath}` },
+      _id: { $ne: category._id }
+    },
+    'path depth'
+  );
+
+  if (descendants.length > 0) {
+    await Category.bulkWrite(
+      descendants.map(descendant => ({
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            path: category.path + descendant.path.slice(previousPath.length),
+            depth: descendant.depth - previousDepth + category.depth
+          }
+        }
+      }))
+    );
+  }
+
+  return category;
+};
+
+// make the given products the members of the category, membership is kept on
+// the products so the ones left out lose the category
+exports.setProducts = async (categoryId, productIds) => {
+  const ids = (productIds || []).filter(id => id);
+  const removed = (
+    await Product.find({ categories: categoryId, _id: { $nin: ids } }, '_id')
+  ).map(product => product._id);
+
+  await Product.updateMany(
+    { _id: { $in: removed } },
+    { $pull: { categories: categoryId } }
+  );
+
+  if (ids.length > 0) {
+    await Product.updateMany(
+      { _id: { $in: ids } },
+      { $addToSet: { categories: categoryId } }
+    );
+  }
+
+  // the products are found by the names of their categories
+  await search.indexProducts({
+    _id: { $in: [...removed, ...ids] }
+  });
+};
+
+// a deleted category is taken off every product it had
+exports.removeFromProducts = async categoryId => {
+  const ids = (await Product.find({ categories: categoryId }, '_id')).map(
+    product => product._id
+  );
+
+  await Product.updateMany(
+    { _id: { $in: ids } },
+    { $pull: { categories: categoryId } }
+  );
+  await search.indexProducts({ _id: { $in: ids } });
+};
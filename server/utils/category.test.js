@@ -0,0 +1,69 @@
+const Mongoose = require('mongoose');
+
+const Category = require('../models/category');
+const categories = require('./category');
+
+describe('Category tree', () => {
+  const id = () => new Mongoose.Types.ObjectId();
+
+  const men = { _id: id(), name: 'Men', slug: 'men', parent: null };
+  const shoes = { _id: id(), name: 'Shoes', slug: 'shoes', parent: men._id };
+  const boots = { _id: id(), name: 'Boots', slug: 'boots', parent: shoes._id };
+
+  men.path = categories.getPath(null, men._id);
+  shoes.path = categories.getPath(men, shoes._id);
+  boots.path = categories.getPath(shoes, boots._id);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should nest the categories under their parent', () => {
+    const orphan = { _id: id(), name: 'Sale', slug: 'sale', parent: id() };
+    const tree = categories.buildTree([men, shoes, boots, orphan]);
+
+    expect(tree).toHaveLength(1);
+    expect(tree[0].children[0].slug).toBe('shoes');
+    expect(tree[0].children[0].children[0].slug).toBe('boots');
+  });
+
+  it('should find the ancestors of a category from its path', () => {
+    expect(categories.getPathIds(boots)).toEqual([
+      men._id.toString(),
+      shoes._id.toString(),
+      boots._id.toString()
+    ]);
+    expect(categories.isInSubtree(men, boots)).toBe(true);
+    expect(categories.isInSubtree(boots, men)).toBe(false);
+  });
+
+  it('should not move a category under its own subtree', async () => {
+    jest.spyOn(Category, 'findOne').mockResolvedValue(boots);
+
+    await expect(
+      categories.setParent({ ...men }, boots._id)
+    ).rejects.toHaveProperty('status', 400);
+  });
+
+  it('should rewrite the paths of the moved subtree', async () => {
+    const women = { _id: id(), depth: 0 };
+    women.path = categories.getPath(null, women._id);
+
+    jest.spyOn(Category, 'findOne').mockResolvedValue(women);
+    jest.spyOn(Category, 'find').mockResolvedValue([boots]);
+    const bulkWrite = jest.spyOn(Category, 'bulkWrite').mockResolvedValue({});
+
+    const category = await categories.setParent(
+      { ...shoes, depth: 1 },
+      women._id
+    );
+
+    expect(category.path).toBe(`${women.path}${shoes._id},`);
+    expect(category.depth).toBe(1);
+
+    const [[operation]] = bulkWrite.mock.calls[0];
+    expect(operation.updateOne.update.path).toBe(
+      `${women.path}${shoes._id},${boots._id},`
+    );
+  });
+});
@@ -0,0 +1,74 @@
+// spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// the records of a csv text as arrays of cells, blank lines included so the
+// index of a record is its row in the file. quoted cells can hold commas,
+// quotes and new lines, the quote put before formulas on export is dropped
+exports.parse = text => {
+  const input = (text || '').toString().replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    record.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endCell();
+      records.push(record);
+      record = [];
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw { status: 400, message: 'The file has a quote that is not closed.' };
+  }
+
+  if (cell || record.length > 0) {
+    endCell();
+    records.push(record);
+  }
+
+  return records;
+};
+
+exports.formatCell = value => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value.toString();
+
+  let cell = value.toString();
+
+  if (FORMULA_START.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+exports.stringify = records =>
+  records
+    .map(record => record.map(value => this.formatCell(value)).join(','))
+    .join('\r\n')
+    .concat('\r\n');
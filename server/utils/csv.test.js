@@ -0,0 +1,41 @@
+const csv = require('./csv');
+
+describe('CSV', () => {
+  it('should parse quoted cells with commas, quotes and new lines', () => {
+    const text =
+      '\uFEFFsku,description\r\nA-1,"Soft, ""warm""\nand light"\n\nB-2,Plain\n';
+
+    expect(csv.parse(text)).toEqual([
+      ['sku', 'description'],
+      ['A-1', 'Soft, "warm"\nand light'],
+      [''],
+      ['B-2', 'Plain']
+    ]);
+  });
+
+  it('should reject a quote that is not closed', () => {
+    expect(() => csv.parse('sku\n"A-1')).toThrow();
+  });
+
+  it('should write cells the parser reads back', () => {
+    const records = [
+      ['sku', 'price', 'description'],
+      ['A-1', 12.5, 'Soft, "warm"\nand light'],
+      ['B-2', 0, null]
+    ];
+
+    expect(csv.parse(csv.stringify(records))).toEqual([
+      ['sku', 'price', 'description'],
+      ['A-1', '12.5', 'Soft, "warm"\nand light'],
+      ['B-2', '0', '']
+    ]);
+  });
+
+  it('should keep spreadsheets from running cells as formulas', () => {
+    expect(csv.formatCell('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(csv.formatCell(-5)).toBe('-5');
+    expect(csv.parse(csv.stringify([['=SUM(A1)', '@home']]))).toEqual([
+      ['=SUM(A1)', '@home']
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+const Mongoose = require('mongoose');
+
+const toList = value =>
+  Array.isArray(value)
+    ? value
+    : typeof value === 'string' && value
+    ? value.split(',')
+    : [];
+
+const toObjectIds = ids =>
+  toList(ids)
+    .filter(id => Mongoose.Types.ObjectId.isValid(id))
+    .map(id => new Mongoose.Types.ObjectId(id));
+
+// the brands, categories and attribute values picked in the shop filters,
+// they arrive as JSON in the query string
+exports.parseFilters = value => {
+  let filters = {};
+
+  try {
+    filters = (typeof value === 'string' ? JSON.parse(value) : value) || {};
+  } catch (error) {
+    filters = {};
+  }
+
+  const attributes =
+    filters.attributes && typeof filters.attributes === 'object'
+      ? filters.attributes
+      : {};
+
+  return {
+    brands: toObjectIds(filters.brands),
+    categories: toObjectIds(filters.categories),
+    attributes: Object.keys(attributes)
+      .map(name => ({ name, values: toList(attributes[name]).map(String) }))
+      .filter(attribute => attribute.values.length > 0)
+  };
+};
+
+// values of a facet match any of them while the facets all have to match,
+// the excepted facet is left out so its counts include its other values
+exports.getFilterMatch = (filters, except) => {
+  const conditions = [];
+
+  if (except !== 'brand' && filters.brands.length > 0) {
+    conditions.push({ 'brand._id': { $in: filters.brands } });
+  }
+
+  if (except !== 'category' && filters.categories.length > 0) {
+    conditions.push({ categories: { $in: filters.categories } });
+  }
+
+  filters.attributes
+    .filter(attribute => except !== `attribute:${attribute.name}`)
+    .forEach(attribute => {
+      conditions.push({
+        attributes: {
+          $elemMatch: { name: attribute.name, value: { $in: attribute.values } }
+        }
+      });
+    });
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+const countAttributes = (match, attributeMatch) => [
+  { $match: match },
+  { $unwind: '$attributes' },
+  { $match: attributeMatch },
+  {
+    $group: {
+      _id: { name: '$attributes.name', value: '$attributes.value' },
+      count: { $sum: 1 }
+    }
+  }
+];
+
+// counts per brand, category and attribute value of the products left by
+// the other filters, to run after the store products query
+exports.getFacetsQuery = filters => {
+  const selected = filters.attributes.map(attribute => attribute.name);
+
+  const facets = {
+    brands: [
+      { $match: this.getFilterMatch(filters, 'brand') },
+      {
+        $group: {
+          _id: '$brand._id',
+          name: { $first: '$brand.name' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { name: 1 } }
+    ],
+    categories: [
+      { $match: this.getFilterMatch(filters, 'category') },
+      { $unwind: '$categories' },
+      { $group: { _id: '$categories', count: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      { $unwind: '$category' },
+      { $match: { 'category.isActive': true } },
+      {
+        $project: { name: '$category.name', slug: '$category.slug', count: 1 }
+      },
+      { $sort: { name: 1 } }
+    ],
+    attributes: countAttributes(this.getFilterMatch(filters), {
+      'attributes.name': { $nin: selected }
+    })
+  };
+
+  // a picked attribute counts its values without its own filter
+  selected.forEach((name, index) => {
+    facets[`attribute${index}`] = countAttributes(
+      this.getFilterMatch(filters, `attribute:${name}`),
+      { 'attributes.name': name }
+    );
+  });
+
+  return [{ $facet: facets }];
+};
+
+exports.formatFacets = ({
+  brands = [],
+  categories = [],
+  ...attributeFacets
+}) => {
+  const attributes = {};
+
+  Object.values(attributeFacets).forEach(groups => {
+    groups.forEach(({ _id, count }) => {
+      attributes[_id.name] = attributes[_id.name] || [];
+      attributes[_id.name].push({ value: _id.value, count });
+    });
+  });
+
+  return {
+    brands: brands.filter(brand => brand._id),
+    categories,
+    attributes: Object.keys(attributes)
+      .sort()
+      .map(name => ({
+        name,
+        values: attributes[name].sort((a, b) => a.value.localeCompare(b.value))
+      }))
+  };
+};
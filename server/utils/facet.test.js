@@ -0,0 +1,81 @@
+const Mongoose = require('mongoose');
+
+const facets = require('./facet');
+
+describe('Shop facets', () => {
+  const brand = new Mongoose.Types.ObjectId().toString();
+
+  const filters = facets.parseFilters(
+    JSON.stringify({
+      brands: [brand, 'not an id'],
+      categories: '',
+      attributes: { Material: ['Wood', 'Metal'], Color: [] }
+    })
+  );
+
+  it('should parse the picked filters', () => {
+    expect(filters.brands.map(id => id.toString())).toEqual([brand]);
+    expect(filters.categories).toEqual([]);
+    expect(filters.attributes).toEqual([
+      { name: 'Material', values: ['Wood', 'Metal'] }
+    ]);
+    expect(facets.parseFilters('{broken')).toEqual({
+      brands: [],
+      categories: [],
+      attributes: []
+    });
+  });
+
+  it('should leave the excepted facet out of the match', () => {
+    expect(facets.getFilterMatch(filters).$and).toHaveLength(2);
+    expect(facets.getFilterMatch(filters, 'brand').$and).toEqual([
+      {
+        attributes: {
+          $elemMatch: { name: 'Material', value: { $in: ['Wood', 'Metal'] } }
+        }
+      }
+    ]);
+    expect(
+      facets.getFilterMatch({ ...filters, brands: [] }, 'attribute:Material')
+    ).toEqual({});
+  });
+
+  it('should count a picked attribute without its own filter', () => {
+    const [{ $facet }] = facets.getFacetsQuery(filters);
+
+    expect(Object.keys($facet)).toEqual([
+      'brands',
+      'categories',
+      'attributes',
+      'attribute0'
+    ]);
+    expect($facet.attribute0[0].$match.$and).toHaveLength(1);
+  });
+
+  it('should group the attribute counts by name', () => {
+    const result = facets.formatFacets({
+      brands: [
+        { _id: null, count: 1 },
+        { _id: brand, name: 'Oak Co', count: 2 }
+      ],
+      categories: [],
+      attributes: [{ _id: { name: 'Size', value: 'L' }, count: 2 }],
+      attribute0: [
+        { _id: { name: 'Material', value: 'Wood' }, count: 1 },
+        { _id: { name: 'Material', value: 'Metal' }, count: 3 }
+      ]
+    });
+
+    expect(result.brands).toEqual([{ _id: brand, name: 'Oak Co', count: 2 }]);
+    expect(result.attributes).toEqual([
+      {
+        name: 'Material',
+        values: [
+          { value: 'Metal', count: 3 },
+          { value: 'Wood', count: 1 }
+        ]
+      },
+      { name: 'Size', values: [{ value: 'L', count: 2 }] }
+    ]);
+  });
+});
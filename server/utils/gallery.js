@@ -0,0 +1,79 @@
+const storage = require('../services/storage');
+const { processImage, validateImage, getImageKeys } = require('./image');
+
+exports.MAX_IMAGES = 10;
+
+// the fields of the cover image the rest of the store shows
+exports.getCover = images => ({
+  imageUrl: images[0]?.url || '',
+  imageKey: images[0]?.key || '',
+  imageSizes: images[0]?.sizes || []
+});
+
+// upload the files in the order they were picked, alt texts are matched by
+// position and fall back to the product name. nothing is stored when one of
+// the files is not an image the store accepts
+exports.uploadImages = async (files, alts = [], name = '') => {
+  files.forEach(validateImage);
+
+  const images = [];
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const { url, key, sizes } = await processImage(file, 'products');
+      images.push({
+        url,
+        key,
+        sizes,
+        alt: (alts[index] || name || '').toString().trim()
+      });
+    }
+  } catch (error) {
+    await this.deleteImages(images);
+    throw error;
+  }
+
+  return images;
+};
+
+exports.checkImageCount = (images, files) => {
+  if (images.length + files.length > this.MAX_IMAGES) {
+    throw {
+      status: 400,
+      message: `A product can have up to ${this.MAX_IMAGES} images.`
+    };
+  }
+};
+
+// the gallery in the order of the given images with their alt texts,
+// throws unless every image of the gallery is listed exactly once
+exports.orderImages = (images, order) => {
+  const list = Array.isArray(order) ? order : [];
+  const ids = list.map(image => (image._id || '').toString());
+
+  if (
+    ids.length !== images.length ||
+    new Set(ids).size !== ids.length ||
+    ids.some(id => !images.some(image => image._id.toString() === id))
+  ) {
+    throw {
+      status: 400,
+      message: 'The order must list every image of the product once.'
+    };
+  }
+
+  return list.map(({ _id, alt }) => {
+    const image = images.find(i => i._id.toString() === _id.toString());
+
+    return {
+      _id: image._id,
+      url: image.url,
+      key: image.key,
+      sizes: image.sizes,
+      alt: alt === undefined ? image.alt : (alt || '').toString().trim()
+    };
+  });
+};
+
+exports.deleteImages = images =>
+  storage.remove(images.flatMap(image => getImageKeys(image)));
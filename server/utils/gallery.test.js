@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const gallery = require('./gallery');
+const { getStorageKey } = require('../services/storage');
+
+describe('Product gallery', () => {
+  const image = (key, alt = '') => ({
+    _id: new mongoose.Types.ObjectId(),
+    url: `https://bucket.s3.amazonaws.com/${key}`,
+    key,
+    alt
+  });
+
+  const images = [image('front.jpg', 'Front'), image('back.jpg', 'Back')];
+
+  it('should keep the first image as the cover', () => {
+    expect(gallery.getCover(images)).toEqual({
+      imageUrl: images[0].url,
+      imageKey: 'front.jpg',
+      imageSizes: []
+    });
+    expect(gallery.getCover([])).toEqual({
+      imageUrl: '',
+      imageKey: '',
+      imageSizes: []
+    });
+  });
+
+  it('should reorder the images and update their alt texts', () => {
+    const ordered = gallery.orderImages(images, [
+      { _id: images[1]._id.toString(), alt: ' Back side ' },
+      { _id: images[0]._id.toString() }
+    ]);
+
+    expect(ordered.map(i => i.key)).toEqual(['back.jpg', 'front.jpg']);
+    expect(ordered.map(i => i.alt)).toEqual(['Back side', 'Front']);
+  });
+
+  it('should reject an order missing or repeating an image', () => {
+    const id = images[0]._id.toString();
+
+    expect(() => gallery.orderImages(images, [{ _id: id }])).toThrow();
+    expect(() =>
+      gallery.orderImages(images, [{ _id: id }, { _id: id }])
+    ).toThrow();
+    expect(() =>
+      gallery.orderImages(images, [
+        { _id: id },
+        { _id: new mongoose.Types.ObjectId().toString() }
+      ])
+    ).toThrow();
+  });
+
+  it('should limit the number of images', () => {
+    const full = Array.from({ length: gallery.MAX_IMAGES - 1 }, (_, i) =>
+      image(`${i}.jpg`)
+    );
+
+    expect(() => gallery.checkImageCount(full, [{}])).not.toThrow();
+    expect(() => gallery.checkImageCount(full, [{}, {}])).toThrow();
+  });
+
+  it('should give every upload a unique storage key', () => {
+    const key = getStorageKey('My Photo (1).JPG');
+
+    expect(key).toMatch(/^[0-9a-f]{16}-my-photo-1\.jpg$/);
+    expect(getStorageKey('My Photo (1).JPG')).not.toBe(key);
+    expect(getStorageKey('')).toMatch(/^[0-9a-f]{16}-image$/);
+  });
+});
@@ -0,0 +1,91 @@
+const jwt = require('jsonwebtoken');
+
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const keys = require('../config/keys');
+
+const { secret, orderTokenLife, cartTokenLife } = keys.jwt;
+
+// order access tokens use their own audience so they never work as a login
+const ORDER_AUDIENCE = 'order';
+const CART_AUDIENCE = 'cart';
+
+// guests send the token of their cart in this header
+exports.CART_TOKEN_HEADER = 'x-cart-token';
+
+exports.normalizeEmail = email =>
+  typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+// signed token that lets a guest view an order without an account
+exports.createOrderToken = order =>
+  jwt.sign(
+    { order: order._id.toString(), email: order.contact.email },
+    secret,
+    { audience: ORDER_AUDIENCE, expiresIn: orderTokenLife }
+  );
+
+// payload of a valid token for the given order, null otherwise
+exports.verifyOrderToken = (token, orderId) => {
+  try {
+    const payload = jwt.verify(token, secret, { audience: ORDER_AUDIENCE });
+
+    if (orderId && payload.order !== orderId.toString()) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// signed token that lets a guest use the cart they created, the id of a
+// guest cart alone is not enough
+exports.createCartToken = cart =>
+  jwt.sign({ cart: cart._id.toString() }, secret, {
+    audience: CART_AUDIENCE,
+    expiresIn: cartTokenLife
+  });
+
+exports.verifyCartToken = (token, cartId) => {
+  try {
+    const payload = jwt.verify(token, secret, { audience: CART_AUDIENCE });
+
+    return cartId && payload.cart === cartId.toString() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// the query of a cart the request can use, null when a guest has no token
+// for it. users use their own carts
+exports.getCartQuery = (req, cartId) => {
+  if (req.user) return { _id: cartId, user: req.user._id };
+
+  return this.verifyCartToken(req.get(this.CART_TOKEN_HEADER), cartId)
+    ? { _id: cartId, user: null }
+    : null;
+};
+
+// move the guest orders placed with the email of the user to the account
+exports.linkGuestOrders = async user => {
+  const email = this.normalizeEmail(user.email);
+  const orders = await Order.find(
+    { user: null, 'contact.email': email },
+    '_id payment'
+  );
+
+  if (orders.length === 0) return 0;
+
+  await Order.updateMany(
+    { _id: { $in: orders.map(order => order._id) } },
+    { user: user._id, updated: Date.now() }
+  );
+
+  await Payment.updateMany(
+    { _id: { $in: orders.map(order => order.payment) } },
+    { user: user._id }
+  );
+
+  return orders.length;
+};
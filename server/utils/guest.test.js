@@ -0,0 +1,106 @@
+process.env.JWT_SECRET = 'guest-test-secret';
+
+const Mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const guest = require('./guest');
+
+describe('Guest checkout', () => {
+  const order = {
+    _id: new Mongoose.Types.ObjectId(),
+    contact: { email: 'guest@example.com' }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only accept an order token for its own order', () => {
+    const token = guest.createOrderToken(order);
+
+    expect(guest.verifyOrderToken(token, order._id)).toMatchObject({
+      order: order._id.toString(),
+      email: 'guest@example.com'
+    });
+    expect(
+      guest.verifyOrderToken(token, new Mongoose.Types.ObjectId())
+    ).toBeNull();
+    expect(guest.verifyOrderToken('invalid', order._id)).toBeNull();
+  });
+
+  it('should not accept a login token as an order token', () => {
+    const token = jwt.sign({ id: 'user' }, process.env.JWT_SECRET);
+
+    expect(guest.verifyOrderToken(token)).toBeNull();
+  });
+
+  it('should only accept a cart token for its own cart', () => {
+    const cart = { _id: new Mongoose.Types.ObjectId() };
+    const token = guest.createCartToken(cart);
+
+    expect(guest.verifyCartToken(token, cart._id)).toMatchObject({
+      cart: cart._id.toString()
+    });
+    expect(
+      guest.verifyCartToken(token, new Mongoose.Types.ObjectId())
+    ).toBeNull();
+    expect(
+      guest.verifyCartToken(guest.createOrderToken(order), order._id)
+    ).toBeNull();
+  });
+
+  it('should only give guests the carts they have the token of', () => {
+    const cartId = new Mongoose.Types.ObjectId();
+    const token = guest.createCartToken({ _id: cartId });
+    const request = (headers, user) => ({
+      user,
+      get: name => headers[name]
+    });
+
+    expect(
+      guest.getCartQuery(request({ 'x-cart-token': token }), cartId)
+    ).toEqual({ _id: cartId, user: null });
+    expect(guest.getCartQuery(request({}), cartId)).toBeNull();
+    expect(
+      guest.getCartQuery(
+        request({ 'x-cart-token': token }),
+        new Mongoose.Types.ObjectId()
+      )
+    ).toBeNull();
+
+    const user = { _id: new Mongoose.Types.ObjectId() };
+    expect(guest.getCartQuery(request({}, user), cartId)).toEqual({
+      _id: cartId,
+      user: user._id
+    });
+  });
+
+  it('should link the guest orders of the email to the user', async () => {
+    const user = {
+      _id: new Mongoose.Types.ObjectId(),
+      email: ' Guest@Example.com'
+    };
+    const payment = new Mongoose.Types.ObjectId();
+
+    const find = jest
+      .spyOn(Order, 'find')
+      .mockResolvedValue([{ _id: order._id, payment }]);
+    const updateOrders = jest.spyOn(Order, 'updateMany').mockResolvedValue({});
+    const updatePayments = jest
+      .spyOn(Payment, 'updateMany')
+      .mockResolvedValue({});
+
+    await expect(guest.linkGuestOrders(user)).resolves.toBe(1);
+
+    expect(find.mock.calls[0][0]).toEqual({
+      user: null,
+      'contact.email': 'guest@example.com'
+    });
+    expect(updateOrders.mock.calls[0][1]).toMatchObject({ user: user._id });
+    expect(updatePayments.mock.calls[0][0]).toEqual({
+      _id: { $in: [payment] }
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const sharp = require('sharp');
+
+const storage = require('../services/storage');
+
+exports.IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// the formats sharp has to read from the file, the mime type is only what
+// the client claims the file is
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+
+// in bytes
+exports.MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+// the longest side of every size, smaller uploads are never enlarged
+exports.IMAGE_SIZES = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+// every size is stored as webp for the browsers supporting it and as jpeg
+// for the others
+const FORMATS = {
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' }
+};
+
+// the size and format the image url points at, every browser can show it
+const DEFAULT_SIZE = { size: 'large', format: 'jpeg' };
+
+exports.validateImage = file => {
+  const name = file.originalname || 'The image';
+
+  if (!this.IMAGE_TYPES.includes(file.mimetype)) {
+    throw {
+      status: 400,
+      message: `${name} must be a JPEG, PNG or WebP image.`
+    };
+  }
+
+  if (file.size > this.MAX_IMAGE_SIZE) {
+    throw {
+      status: 400,
+      message: `${name} is larger than ${this.MAX_IMAGE_SIZE / 1024 / 1024} MB.`
+    };
+  }
+};
+
+// one size of the image in one format, rotated the way the camera held it.
+// sharp writes no metadata unless asked to, so the exif data with the
+// location and the camera details is left out
+exports.resizeImage = (buffer, size, format) => {
+  const length = this.IMAGE_SIZES[size];
+  const pipeline = sharp(buffer).rotate().resize({
+    width: length,
+    height: length,
+    fit: 'inside',
+    withoutEnlargement: true
+  });
+
+  if (format === 'jpeg') {
+    return pipeline
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80, progressive: true })
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  return pipeline.webp({ quality: 80 }).toBuffer({ resolveWithObject: true });
+};
+
+// check and resize an uploaded image, then store every size of it
+exports.processImage = async (file, folder) => {
+  this.validateImage(file);
+
+  const name = file.originalname || 'The image';
+  let metadata;
+
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw { status: 400, message: `${name} is not a valid image.` };
+  }
+
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    throw {
+      status: 400,
+      message: `${name} must be a JPEG, PNG or WebP image.`
+    };
+  }
+
+  const base = storage
+    .getStorageKey(file.originalname, folder)
+    .replace(/\.[^./]*$/, '');
+  const sizes = [];
+
+  try {
+    for (const size of Object.keys(this.IMAGE_SIZES)) {
+      for (const format of Object.keys(FORMATS)) {
+        const { extension, contentType } = FORMATS[format];
+        const { data, info } = await this.resizeImage(
+          file.buffer,
+          size,
+          format
+        );
+        const key = `${base}-${size}.${extension}`;
+
+        await storage.put(key, data, contentType);
+        sizes.push({
+          size,
+          format,
+          width: info.width,
+          height: info.height,
+          url: storage.url(key),
+          key
+        });
+      }
+    }
+  } catch (error) {
+    await storage.remove(sizes.map(s => s.key));
+    throw error;
+  }
+
+  const image = sizes.find(
+    s => s.size === DEFAULT_SIZE.size && s.format === DEFAULT_SIZE.format
+  );
+
+  return { url: image.url, key: image.key, sizes };
+};
+
+// the stored files of an image, images uploaded before the sizes only have
+// their key
+exports.getImageKeys = image => [
+  ...new Set(
+    [image.key, ...(image.sizes || []).map(s => s.key)].filter(key => key)
+  )
+];
@@ -0,0 +1,145 @@
+const sharp = require('sharp');
+
+const keys = require('../config/keys');
+const storage = require('../services/storage');
+const image = require('./image');
+
+describe('Image processing', () => {
+  const files = new Map();
+
+  class MemoryDriver {
+    async put(key, body) {
+      files.set(key, body);
+    }
+
+    async get(key) {
+      return files.get(key);
+    }
+
+    async delete(list) {
+      list.forEach(key => files.delete(key));
+    }
+
+    url(key) {
+      return `http://localhost:3000/uploads/${key}`;
+    }
+  }
+
+  const createFile = async (width, height, metadata = {}) => ({
+    originalname: 'My Photo.JPG',
+    mimetype: 'image/jpeg',
+    buffer: await sharp({
+      create: { width, height, channels: 3, background: '#ff0000' }
+    })
+      .jpeg()
+      .withMetadata(metadata)
+      .toBuffer()
+  });
+
+  beforeAll(() => {
+    storage.registerDriver(keys.storage.driver, MemoryDriver);
+  });
+
+  beforeEach(() => {
+    files.clear();
+  });
+
+  it('should store every size as webp and jpeg', async () => {
+    const file = await createFile(1600, 800);
+    const result = await image.processImage(file, 'products');
+
+    expect(result.sizes).toHaveLength(6);
+    expect(files.size).toBe(6);
+    expect(result.key).toMatch(/^products\/[a-f0-9]+-my-photo-large\.jpg$/);
+    expect(result.url).toBe(`http://localhost:3000/uploads/${result.key}`);
+
+    const thumbnail = result.sizes.find(
+      s => s.size === 'thumbnail' && s.format === 'webp'
+    );
+    expect(thumbnail).toMatchObject({ width: 200, height: 100 });
+    expect((await sharp(files.get(thumbnail.key)).metadata()).format).toBe(
+      'webp'
+    );
+  });
+
+  it('should strip the exif data and apply the orientation', async () => {
+    const file = await createFile(1600, 800, {
+      orientation: 6,
+      exif: { IFD0: { Make: 'Camera' } }
+    });
+    expect((await sharp(file.buffer).metadata()).exif).toBeDefined();
+
+    const result = await image.processImage(file, 'products');
+
+    for (const size of result.sizes) {
+      const metadata = await sharp(files.get(size.key)).metadata();
+
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.orientation).toBeUndefined();
+    }
+    expect(
+      result.sizes.find(s => s.size === 'large' && s.format === 'jpeg')
+    ).toMatchObject({ width: 600, height: 1200 });
+  });
+
+  it('should not enlarge small images', async () => {
+    const result = await image.processImage(await createFile(100, 50));
+
+    result.sizes.forEach(size =>
+      expect(size).toMatchObject({ width: 100, height: 50 })
+    );
+  });
+
+  it('should reject files that are not images the store accepts', async () => {
+    const file = await createFile(100, 50);
+
+    await expect(
+      image.processImage({ ...file, mimetype: 'image/gif' })
+    ).rejects.toMatchObject({ status: 400 });
+    await expect(
+      image.processImage({ ...file, size: image.MAX_IMAGE_SIZE + 1 })
+    ).rejects.toMatchObject({ status: 400 });
+    await expect(
+      image.processImage({ ...file, buffer: Buffer.from('not an image') })
+    ).rejects.toEqual({
+      status: 400,
+      message: 'My Photo.JPG is not a valid image.'
+    });
+    expect(files.size).toBe(0);
+  });
+
+  it('should reject images labelled as a format they are not', async () => {
+    const svg = Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>'
+    );
+    const gif = await sharp({
+      create: { width: 10, height: 10, channels: 3, background: '#ff0000' }
+    })
+      .gif()
+      .toBuffer();
+
+    for (const buffer of [svg, gif]) {
+      await expect(
+        image.processImage({
+          originalname: 'photo.jpg',
+          mimetype: 'image/jpeg',
+          buffer
+        })
+      ).rejects.toEqual({
+        status: 400,
+        message: 'photo.jpg must be a JPEG, PNG or WebP image.'
+      });
+    }
+    expect(files.size).toBe(0);
+  });
+
+  it('should list every stored file of an image', () => {
+    expect(
+      image.getImageKeys({
+        key: 'a-large.jpg',
+        sizes: [{ key: 'a-large.jpg' }, { key: 'a-large.webp' }]
+      })
+    ).toEqual(['a-large.jpg', 'a-large.webp']);
+    expect(image.getImageKeys({ key: 'old.png' })).toEqual(['old.png']);
+  });
+});
@@ -0,0 +1,296 @@
+const chalk = require('chalk');
+
+const Product = require('../models/product');
+const StockReservation = require('../models/reservation');
+const keys = require('../config/keys');
+const variants = require('./variant');
+const { asyncForEach } = require('./utils');
+const { RESERVATION_STATUS } = require('../constants');
+
+const { reservationMinutes, sweepIntervalSeconds } = keys.inventory;
+
+// decrement the product or variant stock only when enough is left,
+// resolves with the updated product or null on shortage
+const takeStock = (product, variant, quantity) =>
+  variant
+    ? Product.findOneAndUpdate(
+        {
+          _id: product,
+          variants: {
+            $elemMatch: { _id: variant, quantity: { $gte: quantity } }
+          }
+        },
+        { $inc: { 'variants.$.quantity': -quantity } },
+        { new: true }
+      )
+    : Product.findOneAndUpdate(
+        { _id: product, quantity: { $gte: quantity } },
+        { $inc: { quantity: -quantity } },
+        { new: true }
+      );
+
+const restock = (product, variant, quantity) =>
+  variant
+    ? Product.updateOne(
+        { _id: product, 'variants._id': variant },
+        { $inc: { 'variants.$.quantity': quantity } }
+      )
+    : Product.updateOne({ _id: product }, { $inc: { quantity } });
+
+// count the units sold on the product, a sale given back never takes the
+// count below zero
+const addSold = (product, quantity) =>
+  Product.updateOne(
+    { _id: product, ...(quantity < 0 && { soldCount: { $gte: -quantity } }) },
+    { $inc: { soldCount: quantity } }
+  );
+
+const getExpiry = () => new Date(Date.now() + reservationMinutes * 60 * 1000);
+
+const getShortage = async item => {
+  const productDoc = await Product.findOne(
+    { _id: item.product },
+    'name quantity variants'
+  );
+  const stock = item.variant
+    ? variants.findVariant(productDoc || {}, item.variant)
+    : productDoc;
+
+  return {
+    product: item.product,
+    variant: item.variant || null,
+    name: productDoc?.name,
+    field: 'quantity',
+    previous: item.quantity,
+    current: Math.max(stock?.quantity ?? 0, 0)
+  };
+};
+
+// reserve stock for every cart item, nothing is held when an item is short
+exports.reserveStock = async (cart, user, items) => {
+  const taken = [];
+  const shortages = [];
+
+  await asyncForEach(items, async item => {
+    const productDoc = await takeStock(
+      item.product,
+      item.variant,
+      item.quantity
+    );
+
+    if (productDoc) {
+      taken.push(item);
+    } else {
+      shortages.push(await getShortage(item));
+    }
+  });
+
+  if (shortages.length > 0) {
+    await asyncForEach(taken, item =>
+      restock(item.product, item.variant, item.quantity)
+    );
+    return shortages;
+  }
+
+  await StockReservation.insertMany(
+    taken.map(item => ({
+      cart,
+      user,
+      product: item.product,
+      variant: item.variant || null,
+      quantity: item.quantity,
+      expires: getExpiry()
+    }))
+  );
+
+  return shortages;
+};
+
+// commit the reservation of the cart line in the given status, atomically so
+// only one of the commits made at the same time gets it
+const claimReservation = (cart, item, status, update = {}) =>
+  StockReservation.findOneAndUpdate(
+    {
+      cart,
+      product: item.product,
+      variant: item.variant || null,
+      status
+    },
+    { ...update, status: RESERVATION_STATUS.Committed, updated: Date.now() },
+    { new: true }
+  );
+
+// the committed reservation of a cart line, null when its stock is short.
+// the stock of an expired reservation is taken again if enough is left,
+// a line committed by another order is short
+const commitItem = async (cart, user, item) => {
+  const reservation = await claimReservation(
+    cart,
+    item,
+    RESERVATION_STATUS.Active
+  );
+
+  if (reservation) return reservation;
+
+  const expired = await claimReservation(
+    cart,
+    item,
+    RESERVATION_STATUS.Released,
+    { quantity: item.quantity }
+  );
+
+  if (expired) {
+    if (await takeStock(item.product, item.variant, item.quantity)) {
+      return expired;
+    }
+
+    await StockReservation.updateOne(
+      { _id: expired._id },
+      { status: RESERVATION_STATUS.Released, updated: Date.now() }
+    );
+    return null;
+  }
+
+  const isReserved = await StockReservation.exists({
+    cart,
+    product: item.product,
+    variant: item.variant || null
+  });
+
+  // only the lines of carts created before reservations existed have none,
+  // a line reserved otherwise was committed by another order
+  if (isReserved) return null;
+  if (!(await takeStock(item.product, item.variant, item.quantity))) {
+    return null;
+  }
+
+  return await StockReservation.create({
+    cart,
+    user,
+    product: item.product,
+    variant: item.variant || null,
+    quantity: item.quantity,
+    status: RESERVATION_STATUS.Committed
+  });
+};
+
+// turn the cart reservations into committed deductions,
+// lines whose reservation expired are reserved again if stock allows
+exports.commitStock = async (cart, user) => {
+  const committed = [];
+  const shortages = [];
+  const items = cart.products.filter(item => item.status !== 'Cancelled');
+
+  await asyncForEach(items, async item => {
+    const reservation = await commitItem(cart._id, user, item);
+
+    if (reservation) {
+      committed.push(reservation);
+    } else {
+      shortages.push(await getShortage(item));
+    }
+  });
+
+  // keep the stock held, the customer may retry once the cart is updated
+  if (shortages.length > 0) {
+    await asyncForEach(committed, reservation =>
+      StockReservation.updateOne(
+        { _id: reservation._id },
+        {
+          status: RESERVATION_STATUS.Active,
+          expires: getExpiry(),
+          updated: Date.now()
+        }
+      )
+    );
+  } else {
+    await asyncForEach(committed, reservation =>
+      addSold(reservation.product, reservation.quantity)
+    );
+  }
+
+  return shortages;
+};
+
+// give back the stock held for the given cart items
+exports.releaseStock = async (cart, items) => {
+  const hasReservations = await StockReservation.exists({ cart });
+
+  await asyncForEach(items, async item => {
+    // carts created before reservations existed deducted stock directly
+    if (!hasReservations) {
+      await addSold(item.product, -item.quantity);
+      return await restock(item.product, item.variant, item.quantity);
+    }
+
+    const reservation = await StockReservation.findOneAndUpdate(
+      {
+        cart,
+        product: item.product,
+        variant: item.variant || null,
+        status: {
+          $in: [RESERVATION_STATUS.Active, RESERVATION_STATUS.Committed]
+        }
+      },
+      { status: RESERVATION_STATUS.Released, updated: Date.now() }
+    );
+
+    if (reservation) {
+      // the reservation as it was, a committed one was on an order
+      if (reservation.status === RESERVATION_STATUS.Committed) {
+        await addSold(reservation.product, -reservation.quantity);
+      }
+
+      await restock(
+        reservation.product,
+        reservation.variant,
+        reservation.quantity
+      );
+    }
+  });
+};
+
+// put items sent back by customers on the shelf again
+exports.restockItems = async items => {
+  await asyncForEach(items, item =>
+    restock(item.product, item.variant, item.quantity)
+  );
+};
+
+exports.releaseExpiredReservations = async () => {
+  const reservations = await StockReservation.find({
+    status: RESERVATION_STATUS.Active,
+    expires: { $lte: new Date() }
+  });
+
+  let released = 0;
+
+  await asyncForEach(reservations, async reservation => {
+    // claim the reservation first so a concurrent commit wins or loses cleanly
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: RESERVATION_STATUS.Active },
+      { status: RESERVATION_STATUS.Released, updated: Date.now() }
+    );
+
+    if (claimed) {
+      await restock(claimed.product, claimed.variant, claimed.quantity);
+      released++;
+    }
+  });
+
+  return released;
+};
+
+exports.startReservationSweeper = () => {
+  const timer = setInterval(async () => {
+    try {
+      await this.releaseExpiredReservations();
+    } catch (error) {
+      console.log(`${chalk.red('x')} ${chalk.red('stock sweeper failed')}`);
+    }
+  }, sweepIntervalSeconds * 1000);
+
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,165 @@
+const Mongoose = require('mongoose');
+
+const Product = require('../models/product');
+const StockReservation = require('../models/reservation');
+const inventory = require('./inventory');
+const { RESERVATION_STATUS } = require('../constants');
+
+describe('Inventory', () => {
+  const cart = new Mongoose.Types.ObjectId();
+  const shirt = new Mongoose.Types.ObjectId();
+  const hat = new Mongoose.Types.ObjectId();
+
+  const items = [
+    { product: shirt, variant: null, quantity: 2 },
+    { product: hat, variant: null, quantity: 1 }
+  ];
+
+  const reservation = (product, status, quantity = 1) => ({
+    _id: new Mongoose.Types.ObjectId(),
+    cart,
+    product,
+    variant: null,
+    quantity,
+    status
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'findOne').mockResolvedValue({
+      name: 'Hat',
+      quantity: 0,
+      variants: []
+    });
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({});
+    jest.spyOn(StockReservation, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should hold nothing when an item is short', async () => {
+    jest
+      .spyOn(Product, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ _id: shirt })
+      .mockResolvedValueOnce(null);
+    const insert = jest.spyOn(StockReservation, 'insertMany');
+
+    const shortages = await inventory.reserveStock(cart, null, items);
+
+    expect(shortages).toEqual([
+      expect.objectContaining({ product: hat, field: 'quantity', current: 0 })
+    ]);
+    expect(Product.updateOne).toHaveBeenCalledWith(
+      { _id: shirt },
+      { $inc: { quantity: 2 } }
+    );
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  it('should commit the reservations and count the units sold', async () => {
+    jest
+      .spyOn(StockReservation, 'findOneAndUpdate')
+      .mockResolvedValueOnce(
+        reservation(shirt, RESERVATION_STATUS.Committed, 2)
+      )
+      .mockResolvedValueOnce(reservation(hat, RESERVATION_STATUS.Committed));
+    const take = jest.spyOn(Product, 'findOneAndUpdate');
+
+    const shortages = await inventory.commitStock({
+      _id: cart,
+      products: items
+    });
+
+    expect(shortages).toEqual([]);
+    expect(take).not.toHaveBeenCalled();
+    expect(Product.updateOne).toHaveBeenCalledWith(
+      { _id: shirt },
+      { $inc: { soldCount: 2 } }
+    );
+  });
+
+  it('should not take stock again for a line another order committed', async () => {
+    const committed = reservation(shirt, RESERVATION_STATUS.Committed, 2);
+
+    jest
+      .spyOn(StockReservation, 'findOneAndUpdate')
+      .mockResolvedValueOnce(committed)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null);
+    jest.spyOn(StockReservation, 'exists').mockResolvedValue(true);
+    const take = jest.spyOn(Product, 'findOneAndUpdate');
+
+    const shortages = await inventory.commitStock({
+      _id: cart,
+      products: items
+    });
+
+    expect(shortages).toHaveLength(1);
+    expect(take).not.toHaveBeenCalled();
+    expect(StockReservation.updateOne).toHaveBeenCalledWith(
+      { _id: committed._id },
+      expect.objectContaining({ status: RESERVATION_STATUS.Active })
+    );
+  });
+
+  it('should take the stock of an expired reservation again', async () => {
+    const expired = reservation(hat, RESERVATION_STATUS.Committed);
+
+    jest
+      .spyOn(StockReservation, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(expired);
+    const take = jest
+      .spyOn(Product, 'findOneAndUpdate')
+      .mockResolvedValue({ _id: hat });
+
+    const shortages = await inventory.commitStock({
+      _id: cart,
+      products: [items[1]]
+    });
+
+    expect(shortages).toEqual([]);
+    expect(StockReservation.findOneAndUpdate.mock.calls[1][0].status).toBe(
+      RESERVATION_STATUS.Released
+    );
+    expect(take).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give back committed stock and the units sold', async () => {
+    jest.spyOn(StockReservation, 'exists').mockResolvedValue(true);
+    jest
+      .spyOn(StockReservation, 'findOneAndUpdate')
+      .mockResolvedValue(reservation(shirt, RESERVATION_STATUS.Committed, 2));
+
+    await inventory.releaseStock(cart, [items[0]]);
+
+    expect(Product.updateOne).toHaveBeenCalledWith(
+      { _id: shirt, soldCount: { $gte: 2 } },
+      { $inc: { soldCount: -2 } }
+    );
+    expect(Product.updateOne).toHaveBeenCalledWith(
+      { _id: shirt },
+      { $inc: { quantity: 2 } }
+    );
+  });
+
+  it('should only restock the expired reservations it claims', async () => {
+    const won = reservation(shirt, RESERVATION_STATUS.Active, 2);
+    const lost = reservation(hat, RESERVATION_STATUS.Active);
+
+    jest.spyOn(StockReservation, 'find').mockResolvedValue([won, lost]);
+    jest
+      .spyOn(StockReservation, 'findOneAndUpdate')
+      .mockResolvedValueOnce(won)
+      .mockResolvedValueOnce(null);
+
+    await expect(inventory.releaseExpiredReservations()).resolves.toBe(1);
+
+    expect(Product.updateOne).toHaveBeenCalledTimes(1);
+    expect(Product.updateOne).toHaveBeenCalledWith(
+      { _id: shirt },
+      { $inc: { quantity: 2 } }
+    );
+  });
+});
@@ -0,0 +1,54 @@
+const Order = require('../models/order');
+
+const DUPLICATE_KEY = 11000;
+const MAX_ATTEMPTS = 5;
+
+exports.formatInvoiceNumber = number =>
+  `INV-${String(number).padStart(6, '0')}`;
+
+// give the order the number after the last invoice. a number only exists
+// once an order holds it, so the sequence has no gaps, and the unique index
+// turns away an order that raced another one for the same number. the
+// order is updated in place
+exports.assignInvoiceNumber = async order => {
+  if (order.invoiceNumber) return order;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const last = await Order.findOne(
+      { invoiceNumber: { $exists: true } },
+      'invoiceNumber'
+    ).sort('-invoiceNumber');
+    const invoiceNumber = last ? last.invoiceNumber + 1 : 1;
+    const invoiced = new Date();
+
+    try {
+      const result = await Order.updateOne(
+        { _id: order._id, invoiceNumber: { $exists: false } },
+        { $set: { invoiceNumber, invoiced } }
+      );
+
+      // another request gave the order its number first
+      if (result.n === 0) {
+        const saved = await Order.findOne(
+          { _id: order._id },
+          'invoiceNumber invoiced'
+        );
+
+        order.invoiceNumber = saved ? saved.invoiceNumber : undefined;
+        order.invoiced = saved ? saved.invoiced : undefined;
+        return order;
+      }
+
+      order.invoiceNumber = invoiceNumber;
+      order.invoiced = invoiced;
+      return order;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+  }
+
+  throw {
+    status: 400,
+    message: 'Invoice number could not be assigned. Please try again.'
+  };
+};
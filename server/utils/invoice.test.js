@@ -0,0 +1,50 @@
+const invoices = require('./invoice');
+const Order = require('../models/order');
+
+describe('Invoice numbers', () => {
+  const lastInvoice = invoiceNumber => ({
+    sort: jest.fn().mockResolvedValue(invoiceNumber ? { invoiceNumber } : null)
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should format the number with its prefix', () => {
+    expect(invoices.formatInvoiceNumber(42)).toBe('INV-000042');
+  });
+
+  it('should give the order the number after the last invoice', async () => {
+    const order = { _id: 'order' };
+
+    jest.spyOn(Order, 'findOne').mockReturnValue(lastInvoice(null));
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ n: 1 });
+
+    await invoices.assignInvoiceNumber(order);
+
+    expect(order.invoiceNumber).toBe(1);
+    expect(order.invoiced).toBeInstanceOf(Date);
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: 'order', invoiceNumber: { $exists: false } },
+      { $set: { invoiceNumber: 1, invoiced: order.invoiced } }
+    );
+  });
+
+  it('should take the next number when another order got it first', async () => {
+    const order = { _id: 'order' };
+
+    jest
+      .spyOn(Order, 'findOne')
+      .mockReturnValueOnce(lastInvoice(41))
+      .mockReturnValueOnce(lastInvoice(42));
+    jest
+      .spyOn(Order, 'updateOne')
+      .mockRejectedValueOnce({ code: 11000 })
+      .mockResolvedValueOnce({ n: 1 });
+
+    await invoices.assignInvoiceNumber(order);
+
+    expect(order.invoiceNumber).toBe(43);
+    expect(Order.updateOne).toHaveBeenCalledTimes(2);
+  });
+});
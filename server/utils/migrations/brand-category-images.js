@@ -0,0 +1,76 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Brand = require('../../models/brand');
+const Category = require('../../models/category');
+const storage = require('../../services/storage');
+
+const extensions = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+// brand and category images used to be stored in the database, they move
+// to the storage like the product images
+const migrateImages = async (Model, folder) => {
+  const docs = await Model.collection
+    .find({ 'image.data': { $exists: true } })
+    .toArray();
+
+  for (const doc of docs) {
+    const { data, contentType } = doc.image;
+    const imageKey = storage.getStorageKey(
+      `${doc.slug || folder}${extensions[contentType] || ''}`,
+      folder
+    );
+
+    await storage.put(imageKey, data.buffer, contentType);
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: { imageUrl: storage.url(imageKey), imageKey },
+        $unset: { image: '' }
+      }
+    );
+  }
+
+  return docs.length;
+};
+
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue(
+        'brand and category images migration started'
+      )}`
+    );
+
+    const brands = await migrateImages(Brand, 'brands');
+    const categories = await migrateImages(Category, 'categories');
+
+    console.log(`${brands} brands and ${categories} categories migrated`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green(
+        'brand and category images migration finished'
+      )}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red(
+        'error while migrating brand and category images'
+      )}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
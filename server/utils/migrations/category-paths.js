@@ -0,0 +1,49 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Category = require('../../models/category');
+
+// categories used to be flat, they all become root categories
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('category path migration started')}`
+    );
+
+    const categories = await Category.collection
+      .find({ path: { $exists: false } })
+      .toArray();
+
+    if (categories.length > 0) {
+      await Category.collection.bulkWrite(
+        categories.map(category => ({
+          updateOne: {
+            filter: { _id: category._id },
+            update: {
+              $set: { parent: null, path: `,${category._id},`, depth: 0 }
+            }
+          }
+        }))
+      );
+    }
+
+    console.log(`${categories.length} categories migrated`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('category path migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating category paths')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
@@ -0,0 +1,111 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+const path = require('path');
+
+const setupDB = require('../db');
+const Product = require('../../models/product');
+const storage = require('../../services/storage');
+const gallery = require('../gallery');
+const { processImage } = require('../image');
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+// the sizes of a stored image, null when the file can not be read or is not
+// an image the store accepts. the original can be over the upload limit, so
+// its size is not checked
+const resize = async key => {
+  try {
+    const buffer = await storage.get(key);
+
+    return await processImage(
+      {
+        originalname: path.basename(key).replace(/^[a-f0-9]{16}-/, ''),
+        mimetype: MIME_TYPES[path.extname(key).toLowerCase()],
+        buffer
+      },
+      'products'
+    );
+  } catch (error) {
+    console.log(`${chalk.yellow('!')} ${key} skipped`, error.message || '');
+    return null;
+  }
+};
+
+// product and variant images used to be stored as uploaded, they are
+// replaced by their sizes and the originals with their exif data removed
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('image sizes migration started')}`
+    );
+
+    const products = await Product.find(
+      {
+        $or: [
+          { 'images.0': { $exists: true } },
+          { 'variants.0': { $exists: true } }
+        ]
+      },
+      'images variants'
+    );
+    let count = 0;
+
+    for (const product of products) {
+      const originals = [];
+
+      for (const image of product.images) {
+        if (!image.key || image.sizes.length > 0) continue;
+
+        const resized = await resize(image.key);
+        if (!resized) continue;
+
+        originals.push(image.key);
+        Object.assign(image, resized);
+      }
+
+      for (const variant of product.variants) {
+        if (!variant.imageKey || variant.imageSizes.length > 0) continue;
+
+        const resized = await resize(variant.imageKey);
+        if (!resized) continue;
+
+        originals.push(variant.imageKey);
+        Object.assign(variant, {
+          imageUrl: resized.url,
+          imageKey: resized.key,
+          imageSizes: resized.sizes
+        });
+      }
+
+      if (originals.length === 0) continue;
+
+      Object.assign(product, gallery.getCover(product.images));
+      await product.save();
+      await storage.remove(originals);
+      count++;
+    }
+
+    console.log(`${count} products migrated`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('image sizes migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating image sizes')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
@@ -0,0 +1,53 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Order = require('../../models/order');
+const invoices = require('../invoice');
+const { ORDER_STATUS } = require('../../constants');
+
+// orders paid before invoices get their numbers in the order they were
+// placed, orders that were never paid get none
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('invoice numbers migration started')}`
+    );
+
+    await Order.createIndexes();
+
+    const list = await Order.find({
+      invoiceNumber: { $exists: false },
+      $or: [
+        { 'statusHistory.status': ORDER_STATUS.Paid },
+        {
+          status: {
+            $nin: [ORDER_STATUS.Pending_Payment, ORDER_STATUS.Cancelled]
+          }
+        }
+      ]
+    }).sort('created');
+
+    for (const order of list) {
+      await invoices.assignInvoiceNumber(order);
+    }
+
+    console.log(`${list.length} orders invoiced`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('invoice numbers migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating invoice numbers')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
@@ -0,0 +1,114 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const store = require('../store');
+const Order = require('../../models/order');
+const Cart = require('../../models/cart');
+const Product = require('../../models/product');
+
+// orders placed before snapshots only point to their cart
+const snapshotOrder = async order => {
+  const cart = await Cart.findOne({ _id: order.cart }).lean();
+
+  if (!cart) return false;
+
+  const products = await Product.find({
+    _id: { $in: cart.products.map(item => item.product) }
+  }).populate('brand', 'name');
+
+  const items = cart.products.map(item => {
+    const product = products.find(
+      p => p._id.toString() === item.product?.toString()
+    );
+    const purchasePrice = item.purchasePrice || product?.price || 0;
+    const totalPrice = parseFloat(
+      Number((purchasePrice * item.quantity).toFixed(2))
+    );
+
+    return {
+      _id: item._id,
+      product: product || { _id: item.product },
+      quantity: item.quantity,
+      purchasePrice,
+      totalPrice,
+      totalTax: item.totalTax || 0,
+      priceWithTax: item.priceWithTax || totalPrice + (item.totalTax || 0),
+      taxClass: item.taxClass,
+      tax: item.tax?.name ? item.tax : undefined,
+      status: item.status
+    };
+  });
+
+  const snapshot = store.caculateOrderTotals({
+    products: store.snapshotOrderItems(items),
+    shippingTotal: 0,
+    discountTotal: 0
+  });
+
+  // the legacy total is what the customer was charged, the cart and the
+  // products may have changed since so the lines can add up to another amount
+  const grandTotal =
+    typeof order.total === 'number' ? order.total : snapshot.grandTotal;
+
+  await Order.collection.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        products: snapshot.products,
+        subtotal: snapshot.subtotal,
+        totalTax: snapshot.totalTax,
+        shippingTotal: 0,
+        discountTotal: 0,
+        grandTotal,
+        taxes: snapshot.taxes
+      },
+      $unset: { total: '' }
+    }
+  );
+
+  return true;
+};
+
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('order snapshot migration started')}`
+    );
+
+    const orders = await Order.collection
+      .find({ 'products.0': { $exists: false } })
+      .toArray();
+
+    let migrated = 0;
+    let skipped = 0;
+
+    for (const order of orders) {
+      if (await snapshotOrder(order)) {
+        migrated++;
+      } else {
+        skipped++;
+      }
+    }
+
+    console.log(
+      `${migrated} orders migrated, ${skipped} orders without a cart skipped`
+    );
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('order snapshot migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating order snapshots')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
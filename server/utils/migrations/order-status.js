@@ -0,0 +1,53 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Order = require('../../models/order');
+const orders = require('../order');
+const { ORDER_STATUS } = require('../../constants');
+
+// orders placed before the lifecycle only had the status of their items, they
+// were paid when placed so they take the status their items reached
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('order status migration started')}`
+    );
+
+    const list = await Order.find({ 'statusHistory.0': { $exists: false } });
+
+    for (const order of list) {
+      order.status = orders.getItemsStatus(order) || ORDER_STATUS.Paid;
+      order.statusHistory = [
+        {
+          ...orders.createStatusEntry(
+            order.status,
+            null,
+            'Status taken from the items of the order.'
+          ),
+          created: order.created
+        }
+      ];
+
+      await order.save();
+    }
+
+    console.log(`${list.length} orders migrated`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('order status migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating order status')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
@@ -0,0 +1,54 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Category = require('../../models/category');
+const Product = require('../../models/product');
+
+// categories used to hold their products, the products now hold their
+// categories
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('product categories migration started')}`
+    );
+
+    const categories = await Category.collection
+      .find({ products: { $exists: true } })
+      .toArray();
+
+    for (const category of categories) {
+      await Product.updateMany(
+        { _id: { $in: category.products || [] } },
+        { $addToSet: { categories: category._id } }
+      );
+    }
+
+    await Category.collection.updateMany(
+      { products: { $exists: true } },
+      { $unset: { products: '' } }
+    );
+
+    console.log(`${categories.length} categories migrated`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green(
+        'product categories migration finished'
+      )}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red(
+        'error while migrating product categories'
+      )}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
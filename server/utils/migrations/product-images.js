@@ -0,0 +1,49 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Product = require('../../models/product');
+
+// products used to have a single image, it becomes the first image of the
+// gallery
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('product images migration started')}`
+    );
+
+    const products = await Product.find(
+      { imageUrl: { $nin: [null, ''] }, 'images.0': { $exists: false } },
+      'name imageUrl imageKey'
+    );
+
+    for (const product of products) {
+      await Product.updateOne(
+        { _id: product._id },
+        {
+          images: [
+            { url: product.imageUrl, key: product.imageKey, alt: product.name }
+          ]
+        }
+      );
+    }
+
+    console.log(`${products.length} products migrated`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('product images migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating product images')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
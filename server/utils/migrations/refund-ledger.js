@@ -0,0 +1,71 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Payment = require('../../models/payment');
+const Refund = require('../../models/refund');
+const orders = require('../order');
+
+const round = amount => parseFloat(Number(amount).toFixed(2));
+
+// payments refunded before the ledger existed have no refunds recording it,
+// the missing amount is recorded as one adjustment so the ledger reconciles
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('refund ledger migration started')}`
+    );
+
+    const list = await Payment.find({
+      order: { $ne: null },
+      amountRefunded: { $gt: 0 }
+    });
+    let count = 0;
+
+    for (const payment of list) {
+      const refunds = await Refund.find({ order: payment.order }, 'amount');
+      const missing = round(
+        payment.amountRefunded -
+          refunds.reduce((sum, refund) => sum + refund.amount, 0)
+      );
+
+      if (missing <= 0) continue;
+
+      const { actor, actorName, actorRole } = orders.createStatusEntry(
+        null,
+        null
+      );
+
+      await Refund.create({
+        order: payment.order,
+        payment: payment._id,
+        adjustment: missing,
+        amount: missing,
+        note: 'Refunded before refunds were recorded.',
+        actor,
+        actorName,
+        actorRole,
+        created: payment.updated || payment.created
+      });
+      count++;
+    }
+
+    console.log(`${count} payments migrated`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('refund ledger migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating refund ledger')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
@@ -0,0 +1,36 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Product = require('../../models/product');
+const search = require('../search');
+
+// products are found by their search tokens, the existing ones have none yet
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('search tokens migration started')}`
+    );
+
+    await search.indexProducts({});
+
+    const count = await Product.countDocuments({});
+    console.log(`${count} products indexed`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('search tokens migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while indexing the products')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
@@ -0,0 +1,51 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const { SHIPPING_RATE_TYPE } = require('../../constants');
+const ShippingZone = require('../../models/shipping');
+
+// orders used to ship for free everywhere
+const defaultZone = {
+  name: 'Everywhere',
+  methods: [
+    {
+      name: 'Standard Shipping',
+      type: SHIPPING_RATE_TYPE.Flat,
+      rate: 0
+    }
+  ]
+};
+
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('shipping zone migration started')}`
+    );
+
+    const zones = await ShippingZone.countDocuments();
+
+    if (zones === 0) {
+      await ShippingZone.create(defaultZone);
+      console.log(`${defaultZone.name} shipping zone created`);
+    } else {
+      console.log(`${zones} shipping zones found, nothing to do`);
+    }
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('shipping zone migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating shipping zones')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
@@ -0,0 +1,59 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const Order = require('../../models/order');
+const Product = require('../../models/product');
+const { CART_ITEM_STATUS } = require('../../constants');
+
+// the best selling sort reads the sold count of the products, the units
+// ordered before it existed are counted from the order lines
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('sold counts migration started')}`
+    );
+
+    const sales = await Order.aggregate([
+      { $unwind: '$products' },
+      { $match: { 'products.status': { $ne: CART_ITEM_STATUS.Cancelled } } },
+      {
+        $group: {
+          _id: '$products.product',
+          quantity: { $sum: '$products.quantity' }
+        }
+      }
+    ]);
+
+    await Product.updateMany({}, { soldCount: 0 });
+
+    if (sales.length > 0) {
+      await Product.bulkWrite(
+        sales.map(sale => ({
+          updateOne: {
+            filter: { _id: sale._id },
+            update: { soldCount: sale.quantity }
+          }
+        }))
+      );
+    }
+
+    console.log(`${sales.length} products migrated`);
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('sold counts migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while counting the products sold')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
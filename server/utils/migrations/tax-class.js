@@ -0,0 +1,62 @@
+const chalk = require('chalk');
+const mongoose = require('mongoose');
+
+const setupDB = require('../db');
+const { TAX_CLASS } = require('../../constants');
+const Product = require('../../models/product');
+const TaxRate = require('../../models/tax');
+
+// rate the store applied to every taxable product before tax zones existed
+const legacyRate = {
+  name: 'California Sales Tax',
+  country: 'United States',
+  state: 'CA',
+  taxClass: TAX_CLASS.Standard,
+  rate: 5
+};
+
+const migrate = async () => {
+  try {
+    console.log(
+      `${chalk.blue('✓')} ${chalk.blue('tax class migration started')}`
+    );
+
+    const products = Product.collection;
+
+    const taxable = await products.updateMany(
+      { taxable: true, taxClass: { $exists: false } },
+      { $set: { taxClass: TAX_CLASS.Standard }, $unset: { taxable: '' } }
+    );
+
+    const exempt = await products.updateMany(
+      { taxClass: { $exists: false } },
+      { $set: { taxClass: TAX_CLASS.Exempt }, $unset: { taxable: '' } }
+    );
+
+    console.log(
+      `${taxable.modifiedCount} standard and ${exempt.modifiedCount} exempt products migrated`
+    );
+
+    const rates = await TaxRate.countDocuments();
+    if (rates === 0) {
+      await TaxRate.create(legacyRate);
+      console.log(`${legacyRate.name} rate created`);
+    }
+
+    console.log(
+      `${chalk.green('✓')} ${chalk.green('tax class migration finished')}`
+    );
+  } catch (error) {
+    console.log(
+      `${chalk.red('x')} ${chalk.red('error while migrating tax classes')}`
+    );
+    console.log(error);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+(async () => {
+  await setupDB();
+  await migrate();
+})();
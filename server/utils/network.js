@@ -0,0 +1,89 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// the addresses of the machine, its network and the cloud metadata service,
+// urls from users never reach them
+const blockList = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+exports.isPrivateAddress = address => {
+  // an ipv4 address written as ipv6, like ::ffff:127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+
+  if (mapped) return this.isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+
+  if (family === 0) return true;
+
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// dns lookup that fails for private addresses. the agents connect through
+// it, so the address checked is the one connected to
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address)
+      ? address.map(entry => entry.address)
+      : [address];
+
+    if (addresses.some(entry => this.isPrivateAddress(entry))) {
+      return callback(
+        Object.assign(new Error(`${hostname} is not a public address.`), {
+          code: 'EPRIVATEADDRESS'
+        })
+      );
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// throws when the host of the url is not a public address, ip addresses
+// are connected to without a lookup so they are checked here too
+exports.checkPublicUrl = async url => {
+  const { protocol, hostname } = new URL(url);
+
+  if (!['http:', 'https:'].includes(protocol)) {
+    throw { status: 400, message: `${url} is not a web address.` };
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map(
+        entry => entry.address
+      );
+
+  if (addresses.length === 0 || addresses.some(this.isPrivateAddress)) {
+    throw { status: 400, message: `${url} is not a public address.` };
+  }
+};
+
+exports.httpAgent = new http.Agent({ lookup: publicLookup });
+exports.httpsAgent = new https.Agent({ lookup: publicLookup });
@@ -0,0 +1,38 @@
+const network = require('./network');
+
+describe('Network', () => {
+  it('should tell private addresses from public ones', () => {
+    [
+      '127.0.0.1',
+      '10.0.0.8',
+      '172.16.4.1',
+      '192.168.1.1',
+      '169.254.169.254',
+      '0.0.0.0',
+      '::1',
+      'fe80::1',
+      'fd00::1',
+      '::ffff:127.0.0.1',
+      'localhost'
+    ].forEach(address => expect(network.isPrivateAddress(address)).toBe(true));
+
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111'].forEach(address =>
+      expect(network.isPrivateAddress(address)).toBe(false)
+    );
+  });
+
+  it('should only allow web addresses of public hosts', async () => {
+    await expect(
+      network.checkPublicUrl('http://127.0.0.1:27017/')
+    ).rejects.toEqual(expect.objectContaining({ status: 400 }));
+    await expect(network.checkPublicUrl('http://[::1]/')).rejects.toEqual(
+      expect.objectContaining({ status: 400 })
+    );
+    await expect(network.checkPublicUrl('file:///etc/passwd')).rejects.toEqual(
+      expect.objectContaining({ status: 400 })
+    );
+    await expect(
+      network.checkPublicUrl('http://8.8.8.8/a.png')
+    ).resolves.toBeUndefined();
+  });
+});
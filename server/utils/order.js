@@ -0,0 +1,288 @@
+const inventory = require('./inventory');
+const promotions = require('./promotion');
+const store = require('./store');
+const refunds = require('./refund');
+const invoices = require('./invoice');
+const {
+  ROLES,
+  ORDER_STATUS,
+  CART_ITEM_STATUS,
+  REFUND_SOURCE
+} = require('../constants');
+
+// the role of the moves the store makes on its own, like capturing a payment
+exports.SYSTEM = 'System';
+
+// the statuses an order can go to from each status and the roles allowed to
+// take it there. members only move their own orders and merchants the orders
+// with items of their brand. orders are only shipped with their shipments
+exports.ORDER_TRANSITIONS = {
+  [ORDER_STATUS.Pending_Payment]: {
+    [ORDER_STATUS.Paid]: [ROLES.Admin, this.SYSTEM],
+    [ORDER_STATUS.Cancelled]: [ROLES.Admin, ROLES.Member, this.SYSTEM]
+  },
+  [ORDER_STATUS.Paid]: {
+    [ORDER_STATUS.Fulfilling]: [ROLES.Admin, ROLES.Merchant, this.SYSTEM],
+    [ORDER_STATUS.Cancelled]: [ROLES.Admin, ROLES.Member, this.SYSTEM],
+    [ORDER_STATUS.Refunded]: [ROLES.Admin]
+  },
+  [ORDER_STATUS.Fulfilling]: {
+    [ORDER_STATUS.Shipped]: [this.SYSTEM],
+    [ORDER_STATUS.Cancelled]: [ROLES.Admin, this.SYSTEM]
+  },
+  [ORDER_STATUS.Shipped]: {
+    [ORDER_STATUS.Delivered]: [ROLES.Admin, ROLES.Merchant, this.SYSTEM]
+  },
+  [ORDER_STATUS.Delivered]: {
+    [ORDER_STATUS.Closed]: [ROLES.Admin, this.SYSTEM],
+    [ORDER_STATUS.Refunded]: [ROLES.Admin]
+  },
+  [ORDER_STATUS.Closed]: {},
+  [ORDER_STATUS.Cancelled]: {},
+  [ORDER_STATUS.Refunded]: {}
+};
+
+// the statuses an item can be moved to, items are cancelled one by one while
+// the order is not shipped yet. items are only shipped by adding them to a
+// shipment, see utils/shipment
+exports.ITEM_TRANSITIONS = {
+  [CART_ITEM_STATUS.Not_processed]: [
+    CART_ITEM_STATUS.Processing,
+    CART_ITEM_STATUS.Cancelled
+  ],
+  [CART_ITEM_STATUS.Processing]: [CART_ITEM_STATUS.Cancelled],
+  [CART_ITEM_STATUS.Shipped]: [CART_ITEM_STATUS.Delivered],
+  [CART_ITEM_STATUS.Delivered]: [],
+  [CART_ITEM_STATUS.Cancelled]: []
+};
+
+// the status the items of the order take when it gets to a status, items
+// that are further along or cancelled keep theirs
+const ITEM_STATUS_OF_ORDER = {
+  [ORDER_STATUS.Fulfilling]: CART_ITEM_STATUS.Processing,
+  [ORDER_STATUS.Shipped]: CART_ITEM_STATUS.Shipped,
+  [ORDER_STATUS.Delivered]: CART_ITEM_STATUS.Delivered,
+  [ORDER_STATUS.Cancelled]: CART_ITEM_STATUS.Cancelled
+};
+
+const ITEM_PROGRESS = [
+  CART_ITEM_STATUS.Not_processed,
+  CART_ITEM_STATUS.Processing,
+  CART_ITEM_STATUS.Shipped,
+  CART_ITEM_STATUS.Delivered
+];
+
+const isActiveItem = item => item.status !== CART_ITEM_STATUS.Cancelled;
+
+exports.canTransition = (from, to, role) =>
+  (this.ORDER_TRANSITIONS[from]?.[to] || []).includes(role);
+
+exports.getAllowedStatuses = (order, role) =>
+  Object.keys(this.ORDER_TRANSITIONS[order.status] || {}).filter(status =>
+    this.canTransition(order.status, status, role)
+  );
+
+// the statuses an item can go to for the role, members can only cancel
+// items while they can still cancel the order
+exports.getAllowedItemStatuses = (order, item, role) => {
+  const statuses = this.ITEM_TRANSITIONS[item.status] || [];
+
+  if (role === ROLES.Member) {
+    return this.canTransition(order.status, ORDER_STATUS.Cancelled, role)
+      ? statuses.filter(status => status === CART_ITEM_STATUS.Cancelled)
+      : [];
+  }
+
+  if (
+    [
+      ORDER_STATUS.Closed,
+      ORDER_STATUS.Cancelled,
+      ORDER_STATUS.Refunded
+    ].includes(order.status)
+  ) {
+    return [];
+  }
+
+  return statuses;
+};
+
+// an entry of the status history, the user is who made the change
+exports.createStatusEntry = (status, user, note = '') => ({
+  status,
+  actor: user ? user._id : null,
+  actorName: user
+    ? [user.firstName, user.lastName].filter(name => name).join(' ')
+    : '',
+  actorRole: user ? user.role : this.SYSTEM,
+  note,
+  created: Date.now()
+});
+
+// move the order to the status and its items along with it, throws when the
+// role can not take the order there. the order is not saved
+exports.setStatus = (order, status, user = null, note = '') => {
+  const role = user ? user.role : this.SYSTEM;
+
+  if (!this.canTransition(order.status, status, role)) {
+    throw {
+      status: 400,
+      message: `Order cannot go from ${order.status} to ${status}.`
+    };
+  }
+
+  const itemStatus = ITEM_STATUS_OF_ORDER[status];
+
+  if (itemStatus) {
+    order.products.filter(isActiveItem).forEach(item => {
+      if (
+        itemStatus === CART_ITEM_STATUS.Cancelled ||
+        ITEM_PROGRESS.indexOf(item.status) < ITEM_PROGRESS.indexOf(itemStatus)
+      ) {
+        item.status = itemStatus;
+
+        if (itemStatus === CART_ITEM_STATUS.Delivered) {
+          item.delivered = Date.now();
+        }
+      }
+    });
+  }
+
+  order.status = status;
+  order.statusHistory.push(this.createStatusEntry(status, user, note));
+  order.updated = Date.now();
+
+  return order;
+};
+
+// the status the items of the order have all reached, null when they have
+// not moved past the order status
+exports.getItemsStatus = order => {
+  const items = order.products.filter(isActiveItem);
+
+  if (items.length === 0) return ORDER_STATUS.Cancelled;
+
+  const least = Math.min(
+    ...items.map(item => ITEM_PROGRESS.indexOf(item.status))
+  );
+  const most = Math.max(
+    ...items.map(item => ITEM_PROGRESS.indexOf(item.status))
+  );
+
+  if (least >= ITEM_PROGRESS.indexOf(CART_ITEM_STATUS.Delivered)) {
+    return ORDER_STATUS.Delivered;
+  }
+
+  if (least >= ITEM_PROGRESS.indexOf(CART_ITEM_STATUS.Shipped)) {
+    return ORDER_STATUS.Shipped;
+  }
+
+  return most > 0 ? ORDER_STATUS.Fulfilling : null;
+};
+
+// move the order forward as far as its items went, step by step so every
+// status gets into the history
+exports.syncStatus = order => {
+  const target = this.getItemsStatus(order);
+  if (!target) return order;
+
+  if (target === ORDER_STATUS.Cancelled) {
+    return this.canTransition(order.status, target, this.SYSTEM)
+      ? this.setStatus(order, target, null, 'All items were cancelled.')
+      : order;
+  }
+
+  // unpaid orders do not move with their items
+  const steps = [
+    ORDER_STATUS.Paid,
+    ORDER_STATUS.Fulfilling,
+    ORDER_STATUS.Shipped,
+    ORDER_STATUS.Delivered
+  ];
+  const from = steps.indexOf(order.status);
+
+  if (from === -1) return order;
+
+  for (const status of steps.slice(from + 1, steps.indexOf(target) + 1)) {
+    if (!this.canTransition(order.status, status, this.SYSTEM)) break;
+    this.setStatus(order, status, null);
+  }
+
+  return order;
+};
+
+// change the status of the order and settle what comes with it: a paid
+// order gets its invoice number, a cancelled order gives back its stock,
+// payment and promotions, a refunded order its payment. the money given back
+// goes into the refunds of the order. the order is saved
+exports.changeStatus = async (order, status, user = null, note = '') => {
+  const items = order.products.filter(isActiveItem);
+
+  this.setStatus(order, status, user, note);
+
+  if (status === ORDER_STATUS.Paid) {
+    await invoices.assignInvoiceNumber(order);
+  }
+
+  if (status === ORDER_STATUS.Cancelled) {
+    await inventory.releaseStock(order.cart, items);
+    await refunds.releaseOrder(
+      order,
+      { source: REFUND_SOURCE.Cancellation, note },
+      user
+    );
+    await promotions.releasePromotions(order.discounts);
+  }
+
+  if (status === ORDER_STATUS.Refunded) {
+    await refunds.releaseOrder(order, { note }, user);
+  }
+
+  return await order.save();
+};
+
+// change the status of an item and move the order along with its items.
+// a cancelled item is refunded, cancelling the last item cancels the order
+// and gives back the rest of the payment. the order is saved
+exports.changeItemStatus = async (order, item, status, user) => {
+  if (!this.getAllowedItemStatuses(order, item, user.role).includes(status)) {
+    throw {
+      status: 400,
+      message: `${item.name} cannot go from ${item.status} to ${status}.`
+    };
+  }
+
+  item.status = status;
+
+  if (status === CART_ITEM_STATUS.Delivered) {
+    item.delivered = Date.now();
+  }
+
+  if (status === CART_ITEM_STATUS.Cancelled) {
+    await inventory.releaseStock(order.cart, [item]);
+
+    if (order.products.some(isActiveItem)) {
+      await refunds.refundItems(
+        order,
+        [item._id],
+        { source: REFUND_SOURCE.Cancellation, note: `${item.name} cancelled.` },
+        user
+      );
+      store.caculateOrderTotals(order);
+    } else {
+      await refunds.releaseOrder(
+        order,
+        {
+          source: REFUND_SOURCE.Cancellation,
+          note: 'All items were cancelled.'
+        },
+        user
+      );
+      await promotions.releasePromotions(order.discounts);
+    }
+  }
+
+  this.syncStatus(order);
+  order.updated = Date.now();
+
+  return await order.save();
+};
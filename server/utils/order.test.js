@@ -0,0 +1,157 @@
+const orders = require('./order');
+const { ROLES, ORDER_STATUS, CART_ITEM_STATUS } = require('../constants');
+
+describe('Order lifecycle', () => {
+  const admin = {
+    _id: 'admin',
+    firstName: 'Ada',
+    lastName: 'Admin',
+    role: ROLES.Admin
+  };
+  const member = { _id: 'member', firstName: 'Max', role: ROLES.Member };
+
+  const createOrder = (status, itemStatuses) => ({
+    status,
+    statusHistory: [],
+    products: itemStatuses.map((itemStatus, index) => ({
+      _id: `item-${index}`,
+      status: itemStatus
+    }))
+  });
+
+  it('should allow the moves of every role from the current status', () => {
+    const order = createOrder(ORDER_STATUS.Paid, []);
+
+    expect(orders.getAllowedStatuses(order, ROLES.Admin)).toEqual([
+      ORDER_STATUS.Fulfilling,
+      ORDER_STATUS.Cancelled,
+      ORDER_STATUS.Refunded
+    ]);
+    expect(orders.getAllowedStatuses(order, ROLES.Merchant)).toEqual([
+      ORDER_STATUS.Fulfilling
+    ]);
+    expect(orders.getAllowedStatuses(order, ROLES.Member)).toEqual([
+      ORDER_STATUS.Cancelled
+    ]);
+    expect(
+      orders.getAllowedStatuses(
+        createOrder(ORDER_STATUS.Closed, []),
+        ROLES.Admin
+      )
+    ).toEqual([]);
+  });
+
+  it('should record who moved the order and move its items along', () => {
+    const order = createOrder(ORDER_STATUS.Paid, [
+      CART_ITEM_STATUS.Not_processed,
+      CART_ITEM_STATUS.Shipped,
+      CART_ITEM_STATUS.Cancelled
+    ]);
+
+    orders.setStatus(order, ORDER_STATUS.Fulfilling, admin, 'Packing');
+
+    expect(order.status).toBe(ORDER_STATUS.Fulfilling);
+    expect(order.products.map(item => item.status)).toEqual([
+      CART_ITEM_STATUS.Processing,
+      CART_ITEM_STATUS.Shipped,
+      CART_ITEM_STATUS.Cancelled
+    ]);
+    expect(order.statusHistory).toEqual([
+      expect.objectContaining({
+        status: ORDER_STATUS.Fulfilling,
+        actor: 'admin',
+        actorName: 'Ada Admin',
+        actorRole: ROLES.Admin,
+        note: 'Packing'
+      })
+    ]);
+  });
+
+  it('should refuse moves the role or the status does not allow', () => {
+    expect(() =>
+      orders.setStatus(
+        createOrder(ORDER_STATUS.Fulfilling, []),
+        ORDER_STATUS.Cancelled,
+        member
+      )
+    ).toThrow();
+    expect(() =>
+      orders.setStatus(
+        createOrder(ORDER_STATUS.Paid, []),
+        ORDER_STATUS.Delivered,
+        admin
+      )
+    ).toThrow();
+  });
+
+  it('should let members only cancel items of orders they can cancel', () => {
+    const paid = createOrder(ORDER_STATUS.Paid, [
+      CART_ITEM_STATUS.Not_processed
+    ]);
+    const fulfilling = createOrder(ORDER_STATUS.Fulfilling, [
+      CART_ITEM_STATUS.Processing
+    ]);
+
+    expect(
+      orders.getAllowedItemStatuses(paid, paid.products[0], ROLES.Member)
+    ).toEqual([CART_ITEM_STATUS.Cancelled]);
+    expect(
+      orders.getAllowedItemStatuses(
+        fulfilling,
+        fulfilling.products[0],
+        ROLES.Member
+      )
+    ).toEqual([]);
+    expect(
+      orders.getAllowedItemStatuses(
+        fulfilling,
+        fulfilling.products[0],
+        ROLES.Merchant
+      )
+    ).toEqual([CART_ITEM_STATUS.Cancelled]);
+  });
+
+  it('should only ship orders and items through their shipments', () => {
+    const order = createOrder(ORDER_STATUS.Fulfilling, [
+      CART_ITEM_STATUS.Processing
+    ]);
+
+    expect(orders.getAllowedStatuses(order, ROLES.Admin)).toEqual([
+      ORDER_STATUS.Cancelled
+    ]);
+    expect(orders.getAllowedStatuses(order, ROLES.Merchant)).toEqual([]);
+    expect(() =>
+      orders.setStatus(order, ORDER_STATUS.Shipped, admin)
+    ).toThrow();
+    expect(
+      orders.getAllowedItemStatuses(order, order.products[0], ROLES.Admin)
+    ).not.toContain(CART_ITEM_STATUS.Shipped);
+  });
+
+  it('should move the order forward as far as its items went', () => {
+    const order = createOrder(ORDER_STATUS.Paid, [
+      CART_ITEM_STATUS.Shipped,
+      CART_ITEM_STATUS.Delivered,
+      CART_ITEM_STATUS.Cancelled
+    ]);
+
+    orders.syncStatus(order);
+
+    expect(order.status).toBe(ORDER_STATUS.Shipped);
+    expect(order.statusHistory.map(entry => entry.status)).toEqual([
+      ORDER_STATUS.Fulfilling,
+      ORDER_STATUS.Shipped
+    ]);
+    expect(order.statusHistory[0].actorRole).toBe(orders.SYSTEM);
+  });
+
+  it('should cancel the order once all its items are cancelled', () => {
+    const order = createOrder(ORDER_STATUS.Paid, [CART_ITEM_STATUS.Cancelled]);
+    const unpaid = createOrder(ORDER_STATUS.Pending_Payment, [
+      CART_ITEM_STATUS.Processing
+    ]);
+
+    expect(orders.syncStatus(order).status).toBe(ORDER_STATUS.Cancelled);
+    expect(orders.syncStatus(unpaid).status).toBe(ORDER_STATUS.Pending_Payment);
+  });
+});
@@ -0,0 +1,217 @@
+const PDFDocument = require('pdfkit');
+
+const keys = require('../config/keys');
+const store = require('./store');
+const invoices = require('./invoice');
+const { CART_ITEM_STATUS } = require('../constants');
+
+const LEFT = 50;
+const RIGHT = 545;
+
+const formatMoney = amount => `$${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = date =>
+  new Date(date).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+const formatAddress = (address = {}) =>
+  [
+    address.address,
+    [address.city, address.state, address.zipCode]
+      .filter(part => part)
+      .join(', '),
+    address.country
+  ].filter(part => part);
+
+// draw the document and resolve with its bytes
+const renderPdf = draw =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: LEFT });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+// a row of cells, the next row starts under the tallest one and a new page
+// is added when the row does not fit
+const drawRow = (doc, cells, bold = false) => {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  let bottom = top;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+
+  cells.forEach(({ text, x, width, align = 'left' }) => {
+    doc.text(`${text}`, x, top, { width, align });
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = LEFT;
+  doc.y = bottom + 6;
+};
+
+const drawRule = doc => {
+  doc.moveTo(LEFT, doc.y).lineTo(RIGHT, doc.y).strokeColor('#dddddd').stroke();
+  doc.moveDown(0.5);
+};
+
+// the store name and the title on the first line, then the facts of the
+// document, label and value
+const drawHeader = (doc, title, facts) => {
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(keys.app.name, LEFT, top);
+  doc.text(title, LEFT, top, { width: RIGHT - LEFT, align: 'right' });
+  doc.moveDown(1.5);
+
+  facts.forEach(([label, value]) =>
+    drawRow(doc, [
+      { text: label, x: LEFT, width: 120 },
+      { text: value, x: LEFT + 120, width: RIGHT - LEFT - 120 }
+    ])
+  );
+
+  doc.moveDown();
+};
+
+const drawAddress = (doc, label, lines) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(label, LEFT);
+  doc.font('Helvetica');
+  lines.forEach(line => doc.text(line, LEFT));
+  doc.moveDown();
+};
+
+// the invoice of the order from its snapshot, cancelled lines are left out
+// as they are out of the totals
+exports.createInvoice = order =>
+  renderPdf(doc => {
+    const items = order.products.filter(
+      item => item.status !== CART_ITEM_STATUS.Cancelled
+    );
+    const columns = [
+      { x: LEFT, width: 220 },
+      { x: 275, width: 40, align: 'right' },
+      { x: 320, width: 75, align: 'right' },
+      { x: 400, width: 65, align: 'right' },
+      { x: 470, width: 75, align: 'right' }
+    ];
+    const row = values =>
+      values.map((text, index) => ({ ...columns[index], text }));
+    const totalRow = (label, amount, bold = false) =>
+      drawRow(
+        doc,
+        [
+          { text: label, x: 275, width: 190, align: 'right' },
+          { text: amount, x: 470, width: 75, align: 'right' }
+        ],
+        bold
+      );
+
+    drawHeader(doc, 'Invoice', [
+      ['Invoice Number', invoices.formatInvoiceNumber(order.invoiceNumber)],
+      ['Invoice Date', formatDate(order.invoiced || order.created)],
+      ['Order', `#${order._id}`],
+      ['Order Date', formatDate(order.created)]
+    ]);
+    drawAddress(
+      doc,
+      'Bill To',
+      [...formatAddress(order.shippingAddress), order.contact?.email].filter(
+        line => line
+      )
+    );
+
+    drawRow(doc, row(['Item', 'Qty', 'Unit Price', 'Tax', 'Total']), true);
+    drawRule(doc);
+
+    items.forEach(item => {
+      drawRow(
+        doc,
+        row([
+          [item.name, item.variantName, item.sku && `SKU ${item.sku}`]
+            .filter(part => part)
+            .join('\n'),
+          item.quantity,
+          formatMoney(item.purchasePrice),
+          formatMoney(item.totalTax),
+          formatMoney(store.caculateLineTotal(item))
+        ])
+      );
+    });
+
+    drawRule(doc);
+    totalRow('Subtotal', formatMoney(order.subtotal));
+    (order.taxes || []).forEach(tax =>
+      totalRow(
+        `${tax.name} (${tax.rate}%${tax.isInclusive ? ', included' : ''})`,
+        formatMoney(tax.amount)
+      )
+    );
+    totalRow('Shipping & Handling', formatMoney(order.shippingTotal));
+    (order.discounts || []).forEach(discount =>
+      totalRow(
+        discount.code ? `${discount.name} (${discount.code})` : discount.name,
+        `-${formatMoney(discount.amount)}`
+      )
+    );
+    totalRow('Total', formatMoney(order.grandTotal), true);
+  });
+
+// the packing slip of a shipment, what goes in the package and where it
+// goes, without prices
+exports.createPackingSlip = (order, shipment) =>
+  renderPdf(doc => {
+    const columns = [
+      { x: LEFT, width: 280 },
+      { x: 335, width: 130 },
+      { x: 470, width: 75, align: 'right' }
+    ];
+    const row = values =>
+      values.map((text, index) => ({ ...columns[index], text }));
+
+    drawHeader(doc, 'Packing Slip', [
+      ['Order', `#${order._id}`],
+      ['Order Date', formatDate(order.created)],
+      ['Ship Date', formatDate(shipment.shipped)],
+      ['Carrier', shipment.carrier],
+      ['Tracking Number', shipment.trackingNumber]
+    ]);
+    drawAddress(
+      doc,
+      'Ship To',
+      [
+        ...formatAddress(order.shippingAddress),
+        order.contact?.phoneNumber
+      ].filter(line => line)
+    );
+
+    drawRow(doc, row(['Item', 'SKU', 'Qty']), true);
+    drawRule(doc);
+
+    shipment.items.forEach(item => {
+      drawRow(
+        doc,
+        row([
+          [item.name, item.variantName].filter(part => part).join('\n'),
+          item.sku || '',
+          item.quantity
+        ])
+      );
+    });
+  });
@@ -0,0 +1,48 @@
+const pdf = require('./pdf');
+const { CART_ITEM_STATUS, SHIPMENT_CARRIER } = require('../constants');
+
+describe('PDF documents', () => {
+  const order = {
+    _id: 'order',
+    invoiceNumber: 7,
+    invoiced: new Date('2024-05-01T00:00:00Z'),
+    created: new Date('2024-05-01T00:00:00Z'),
+    contact: { email: 'max@example.com', phoneNumber: '555 0100' },
+    shippingAddress: {
+      address: '1 Main St',
+      city: 'Austin',
+      state: 'TX',
+      zipCode: '78701',
+      country: 'United States'
+    },
+    products: [
+      {
+        name: 'Shirt',
+        sku: 'SH-1',
+        status: CART_ITEM_STATUS.Shipped,
+        quantity: 2,
+        purchasePrice: 20,
+        totalPrice: 40,
+        totalTax: 4
+      }
+    ],
+    taxes: [{ name: 'Sales Tax', rate: 10, amount: 4 }],
+    discounts: [],
+    subtotal: 40,
+    shippingTotal: 5,
+    grandTotal: 49
+  };
+
+  it('should render the invoice and the packing slip', async () => {
+    const invoice = await pdf.createInvoice(order);
+    const packingSlip = await pdf.createPackingSlip(order, {
+      shipped: new Date('2024-05-02T00:00:00Z'),
+      carrier: SHIPMENT_CARRIER.UPS,
+      trackingNumber: '1Z999',
+      items: [{ item: 'shirt', name: 'Shirt', sku: 'SH-1', quantity: 2 }]
+    });
+
+    expect(invoice.slice(0, 5).toString()).toBe('%PDF-');
+    expect(packingSlip.slice(0, 5).toString()).toBe('%PDF-');
+  });
+});
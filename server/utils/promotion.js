@@ -0,0 +1,313 @@
+const Promotion = require('../models/promotion');
+const Product = require('../models/product');
+const Order = require('../models/order');
+const { asyncForEach } = require('./utils');
+const { PROMOTION_TYPE, ORDER_STATUS } = require('../constants');
+
+const round = value => parseFloat(Number(value).toFixed(2));
+
+const sumAmounts = (items, field) =>
+  items.reduce((sum, item) => sum + item[field], 0);
+
+exports.normalizeCodes = codes => {
+  const list = Array.isArray(codes) ? codes : [];
+
+  return [
+    ...new Set(
+      list
+        .filter(code => typeof code === 'string' && code.trim())
+        .map(code => code.trim().toUpperCase())
+    )
+  ];
+};
+
+exports.isCurrent = (promotion, now = new Date()) =>
+  promotion.isActive &&
+  (!promotion.startDate || promotion.startDate <= now) &&
+  (!promotion.endDate || promotion.endDate >= now);
+
+// automatic promotions plus the promotions of the given codes
+exports.loadPromotions = codes =>
+  Promotion.find({
+    isActive: true,
+    $or: [{ code: null }, { code: { $in: codes } }]
+  });
+
+// brand and categories of every product in the cart, keyed by product id
+exports.loadScopes = async items => {
+  const ids = items.map(item => item.product);
+  const products = await Product.find(
+    { _id: { $in: ids } },
+    'brand categories'
+  );
+
+  return ids.reduce((scopes, id) => {
+    const product = products.find(p => p._id.toString() === id.toString());
+
+    scopes[id.toString()] = {
+      product: id.toString(),
+      brand: product?.brand ? product.brand.toString() : null,
+      categories: (product?.categories || []).map(c => c.toString())
+    };
+
+    return scopes;
+  }, {});
+};
+
+// a promotion without products, brands or categories applies to every line
+exports.isInScope = (promotion, scope) => {
+  const products = (promotion.products || []).map(id => id.toString());
+  const brands = (promotion.brands || []).map(id => id.toString());
+  const categories = (promotion.categories || []).map(id => id.toString());
+
+  if (products.length + brands.length + categories.length === 0) {
+    return true;
+  }
+
+  if (!scope) return false;
+
+  return (
+    products.includes(scope.product) ||
+    brands.includes(scope.brand) ||
+    scope.categories.some(category => categories.includes(category))
+  );
+};
+
+// amount the promotion takes off the given lines, 0 when they do not qualify
+exports.calculateDiscount = (promotion, lines, shippingCost = 0) => {
+  const subtotal = sumAmounts(lines, 'totalPrice');
+
+  if (lines.length === 0 || subtotal < (promotion.minSubtotal || 0)) {
+    return 0;
+  }
+
+  switch (promotion.type) {
+    case PROMOTION_TYPE.Percentage:
+      return round((subtotal * Math.min(promotion.value, 100)) / 100);
+
+    case PROMOTION_TYPE.Fixed:
+      return round(Math.min(promotion.value, subtotal));
+
+    case PROMOTION_TYPE.Free_Shipping:
+      return round(shippingCost);
+
+    case PROMOTION_TYPE.Buy_X_Get_Y: {
+      const { buyQuantity, getQuantity } = promotion;
+      const group = buyQuantity + getQuantity;
+
+      if (!buyQuantity || !getQuantity) return 0;
+
+      // the cheapest units of every group of buy + get units are discounted
+      const prices = lines
+        .reduce(
+          (units, line) => [
+            ...units,
+            ...Array(line.quantity).fill(line.purchasePrice)
+          ],
+          []
+        )
+        .sort((a, b) => b - a);
+
+      let discounted = 0;
+      for (let i = 0; i + group <= prices.length; i += group) {
+        discounted += prices
+          .slice(i + buyQuantity, i + group)
+          .reduce((sum, price) => sum + price, 0);
+      }
+
+      return round((discounted * Math.min(promotion.value, 100)) / 100);
+    }
+
+    default:
+      return 0;
+  }
+};
+
+// reason the promotion can not be used anymore, null when it can. a
+// cancelled order gives the use of its promotions back
+exports.checkUsage = async (promotion, { user, email }) => {
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+    return 'has reached its usage limit.';
+  }
+
+  if (promotion.usageLimitPerUser && (user || email)) {
+    const count = await Order.countDocuments({
+      'discounts.promotion': promotion._id,
+      status: { $ne: ORDER_STATUS.Cancelled },
+      ...(user ? { user } : { 'contact.email': email })
+    });
+
+    if (count >= promotion.usageLimitPerUser) {
+      return 'has already been used.';
+    }
+  }
+
+  return null;
+};
+
+// stackable promotions combine, the others only apply on their own,
+// the option saving the customer the most wins
+exports.selectPromotions = candidates => {
+  const options = [
+    candidates.filter(c => c.promotion.isStackable),
+    ...candidates.filter(c => !c.promotion.isStackable).map(c => [c])
+  ];
+
+  return options.reduce(
+    (best, option) =>
+      sumAmounts(option, 'amount') > sumAmounts(best, 'amount') ? option : best,
+    []
+  );
+};
+
+// split a discount over its lines by their price, the last line takes
+// what the rounding left
+exports.allocateDiscount = (amount, lines) => {
+  const subtotal = sumAmounts(lines, 'totalPrice');
+  let left = amount;
+
+  return lines.map((line, index) => {
+    const share =
+      index === lines.length - 1 || subtotal <= 0
+        ? left
+        : (amount * line.totalPrice) / subtotal;
+    const applied = round(Math.min(share, left));
+
+    left = round(left - applied);
+
+    return { item: line._id, amount: applied };
+  });
+};
+
+// discounts of the cart lines for the automatic promotions and the codes,
+// along with the part of the discounts taken off each line.
+// throws when one of the codes can not be used
+exports.applyPromotions = async (
+  items,
+  { codes = [], user = null, email = '', shippingCost = 0 } = {}
+) => {
+  const lines = items.filter(item => item.status !== 'Cancelled');
+  const normalizedCodes = this.normalizeCodes(codes);
+  const now = new Date();
+
+  const promotions = (await this.loadPromotions(normalizedCodes)).filter(
+    promotion => this.isCurrent(promotion, now)
+  );
+
+  normalizedCodes.forEach(code => {
+    if (!promotions.some(promotion => promotion.code === code)) {
+      throw {
+        status: 400,
+        message: `Coupon code ${code} is invalid or has expired.`
+      };
+    }
+  });
+
+  const scopes = await this.loadScopes(lines);
+  const candidates = [];
+
+  await asyncForEach(promotions, async promotion => {
+    const reason = await this.checkUsage(promotion, { user, email });
+
+    if (reason) {
+      if (promotion.code) {
+        throw {
+          status: 400,
+          message: `Coupon code ${promotion.code} ${reason}`
+        };
+      }
+      return;
+    }
+
+    const eligible = lines.filter(line =>
+      this.isInScope(promotion, scopes[line.product.toString()])
+    );
+    const amount = this.calculateDiscount(promotion, eligible, shippingCost);
+
+    if (amount > 0) {
+      candidates.push({ promotion, amount, lines: eligible });
+    } else if (promotion.code) {
+      throw {
+        status: 400,
+        message: `Coupon code ${promotion.code} does not apply to your cart.`
+      };
+    }
+  });
+
+  // never take off more than the price of the lines and the shipping
+  let merchandise = sumAmounts(lines, 'totalPrice');
+  let shipping = shippingCost;
+  const lineDiscounts = {};
+
+  const discounts = this.selectPromotions(candidates)
+    .map(({ promotion, amount, lines: eligible }) => {
+      const isShipping = promotion.type === PROMOTION_TYPE.Free_Shipping;
+      const applied = round(
+        Math.min(amount, isShipping ? shipping : merchandise)
+      );
+
+      if (isShipping) {
+        shipping -= applied;
+      } else {
+        merchandise -= applied;
+
+        this.allocateDiscount(applied, eligible).forEach(({ item, amount }) => {
+          lineDiscounts[item] = round((lineDiscounts[item] || 0) + amount);
+        });
+      }
+
+      return {
+        promotion: promotion._id,
+        code: promotion.code,
+        name: promotion.name,
+        type: promotion.type,
+        amount: applied
+      };
+    })
+    .filter(discount => discount.amount > 0);
+
+  return {
+    discounts,
+    discountTotal: round(sumAmounts(discounts, 'amount')),
+    lineDiscounts
+  };
+};
+
+// count a use of every promotion of the order, fails without counting any
+// when one of them reached its usage limit in the meantime
+exports.redeemPromotions = async discounts => {
+  const redeemed = [];
+
+  for (const discount of discounts) {
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: discount.promotion,
+        $expr: {
+          $or: [
+            { $not: ['$usageLimit'] },
+            { $lt: ['$usageCount', '$usageLimit'] }
+          ]
+        }
+      },
+      { $inc: { usageCount: 1 } }
+    );
+
+    if (!promotion) {
+      await this.releasePromotions(redeemed);
+      return false;
+    }
+
+    redeemed.push(discount);
+  }
+
+  return true;
+};
+
+exports.releasePromotions = async discounts => {
+  if (!discounts || discounts.length === 0) return;
+
+  await Promotion.updateMany(
+    { _id: { $in: discounts.map(discount => discount.promotion) } },
+    { $inc: { usageCount: -1 } }
+  );
+};
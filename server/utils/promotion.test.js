@@ -0,0 +1,209 @@
+const Mongoose = require('mongoose');
+
+const Promotion = require('../models/promotion');
+const Product = require('../models/product');
+const Order = require('../models/order');
+const promotions = require('./promotion');
+const { ORDER_STATUS } = require('../constants');
+
+describe('Promotions', () => {
+  const shoes = new Mongoose.Types.ObjectId();
+  const socks = new Mongoose.Types.ObjectId();
+  const brand = new Mongoose.Types.ObjectId();
+  const category = new Mongoose.Types.ObjectId();
+
+  const lines = [
+    {
+      _id: 'shoes-line',
+      product: shoes,
+      quantity: 1,
+      purchasePrice: 60,
+      totalPrice: 60
+    },
+    {
+      _id: 'socks-line',
+      product: socks,
+      quantity: 3,
+      purchasePrice: 5,
+      totalPrice: 15
+    }
+  ];
+
+  const promotion = fields => ({
+    _id: new Mongoose.Types.ObjectId(),
+    name: 'Promotion',
+    code: null,
+    value: 0,
+    minSubtotal: 0,
+    products: [],
+    brands: [],
+    categories: [],
+    usageCount: 0,
+    isStackable: false,
+    isActive: true,
+    ...fields
+  });
+
+  const mockStore = (promotionDocs, orderCount = 0) => {
+    jest.spyOn(Promotion, 'find').mockResolvedValue(promotionDocs);
+    jest.spyOn(Product, 'find').mockResolvedValue([
+      { _id: shoes, brand, categories: [category] },
+      { _id: socks, brand: null, categories: [] }
+    ]);
+    jest.spyOn(Order, 'countDocuments').mockResolvedValue(orderCount);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should calculate every promotion type', () => {
+    expect(
+      promotions.calculateDiscount(
+        promotion({ type: 'Percentage', value: 10 }),
+        lines
+      )
+    ).toBe(7.5);
+    expect(
+      promotions.calculateDiscount(
+        promotion({ type: 'Fixed', value: 100 }),
+        lines
+      )
+    ).toBe(75);
+    expect(
+      promotions.calculateDiscount(
+        promotion({ type: 'Free Shipping' }),
+        lines,
+        8
+      )
+    ).toBe(8);
+    // buy 2 get 1: shoes + sock pay, the cheapest sock of the group is free
+    expect(
+      promotions.calculateDiscount(
+        promotion({
+          type: 'Buy X Get Y',
+          value: 100,
+          buyQuantity: 2,
+          getQuantity: 1
+        }),
+        lines
+      )
+    ).toBe(5);
+    expect(
+      promotions.calculateDiscount(
+        promotion({ type: 'Fixed', value: 10, minSubtotal: 100 }),
+        lines
+      )
+    ).toBe(0);
+  });
+
+  it('should only discount the lines in the promotion scope', async () => {
+    mockStore([promotion({ type: 'Percentage', value: 50, brands: [brand] })]);
+
+    const { discounts, discountTotal } = await promotions.applyPromotions(
+      lines
+    );
+
+    expect(discounts).toHaveLength(1);
+    expect(discountTotal).toBe(30);
+  });
+
+  it('should take the discounts off the lines they apply to', async () => {
+    mockStore([
+      promotion({ type: 'Fixed', value: 10, isStackable: true }),
+      promotion({
+        type: 'Percentage',
+        value: 50,
+        brands: [brand],
+        isStackable: true
+      })
+    ]);
+
+    const { lineDiscounts } = await promotions.applyPromotions(lines);
+
+    expect(lineDiscounts).toEqual({ 'shoes-line': 38, 'socks-line': 2 });
+  });
+
+  it('should scope promotions by the categories of the products', async () => {
+    mockStore([
+      promotion({ type: 'Percentage', value: 10, categories: [category] })
+    ]);
+
+    const { discountTotal } = await promotions.applyPromotions(lines);
+
+    expect(discountTotal).toBe(6);
+  });
+
+  it('should stack stackable promotions and keep the best option', async () => {
+    mockStore([
+      promotion({ type: 'Fixed', value: 5, isStackable: true }),
+      promotion({ type: 'Free Shipping', isStackable: true }),
+      promotion({ type: 'Percentage', value: 10 })
+    ]);
+
+    const { discounts, discountTotal } = await promotions.applyPromotions(
+      lines,
+      { shippingCost: 4 }
+    );
+
+    expect(discounts.map(d => d.type)).toEqual(['Fixed', 'Free Shipping']);
+    expect(discountTotal).toBe(9);
+  });
+
+  it('should reject unknown, used up and non applicable codes', async () => {
+    mockStore([]);
+    await expect(
+      promotions.applyPromotions(lines, { codes: ['nope'] })
+    ).rejects.toMatchObject({
+      message: 'Coupon code NOPE is invalid or has expired.'
+    });
+
+    jest.restoreAllMocks();
+    mockStore(
+      [
+        promotion({
+          code: 'ONCE',
+          type: 'Fixed',
+          value: 5,
+          usageLimitPerUser: 1
+        })
+      ],
+      1
+    );
+    await expect(
+      promotions.applyPromotions(lines, {
+        codes: ['once'],
+        user: new Mongoose.Types.ObjectId()
+      })
+    ).rejects.toMatchObject({
+      message: 'Coupon code ONCE has already been used.'
+    });
+    expect(Order.countDocuments).toHaveBeenCalledWith(
+      expect.objectContaining({ status: { $ne: ORDER_STATUS.Cancelled } })
+    );
+
+    jest.restoreAllMocks();
+    mockStore([
+      promotion({ code: 'BIG', type: 'Fixed', value: 5, minSubtotal: 500 })
+    ]);
+    await expect(
+      promotions.applyPromotions(lines, { codes: ['BIG'] })
+    ).rejects.toMatchObject({
+      message: 'Coupon code BIG does not apply to your cart.'
+    });
+  });
+
+  it('should skip expired automatic promotions', async () => {
+    mockStore([
+      promotion({
+        type: 'Fixed',
+        value: 5,
+        endDate: new Date(Date.now() - 1000)
+      })
+    ]);
+
+    const { discounts } = await promotions.applyPromotions(lines);
+
+    expect(discounts).toHaveLength(0);
+  });
+});
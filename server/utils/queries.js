@@ -5,18 +5,56 @@ exports.getStoreProductsQuery = (min, max, rating) => {
   max = Number(max);
   min = Number(min);
 
-  const priceFilter = min && max ? { price: { $gte: min, $lte: max } } : {};
+  // a product matches when one of its variant prices falls in the range
+  const priceFilter =
+    min && max ? { minPrice: { $lte: max }, maxPrice: { $gte: min } } : {};
   const ratingFilter = rating
     ? { rating: { $gte: rating } }
     : { rating: { $gte: rating } };
 
   const matchQuery = {
     isActive: true,
-    price: priceFilter.price,
+    minPrice: priceFilter.minPrice,
+    maxPrice: priceFilter.maxPrice,
     averageRating: ratingFilter.rating
   };
 
   const basicQuery = [
+    {
+      $addFields: {
+        variantPrices: {
+          $map: {
+            input: {
+              $filter: {
+                input: { $ifNull: ['$variants', []] },
+                as: 'variant',
+                cond: '$$variant.isActive'
+              }
+            },
+            as: 'variant',
+            in: { $ifNull: ['$$variant.price', '$price'] }
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        minPrice: {
+          $cond: [
+            { $gt: [{ $size: '$variantPrices' }, 0] },
+            { $min: '$variantPrices' },
+            '$price'
+          ]
+        },
+        maxPrice: {
+          $cond: [
+            { $gt: [{ $size: '$variantPrices' }, 0] },
+            { $max: '$variantPrices' },
+            '$price'
+          ]
+        }
+      }
+    },
     {
       $lookup: {
         from: 'brands',
@@ -74,7 +112,9 @@ exports.getStoreProductsQuery = (min, max, rating) => {
     {
       $project: {
         brands: 0,
-        reviews: 0
+        reviews: 0,
+        variantPrices: 0,
+        searchTokens: 0
       }
     }
   ];
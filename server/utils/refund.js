@@ -0,0 +1,293 @@
+const Refund = require('../models/refund');
+const Payment = require('../models/payment');
+const payments = require('../services/payment');
+const store = require('./store');
+const orders = require('./order');
+const {
+  PAYMENT_STATUS,
+  PROMOTION_TYPE,
+  REFUND_SOURCE
+} = require('../constants');
+
+const round = amount => parseFloat(Number(amount).toFixed(2));
+
+const sumAmounts = (list, field) =>
+  round(list.reduce((sum, entry) => sum + (entry[field] || 0), 0));
+
+const isFreeShipping = discount =>
+  discount.type === PROMOTION_TYPE.Free_Shipping;
+
+const isRefundable = payment =>
+  !!payment &&
+  [PAYMENT_STATUS.Captured, PAYMENT_STATUS.Partially_Refunded].includes(
+    payment.status
+  );
+
+// orders placed since the discounts are kept by line know what each line paid
+const hasLineDiscounts = order =>
+  order.products.some(item => typeof item.discount === 'number');
+
+// the part of the price of the items the customer paid on the orders without
+// line discounts. the discounts on the items are taken off every line of the
+// order by its price, cancelled lines included
+exports.getItemsShare = order => {
+  const itemsTotal = order.products.reduce(
+    (sum, item) => sum + store.caculateLineTotal(item),
+    0
+  );
+  const itemsDiscount = sumAmounts(
+    (order.discounts || []).filter(discount => !isFreeShipping(discount)),
+    'amount'
+  );
+
+  return itemsTotal > 0 ? Math.max(1 - itemsDiscount / itemsTotal, 0) : 0;
+};
+
+// what the customer paid for a quantity of an order line and the tax in it
+exports.getLineRefund = (order, item, quantity) => {
+  if (!item.quantity) return { amount: 0, tax: 0 };
+
+  // the tax of a line with a discount is already on its discounted price
+  if (hasLineDiscounts(order)) {
+    const share = quantity / item.quantity;
+    const paid = Math.max(
+      store.caculateLineTotal(item) - (item.discount || 0),
+      0
+    );
+
+    return {
+      amount: round(paid * share),
+      tax: round((item.totalTax || 0) * share)
+    };
+  }
+
+  const share = (this.getItemsShare(order) * quantity) / item.quantity;
+
+  return {
+    amount: round(store.caculateLineTotal(item) * share),
+    tax: round((item.totalTax || 0) * share)
+  };
+};
+
+// the shipping the customer paid, free shipping promotions took off the rest
+exports.getShippingPaid = order =>
+  round(
+    Math.max(
+      (order.shippingTotal || 0) -
+        sumAmounts((order.discounts || []).filter(isFreeShipping), 'amount'),
+      0
+    )
+  );
+
+// what was paid on the order, what went back and what is left, line by line.
+// the ledger is reconciled when its refunds add up to what the payment
+// refunded
+exports.getLedger = (order, payment, refunds) => {
+  const refunded = sumAmounts(refunds, 'amount');
+  const refundedLines = refunds.flatMap(refund => refund.items);
+
+  const items = order.products.map(item => {
+    const lines = refundedLines.filter(
+      line => `${line.item}` === `${item._id}`
+    );
+    const refundedQuantity = lines.reduce(
+      (sum, line) => sum + line.quantity,
+      0
+    );
+    const { amount, tax } = this.getLineRefund(order, item, item.quantity);
+
+    return {
+      item: item._id,
+      name: item.name,
+      status: item.status,
+      quantity: item.quantity,
+      paid: amount,
+      tax,
+      refunded: sumAmounts(lines, 'amount'),
+      refundedQuantity,
+      refundableQuantity: Math.max(item.quantity - refundedQuantity, 0)
+    };
+  });
+
+  const shippingPaid = this.getShippingPaid(order);
+  const shippingRefunded = sumAmounts(refunds, 'shipping');
+
+  return {
+    paid: payment ? payment.amountCaptured : 0,
+    refunded,
+    refundable: isRefundable(payment)
+      ? round(payment.amountCaptured - payment.amountRefunded)
+      : 0,
+    items,
+    shipping: {
+      paid: shippingPaid,
+      refunded: shippingRefunded,
+      refundable: round(Math.max(shippingPaid - shippingRefunded, 0))
+    },
+    tax: {
+      paid: sumAmounts(items, 'tax'),
+      refunded: sumAmounts(refunds, 'tax')
+    },
+    isReconciled: round(payment ? payment.amountRefunded : 0) === refunded
+  };
+};
+
+// the refunded lines from the items and quantities picked, throws when a
+// line has less left to refund
+exports.getRefundLines = (order, ledger, items) => {
+  const picked = new Set();
+
+  return items.map(({ item, quantity }) => {
+    const line = ledger.items.find(entry => `${entry.item}` === `${item}`);
+    const count = Number(quantity);
+
+    if (!line) {
+      throw { status: 400, message: 'Item cannot be found in the order.' };
+    }
+
+    if (picked.has(`${line.item}`)) {
+      throw { status: 400, message: `${line.name} is listed twice.` };
+    }
+    picked.add(`${line.item}`);
+
+    if (!Number.isInteger(count) || count < 1) {
+      throw {
+        status: 400,
+        message: `Quantity of ${line.name} must be a whole number.`
+      };
+    }
+
+    if (count > line.refundableQuantity) {
+      throw {
+        status: 400,
+        message: `You can refund up to ${line.refundableQuantity} of ${line.name}.`
+      };
+    }
+
+    const orderItem = order.products.find(
+      product => `${product._id}` === `${line.item}`
+    );
+
+    return {
+      item: line.item,
+      name: line.name,
+      quantity: count,
+      ...this.getLineRefund(order, orderItem, count)
+    };
+  });
+};
+
+// refund lines, shipping and an adjustment through the payment of the order
+// and record it in the ledger. a full refund gives back everything left. the
+// amount never goes past what is left of the payment
+exports.createRefund = async (order, options = {}, user = null) => {
+  const {
+    full = false,
+    shipping = false,
+    adjustment = 0,
+    source = REFUND_SOURCE.Manual,
+    returnDoc = null,
+    note = ''
+  } = options;
+  const payment = await Payment.findOne({ _id: order.payment });
+
+  if (!isRefundable(payment)) {
+    throw { status: 400, message: 'The order has no payment to refund.' };
+  }
+
+  const refunds = await Refund.find({ order: order._id });
+  const ledger = this.getLedger(order, payment, refunds);
+  const items = full
+    ? ledger.items
+        .filter(line => line.refundableQuantity > 0)
+        .map(line => ({ item: line.item, quantity: line.refundableQuantity }))
+    : options.items || [];
+  const lines = this.getRefundLines(order, ledger, items);
+  const linesTotal = sumAmounts(lines, 'amount');
+  const shippingAmount = full || shipping ? ledger.shipping.refundable : 0;
+  const extra = full
+    ? round(ledger.refundable - linesTotal - shippingAmount)
+    : round(Number(adjustment) || 0);
+
+  if (extra < 0 && !full) {
+    throw { status: 400, message: 'Adjustment cannot be negative.' };
+  }
+
+  const amount = round(
+    Math.min(linesTotal + shippingAmount + extra, ledger.refundable)
+  );
+
+  if (amount <= 0) {
+    throw {
+      status: 400,
+      message:
+        ledger.refundable > 0
+          ? 'Please choose what to refund.'
+          : 'Nothing is left to refund on this order.'
+    };
+  }
+
+  const result = await payments.refund(payment, amount);
+  const { actor, actorName, actorRole } = orders.createStatusEntry(null, user);
+
+  const refund = new Refund({
+    order: order._id,
+    payment: payment._id,
+    return: returnDoc ? returnDoc._id : null,
+    source,
+    items: lines,
+    shipping: shippingAmount,
+    adjustment: round(amount - linesTotal - shippingAmount),
+    tax: sumAmounts(lines, 'tax'),
+    amount,
+    transactionId: result.refundId,
+    note,
+    actor,
+    actorName,
+    actorRole
+  });
+
+  return await refund.save();
+};
+
+// refund what is left of the lines, nothing happens when the payment was
+// not captured or the lines are refunded already
+exports.refundItems = async (order, itemIds, options = {}, user = null) => {
+  const payment = await Payment.findOne({ _id: order.payment });
+
+  if (!isRefundable(payment)) return null;
+
+  const refunds = await Refund.find({ order: order._id });
+  const items = this.getLedger(order, payment, refunds)
+    .items.filter(
+      line =>
+        line.refundableQuantity > 0 &&
+        itemIds.some(id => `${id}` === `${line.item}`)
+    )
+    .map(line => ({ item: line.item, quantity: line.refundableQuantity }));
+
+  return items.length > 0
+    ? await this.createRefund(order, { ...options, items }, user)
+    : null;
+};
+
+// give back the money of the order, an authorization is voided and what is
+// left of a captured payment refunded
+exports.releaseOrder = async (order, options = {}, user = null) => {
+  const payment = await Payment.findOne({ _id: order.payment });
+
+  if (!payment) return null;
+
+  if (payment.status === PAYMENT_STATUS.Authorized) {
+    return await payments.void(payment);
+  }
+
+  if (
+    isRefundable(payment) &&
+    round(payment.amountCaptured - payment.amountRefunded) > 0
+  ) {
+    return await this.createRefund(order, { ...options, full: true }, user);
+  }
+
+  return null;
+};
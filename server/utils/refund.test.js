@@ -0,0 +1,179 @@
+const Mongoose = require('mongoose');
+
+const refunds = require('./refund');
+const Refund = require('../models/refund');
+const Payment = require('../models/payment');
+const payments = require('../services/payment');
+const {
+  CART_ITEM_STATUS,
+  PAYMENT_STATUS,
+  PROMOTION_TYPE,
+  REFUND_SOURCE
+} = require('../constants');
+
+describe('Refunds', () => {
+  const shirt = new Mongoose.Types.ObjectId();
+  const hat = new Mongoose.Types.ObjectId();
+
+  // 44 for the shirts with their tax, 20 for the hat and 5 of shipping,
+  // 6.4 off the items and the shipping free
+  const order = {
+    _id: new Mongoose.Types.ObjectId(),
+    payment: new Mongoose.Types.ObjectId(),
+    shippingTotal: 5,
+    discounts: [
+      { type: PROMOTION_TYPE.Fixed, amount: 6.4 },
+      { type: PROMOTION_TYPE.Free_Shipping, amount: 5 }
+    ],
+    products: [
+      {
+        _id: shirt,
+        name: 'Shirt',
+        status: CART_ITEM_STATUS.Delivered,
+        quantity: 2,
+        totalPrice: 40,
+        totalTax: 4
+      },
+      {
+        _id: hat,
+        name: 'Hat',
+        status: CART_ITEM_STATUS.Cancelled,
+        quantity: 1,
+        totalPrice: 20,
+        totalTax: 0
+      }
+    ]
+  };
+
+  const createPayment = (amountRefunded = 0) => ({
+    _id: order.payment,
+    status: amountRefunded
+      ? PAYMENT_STATUS.Partially_Refunded
+      : PAYMENT_STATUS.Captured,
+    amountCaptured: 57.6,
+    amountRefunded
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refund what each line paid after its own discount', () => {
+    const lineA = new Mongoose.Types.ObjectId();
+    const lineB = new Mongoose.Types.ObjectId();
+    // a 50% coupon scoped to the first line
+    const scoped = {
+      ...order,
+      discounts: [{ type: PROMOTION_TYPE.Percentage, amount: 50 }],
+      products: [
+        { _id: lineA, quantity: 2, totalPrice: 100, totalTax: 0, discount: 50 },
+        { _id: lineB, quantity: 1, totalPrice: 100, totalTax: 0, discount: 0 }
+      ]
+    };
+
+    expect(refunds.getLineRefund(scoped, scoped.products[0], 2)).toEqual({
+      amount: 50,
+      tax: 0
+    });
+    expect(refunds.getLineRefund(scoped, scoped.products[0], 1).amount).toBe(
+      25
+    );
+    expect(refunds.getLineRefund(scoped, scoped.products[1], 1)).toEqual({
+      amount: 100,
+      tax: 0
+    });
+  });
+
+  it('should refund the part of a line paid after the discounts', () => {
+    expect(refunds.getLineRefund(order, order.products[0], 1)).toEqual({
+      amount: 19.8,
+      tax: 1.8
+    });
+    expect(refunds.getShippingPaid(order)).toBe(0);
+    expect(
+      refunds.getShippingPaid({
+        ...order,
+        discounts: order.discounts.slice(0, 1)
+      })
+    ).toBe(5);
+  });
+
+  it('should keep what every line has left to refund', () => {
+    const ledger = refunds.getLedger(order, createPayment(18), [
+      {
+        amount: 18,
+        tax: 0,
+        shipping: 0,
+        items: [{ item: hat, quantity: 1, amount: 18, tax: 0 }]
+      }
+    ]);
+
+    expect(ledger).toEqual(
+      expect.objectContaining({
+        paid: 57.6,
+        refunded: 18,
+        refundable: 39.6,
+        isReconciled: true
+      })
+    );
+    expect(ledger.items.map(line => line.refundableQuantity)).toEqual([2, 0]);
+    expect(ledger.tax).toEqual({ paid: 3.6, refunded: 0 });
+  });
+
+  it('should refuse lines that have less left to refund', () => {
+    const ledger = refunds.getLedger(order, createPayment(), []);
+
+    expect(
+      refunds.getRefundLines(order, ledger, [{ item: shirt, quantity: 2 }])
+    ).toEqual([
+      { item: shirt, name: 'Shirt', quantity: 2, amount: 39.6, tax: 3.6 }
+    ]);
+    expect(() =>
+      refunds.getRefundLines(order, ledger, [{ item: shirt, quantity: 3 }])
+    ).toThrow();
+    expect(() =>
+      refunds.getRefundLines(order, ledger, [
+        { item: hat, quantity: 1 },
+        { item: hat, quantity: 1 }
+      ])
+    ).toThrow();
+  });
+
+  it('should refund everything left and record it in the ledger', async () => {
+    const payment = createPayment(18);
+
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(Refund, 'find').mockResolvedValue([
+      {
+        amount: 18,
+        items: [{ item: hat, quantity: 1, amount: 18, tax: 0 }]
+      }
+    ]);
+    jest
+      .spyOn(payments, 'refund')
+      .mockResolvedValue({ refundId: 'mock_refund_1' });
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    const refund = await refunds.createRefund(order, {
+      full: true,
+      source: REFUND_SOURCE.Cancellation
+    });
+
+    expect(payments.refund).toHaveBeenCalledWith(payment, 39.6);
+    expect(refund).toEqual(
+      expect.objectContaining({
+        amount: 39.6,
+        shipping: 0,
+        adjustment: 0,
+        tax: 3.6,
+        source: REFUND_SOURCE.Cancellation,
+        transactionId: 'mock_refund_1',
+        actorRole: 'System'
+      })
+    );
+    expect(refund.items).toHaveLength(1);
+    expect(refund.items[0].quantity).toBe(2);
+  });
+});
@@ -0,0 +1,306 @@
+const Return = require('../models/return');
+const keys = require('../config/keys');
+const inventory = require('./inventory');
+const orders = require('./order');
+const refunds = require('./refund');
+const {
+  ROLES,
+  RETURN_STATUS,
+  RETURN_REASON,
+  CART_ITEM_STATUS,
+  ORDER_STATUS,
+  REFUND_SOURCE
+} = require('../constants');
+
+const { windowDays } = keys.returns;
+
+// the statuses a return can go to from each status and the roles allowed to
+// take it there. members only move the returns of their own orders and
+// merchants the returns made of items of their brand
+exports.RETURN_TRANSITIONS = {
+  [RETURN_STATUS.Requested]: {
+    [RETURN_STATUS.Approved]: [ROLES.Admin, ROLES.Merchant],
+    [RETURN_STATUS.Rejected]: [ROLES.Admin, ROLES.Merchant],
+    [RETURN_STATUS.Cancelled]: [ROLES.Admin, ROLES.Member]
+  },
+  [RETURN_STATUS.Approved]: {
+    [RETURN_STATUS.Received]: [ROLES.Admin, ROLES.Merchant],
+    [RETURN_STATUS.Cancelled]: [ROLES.Admin, ROLES.Member]
+  },
+  [RETURN_STATUS.Received]: {
+    [RETURN_STATUS.Inspected]: [ROLES.Admin, ROLES.Merchant],
+    [RETURN_STATUS.Rejected]: [ROLES.Admin, ROLES.Merchant]
+  },
+  [RETURN_STATUS.Inspected]: {
+    [RETURN_STATUS.Refunded]: [ROLES.Admin, ROLES.Merchant]
+  },
+  [RETURN_STATUS.Rejected]: {},
+  [RETURN_STATUS.Refunded]: {},
+  [RETURN_STATUS.Cancelled]: {}
+};
+
+// returns that do not hold on to their items, the items can be asked for again
+const CLOSED_STATUSES = [RETURN_STATUS.Rejected, RETURN_STATUS.Cancelled];
+
+const round = amount => parseFloat(Number(amount).toFixed(2));
+
+exports.canTransition = (from, to, role) =>
+  (this.RETURN_TRANSITIONS[from]?.[to] || []).includes(role);
+
+exports.getAllowedStatuses = (returnDoc, role) =>
+  Object.keys(this.RETURN_TRANSITIONS[returnDoc.status] || {}).filter(status =>
+    this.canTransition(returnDoc.status, status, role)
+  );
+
+// when the item got to the customer, orders delivered before items kept
+// their own date fall back to the order history
+exports.getDeliveredDate = (order, item) => {
+  if (item.delivered) return new Date(item.delivered);
+
+  const entry = (order.statusHistory || []).find(
+    entry => entry.status === ORDER_STATUS.Delivered
+  );
+
+  return entry ? new Date(entry.created) : null;
+};
+
+// the last day the item can be returned, null until it is delivered
+exports.getReturnDeadline = (order, item) => {
+  const delivered = this.getDeliveredDate(order, item);
+
+  return delivered
+    ? new Date(delivered.getTime() + windowDays * 24 * 60 * 60 * 1000)
+    : null;
+};
+
+// the quantity of each delivered item that can still be returned, items out
+// of the return window or already returned in full are left out
+exports.getReturnableQuantities = (order, returns, now = Date.now()) => {
+  const lines = returns
+    .filter(returnDoc => !CLOSED_STATUSES.includes(returnDoc.status))
+    .flatMap(returnDoc => returnDoc.items);
+
+  return order.products.reduce((quantities, item) => {
+    const deadline = this.getReturnDeadline(order, item);
+
+    if (item.status !== CART_ITEM_STATUS.Delivered || !deadline) {
+      return quantities;
+    }
+
+    if (deadline.getTime() < now) return quantities;
+
+    const returned = lines
+      .filter(line => `${line.item}` === `${item._id}`)
+      .reduce((sum, line) => sum + line.quantity, 0);
+
+    if (item.quantity - returned > 0) {
+      quantities[item._id] = item.quantity - returned;
+    }
+
+    return quantities;
+  }, {});
+};
+
+// the lines of a new return from the items and quantities the customer
+// picked, throws when one of them can not be returned
+exports.createReturnItems = (order, returns, lines, now = Date.now()) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw { status: 400, message: 'Please choose the items to return.' };
+  }
+
+  const returnable = this.getReturnableQuantities(order, returns, now);
+  const reasons = Object.values(RETURN_REASON);
+  const picked = new Set();
+
+  return lines.map(line => {
+    const item = order.products.find(
+      product => `${product._id}` === `${line.item}`
+    );
+    const quantity = Number(line.quantity);
+
+    if (!item) {
+      throw { status: 400, message: 'Item cannot be found in the order.' };
+    }
+
+    if (picked.has(`${item._id}`)) {
+      throw { status: 400, message: `${item.name} is listed twice.` };
+    }
+    picked.add(`${item._id}`);
+
+    if (!returnable[item._id]) {
+      throw { status: 400, message: `${item.name} cannot be returned.` };
+    }
+
+    if (
+      !Number.isInteger(quantity) ||
+      quantity < 1 ||
+      quantity > returnable[item._id]
+    ) {
+      throw {
+        status: 400,
+        message: `You can return up to ${returnable[item._id]} of ${item.name}.`
+      };
+    }
+
+    if (!reasons.includes(line.reason)) {
+      throw {
+        status: 400,
+        message: `Please choose why you return ${item.name}.`
+      };
+    }
+
+    return {
+      item: item._id,
+      product: item.product,
+      variant: item.variant || null,
+      name: item.name,
+      variantName: item.variantName,
+      sku: item.sku,
+      imageUrl: item.imageUrl,
+      brand: item.brand,
+      quantity,
+      reason: line.reason
+    };
+  });
+};
+
+exports.createReturn = async (order, returns, user, lines, comment = '') => {
+  const items = this.createReturnItems(order, returns, lines);
+
+  const returnDoc = new Return({
+    order: order._id,
+    user: user._id,
+    items,
+    comment,
+    statusHistory: [
+      orders.createStatusEntry(RETURN_STATUS.Requested, user, comment)
+    ]
+  });
+
+  return await returnDoc.save();
+};
+
+// move the return to the status, throws when the role can not take it there.
+// the return is not saved
+exports.setStatus = (returnDoc, status, user, note = '') => {
+  if (!this.canTransition(returnDoc.status, status, user.role)) {
+    throw {
+      status: 400,
+      message: `Return cannot go from ${returnDoc.status} to ${status}.`
+    };
+  }
+
+  returnDoc.status = status;
+  returnDoc.statusHistory.push(orders.createStatusEntry(status, user, note));
+  returnDoc.updated = Date.now();
+
+  return returnDoc;
+};
+
+exports.changeStatus = async (returnDoc, status, user, note = '') => {
+  this.setStatus(returnDoc, status, user, note);
+
+  return await returnDoc.save();
+};
+
+// record what passed inspection and what it refunds, accepted items are put
+// back on the shelf when asked to. a return with nothing accepted is
+// rejected. the return is saved, only the request that moves it out of its
+// status restocks it
+exports.inspectReturn = async (returnDoc, order, lines, user, note = '') => {
+  const { status } = returnDoc;
+  const inspected = returnDoc.items.map(line => {
+    const found =
+      (lines || []).find(({ item }) => `${item}` === `${line.item}`) || {};
+    const acceptedQuantity = Number(found.acceptedQuantity || 0);
+
+    if (
+      !Number.isInteger(acceptedQuantity) ||
+      acceptedQuantity < 0 ||
+      acceptedQuantity > line.quantity
+    ) {
+      throw {
+        status: 400,
+        message: `Accepted quantity of ${line.name} must be between 0 and ${line.quantity}.`
+      };
+    }
+
+    return { line, acceptedQuantity, restock: !!found.restock };
+  });
+
+  const isAccepted = inspected.some(({ acceptedQuantity }) => acceptedQuantity);
+
+  this.setStatus(
+    returnDoc,
+    isAccepted ? RETURN_STATUS.Inspected : RETURN_STATUS.Rejected,
+    user,
+    note || (isAccepted ? '' : 'No item passed inspection.')
+  );
+
+  inspected.forEach(({ line, acceptedQuantity, restock }) => {
+    const item = order.products.find(
+      product => `${product._id}` === `${line.item}`
+    );
+
+    line.acceptedQuantity = acceptedQuantity;
+    line.restocked = restock && acceptedQuantity > 0;
+    line.refundAmount = item
+      ? refunds.getLineRefund(order, item, acceptedQuantity).amount
+      : 0;
+  });
+
+  returnDoc.refundAmount = round(
+    returnDoc.items.reduce((sum, line) => sum + line.refundAmount, 0)
+  );
+
+  const claimed = await Return.findOneAndUpdate(
+    { _id: returnDoc._id, status },
+    {
+      status: returnDoc.status,
+      statusHistory: returnDoc.statusHistory,
+      items: returnDoc.items,
+      refundAmount: returnDoc.refundAmount,
+      updated: returnDoc.updated
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw { status: 400, message: 'This return has already been inspected.' };
+  }
+
+  await inventory.restockItems(
+    returnDoc.items
+      .filter(line => line.restocked)
+      .map(line => ({
+        product: line.product,
+        variant: line.variant,
+        quantity: line.acceptedQuantity
+      }))
+  );
+
+  return claimed;
+};
+
+// refund what passed inspection through the payment of the order, the
+// refund goes into the ledger of the order. the return is saved
+exports.refundReturn = async (returnDoc, order, user, note = '') => {
+  this.setStatus(returnDoc, RETURN_STATUS.Refunded, user, note);
+
+  const refund = await refunds.createRefund(
+    order,
+    {
+      items: returnDoc.items
+        .filter(line => line.acceptedQuantity > 0)
+        .map(line => ({ item: line.item, quantity: line.acceptedQuantity })),
+      source: REFUND_SOURCE.Return,
+      returnDoc,
+      note
+    },
+    user
+  );
+
+  returnDoc.refundAmount = refund.amount;
+
+  return await returnDoc.save();
+};
@@ -0,0 +1,163 @@
+const Return = require('../models/return');
+const inventory = require('./inventory');
+const returns = require('./return');
+const {
+  ROLES,
+  RETURN_STATUS,
+  RETURN_REASON,
+  CART_ITEM_STATUS
+} = require('../constants');
+
+describe('Returns', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const now = new Date('2024-05-31T00:00:00Z').getTime();
+
+  const createOrder = () => ({
+    statusHistory: [],
+    products: [
+      {
+        _id: 'shirt',
+        name: 'Shirt',
+        status: CART_ITEM_STATUS.Delivered,
+        delivered: now - 10 * day,
+        quantity: 2,
+        totalPrice: 40,
+        totalTax: 4
+      },
+      {
+        _id: 'hat',
+        name: 'Hat',
+        status: CART_ITEM_STATUS.Delivered,
+        delivered: now - 40 * day,
+        quantity: 1,
+        totalPrice: 20,
+        totalTax: 0
+      },
+      {
+        _id: 'socks',
+        name: 'Socks',
+        status: CART_ITEM_STATUS.Shipped,
+        quantity: 1,
+        totalPrice: 5,
+        totalTax: 0
+      }
+    ]
+  });
+
+  it('should let staff take a return through and customers cancel it', () => {
+    const requested = { status: RETURN_STATUS.Requested };
+
+    expect(returns.getAllowedStatuses(requested, ROLES.Merchant)).toEqual([
+      RETURN_STATUS.Approved,
+      RETURN_STATUS.Rejected
+    ]);
+    expect(returns.getAllowedStatuses(requested, ROLES.Member)).toEqual([
+      RETURN_STATUS.Cancelled
+    ]);
+    expect(
+      returns.getAllowedStatuses(
+        { status: RETURN_STATUS.Received },
+        ROLES.Member
+      )
+    ).toEqual([]);
+  });
+
+  it('should only return delivered items inside the return window', () => {
+    const order = createOrder();
+    const list = [
+      {
+        status: RETURN_STATUS.Approved,
+        items: [{ item: 'shirt', quantity: 1 }]
+      },
+      {
+        status: RETURN_STATUS.Rejected,
+        items: [{ item: 'shirt', quantity: 1 }]
+      }
+    ];
+
+    expect(returns.getReturnableQuantities(order, [], now)).toEqual({
+      shirt: 2
+    });
+    expect(returns.getReturnableQuantities(order, list, now)).toEqual({
+      shirt: 1
+    });
+  });
+
+  it('should refuse lines that can not be returned', () => {
+    const order = createOrder();
+    const line = { item: 'shirt', quantity: 1, reason: RETURN_REASON.Damaged };
+
+    expect(returns.createReturnItems(order, [], [line], now)).toEqual([
+      expect.objectContaining({ item: 'shirt', name: 'Shirt', quantity: 1 })
+    ]);
+    expect(() => returns.createReturnItems(order, [], [], now)).toThrow();
+    expect(() =>
+      returns.createReturnItems(order, [], [{ ...line, item: 'hat' }], now)
+    ).toThrow();
+    expect(() =>
+      returns.createReturnItems(order, [], [{ ...line, quantity: 3 }], now)
+    ).toThrow();
+    expect(() =>
+      returns.createReturnItems(order, [], [{ ...line, reason: 'Bored' }], now)
+    ).toThrow();
+    expect(() =>
+      returns.createReturnItems(order, [], [line, line], now)
+    ).toThrow();
+  });
+
+  describe('inspection', () => {
+    const admin = { _id: 'admin', role: ROLES.Admin };
+    const order = createOrder();
+    const shirt = new Return().id;
+    order.products[0]._id = shirt;
+
+    const createReturn = () =>
+      new Return({
+        status: RETURN_STATUS.Received,
+        items: [{ item: shirt, name: 'Shirt', quantity: 1, product: null }]
+      });
+
+    const inspect = returnDoc =>
+      returns.inspectReturn(
+        returnDoc,
+        order,
+        [{ item: shirt, acceptedQuantity: 1, restock: true }],
+        admin
+      );
+
+    beforeEach(() => {
+      jest.spyOn(inventory, 'restockItems').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should claim the return before restocking it', async () => {
+      const returnDoc = createReturn();
+      jest
+        .spyOn(Return, 'findOneAndUpdate')
+        .mockImplementation(async () => returnDoc);
+
+      await inspect(returnDoc);
+
+      expect(Return.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: returnDoc._id, status: RETURN_STATUS.Received },
+        expect.objectContaining({ status: RETURN_STATUS.Inspected }),
+        { new: true }
+      );
+      expect(inventory.restockItems).toHaveBeenCalledWith(
+        expect.arrayContaining([expect.objectContaining({ quantity: 1 })])
+      );
+    });
+
+    it('should not restock a return inspected by another request', async () => {
+      jest.spyOn(Return, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(inspect(createReturn())).rejects.toMatchObject({
+        status: 400
+      });
+      expect(inventory.restockItems).not.toHaveBeenCalled();
+    });
+  });
+});
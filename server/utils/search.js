@@ -0,0 +1,346 @@
+const Product = require('../models/product');
+
+// mongo text indexes only match whole stemmed words, so every product keeps
+// the words it can be found by in its search tokens and the prefix and typo
+// matching plus the ranking happen here
+const FIELD_WEIGHTS = {
+  name: 10,
+  sku: 8,
+  brand: 5,
+  category: 4,
+  description: 1
+};
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.5
+};
+
+// only the most relevant products are kept for a single query
+const MAX_RESULTS = 1000;
+
+// the vocabulary is reloaded at most this often, and whenever this process
+// indexes products
+const VOCABULARY_TTL = 5 * 60 * 1000;
+
+let vocabularyCache = null;
+
+exports.tokenize = text => [
+  ...new Set(
+    (text || '')
+      .toString()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token)
+  )
+];
+
+// levenshtein distance, gives up once it is over the max
+exports.getDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      best = Math.min(best, current[j]);
+    }
+
+    if (best > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// short words have to be typed right, longer ones may have a typo or two
+const getMaxDistance = token =>
+  token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+
+exports.getMatchQuality = (token, term) => {
+  if (term === token) return MATCH_QUALITY.exact;
+  if (token.length >= 2 && term.startsWith(token)) return MATCH_QUALITY.prefix;
+
+  const max = getMaxDistance(token);
+  if (max > 0 && this.getDistance(token, term, max) <= max) {
+    return MATCH_QUALITY.fuzzy;
+  }
+
+  return 0;
+};
+
+// the terms sorted for the prefix lookups and grouped by length for the
+// typo lookups, a typo only matches terms about as long as the token
+exports.buildVocabulary = terms => {
+  const sorted = [...terms].sort();
+  const byLength = new Map();
+
+  sorted.forEach(term => {
+    if (!byLength.has(term.length)) byLength.set(term.length, []);
+    byLength.get(term.length).push(term);
+  });
+
+  return { sorted, byLength };
+};
+
+// the vocabulary of the active products, shared by the searches
+exports.loadVocabulary = () => {
+  if (!vocabularyCache || vocabularyCache.expires < Date.now()) {
+    const cache = {
+      expires: Date.now() + VOCABULARY_TTL,
+      vocabulary: Product.distinct('searchTokens', { isActive: true }).then(
+        terms => this.buildVocabulary(terms)
+      )
+    };
+
+    cache.vocabulary.catch(() => {
+      if (vocabularyCache === cache) vocabularyCache = null;
+    });
+    vocabularyCache = cache;
+  }
+
+  return vocabularyCache.vocabulary;
+};
+
+exports.clearVocabulary = () => {
+  vocabularyCache = null;
+};
+
+// the terms of the vocabulary the token matches, as getMatchQuality would
+exports.findTerms = (token, { sorted, byLength }) => {
+  const terms = new Set();
+
+  // the exact and prefix matches follow each other in the sorted terms
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < token) low = middle + 1;
+    else high = middle;
+  }
+
+  for (let i = low; i < sorted.length; i++) {
+    const isMatch =
+      sorted[i] === token || (token.length >= 2 && sorted[i].startsWith(token));
+
+    if (!isMatch) break;
+    terms.add(sorted[i]);
+  }
+
+  const max = getMaxDistance(token);
+  for (
+    let length = token.length - max;
+    max > 0 && length <= token.length + max;
+    length++
+  ) {
+    (byLength.get(length) || []).forEach(term => {
+      if (this.getDistance(token, term, max) <= max) terms.add(term);
+    });
+  }
+
+  return [...terms];
+};
+
+// the terms of the vocabulary every query token can stand for
+exports.expandTokens = (tokens, vocabulary) =>
+  tokens.map(token => ({
+    token,
+    terms: this.findTerms(token, vocabulary)
+  }));
+
+// the words of a product by field, brand and categories are populated
+exports.getProductFields = product => ({
+  name: this.tokenize(product.name),
+  sku: this.tokenize(
+    [product.sku, ...(product.variants || []).map(v => v.sku)].join(' ')
+  ),
+  brand: this.tokenize(product.brand?.name),
+  category: this.tokenize(
+    (product.categories || []).map(category => category.name).join(' ')
+  ),
+  description: this.tokenize(product.description)
+});
+
+exports.getSearchTokens = product =>
+  this.tokenize(
+    Object.values(this.getProductFields(product))
+      .map(tokens => tokens.join(' '))
+      .join(' ')
+  );
+
+// the relevance of a product, 0 when one of the query words is not found,
+// every word counts for the field it matches best
+exports.scoreProduct = (
+  product,
+  expanded,
+  query,
+  fields = this.getProductFields(product)
+) => {
+  const matched = new Set();
+  let score = 0;
+
+  for (const { token, terms } of expanded) {
+    let best = 0;
+
+    Object.keys(fields).forEach(field => {
+      fields[field]
+        .filter(term => terms.includes(term))
+        .forEach(term => {
+          const quality = this.getMatchQuality(token, term);
+          best = Math.max(best, FIELD_WEIGHTS[field] * quality);
+          matched.add(term);
+        });
+    });
+
+    if (best === 0) return { score: 0, terms: [] };
+    score += best;
+  }
+
+  const name = (product.name || '').toLowerCase();
+  const phrase = query.trim().toLowerCase();
+
+  if (name === phrase) {
+    score += FIELD_WEIGHTS.name;
+  } else if (name.startsWith(phrase)) {
+    score += FIELD_WEIGHTS.name / 2;
+  }
+
+  return { score, terms: [...matched] };
+};
+
+// the text split in parts, the words of the terms are highlighted
+exports.highlight = (text, terms) =>
+  (text || '')
+    .split(/([A-Za-z0-9\u00C0-\u024F]+)/)
+    .filter(part => part)
+    .map(part => ({
+      text: part,
+      highlight: terms.includes(this.tokenize(part)[0])
+    }))
+    .reduce((parts, part) => {
+      const last = parts[parts.length - 1];
+
+      if (last && last.highlight === part.highlight) {
+        last.text += part.text;
+      } else {
+        parts.push(part);
+      }
+
+      return parts;
+    }, []);
+
+// a few words of the text around the first highlighted one
+exports.getSnippet = (text, terms, size = 20) => {
+  const words = (text || '').split(/\s+/).filter(word => word);
+  const first = words.findIndex(word =>
+    this.tokenize(word).some(token => terms.includes(token))
+  );
+  const start = Math.max(0, Math.min(first - size / 2, words.length - size));
+  const end = start + size;
+
+  const snippet = [
+    start > 0 ? '...' : '',
+    words.slice(start, end).join(' '),
+    end < words.length ? '...' : ''
+  ].join('');
+
+  return this.highlight(snippet, terms);
+};
+
+// the fields a candidate is ranked by, its search tokens stand in for the
+// description so the descriptions are only loaded for the kept products
+const getRankingFields = product => ({
+  ...this.getProductFields({ ...product, description: '' }),
+  description: product.searchTokens || []
+});
+
+// active products matching the query, best first with their highlights
+exports.searchProducts = async query => {
+  const tokens = this.tokenize(query);
+  if (tokens.length === 0) return [];
+
+  const vocabulary = await this.loadVocabulary();
+  const expanded = this.expandTokens(tokens, vocabulary).filter(
+    ({ terms }) => terms.length > 0
+  );
+
+  // no product can have all the words when one of them matches nothing
+  if (expanded.length < tokens.length) return [];
+
+  const candidates = await Product.find(
+    {
+      isActive: true,
+      $and: expanded.map(({ terms }) => ({ searchTokens: { $in: terms } }))
+    },
+    'name sku variants.sku brand categories searchTokens'
+  )
+    .populate('brand', 'name')
+    .populate('categories', 'name')
+    .lean();
+
+  // every candidate is ranked before the least relevant ones are dropped
+  const matches = candidates
+    .map(product => ({
+      product,
+      ...this.scoreProduct(product, expanded, query, getRankingFields(product))
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+
+  const descriptions = new Map(
+    (
+      await Product.find(
+        { _id: { $in: matches.map(match => match.product._id) } },
+        'description'
+      ).lean()
+    ).map(p => [p._id.toString(), p.description])
+  );
+
+  return matches.map(({ product, score, terms }) => {
+    const description = descriptions.get(product._id.toString());
+
+    return {
+      _id: product._id,
+      score,
+      highlights: {
+        name: this.highlight(product.name, terms),
+        description: this.getSnippet(description, terms)
+      }
+    };
+  });
+};
+
+// refresh the search tokens of the products, after one of them or the name
+// of their brand or category changed
+exports.indexProducts = async query => {
+  const products = await Product.find(
+    query,
+    'name sku description variants.sku brand categories'
+  )
+    .populate('brand', 'name')
+    .populate('categories', 'name');
+
+  if (products.length === 0) return;
+
+  await Product.bulkWrite(
+    products.map(product => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { searchTokens: this.getSearchTokens(product) }
+      }
+    }))
+  );
+  this.clearVocabulary();
+};
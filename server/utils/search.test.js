@@ -0,0 +1,171 @@
+const Mongoose = require('mongoose');
+
+const Product = require('../models/product');
+const search = require('./search');
+
+describe('Product search', () => {
+  const product = (name, fields) => ({
+    name,
+    sku: '',
+    description: '',
+    brand: null,
+    categories: [],
+    ...fields
+  });
+
+  const rank = (products, query, vocabulary) => {
+    const expanded = search.expandTokens(
+      search.tokenize(query),
+      search.buildVocabulary(vocabulary)
+    );
+
+    return products
+      .map(p => ({ name: p.name, ...search.scoreProduct(p, expanded, query) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(match => match.name);
+  };
+
+  it('should tokenize without case, accents and repeated words', () => {
+    expect(search.tokenize('Café Crème, CAFE-42!')).toEqual([
+      'cafe',
+      'creme',
+      '42'
+    ]);
+    expect(search.tokenize(null)).toEqual([]);
+  });
+
+  it('should match exact words, prefixes and typos', () => {
+    expect(search.getMatchQuality('shirt', 'shirt')).toBe(1);
+    expect(search.getMatchQuality('shi', 'shirt')).toBe(0.8);
+    expect(search.getMatchQuality('s', 'shirt')).toBe(0);
+    expect(search.getMatchQuality('shrit', 'shirt')).toBe(0);
+    expect(search.getMatchQuality('shitr', 'shirt')).toBe(0);
+    expect(search.getMatchQuality('shjrt', 'shirt')).toBe(0.5);
+    expect(search.getMatchQuality('hat', 'cat')).toBe(0);
+    expect(search.getMatchQuality('headphnes', 'headphones')).toBe(0.5);
+    expect(search.getDistance('kitten', 'sitting', 5)).toBe(3);
+    expect(search.getDistance('kitten', 'sitting', 1)).toBe(2);
+  });
+
+  it('should rank name matches over description matches', () => {
+    const products = [
+      product('Cotton Socks', { description: 'Goes well with any shirt.' }),
+      product('Linen Shirt'),
+      product('Shirt'),
+      product('Leather Belt')
+    ];
+    const vocabulary = search.tokenize(
+      products.map(p => search.getSearchTokens(p).join(' ')).join(' ')
+    );
+
+    expect(rank(products, 'shirt', vocabulary)).toEqual([
+      'Shirt',
+      'Linen Shirt',
+      'Cotton Socks'
+    ]);
+    expect(rank(products, 'linen shrt', vocabulary)).toEqual(['Linen Shirt']);
+  });
+
+  it('should find products by sku, brand and category', () => {
+    const p = product('Runner', {
+      sku: 'RUN-01',
+      variants: [{ sku: 'RUN-01-RED' }],
+      brand: { name: 'Swift' },
+      categories: [{ name: 'Shoes' }]
+    });
+
+    expect(search.getSearchTokens(p)).toEqual(
+      expect.arrayContaining(['runner', 'run', '01', 'red', 'swift', 'shoes'])
+    );
+
+    const vocabulary = search.getSearchTokens(p);
+    expect(rank([p], 'swift shoes', vocabulary)).toEqual(['Runner']);
+    expect(rank([p], 'swift boots', vocabulary)).toEqual([]);
+  });
+
+  it('should highlight the matched words', () => {
+    expect(search.highlight('Linen Shirt, blue', ['shirt'])).toEqual([
+      { text: 'Linen ', highlight: false },
+      { text: 'Shirt', highlight: true },
+      { text: ', blue', highlight: false }
+    ]);
+
+    const text = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+    const snippet = search.getSnippet(text, ['word25'], 4);
+
+    expect(snippet.map(part => part.text).join('')).toBe(
+      '...word23 word24 word25 word26...'
+    );
+    expect(snippet.find(part => part.highlight).text).toBe('word25');
+  });
+
+  it('should look up the same terms as the match quality', () => {
+    const terms = ['shirt', 'shirts', 'shoe', 'short', 'skirt', 'sh', 'hat'];
+    const vocabulary = search.buildVocabulary(terms);
+
+    ['shirt', 'shi', 's', 'skrt', 'shorts', 'hat', 'headphnes'].forEach(
+      token => {
+        expect(search.findTerms(token, vocabulary).sort()).toEqual(
+          terms.filter(term => search.getMatchQuality(token, term) > 0).sort()
+        );
+      }
+    );
+  });
+
+  describe('searching products', () => {
+    const mockFind = (candidates, descriptions) =>
+      jest
+        .spyOn(Product, 'find')
+        .mockImplementationOnce(() => {
+          const query = {
+            populate: () => query,
+            lean: () => Promise.resolve(candidates)
+          };
+          return query;
+        })
+        .mockImplementationOnce(() => ({
+          lean: () => Promise.resolve(descriptions)
+        }));
+
+    beforeEach(() => {
+      search.clearVocabulary();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should rank every candidate and load the vocabulary once', async () => {
+      const socks = {
+        _id: new Mongoose.Types.ObjectId(),
+        name: 'Cotton Socks',
+        searchTokens: ['cotton', 'socks', 'shirt']
+      };
+      const shirt = {
+        _id: new Mongoose.Types.ObjectId(),
+        name: 'Shirt',
+        searchTokens: ['shirt']
+      };
+      const distinct = jest
+        .spyOn(Product, 'distinct')
+        .mockResolvedValue(['cotton', 'socks', 'shirt']);
+
+      mockFind(
+        [socks, shirt],
+        [{ _id: socks._id, description: 'Goes well with any shirt.' }]
+      );
+      const matches = await search.searchProducts('shirt');
+
+      expect(matches.map(match => match._id)).toEqual([shirt._id, socks._id]);
+      expect(
+        matches[1].highlights.description.find(part => part.highlight).text
+      ).toBe('shirt');
+
+      mockFind([], []);
+      await search.searchProducts('socks');
+
+      expect(distinct).toHaveBeenCalledTimes(1);
+    });
+  });
+});
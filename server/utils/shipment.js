@@ -0,0 +1,144 @@
+const Shipment = require('../models/shipment');
+const orders = require('./order');
+const {
+  ORDER_STATUS,
+  CART_ITEM_STATUS,
+  SHIPMENT_CARRIER
+} = require('../constants');
+
+// the tracking pages of the carriers, the tracking number goes at the end
+exports.TRACKING_URLS = {
+  [SHIPMENT_CARRIER.UPS]: 'https://www.ups.com/track?tracknum=',
+  [SHIPMENT_CARRIER.FedEx]: 'https://www.fedex.com/fedextrack/?trknbr=',
+  [SHIPMENT_CARRIER.USPS]:
+    'https://tools.usps.com/go/TrackConfirmAction?tLabels=',
+  [SHIPMENT_CARRIER.DHL]:
+    'https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id='
+};
+
+// lines are shipped while the order is paid and not shipped in full
+const SHIPPING_STATUSES = [ORDER_STATUS.Paid, ORDER_STATUS.Fulfilling];
+
+const UNSHIPPED_ITEM_STATUSES = [
+  CART_ITEM_STATUS.Not_processed,
+  CART_ITEM_STATUS.Processing
+];
+
+// the tracking link of the package, empty when the carrier has no
+// tracking page
+exports.getTrackingUrl = (carrier, trackingNumber) =>
+  this.TRACKING_URLS[carrier] && trackingNumber
+    ? `${this.TRACKING_URLS[carrier]}${encodeURIComponent(trackingNumber)}`
+    : '';
+
+// the lines of the order that can go out in a new shipment, only the lines
+// of the brand when one is given
+exports.getShippableItems = (order, shipments, brand = null) => {
+  if (!SHIPPING_STATUSES.includes(order.status)) return [];
+
+  const shipped = new Set(
+    shipments.flatMap(shipment => shipment.items).map(line => `${line.item}`)
+  );
+
+  return order.products.filter(
+    item =>
+      UNSHIPPED_ITEM_STATUSES.includes(item.status) &&
+      !shipped.has(`${item._id}`) &&
+      (!brand || `${item.brand}` === `${brand}`)
+  );
+};
+
+// the lines of a new shipment from the picked items, throws when one of
+// them can not be shipped
+exports.createShipmentItems = (order, shipments, itemIds, brand = null) => {
+  if (!Array.isArray(itemIds) || itemIds.length === 0) {
+    throw { status: 400, message: 'Please choose the items to ship.' };
+  }
+
+  const shippable = this.getShippableItems(order, shipments, brand);
+  const picked = new Set();
+
+  return itemIds.map(id => {
+    const item = order.products.find(product => `${product._id}` === `${id}`);
+
+    if (!item) {
+      throw { status: 400, message: 'Item cannot be found in the order.' };
+    }
+
+    if (picked.has(`${item._id}`)) {
+      throw { status: 400, message: `${item.name} is listed twice.` };
+    }
+    picked.add(`${item._id}`);
+
+    if (!shippable.includes(item)) {
+      throw { status: 400, message: `${item.name} cannot be shipped.` };
+    }
+
+    return {
+      item: item._id,
+      product: item.product,
+      name: item.name,
+      variantName: item.variantName,
+      sku: item.sku,
+      imageUrl: item.imageUrl,
+      brand: item.brand,
+      quantity: item.quantity
+    };
+  });
+};
+
+// send the picked lines with a carrier, the lines are marked shipped and
+// the order moves along with them. the shipment is saved first and removed
+// again when the order can not be saved
+exports.createShipment = async (order, shipments, user, values = {}) => {
+  const { items, carrier, trackingNumber, shipped, brand = null } = values;
+  const lines = this.createShipmentItems(order, shipments, items, brand);
+  const number = (trackingNumber || '').trim();
+  const shipDate = shipped ? new Date(shipped) : new Date();
+
+  if (!Object.values(SHIPMENT_CARRIER).includes(carrier)) {
+    throw { status: 400, message: 'Please choose the carrier.' };
+  }
+
+  if (!number) {
+    throw { status: 400, message: 'Please enter the tracking number.' };
+  }
+
+  if (isNaN(shipDate.getTime()) || shipDate.getTime() > Date.now()) {
+    throw { status: 400, message: 'Ship date cannot be in the future.' };
+  }
+
+  const { actor, actorName, actorRole } = orders.createStatusEntry(null, user);
+
+  const shipment = new Shipment({
+    order: order._id,
+    items: lines,
+    carrier,
+    trackingNumber: number,
+    trackingUrl: this.getTrackingUrl(carrier, number),
+    shipped: shipDate,
+    actor,
+    actorName,
+    actorRole
+  });
+
+  await shipment.save();
+
+  order.products
+    .filter(item => lines.some(line => `${line.item}` === `${item._id}`))
+    .forEach(item => {
+      item.status = CART_ITEM_STATUS.Shipped;
+    });
+
+  orders.syncStatus(order);
+  order.updated = Date.now();
+
+  try {
+    await order.save();
+  } catch (error) {
+    await Shipment.deleteOne({ _id: shipment._id });
+    throw error;
+  }
+
+  return shipment;
+};
@@ -0,0 +1,155 @@
+const shipments = require('./shipment');
+const Shipment = require('../models/shipment');
+const {
+  ROLES,
+  ORDER_STATUS,
+  CART_ITEM_STATUS,
+  SHIPMENT_CARRIER
+} = require('../constants');
+
+describe('Shipments', () => {
+  const merchant = {
+    _id: 'merchant',
+    firstName: 'Mia',
+    role: ROLES.Merchant
+  };
+
+  const createOrder = (status = ORDER_STATUS.Fulfilling) => ({
+    _id: 'order',
+    status,
+    statusHistory: [],
+    save: jest.fn().mockResolvedValue(),
+    products: [
+      {
+        _id: 'shirt',
+        name: 'Shirt',
+        brand: 'acme',
+        status: CART_ITEM_STATUS.Processing,
+        quantity: 2
+      },
+      {
+        _id: 'hat',
+        name: 'Hat',
+        brand: 'other',
+        status: CART_ITEM_STATUS.Not_processed,
+        quantity: 1
+      },
+      {
+        _id: 'socks',
+        name: 'Socks',
+        brand: 'acme',
+        status: CART_ITEM_STATUS.Cancelled,
+        quantity: 1
+      }
+    ]
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should link the tracking page of the carrier', () => {
+    expect(shipments.getTrackingUrl(SHIPMENT_CARRIER.UPS, '1Z 999')).toBe(
+      'https://www.ups.com/track?tracknum=1Z%20999'
+    );
+    expect(shipments.getTrackingUrl(SHIPMENT_CARRIER.Other, '1Z999')).toBe('');
+  });
+
+  it('should only ship the unshipped lines of a paid order', () => {
+    const order = createOrder();
+    const sent = [{ items: [{ item: 'hat' }] }];
+
+    expect(
+      shipments.getShippableItems(order, []).map(item => item._id)
+    ).toEqual(['shirt', 'hat']);
+    expect(
+      shipments.getShippableItems(order, sent).map(item => item._id)
+    ).toEqual(['shirt']);
+    expect(
+      shipments.getShippableItems(order, [], 'other').map(item => item._id)
+    ).toEqual(['hat']);
+    expect(
+      shipments.getShippableItems(createOrder(ORDER_STATUS.Pending_Payment), [])
+    ).toEqual([]);
+    expect(() => shipments.createShipmentItems(order, [], ['socks'])).toThrow();
+    expect(() =>
+      shipments.createShipmentItems(order, [], ['hat'], 'acme')
+    ).toThrow();
+    expect(() =>
+      shipments.createShipmentItems(order, [], ['shirt', 'shirt'])
+    ).toThrow();
+  });
+
+  it('should mark the lines shipped and move the order along', async () => {
+    const order = createOrder();
+
+    jest.spyOn(Shipment.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    const shipment = await shipments.createShipment(order, [], merchant, {
+      items: ['shirt'],
+      carrier: SHIPMENT_CARRIER.FedEx,
+      trackingNumber: ' 7712 '
+    });
+
+    expect(shipment).toEqual(
+      expect.objectContaining({
+        carrier: SHIPMENT_CARRIER.FedEx,
+        trackingNumber: '7712',
+        trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr=7712',
+        actorName: 'Mia',
+        actorRole: ROLES.Merchant
+      })
+    );
+    expect(order.products.map(item => item.status)).toEqual([
+      CART_ITEM_STATUS.Shipped,
+      CART_ITEM_STATUS.Not_processed,
+      CART_ITEM_STATUS.Cancelled
+    ]);
+    expect(order.status).toBe(ORDER_STATUS.Fulfilling);
+    expect(order.save).toHaveBeenCalled();
+
+    await shipments.createShipment(order, [shipment], merchant, {
+      items: ['hat'],
+      carrier: SHIPMENT_CARRIER.DHL,
+      trackingNumber: 'JD01'
+    });
+
+    expect(order.status).toBe(ORDER_STATUS.Shipped);
+    await expect(
+      shipments.createShipment(createOrder(), [], merchant, {
+        items: ['shirt'],
+        carrier: SHIPMENT_CARRIER.UPS,
+        trackingNumber: ''
+      })
+    ).rejects.toEqual(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should remove the shipment when the order cannot be saved', async () => {
+    const order = createOrder();
+    order.save.mockRejectedValue(new Error('save failed'));
+
+    const save = jest
+      .spyOn(Shipment.prototype, 'save')
+      .mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+    const remove = jest.spyOn(Shipment, 'deleteOne').mockResolvedValue({});
+
+    await expect(
+      shipments.createShipment(order, [], merchant, {
+        items: ['shirt'],
+        carrier: SHIPMENT_CARRIER.UPS,
+        trackingNumber: '1Z999'
+      })
+    ).rejects.toThrow('save failed');
+
+    expect(save.mock.invocationCallOrder[0]).toBeLessThan(
+      order.save.mock.invocationCallOrder[0]
+    );
+    expect(remove.mock.calls[0][0]).toEqual({
+      _id: save.mock.instances[0]._id
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const Address = require('../models/address');
+const Product = require('../models/product');
+const ShippingZone = require('../models/shipping');
+const { findZone } = require('./zone');
+const { SHIPPING_RATE_TYPE } = require('../constants');
+
+const round = value => parseFloat(Number(value).toFixed(2));
+
+exports.loadShippingZones = () => ShippingZone.find({ isActive: true });
+
+// cost of a shipping method for the cart subtotal and weight
+exports.calculateShippingCost = (method, { subtotal, weight }) => {
+  switch (method.type) {
+    case SHIPPING_RATE_TYPE.Weight:
+      return round(method.rate + method.ratePerWeight * weight);
+
+    case SHIPPING_RATE_TYPE.Free_Over:
+      return subtotal >= method.threshold ? 0 : round(method.rate);
+
+    default:
+      return round(method.rate);
+  }
+};
+
+// shipping methods of the most specific zone for the address,
+// each priced for the given cart lines
+exports.quoteShipping = async (items, address) => {
+  const zones = await this.loadShippingZones();
+  const zone = findZone(zones, address);
+
+  if (!zone) return [];
+
+  const lines = items.filter(item => item.status !== 'Cancelled');
+  const products = await Product.find(
+    { _id: { $in: lines.map(item => item.product) } },
+    'weight'
+  );
+
+  const subtotal = lines.reduce((sum, item) => sum + item.totalPrice, 0);
+  const weight = lines.reduce((sum, item) => {
+    const product = products.find(
+      p => p._id.toString() === item.product.toString()
+    );
+
+    return sum + (product?.weight || 0) * item.quantity;
+  }, 0);
+
+  return zone.methods
+    .filter(method => method.isActive)
+    .map(method => ({
+      _id: method._id,
+      name: method.name,
+      type: method.type,
+      zone: zone.name,
+      minDays: method.minDays,
+      maxDays: method.maxDays,
+      cost: this.calculateShippingCost(method, { subtotal, weight })
+    }))
+    .sort((a, b) => a.cost - b.cost);
+};
+
+// quote of the selected method, throws when it does not ship to the address
+exports.getShippingQuote = async (items, address, methodId) => {
+  const methods = await this.quoteShipping(items, address);
+  const method = methods.find(m => m._id.toString() === `${methodId}`);
+
+  if (!method) {
+    throw {
+      status: 400,
+      message: 'The selected shipping method is not available for your address.'
+    };
+  }
+
+  return method;
+};
+
+// the address of the user the order ships to
+// guests have no saved addresses and send the shipping address itself
+exports.getShippingAddress = async (user, addressId, guestAddress) => {
+  if (!user) {
+    const isComplete =
+      guestAddress &&
+      ['address', 'city', 'state', 'country', 'zipCode'].every(
+        field => typeof guestAddress[field] === 'string' && guestAddress[field]
+      );
+
+    if (!isComplete) {
+      throw { status: 400, message: 'Please enter a shipping address.' };
+    }
+
+    return this.snapshotAddress(guestAddress);
+  }
+
+  const address = addressId
+    ? await Address.findOne({ _id: addressId, user })
+    : null;
+
+  if (!address) {
+    throw { status: 400, message: 'Please select a shipping address.' };
+  }
+
+  return address;
+};
+
+exports.snapshotAddress = address => ({
+  address: address.address,
+  city: address.city,
+  state: address.state,
+  country: address.country,
+  zipCode: address.zipCode
+});
@@ -0,0 +1,77 @@
+const Mongoose = require('mongoose');
+
+const Product = require('../models/product');
+const ShippingZone = require('../models/shipping');
+const shipping = require('./shipping');
+
+describe('Shipping rates', () => {
+  const productId = new Mongoose.Types.ObjectId();
+  const items = [{ product: productId, quantity: 2, totalPrice: 40 }];
+
+  const method = (name, fields) => ({
+    _id: new Mongoose.Types.ObjectId(),
+    name,
+    rate: 0,
+    ratePerWeight: 0,
+    threshold: 0,
+    isActive: true,
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should price flat, weight based and free over rates', () => {
+    const cart = { subtotal: 40, weight: 3 };
+
+    expect(
+      shipping.calculateShippingCost(
+        method('Flat', { type: 'Flat', rate: 5 }),
+        cart
+      )
+    ).toBe(5);
+    expect(
+      shipping.calculateShippingCost(
+        method('Weight', { type: 'Weight', rate: 2, ratePerWeight: 1.5 }),
+        cart
+      )
+    ).toBe(6.5);
+    expect(
+      shipping.calculateShippingCost(
+        method('Free', { type: 'Free Over', rate: 8, threshold: 30 }),
+        cart
+      )
+    ).toBe(0);
+  });
+
+  it('should quote the methods of the most specific zone', async () => {
+    jest.spyOn(ShippingZone, 'find').mockResolvedValue([
+      {
+        name: 'Everywhere',
+        methods: [method('Economy', { type: 'Flat', rate: 20 })]
+      },
+      {
+        name: 'US',
+        country: 'United States',
+        methods: [
+          method('Standard', { type: 'Weight', rate: 1, ratePerWeight: 2 }),
+          method('Disabled', { type: 'Flat', isActive: false })
+        ]
+      }
+    ]);
+    jest
+      .spyOn(Product, 'find')
+      .mockResolvedValue([{ _id: productId, weight: 0.5 }]);
+
+    const methods = await shipping.quoteShipping(items, {
+      country: 'United States',
+      state: 'NY'
+    });
+
+    expect(methods).toHaveLength(1);
+    expect(methods[0].name).toBe('Standard');
+    expect(methods[0].zone).toBe('US');
+    expect(methods[0].cost).toBe(3);
+  });
+});
@@ -0,0 +1,156 @@
+const { PROMOTION_TYPE, PRODUCT_SORT } = require('../constants');
+
+// the best percentage taken off the product by the current automatic
+// promotions, the ones needing a minimum subtotal are not a product discount
+const getDiscountStages = (now = new Date()) => [
+  {
+    $lookup: {
+      from: 'promotions',
+      let: {
+        product: '$_id',
+        brand: '$brand._id',
+        categories: { $ifNull: ['$categories', []] }
+      },
+      pipeline: [
+        {
+          $match: {
+            isActive: true,
+            code: null,
+            type: { $in: [PROMOTION_TYPE.Percentage, PROMOTION_TYPE.Fixed] },
+            minSubtotal: { $in: [null, 0] },
+            $and: [
+              { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+              { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+            ],
+            $expr: {
+              $or: [
+                {
+                  $eq: [
+                    {
+                      $size: {
+                        $concatArrays: [
+                          { $ifNull: ['$products', []] },
+                          { $ifNull: ['$brands', []] },
+                          { $ifNull: ['$categories', []] }
+                        ]
+                      }
+                    },
+                    0
+                  ]
+                },
+                { $in: ['$$product', { $ifNull: ['$products', []] }] },
+                { $in: ['$$brand', { $ifNull: ['$brands', []] }] },
+                {
+                  $gt: [
+                    {
+                      $size: {
+                        $setIntersection: [
+                          '$$categories',
+                          { $ifNull: ['$categories', []] }
+                        ]
+                      }
+                    },
+                    0
+                  ]
+                }
+              ]
+            }
+          }
+        },
+        { $project: { type: 1, value: 1 } }
+      ],
+      as: 'promotions'
+    }
+  },
+  {
+    $addFields: {
+      discount: {
+        $ifNull: [
+          {
+            $max: {
+              $map: {
+                input: '$promotions',
+                as: 'promotion',
+                in: {
+                  $cond: [
+                    { $eq: ['$$promotion.type', PROMOTION_TYPE.Percentage] },
+                    { $min: ['$$promotion.value', 100] },
+                    {
+                      $cond: [
+                        { $gt: ['$minPrice', 0] },
+                        {
+                          $min: [
+                            100,
+                            {
+                              $multiply: [
+                                { $divide: ['$$promotion.value', '$minPrice'] },
+                                100
+                              ]
+                            }
+                          ]
+                        },
+                        0
+                      ]
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          0
+        ]
+      }
+    }
+  },
+  { $project: { promotions: 0 } }
+];
+
+// the stages adding the fields a sort key needs and the order it sorts in,
+// the search relevance only exists on search results
+const SORTS = {
+  [PRODUCT_SORT.Newest]: { sort: { _id: -1 } },
+  [PRODUCT_SORT.Price_High_To_Low]: { sort: { minPrice: -1 } },
+  [PRODUCT_SORT.Price_Low_To_High]: { sort: { minPrice: 1 } },
+  [PRODUCT_SORT.Best_Selling]: { sort: { soldCount: -1 } },
+  [PRODUCT_SORT.Top_Rated]: {
+    sort: { averageRating: -1, totalReviews: -1 }
+  },
+  [PRODUCT_SORT.Most_Reviewed]: {
+    sort: { totalReviews: -1, averageRating: -1 }
+  },
+  [PRODUCT_SORT.Name_A_To_Z]: {
+    stages: () => [{ $addFields: { sortName: { $toLower: '$name' } } }],
+    sort: { sortName: 1 },
+    project: { sortName: 0 }
+  },
+  [PRODUCT_SORT.Biggest_Discount]: {
+    stages: getDiscountStages,
+    sort: { discount: -1 }
+  },
+  [PRODUCT_SORT.Relevance]: { sort: { relevance: 1 }, isSearch: true }
+};
+
+// the sort stages of the store products, throws for an unknown key, the
+// search relevance then the id break the ties so pages never overlap
+exports.getSortQuery = (key, isSearch = false) => {
+  const option = Object.prototype.hasOwnProperty.call(SORTS, key)
+    ? SORTS[key]
+    : null;
+
+  if (!option || (option.isSearch && !isSearch)) {
+    throw { status: 400, message: 'Sort order is invalid.' };
+  }
+
+  const query = [
+    ...(option.stages ? option.stages() : []),
+    {
+      $sort: {
+        ...option.sort,
+        ...(isSearch ? { relevance: 1 } : {}),
+        _id: -1
+      }
+    }
+  ];
+
+  return option.project ? query.concat({ $project: option.project }) : query;
+};
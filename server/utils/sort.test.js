@@ -0,0 +1,57 @@
+const sorts = require('./sort');
+const { PRODUCT_SORT } = require('../constants');
+
+describe('Product sorts', () => {
+  const getSort = query => query.find(stage => stage.$sort).$sort;
+
+  it('should sort by the server keys with the id breaking ties', () => {
+    expect(getSort(sorts.getSortQuery(PRODUCT_SORT.Price_Low_To_High))).toEqual(
+      { minPrice: 1, _id: -1 }
+    );
+    expect(getSort(sorts.getSortQuery(PRODUCT_SORT.Top_Rated))).toEqual({
+      averageRating: -1,
+      totalReviews: -1,
+      _id: -1
+    });
+  });
+
+  it('should add the fields the sort needs before sorting', () => {
+    const query = sorts.getSortQuery(PRODUCT_SORT.Biggest_Discount);
+    const sortIndex = query.findIndex(stage => stage.$sort);
+
+    expect(query[0].$lookup.from).toBe('promotions');
+    expect(
+      query.findIndex(stage => stage.$addFields && stage.$addFields.discount)
+    ).toBeLessThan(sortIndex);
+
+    const byName = sorts.getSortQuery(PRODUCT_SORT.Name_A_To_Z);
+    expect(byName[byName.length - 1]).toEqual({ $project: { sortName: 0 } });
+  });
+
+  it('should sort the best sellers on their sold count', () => {
+    expect(sorts.getSortQuery(PRODUCT_SORT.Best_Selling)).toEqual([
+      { $sort: { soldCount: -1, _id: -1 } }
+    ]);
+  });
+
+  it('should only rank by relevance on search results', () => {
+    expect(getSort(sorts.getSortQuery(PRODUCT_SORT.Relevance, true))).toEqual({
+      relevance: 1,
+      _id: -1
+    });
+    expect(
+      getSort(sorts.getSortQuery(PRODUCT_SORT.Biggest_Discount, true))
+    ).toEqual({
+      discount: -1,
+      relevance: 1,
+      _id: -1
+    });
+    expect(() => sorts.getSortQuery(PRODUCT_SORT.Relevance)).toThrow();
+  });
+
+  it('should reject sort documents and unknown keys', () => {
+    expect(() => sorts.getSortQuery('{"price":-1}')).toThrow();
+    expect(() => sorts.getSortQuery(undefined)).toThrow();
+    expect(() => sorts.getSortQuery('constructor')).toThrow();
+  });
+});
@@ -1,5 +1,8 @@
 const Product = require('../models/product');
+const Address = require('../models/address');
 const taxConfig = require('../config/tax');
+const tax = require('./tax');
+const variants = require('./variant');
 
 exports.disableProducts = products => {
   let bulkOptions = products.map(item => {
@@ -14,112 +17,283 @@ exports.disableProducts = products => {
   Product.bulkWrite(bulkOptions);
 };
 
-// calculate order tax amount
-exports.caculateTaxAmount = order => {
-  try {
-    const taxRate = taxConfig.stateTaxRate;
-
-    order.totalTax = 0;
-    if (order.products && order.products.length > 0) {
-      order.products.map(item => {
-        const price = item.purchasePrice || (item?.product?.price ?? 0);
-        const quantity = item.quantity;
-        item.totalPrice = price * quantity;
-        item.purchasePrice = price;
-
-        if (item.status !== 'Cancelled') {
-          if (item.product?.taxable && item.priceWithTax === 0) {
-            const taxAmount = price * (taxRate / 100) * 100;
-            item.totalTax = parseFloat(
-              Number((taxAmount * quantity).toFixed(2))
-            );
-
-            order.totalTax += item.totalTax;
-          } else {
-            order.totalTax += item.totalTax;
-          }
-        }
-
-        item.priceWithTax = parseFloat(
-          Number((item.totalPrice + item.totalTax).toFixed(2))
-        );
-      });
-    }
+exports.caculateOrderTotal = order => {
+  const total = order.products
+    .filter(item => item.status !== 'Cancelled')
+    .reduce((sum, current) => sum + current.totalPrice, 0);
+
+  return total;
+};
 
-    const hasCancelledItems = order.products.filter(
-      item => item.status === 'Cancelled'
+// line total the customer pays, inclusive taxes are already in the price
+exports.caculateLineTotal = item => {
+  const total = item.tax?.isInclusive
+    ? item.totalPrice
+    : item.totalPrice + item.totalTax;
+
+  return parseFloat(Number(total.toFixed(2)));
+};
+
+// calculate items sales tax with the rates of the address
+exports.caculateItemsSalesTax = (items, rates, address) => {
+  const products = items.map(item => {
+    const rate = tax.findTaxRate(rates, address, item.taxClass);
+    const { totalPrice, totalTax, priceWithTax } = tax.calculateLineTax(
+      item.price,
+      item.quantity,
+      rate
     );
 
-    if (hasCancelledItems.length > 0) {
-      order.total = this.caculateOrderTotal(order);
-    }
+    item.purchasePrice = item.price;
+    item.totalPrice = totalPrice;
+    item.totalTax = totalTax;
+    item.priceWithTax = priceWithTax;
+    item.tax = tax.snapshotTaxRate(rate);
 
-    const currentTotal = this.caculateOrderTotal(order);
+    return item;
+  });
 
-    if (currentTotal !== order.total) {
-      order.total = this.caculateOrderTotal(order);
+  return products;
+};
+
+// address the cart is taxed against, the store origin when there is none
+exports.getTaxAddress = async (user, addressId, guestAddress) => {
+  if (!user) {
+    return guestAddress?.country ? guestAddress : taxConfig.origin;
+  }
+
+  const query = addressId
+    ? { _id: addressId, user }
+    : { user, isDefault: true };
+  const addressDoc = await Address.findOne(query);
+
+  return addressDoc || taxConfig.origin;
+};
+
+// reload the products of the given items and price them with the store data,
+// collecting every field where the submitted item disagrees with the product
+exports.priceCartItems = async (items, address) => {
+  const productDocs = await Product.find({
+    _id: { $in: items.map(item => item.product) }
+  }).populate('brand', 'isActive');
+
+  const changes = [];
+  const products = [];
+
+  items.forEach(item => {
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw { status: 400, message: 'Quantity must be at least 1.' };
     }
 
-    order.totalWithTax = order.total + order.totalTax;
-    order.total = parseFloat(Number(order.total.toFixed(2)));
-    order.totalTax = parseFloat(
-      Number(order.totalTax && order.totalTax.toFixed(2))
+    const productDoc = productDocs.find(
+      p => p._id.toString() === item.product.toString()
     );
-    order.totalWithTax = parseFloat(Number(order.totalWithTax.toFixed(2)));
-    return order;
-  } catch (error) {
-    return order;
-  }
+
+    // products with variants are only sold through one of them
+    const variant =
+      productDoc && variants.findVariant(productDoc, item.variant);
+    const hasVariants = variants.hasVariants(productDoc);
+
+    const isAvailable =
+      productDoc &&
+      productDoc.isActive &&
+      (!productDoc.brand || productDoc.brand.isActive) &&
+      (hasVariants ? variant?.isActive : !item.variant);
+
+    if (!isAvailable) {
+      changes.push({
+        product: item.product,
+        variant: item.variant || null,
+        name: productDoc?.name,
+        field: 'availability',
+        previous: true,
+        current: false
+      });
+      return;
+    }
+
+    const current = {
+      price: variants.getVariantPrice(productDoc, variant),
+      taxClass: productDoc.taxClass
+    };
+
+    ['price', 'taxClass'].forEach(field => {
+      if (item[field] !== undefined && item[field] !== current[field]) {
+        changes.push({
+          product: productDoc._id,
+          variant: item.variant || null,
+          name: productDoc.name,
+          field,
+          previous: item[field],
+          current: current[field]
+        });
+      }
+    });
+
+    products.push({
+      ...item,
+      name: productDoc.name,
+      product: productDoc._id,
+      variant: variant ? variant._id : null,
+      price: current.price,
+      taxClass: current.taxClass
+    });
+  });
+
+  const rates = await tax.loadTaxRates();
+
+  return {
+    products: this.caculateItemsSalesTax(products, rates, address),
+    changes
+  };
 };
 
-exports.caculateOrderTotal = order => {
-  const total = order.products
+// reprice the cart lines against the current products,
+// the cart is updated in place when something has changed
+exports.repriceCart = async (cart, address) => {
+  const items = cart.products
     .filter(item => item.status !== 'Cancelled')
-    .reduce((sum, current) => sum + current.totalPrice, 0);
+    .map(item => ({
+      _id: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      status: item.status,
+      price: item.purchasePrice,
+      taxClass: item.taxClass
+    }));
 
-  return total;
-};
+  const { products, changes } = await this.priceCartItems(items, address);
 
-// calculate order tax amount
-exports.caculateItemsSalesTax = items => {
-  const taxRate = taxConfig.stateTaxRate;
+  // the address may fall in another tax zone than when the cart was created
+  products.forEach(product => {
+    const item = cart.products.find(
+      i => i._id.toString() === product._id.toString()
+    );
+    const hasChanged = changes.some(
+      change =>
+        change.product.toString() === product.product.toString() &&
+        String(change.variant) === String(product.variant)
+    );
 
-  const products = items.map(item => {
-    item.priceWithTax = 0;
-    item.totalPrice = 0;
-    item.totalTax = 0;
-    item.purchasePrice = item.price;
+    if (!hasChanged && item.totalTax !== product.totalTax) {
+      changes.push({
+        product: product.product,
+        variant: product.variant,
+        name: product.name,
+        field: 'tax',
+        previous: item.totalTax,
+        current: product.totalTax
+      });
+    }
+  });
 
-    const price = item.purchasePrice;
-    const quantity = item.quantity;
-    item.totalPrice = parseFloat(Number((price * quantity).toFixed(2)));
+  if (changes.length > 0) {
+    cart.products = cart.products
+      .map(item =>
+        item.status === 'Cancelled'
+          ? item
+          : products.find(p => p._id.toString() === item._id.toString())
+      )
+      .filter(item => item);
+    cart.updated = Date.now();
+    await cart.save();
+  }
 
-    if (item.taxable) {
-      const taxAmount = price * (taxRate / 100) * 100;
+  return changes;
+};
 
-      item.totalTax = parseFloat(Number((taxAmount * quantity).toFixed(2)));
-      item.priceWithTax = parseFloat(
-        Number((item.totalPrice + item.totalTax).toFixed(2))
+// tax the cart lines on their price less the discounts of the promotions,
+// the lines are updated in place and never saved
+exports.applyLineDiscounts = (items, lineDiscounts = {}) => {
+  items
+    .filter(item => item.status !== 'Cancelled')
+    .forEach(item => {
+      const totalTax = tax.calculateDiscountedTax(
+        item,
+        lineDiscounts[item._id] || 0
       );
-    }
 
-    return item;
-  });
+      item.totalTax = totalTax;
+      item.priceWithTax = item.tax?.isInclusive
+        ? item.totalPrice
+        : parseFloat(Number((item.totalPrice + totalTax).toFixed(2)));
+    });
 
-  return products;
+  return items;
 };
 
-exports.formatOrders = orders => {
-  const newOrders = orders.map(order => {
+// total of the cart lines with and without tax
+exports.caculateCartTotal = cart => {
+  const total = this.caculateOrderTotal(cart);
+  const items = cart.products.filter(item => item.status !== 'Cancelled');
+  const totalTax = items.reduce((sum, current) => sum + current.totalTax, 0);
+  const totalWithTax = items.reduce(
+    (sum, current) => sum + this.caculateLineTotal(current),
+    0
+  );
+
+  return {
+    total: parseFloat(Number(total.toFixed(2))),
+    totalTax: parseFloat(Number(totalTax.toFixed(2))),
+    totalWithTax: parseFloat(Number(totalWithTax.toFixed(2)))
+  };
+};
+
+// copy the cart lines onto the order along with the product details and the
+// discounts of the lines, the cart products have to be populated with their
+// brand
+exports.snapshotOrderItems = (items, lineDiscounts) =>
+  items.map(item => {
+    const product = item.product || {};
+    const variant = variants.findVariant(product, item.variant);
+
     return {
-      _id: order._id,
-      total: parseFloat(Number(order.total.toFixed(2))),
-      created: order.created,
-      products: order?.cart?.products
+      _id: item._id,
+      product: product._id,
+      variant: variant ? variant._id : null,
+      variantName: variant ? variants.getVariantName(variant) : undefined,
+      name: product.name,
+      sku: variant?.sku || product.sku,
+      slug: product.slug,
+      imageUrl: variant?.imageUrl || product.imageUrl,
+      brand: product.brand?._id ?? null,
+      brandName: product.brand?.name,
+      quantity: item.quantity,
+      purchasePrice: item.purchasePrice,
+      totalPrice: item.totalPrice,
+      priceWithTax: item.priceWithTax,
+      totalTax: item.totalTax,
+      taxClass: item.taxClass,
+      tax: item.tax,
+      ...(lineDiscounts && { discount: lineDiscounts[item._id] || 0 }),
+      status: item.status
     };
   });
 
-  return newOrders.map(order => {
-    return order?.products ? this.caculateTaxAmount(order) : order;
-  });
+// amount charged for the cart lines with tax, the shipping and the discounts
+exports.caculateChargeAmount = (totalWithTax, shippingTotal, discountTotal) => {
+  const amount = Math.max(
+    totalWithTax + (shippingTotal || 0) - (discountTotal || 0),
+    0
+  );
+
+  return parseFloat(Number(amount.toFixed(2)));
+};
+
+// update the order totals from its lines that are not cancelled,
+// only called when the order lines change, never when reading an order
+exports.caculateOrderTotals = order => {
+  const { total, totalTax, totalWithTax } = this.caculateCartTotal(order);
+
+  order.subtotal = total;
+  order.totalTax = totalTax;
+  order.grandTotal = this.caculateChargeAmount(
+    totalWithTax,
+    order.shippingTotal,
+    order.discountTotal
+  );
+  order.taxes = tax.summarizeTaxes(order.products);
+
+  return order;
 };
@@ -0,0 +1,295 @@
+const Mongoose = require('mongoose');
+
+const Product = require('../models/product');
+const TaxRate = require('../models/tax');
+const store = require('./store');
+
+describe('Store pricing', () => {
+  const productId = new Mongoose.Types.ObjectId();
+
+  const mockProducts = (products, rates = []) => {
+    jest.spyOn(Product, 'find').mockReturnValue({
+      populate: () => Promise.resolve(products)
+    });
+    jest.spyOn(TaxRate, 'find').mockResolvedValue(rates);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should price items with the store product data', async () => {
+    mockProducts([
+      {
+        _id: productId,
+        name: 'Shoes',
+        price: 20,
+        taxClass: 'Exempt',
+        isActive: true,
+        brand: { isActive: true }
+      }
+    ]);
+
+    const { products, changes } = await store.priceCartItems([
+      {
+        product: productId.toString(),
+        quantity: 2,
+        price: 20,
+        taxClass: 'Exempt'
+      }
+    ]);
+
+    expect(changes).toHaveLength(0);
+    expect(products[0].purchasePrice).toBe(20);
+    expect(products[0].totalPrice).toBe(40);
+  });
+
+  it('should report a diff when the client price was tampered with', async () => {
+    mockProducts([
+      {
+        _id: productId,
+        name: 'Shoes',
+        price: 20,
+        taxClass: 'Exempt',
+        isActive: true,
+        brand: null
+      }
+    ]);
+
+    const { products, changes } = await store.priceCartItems([
+      {
+        product: productId.toString(),
+        quantity: 1,
+        price: 1,
+        taxClass: 'Exempt'
+      }
+    ]);
+
+    expect(changes).toEqual([
+      {
+        product: productId,
+        variant: null,
+        name: 'Shoes',
+        field: 'price',
+        previous: 1,
+        current: 20
+      }
+    ]);
+    expect(products[0].totalPrice).toBe(20);
+  });
+
+  it('should report unavailable products', async () => {
+    mockProducts([]);
+
+    const { products, changes } = await store.priceCartItems([
+      { product: productId.toString(), quantity: 1, price: 20 }
+    ]);
+
+    expect(products).toHaveLength(0);
+    expect(changes[0].field).toBe('availability');
+  });
+
+  it('should price variants with their own price or the product price', async () => {
+    const sizeS = {
+      _id: new Mongoose.Types.ObjectId(),
+      price: 25,
+      isActive: true
+    };
+    const sizeM = {
+      _id: new Mongoose.Types.ObjectId(),
+      price: null,
+      isActive: true
+    };
+
+    mockProducts([
+      {
+        _id: productId,
+        name: 'Shirt',
+        price: 20,
+        taxClass: 'Exempt',
+        isActive: true,
+        brand: null,
+        variants: [sizeS, sizeM]
+      }
+    ]);
+
+    const { products, changes } = await store.priceCartItems([
+      {
+        product: productId.toString(),
+        variant: sizeS._id.toString(),
+        quantity: 1
+      },
+      {
+        product: productId.toString(),
+        variant: sizeM._id.toString(),
+        quantity: 2
+      },
+      { product: productId.toString(), quantity: 1 }
+    ]);
+
+    expect(products.map(p => p.totalPrice)).toEqual([25, 40]);
+    expect(products[0].variant).toBe(sizeS._id);
+    expect(changes).toHaveLength(1);
+    expect(changes[0].field).toBe('availability');
+  });
+
+  it('should reject invalid quantities', async () => {
+    mockProducts([]);
+
+    await expect(
+      store.priceCartItems([{ product: productId.toString(), quantity: -1 }])
+    ).rejects.toHaveProperty('status', 400);
+  });
+
+  it('should apply the most specific tax rate for the address', async () => {
+    mockProducts(
+      [
+        {
+          _id: productId,
+          name: 'Shoes',
+          price: 100,
+          taxClass: 'Standard',
+          isActive: true,
+          brand: null
+        }
+      ],
+      [
+        { name: 'US', country: 'United States', taxClass: 'Standard', rate: 5 },
+        {
+          name: 'NY',
+          country: 'United States',
+          state: 'NY',
+          taxClass: 'Standard',
+          rate: 8
+        },
+        { name: 'NY Reduced', state: 'NY', taxClass: 'Reduced', rate: 2 }
+      ]
+    );
+
+    const { products } = await store.priceCartItems(
+      [{ product: productId.toString(), quantity: 1 }],
+      { country: 'United States', state: 'NY', zipCode: '10001' }
+    );
+
+    expect(products[0].tax.name).toBe('NY');
+    expect(products[0].totalTax).toBe(8);
+    expect(products[0].priceWithTax).toBe(108);
+  });
+
+  it('should extract inclusive taxes from the price', async () => {
+    mockProducts(
+      [
+        {
+          _id: productId,
+          name: 'Shoes',
+          price: 120,
+          taxClass: 'Standard',
+          isActive: true,
+          brand: null
+        }
+      ],
+      [{ name: 'VAT', taxClass: 'Standard', rate: 20, isInclusive: true }]
+    );
+
+    const { products } = await store.priceCartItems(
+      [{ product: productId.toString(), quantity: 1 }],
+      { country: 'United Kingdom' }
+    );
+
+    expect(products[0].totalTax).toBe(20);
+    expect(products[0].priceWithTax).toBe(120);
+  });
+});
+
+describe('Line discounts', () => {
+  it('should tax the lines on their discounted price', () => {
+    const [exclusive, inclusive, untaxed] = store.applyLineDiscounts(
+      [
+        {
+          _id: 'exclusive',
+          totalPrice: 100,
+          totalTax: 10,
+          tax: { rate: 10, isInclusive: false }
+        },
+        {
+          _id: 'inclusive',
+          totalPrice: 110,
+          totalTax: 10,
+          tax: { rate: 10, isInclusive: true }
+        },
+        { _id: 'untaxed', totalPrice: 20, totalTax: 0, tax: null }
+      ],
+      { exclusive: 20, inclusive: 55, untaxed: 5 }
+    );
+
+    expect(exclusive.totalTax).toBe(8);
+    expect(exclusive.priceWithTax).toBe(108);
+    expect(inclusive.totalTax).toBe(5);
+    expect(inclusive.priceWithTax).toBe(110);
+    expect(untaxed.totalTax).toBe(0);
+
+    expect(
+      store.caculateChargeAmount(
+        store.caculateCartTotal({ products: [exclusive] }).totalWithTax,
+        0,
+        20
+      )
+    ).toBe(88);
+  });
+});
+
+describe('Order snapshots', () => {
+  it('should copy the product details onto the order lines', () => {
+    const productId = new Mongoose.Types.ObjectId();
+    const brandId = new Mongoose.Types.ObjectId();
+
+    const [item] = store.snapshotOrderItems([
+      {
+        product: {
+          _id: productId,
+          name: 'Shoes',
+          sku: 'SHOES-1',
+          slug: 'shoes',
+          brand: { _id: brandId, name: 'Acme' }
+        },
+        quantity: 2,
+        purchasePrice: 20,
+        totalPrice: 40,
+        totalTax: 4,
+        priceWithTax: 44
+      }
+    ]);
+
+    expect(item.product).toBe(productId);
+    expect(item.name).toBe('Shoes');
+    expect(item.brand).toBe(brandId);
+    expect(item.brandName).toBe('Acme');
+    expect(item.discount).toBeUndefined();
+  });
+
+  it('should keep the discount of every line', () => {
+    const items = [
+      { _id: 'shirt', product: { _id: 'a' }, totalPrice: 40 },
+      { _id: 'hat', product: { _id: 'b' }, totalPrice: 10 }
+    ];
+
+    expect(
+      store.snapshotOrderItems(items, { shirt: 12 }).map(item => item.discount)
+    ).toEqual([12, 0]);
+  });
+
+  it('should leave cancelled lines out of the totals', () => {
+    const order = store.caculateOrderTotals({
+      products: [
+        { totalPrice: 40, totalTax: 4, priceWithTax: 44 },
+        { totalPrice: 10, totalTax: 1, priceWithTax: 11, status: 'Cancelled' }
+      ],
+      shippingTotal: 5,
+      discountTotal: 2
+    });
+
+    expect(order.subtotal).toBe(40);
+    expect(order.totalTax).toBe(4);
+    expect(order.grandTotal).toBe(47);
+  });
+});
@@ -0,0 +1,97 @@
+const TaxRate = require('../models/tax');
+const { findZone } = require('./zone');
+const { TAX_CLASS } = require('../constants');
+
+const round = value => parseFloat(Number(value).toFixed(2));
+
+exports.loadTaxRates = () => TaxRate.find({ isActive: true });
+
+// the most specific active rate of the tax class for the address
+exports.findTaxRate = (rates, address, taxClass) => {
+  if (!taxClass || taxClass === TAX_CLASS.Exempt) return null;
+
+  return findZone(
+    rates.filter(rate => rate.taxClass === taxClass),
+    address
+  );
+};
+
+// tax of a cart line, inclusive rates extract the tax from the price
+// while exclusive rates add it on top
+exports.calculateLineTax = (price, quantity, rate) => {
+  const totalPrice = round(price * quantity);
+
+  if (!rate) {
+    return { totalPrice, totalTax: 0, priceWithTax: totalPrice };
+  }
+
+  const taxRate = rate.rate / 100;
+  const totalTax = rate.isInclusive
+    ? round(totalPrice - totalPrice / (1 + taxRate))
+    : round(totalPrice * taxRate);
+
+  return {
+    totalPrice,
+    totalTax,
+    priceWithTax: rate.isInclusive ? totalPrice : round(totalPrice + totalTax)
+  };
+};
+
+// tax of a cart line once the discount is taken off its price,
+// the rate is the snapshot taken when the line was priced
+exports.calculateDiscountedTax = (item, discount) => {
+  if (!item.tax || !discount) return item.totalTax;
+
+  const taxRate = item.tax.rate / 100;
+  const taxable = Math.max(item.totalPrice - discount, 0);
+
+  return item.tax.isInclusive
+    ? round(taxable - taxable / (1 + taxRate))
+    : round(taxable * taxRate);
+};
+
+exports.snapshotTaxRate = rate => {
+  if (!rate) return null;
+
+  return {
+    name: rate.name,
+    rate: rate.rate,
+    isInclusive: rate.isInclusive,
+    country: rate.country,
+    state: rate.state,
+    zipCode: rate.zipCode
+  };
+};
+
+// group the taxed lines by the rate that was applied to them
+exports.summarizeTaxes = products => {
+  const taxes = [];
+
+  products
+    .filter(item => item.status !== 'Cancelled' && item.tax?.name)
+    .forEach(item => {
+      const existing = taxes.find(
+        tax =>
+          tax.name === item.tax.name &&
+          tax.rate === item.tax.rate &&
+          tax.taxClass === item.taxClass
+      );
+
+      if (existing) {
+        existing.amount = round(existing.amount + item.totalTax);
+      } else {
+        taxes.push({
+          name: item.tax.name,
+          taxClass: item.taxClass,
+          rate: item.tax.rate,
+          isInclusive: item.tax.isInclusive,
+          country: item.tax.country,
+          state: item.tax.state,
+          zipCode: item.tax.zipCode,
+          amount: round(item.totalTax)
+        });
+      }
+    });
+
+  return taxes;
+};
@@ -0,0 +1,126 @@
+const normalize = value => (value || '').toString().trim();
+
+// drop empty option types and values, keeping the order they were entered in
+exports.normalizeOptions = options => {
+  const list = Array.isArray(options) ? options : [];
+
+  return list
+    .map(option => ({
+      name: normalize(option.name),
+      values: [
+        ...new Set((option.values || []).map(normalize).filter(value => value))
+      ]
+    }))
+    .filter(option => option.name && option.values.length > 0);
+};
+
+// the variant values of the product options, in the order of the options
+exports.normalizeVariants = (options, variants) => {
+  const list = Array.isArray(variants) ? variants : [];
+
+  return list.map(variant => {
+    const values = variant.options || [];
+
+    return {
+      ...variant,
+      sku: normalize(variant.sku),
+      options: options.map(option => {
+        const match = values.find(value => value.name === option.name);
+
+        return { name: option.name, value: normalize(match?.value) };
+      }),
+      price:
+        variant.price === '' || variant.price === undefined
+          ? null
+          : variant.price,
+      quantity: variant.quantity === '' ? 0 : variant.quantity
+    };
+  });
+};
+
+// throws when a variant misses an option value, repeats another combination
+// or has an invalid sku, price or stock
+exports.validateVariants = (options, variants) => {
+  const names = options.map(option => option.name);
+
+  if (new Set(names).size !== names.length) {
+    throw { status: 400, message: 'Option names must be unique.' };
+  }
+
+  if (variants.length > 0 && options.length === 0) {
+    throw { status: 400, message: 'Variants need at least one option.' };
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+
+  variants.forEach(variant => {
+    const name = this.getVariantName(variant) || 'A variant';
+
+    if (!/^[A-Za-z0-9_-]+$/.test(variant.sku)) {
+      throw {
+        status: 400,
+        message: `${name} needs a sku made of letters, numbers, - and _.`
+      };
+    }
+
+    if (skus.has(variant.sku)) {
+      throw { status: 400, message: `Sku ${variant.sku} is used twice.` };
+    }
+
+    variant.options.forEach(value => {
+      const option = options.find(o => o.name === value.name);
+
+      if (!option.values.includes(value.value)) {
+        throw {
+          status: 400,
+          message: `${name} needs a ${option.name} value.`
+        };
+      }
+    });
+
+    if (combinations.has(name)) {
+      throw { status: 400, message: `${name} is used by two variants.` };
+    }
+
+    if (variant.price !== null && !(Number(variant.price) >= 0)) {
+      throw {
+        status: 400,
+        message: `${name} price must be a positive number.`
+      };
+    }
+
+    if (
+      !(Number.isInteger(Number(variant.quantity)) && variant.quantity >= 0)
+    ) {
+      throw {
+        status: 400,
+        message: `${name} quantity must be a whole number.`
+      };
+    }
+
+    skus.add(variant.sku);
+    combinations.add(name);
+  });
+};
+
+exports.getVariantName = variant =>
+  (variant.options || []).map(option => option.value).join(' / ');
+
+exports.hasVariants = product => (product?.variants || []).length > 0;
+
+exports.findVariant = (product, variantId) => {
+  if (!variantId) return null;
+
+  return (
+    (product.variants || []).find(
+      variant => variant._id.toString() === variantId.toString()
+    ) || null
+  );
+};
+
+// the price of the variant, the product price when it does not override it
+exports.getVariantPrice = (product, variant) =>
+  variant && variant.price !== null && variant.price !== undefined
+    ? variant.price
+    : product.price;
@@ -0,0 +1,70 @@
+const variants = require('./variant');
+
+describe('Product variants', () => {
+  const options = variants.normalizeOptions([
+    { name: ' Size ', values: ['S', 'M', 'M', ''] },
+    { name: 'Color', values: ['Red', 'Blue'] },
+    { name: '', values: ['ignored'] }
+  ]);
+
+  const variant = (sku, size, color, fields) => ({
+    sku,
+    options: [
+      { name: 'Color', value: color },
+      { name: 'Size', value: size }
+    ],
+    quantity: 1,
+    ...fields
+  });
+
+  it('should normalize the options and order the variant values', () => {
+    expect(options).toEqual([
+      { name: 'Size', values: ['S', 'M'] },
+      { name: 'Color', values: ['Red', 'Blue'] }
+    ]);
+
+    const [normalized] = variants.normalizeVariants(options, [
+      variant('SHIRT-S-RED', 'S', 'Red', { price: '' })
+    ]);
+
+    expect(normalized.options).toEqual([
+      { name: 'Size', value: 'S' },
+      { name: 'Color', value: 'Red' }
+    ]);
+    expect(normalized.price).toBeNull();
+    expect(variants.getVariantName(normalized)).toBe('S / Red');
+  });
+
+  it('should reject incomplete and duplicate variants', () => {
+    const validate = list => () =>
+      variants.validateVariants(
+        options,
+        variants.normalizeVariants(options, list)
+      );
+
+    expect(
+      validate([
+        variant('SHIRT-S-RED', 'S', 'Red'),
+        variant('SHIRT-M-RED', 'M', 'Red')
+      ])
+    ).not.toThrow();
+    expect(validate([variant('SHIRT-S', 'S', 'Green')])).toThrow();
+    expect(
+      validate([variant('SHIRT-1', 'S', 'Red'), variant('SHIRT-2', 'S', 'Red')])
+    ).toThrow();
+    expect(
+      validate([variant('SHIRT', 'S', 'Red'), variant('SHIRT', 'M', 'Red')])
+    ).toThrow();
+    expect(
+      validate([variant('SHIRT', 'S', 'Red', { quantity: -1 })])
+    ).toThrow();
+  });
+
+  it('should fall back to the product price', () => {
+    const product = { price: 20 };
+
+    expect(variants.getVariantPrice(product, { price: 15 })).toBe(15);
+    expect(variants.getVariantPrice(product, { price: null })).toBe(20);
+    expect(variants.getVariantPrice(product, null)).toBe(20);
+  });
+});
@@ -0,0 +1,34 @@
+const normalize = value => (value || '').toString().trim().toLowerCase();
+
+// score how specific a zone is for the address, -1 when it does not apply
+// a zip code prefix beats a state which beats a country which beats a catch-all
+exports.getZoneScore = (zone, address) => {
+  const country = normalize(zone.country);
+  const state = normalize(zone.state);
+  const zipCode = normalize(zone.zipCode);
+
+  if (country && country !== normalize(address.country)) return -1;
+  if (state && state !== normalize(address.state)) return -1;
+  if (zipCode && !normalize(address.zipCode).startsWith(zipCode)) return -1;
+
+  return (country ? 1 : 0) + (state ? 2 : 0) + (zipCode ? 4 : 0);
+};
+
+// the most specific zone matching the address
+exports.findZone = (zones, address) => {
+  if (!address) return null;
+
+  let match = null;
+  let matchScore = -1;
+
+  zones.forEach(zone => {
+    const score = this.getZoneScore(zone, address);
+
+    if (score > matchScore) {
+      match = zone;
+      matchScore = score;
+    }
+  });
+
+  return match;
+};